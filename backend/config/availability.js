@@ -0,0 +1,97 @@
+// Weekly availability windows and time off requests for employees
+// An employee with no availability windows can be scheduled any time
+
+const { timeToMinutes } = require('../services/timeUtils');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TIME_OFF_STATUSES = ['pending', 'approved', 'denied'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Validate an employee's availability windows
+ * windows: [{ dayOfWeek: 0-6 (0 = Sunday), startTime, endTime }], times as HH:MM
+ * A window that ends earlier than it starts runs past midnight
+ * Returns a list of error messages, empty if valid
+ */
+function validateAvailability(windows) {
+  if (!Array.isArray(windows)) {
+    return ['availability must be an array'];
+  }
+
+  const errors = [];
+  const byDay = {};
+
+  for (const window of windows) {
+    const { dayOfWeek, startTime, endTime } = window || {};
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      errors.push('Each availability window needs a dayOfWeek from 0 (Sunday) to 6 (Saturday)');
+      continue;
+    }
+    const day = DAY_NAMES[dayOfWeek];
+    if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
+      errors.push(`${day}: availability times must be HH:MM`);
+      continue;
+    }
+    if (startTime === endTime) {
+      errors.push(`${day}: availability must end at a different time than it starts`);
+      continue;
+    }
+
+    const start = timeToMinutes(startTime);
+    let end = timeToMinutes(endTime);
+    if (end < start) end += 1440;
+    (byDay[dayOfWeek] || (byDay[dayOfWeek] = [])).push({ start, end });
+  }
+
+  for (const [dayOfWeek, ranges] of Object.entries(byDay)) {
+    ranges.sort((a, b) => a.start - b.start);
+    if (ranges.some((range, i) => i > 0 && range.start < ranges[i - 1].end)) {
+      errors.push(`${DAY_NAMES[dayOfWeek]}: availability windows overlap`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a new time off request
+ * request: { employeeId, startDate, endDate?, reason? }, dates as YYYY-MM-DD
+ * Returns a list of error messages, empty if valid
+ */
+function validateTimeOffRequest(request) {
+  const { employeeId, startDate, endDate, reason } = request || {};
+  const errors = [];
+
+  if (typeof employeeId !== 'string' || !/^[0-9a-fA-F-]{36}$/.test(employeeId)) {
+    errors.push('employeeId is required');
+  }
+  if (!DATE_PATTERN.test(startDate)) {
+    errors.push('startDate must be YYYY-MM-DD');
+  }
+  if (endDate !== undefined && endDate !== null && !DATE_PATTERN.test(endDate)) {
+    errors.push('endDate must be YYYY-MM-DD');
+  } else if (endDate && DATE_PATTERN.test(startDate) && endDate < startDate) {
+    errors.push('Time off can\'t end before it starts');
+  }
+  if (reason !== undefined && reason !== null) {
+    if (typeof reason !== 'string') {
+      errors.push('reason must be text');
+    } else if (reason.length > MAX_REASON_LENGTH) {
+      errors.push(`reason can be at most ${MAX_REASON_LENGTH} characters`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DAY_NAMES,
+  TIME_OFF_STATUSES,
+  validateAvailability,
+  validateTimeOffRequest
+};
@@ -0,0 +1,115 @@
+/**
+ * Labor law rule packs
+ * Each store picks one pack; services/compliance.js checks shifts against it
+ *
+ * These are starting points based on each state's published minor labor rules.
+ * Stores should double-check them against their state labor office - holidays,
+ * work permits and industry exemptions aren't modeled.
+ *
+ * minors: rules by age bracket ('14-15', '16-17'), any field may be left out
+ *   earliestStart: no shift may start before this time
+ *   latestEnd: { schoolNight, nonSchoolNight, summer } - latest end time
+ *   maxDailyHours: { schoolDay, nonSchoolDay }
+ *   maxWeeklyHours: { schoolWeek, summerWeek } - Sunday through Saturday
+ *   maxDaysPerWeek: most days worked in one Sunday-Saturday week
+ * breaks: hours worked before a break is required/optional (optional may be null)
+ * maxConsecutiveDays: most days in a row anyone may work (null for no limit)
+ * minimumAge: youngest age that may be scheduled
+ */
+
+const DEFAULT_RULE_PACK = 'federal';
+
+// Break thresholds the generator has always used
+const DEFAULT_BREAK_THRESHOLDS = {
+  minor: { required: 4.5, optional: 4 },
+  adult: { required: 7.5, optional: 7 }
+};
+
+// 14 and 15 year olds - same federal limits apply in every state below
+// Federal rules limit hours and times of day only; states add their own day limits
+const FEDERAL_UNDER_16 = {
+  earliestStart: '07:00',
+  latestEnd: { schoolNight: '19:00', nonSchoolNight: '19:00', summer: '21:00' },
+  maxDailyHours: { schoolDay: 3, nonSchoolDay: 8 },
+  maxWeeklyHours: { schoolWeek: 18, summerWeek: 40 }
+};
+
+const LABOR_RULE_PACKS = {
+  federal: {
+    name: 'Federal (FLSA)',
+    description: 'Federal child labor rules only. 14-15 year olds limited to 3 hours on school days and 7 PM end times (9 PM in summer).',
+    minimumAge: 14,
+    breaks: DEFAULT_BREAK_THRESHOLDS,
+    maxConsecutiveDays: null,
+    minors: {
+      '14-15': FEDERAL_UNDER_16,
+      '16-17': {}
+    }
+  },
+  california: {
+    name: 'California',
+    description: '16-17 year olds limited to 4 hours on school days and 10 PM on school nights. 30-minute meal break after 5 hours, no more than 6 days in a row.',
+    minimumAge: 14,
+    breaks: {
+      minor: { required: 5, optional: 4.5 },
+      adult: { required: 6, optional: 5 }
+    },
+    maxConsecutiveDays: 6,
+    minors: {
+      '14-15': { ...FEDERAL_UNDER_16, maxDaysPerWeek: 6 },
+      '16-17': {
+        earliestStart: '05:00',
+        latestEnd: { schoolNight: '22:00' },
+        maxDailyHours: { schoolDay: 4, nonSchoolDay: 8 },
+        maxWeeklyHours: { schoolWeek: 28, summerWeek: 48 },
+        maxDaysPerWeek: 6
+      }
+    }
+  },
+  new_york: {
+    name: 'New York',
+    description: '16-17 year olds limited to 4 hours on school days and 10 PM on school nights, 6 days a week for all minors.',
+    minimumAge: 14,
+    breaks: {
+      minor: DEFAULT_BREAK_THRESHOLDS.minor,
+      adult: { required: 6, optional: 5 }
+    },
+    maxConsecutiveDays: null,
+    minors: {
+      '14-15': { ...FEDERAL_UNDER_16, maxDaysPerWeek: 6 },
+      '16-17': {
+        earliestStart: '06:00',
+        latestEnd: { schoolNight: '22:00' },
+        maxDailyHours: { schoolDay: 4, nonSchoolDay: 8 },
+        maxWeeklyHours: { schoolWeek: 28, summerWeek: 48 },
+        maxDaysPerWeek: 6
+      }
+    }
+  }
+};
+
+/**
+ * Get a rule pack by id, falling back to the default pack for unknown ids
+ */
+function getRulePack(id) {
+  return LABOR_RULE_PACKS[id] || LABOR_RULE_PACKS[DEFAULT_RULE_PACK];
+}
+
+/**
+ * Summary of the available packs for the settings screen
+ */
+function listRulePacks() {
+  return Object.entries(LABOR_RULE_PACKS).map(([id, pack]) => ({
+    id,
+    name: pack.name,
+    description: pack.description
+  }));
+}
+
+module.exports = {
+  DEFAULT_RULE_PACK,
+  DEFAULT_BREAK_THRESHOLDS,
+  LABOR_RULE_PACKS,
+  getRulePack,
+  listRulePacks
+};
@@ -1,6 +1,8 @@
 // Position layouts for each shift period based on number of people working
 // Each position can have a "/" indicating combined roles
 
+const { DEFAULT_TIME_PERIODS, getShiftPeriod: getPeriodForTime } = require('./timePeriods');
+
 const positionLayouts = {
   morning: {
     // 6:00 AM - 10:30 AM
@@ -76,17 +78,9 @@ const allPositions = [
 ];
 
 // Helper function to get the shift period based on time
-function getShiftPeriod(timeString) {
-  const [hours, minutes] = timeString.split(':').map(Number);
-  const timeInMinutes = hours * 60 + minutes;
-
-  if (timeInMinutes >= 360 && timeInMinutes < 630) return 'morning';      // 6:00 - 10:30
-  if (timeInMinutes >= 630 && timeInMinutes < 840) return 'lunch';        // 10:30 - 14:00
-  if (timeInMinutes >= 840 && timeInMinutes < 1020) return 'midday';      // 14:00 - 17:00
-  if (timeInMinutes >= 1020 && timeInMinutes < 1200) return 'dinner';     // 17:00 - 20:00
-  if (timeInMinutes >= 1200 && timeInMinutes < 1320) return 'lateNight';  // 20:00 - 22:00
-
-  return null;
+// Periods are configurable per store, see config/timePeriods.js
+function getShiftPeriod(timeString, periods = DEFAULT_TIME_PERIODS) {
+  return getPeriodForTime(timeString, periods);
 }
 
 // Helper function to get layout for a given period and count
@@ -112,9 +106,67 @@ function getLayout(period, peopleCount) {
   };
 }
 
+// Stores can save their own layouts (position_layouts table), one per time period and headcount
+// Headcount is the number of people filling stations - leads, boosters, trainees and
+// anyone on break aren't counted
+const MAX_LAYOUT_HEADCOUNT = 20;
+
+// The built-in layouts above as { timePeriod, peopleCount, positions } rows, for the layout editor
+function getDefaultLayouts() {
+  return Object.entries(positionLayouts).flatMap(([timePeriod, periodData]) =>
+    Object.entries(periodData.layouts).map(([count, positions]) => ({
+      timePeriod,
+      peopleCount: Number(count),
+      positions
+    }))
+  );
+}
+
+/**
+ * Validate a store layout
+ * periodIds: the store's time period ids, positionNames: its active position names
+ * Returns an array of error messages (empty if valid)
+ */
+function validatePositionLayout(layout, periodIds, positionNames) {
+  const errors = [];
+  const { timePeriod, peopleCount, positions } = layout || {};
+
+  if (!periodIds.includes(timePeriod)) {
+    errors.push(`Unknown time period "${timePeriod}"`);
+  }
+  if (!Number.isInteger(peopleCount) || peopleCount < 1 || peopleCount > MAX_LAYOUT_HEADCOUNT) {
+    errors.push(`Headcount must be a whole number from 1 to ${MAX_LAYOUT_HEADCOUNT}`);
+  }
+  if (!Array.isArray(positions) || positions.length === 0) {
+    errors.push('A layout needs at least one position');
+    return errors;
+  }
+  if (Number.isInteger(peopleCount) && positions.length > peopleCount) {
+    errors.push(`A layout for ${peopleCount} people can't have ${positions.length} positions`);
+  }
+
+  // Combined stations ("secondary2/buns") must be made of the store's positions
+  for (const position of positions) {
+    const parts = typeof position === 'string' ? position.split('/') : [];
+    if (parts.length === 0 || parts.some(part => !part)) {
+      errors.push(`"${position}" isn't a valid position`);
+      continue;
+    }
+    const unknown = parts.filter(part => !positionNames.includes(part));
+    if (unknown.length > 0) {
+      errors.push(`Unknown position${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
 module.exports = {
   positionLayouts,
   allPositions,
+  MAX_LAYOUT_HEADCOUNT,
   getShiftPeriod,
-  getLayout
+  getLayout,
+  getDefaultLayouts,
+  validatePositionLayout
 };
@@ -0,0 +1,58 @@
+// Fairness rotation settings
+// With rotation on, employees lose points on stations marked "rotate" for each day they
+// worked that station in the lookback window, so the same people aren't stuck there every shift
+// Stores can override these via /api/settings/rotation
+
+const DEFAULT_ROTATION = {
+  enabled: false,
+  lookbackDays: 14,   // Days of saved lineups to look back over
+  penaltyPerDay: 2,   // Points off for each day already worked on the station
+  maxPenalty: 8       // Cap, so a best position still beats a fallback
+};
+
+const MAX_LOOKBACK_DAYS = 60;
+const MAX_PENALTY = 100;
+
+/**
+ * Validate a (possibly partial) rotation settings object
+ * Returns a list of error messages, empty if valid
+ */
+function validateRotation(rotation) {
+  if (!rotation || typeof rotation !== 'object' || Array.isArray(rotation)) {
+    return ['rotation must be an object'];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(rotation)) {
+    if (!(key in DEFAULT_ROTATION)) {
+      errors.push(`Unknown rotation setting: ${key}`);
+    } else if (key === 'enabled') {
+      if (typeof value !== 'boolean') errors.push('enabled must be true or false');
+    } else if (key === 'lookbackDays') {
+      if (!Number.isInteger(value) || value < 1 || value > MAX_LOOKBACK_DAYS) {
+        errors.push(`lookbackDays must be a whole number between 1 and ${MAX_LOOKBACK_DAYS}`);
+      }
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > MAX_PENALTY) {
+      errors.push(`${key} must be a number between 0 and ${MAX_PENALTY}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Merge stored settings over the defaults
+ * Invalid stored values are ignored so a bad row never breaks generation
+ */
+function resolveRotation(storedRotation) {
+  if (!storedRotation || validateRotation(storedRotation).length > 0) {
+    return { ...DEFAULT_ROTATION };
+  }
+  return { ...DEFAULT_ROTATION, ...storedRotation };
+}
+
+module.exports = {
+  DEFAULT_ROTATION,
+  validateRotation,
+  resolveRotation
+};
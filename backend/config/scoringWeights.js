@@ -0,0 +1,91 @@
+// Default scoring weights used by the lineup generator
+// Stores can override any of these via /api/settings/scoring
+
+const DEFAULT_SCORING_WEIGHTS = {
+  // Regular lineups (scoreEmployeeForPosition)
+  bestPosition: 10,          // Employee's best position
+  capablePosition: 5,        // Employee can work the position
+  traineePosition: 2,        // Employee is still a trainee on the position (see config/skillLevels.js)
+  stayInPlace: 20,           // Same position as the previous time block (minimize moves)
+  checklistPrimary: 15,      // Checklist person on buns/machines
+  checklistSecondary: 12,    // Checklist person on secondary2
+
+  // Closing lineup (generateClosingLineup)
+  closingStayInPlace: 50,    // Already on this position in the last time block
+  closingBestPosition: 10,
+  closingCapablePosition: 5
+};
+
+// Presets shown in the settings screen
+const SCORING_PRESETS = {
+  balanced: { ...DEFAULT_SCORING_WEIGHTS },
+  minimizeMoves: {
+    ...DEFAULT_SCORING_WEIGHTS,
+    stayInPlace: 40,
+    closingStayInPlace: 80
+  },
+  bestSpotFirst: {
+    ...DEFAULT_SCORING_WEIGHTS,
+    bestPosition: 20,
+    stayInPlace: 8,
+    closingStayInPlace: 15,
+    closingBestPosition: 20
+  }
+};
+
+const MAX_WEIGHT = 100;
+
+/**
+ * Validate a (possibly partial) scoring weights object
+ * Returns a list of error messages, empty if valid
+ */
+function validateScoringWeights(weights) {
+  const errors = [];
+
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return ['weights must be an object'];
+  }
+
+  for (const [key, value] of Object.entries(weights)) {
+    if (!(key in DEFAULT_SCORING_WEIGHTS)) {
+      errors.push(`Unknown weight: ${key}`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > MAX_WEIGHT) {
+      errors.push(`${key} must be a number between 0 and ${MAX_WEIGHT}`);
+    }
+  }
+
+  // Match quality labels (best/capable/fallback) are derived from these two
+  const merged = { ...DEFAULT_SCORING_WEIGHTS, ...weights };
+  if (merged.capablePosition <= 0) {
+    errors.push('capablePosition must be greater than 0');
+  }
+  if (merged.traineePosition > merged.capablePosition) {
+    errors.push('traineePosition can\'t be more than capablePosition');
+  }
+  if (merged.bestPosition < merged.capablePosition) {
+    errors.push('bestPosition must be at least capablePosition');
+  }
+  if (merged.closingBestPosition < merged.closingCapablePosition) {
+    errors.push('closingBestPosition must be at least closingCapablePosition');
+  }
+
+  return errors;
+}
+
+/**
+ * Merge stored weights over the defaults
+ * Invalid stored values are ignored so a bad row never breaks generation
+ */
+function resolveScoringWeights(storedWeights) {
+  if (!storedWeights || validateScoringWeights(storedWeights).length > 0) {
+    return { ...DEFAULT_SCORING_WEIGHTS };
+  }
+  return { ...DEFAULT_SCORING_WEIGHTS, ...storedWeights };
+}
+
+module.exports = {
+  DEFAULT_SCORING_WEIGHTS,
+  SCORING_PRESETS,
+  validateScoringWeights,
+  resolveScoringWeights
+};
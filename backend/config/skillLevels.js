@@ -0,0 +1,52 @@
+// Per-position skill levels for employees
+// An employee with no skill row for one of their positions is treated as certified
+
+const SKILL_LEVELS = ['trainee', 'certified', 'trainer'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate an employee's skills against their positions
+ * skills: [{ position, level, certifiedOn?, expiresOn? }], dates as YYYY-MM-DD
+ * Returns a list of error messages, empty if valid
+ */
+function validateSkills(skills, positions) {
+  if (!Array.isArray(skills)) {
+    return ['skills must be an array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  for (const skill of skills) {
+    const { position, level, certifiedOn, expiresOn } = skill || {};
+    if (!positions.includes(position)) {
+      errors.push(`"${position}" isn't one of the employee's positions`);
+      continue;
+    }
+    if (seen.has(position)) {
+      errors.push(`${position} is listed more than once`);
+    }
+    seen.add(position);
+
+    if (!SKILL_LEVELS.includes(level)) {
+      errors.push(`${position}: level must be one of ${SKILL_LEVELS.join(', ')}`);
+    }
+    if (certifiedOn && !DATE_PATTERN.test(certifiedOn)) {
+      errors.push(`${position}: certification date must be YYYY-MM-DD`);
+    }
+    if (expiresOn && !DATE_PATTERN.test(expiresOn)) {
+      errors.push(`${position}: expiry date must be YYYY-MM-DD`);
+    }
+    if (certifiedOn && expiresOn && expiresOn < certifiedOn) {
+      errors.push(`${position}: certification can't expire before it was earned`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  SKILL_LEVELS,
+  validateSkills
+};
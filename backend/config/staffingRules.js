@@ -0,0 +1,106 @@
+// Staffing rules: how many stations each house opens for a level of forecast transactions
+// Each house has bands sorted by minTransactions; the band with the highest minTransactions
+// at or below the forecast applies. Transactions are per 30 minutes (15 minute intervals are doubled)
+// Stores can override these via /api/settings/staffing-rules
+
+const DEFAULT_STAFFING_RULES = {
+  boh: [
+    { minTransactions: 0, positions: 2 },
+    { minTransactions: 20, positions: 3 },
+    { minTransactions: 35, positions: 4 },
+    { minTransactions: 50, positions: 5 },
+    { minTransactions: 70, positions: 6 },
+    { minTransactions: 90, positions: 7 },
+    { minTransactions: 110, positions: 8 }
+  ],
+  foh: [
+    { minTransactions: 0, positions: 2 },
+    { minTransactions: 20, positions: 3 },
+    { minTransactions: 40, positions: 4 },
+    { minTransactions: 60, positions: 5 },
+    { minTransactions: 80, positions: 6 },
+    { minTransactions: 100, positions: 7 }
+  ]
+};
+
+const HOUSE_TYPES = ['boh', 'foh'];
+const MAX_BANDS = 20;
+const MAX_POSITIONS = 30;
+
+/**
+ * Validate staffing rules ({ boh?, foh? }, each a list of bands)
+ * Returns a list of error messages, empty if valid
+ */
+function validateStaffingRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['staffing rules must be an object'];
+  }
+
+  const errors = [];
+  for (const [house, bands] of Object.entries(rules)) {
+    const label = house === 'foh' ? 'Front of house' : 'Back of house';
+    if (!HOUSE_TYPES.includes(house)) {
+      errors.push(`Unknown house: ${house}`);
+      continue;
+    }
+    if (!Array.isArray(bands) || bands.length === 0 || bands.length > MAX_BANDS) {
+      errors.push(`${label} needs between 1 and ${MAX_BANDS} bands`);
+      continue;
+    }
+
+    bands.forEach((band, index) => {
+      if (!band || !Number.isInteger(band.minTransactions) || band.minTransactions < 0) {
+        errors.push(`${label} band ${index + 1}: minTransactions must be a whole number of 0 or more`);
+      }
+      if (!band || !Number.isInteger(band.positions) || band.positions < 1 || band.positions > MAX_POSITIONS) {
+        errors.push(`${label} band ${index + 1}: positions must be a whole number between 1 and ${MAX_POSITIONS}`);
+      }
+    });
+    if (errors.length > 0) continue;
+
+    if (bands[0].minTransactions !== 0) {
+      errors.push(`${label}: the first band must start at 0 transactions`);
+    }
+    for (let i = 1; i < bands.length; i++) {
+      if (bands[i].minTransactions <= bands[i - 1].minTransactions) {
+        errors.push(`${label}: bands must be in order of transactions, each higher than the last`);
+        break;
+      }
+      if (bands[i].positions < bands[i - 1].positions) {
+        errors.push(`${label}: busier bands can't open fewer positions`);
+        break;
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Merge stored rules over the defaults, house by house
+ * Invalid stored values are ignored so a bad row never breaks recommendations
+ */
+function resolveStaffingRules(storedRules) {
+  if (!storedRules || validateStaffingRules(storedRules).length > 0) {
+    return { ...DEFAULT_STAFFING_RULES };
+  }
+  return { ...DEFAULT_STAFFING_RULES, ...storedRules };
+}
+
+/**
+ * Stations to open for a number of transactions (per 30 minutes)
+ */
+function positionsForTransactions(bands, transactions) {
+  let positions = bands[0].positions;
+  for (const band of bands) {
+    if (transactions >= band.minTransactions) positions = band.positions;
+  }
+  return positions;
+}
+
+module.exports = {
+  DEFAULT_STAFFING_RULES,
+  validateStaffingRules,
+  resolveStaffingRules,
+  positionsForTransactions
+};
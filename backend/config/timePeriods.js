@@ -0,0 +1,119 @@
+const { timeToMinutes } = require('../services/timeUtils');
+
+/**
+ * Dayparts (time periods) used to pick which positions are staffed
+ * Stores can replace these with their own list in store_settings.time_periods
+ *
+ * Each period: { id, name, start: 'HH:MM', end: 'HH:MM' }
+ * A period whose end is at or before its start runs past midnight (e.g. 22:00 - 02:00)
+ * Positions reference periods by id in their timePeriods list
+ */
+const DEFAULT_TIME_PERIODS = [
+  { id: 'morning', name: 'Morning', start: '06:00', end: '10:30' },
+  { id: 'lunch', name: 'Lunch', start: '10:30', end: '14:00' },
+  { id: 'midday', name: 'Midday', start: '14:00', end: '17:00' },
+  { id: 'dinner', name: 'Dinner', start: '17:00', end: '20:00' },
+  { id: 'lateNight', name: 'Late Night', start: '20:00', end: '22:00' }
+];
+
+// Used by positions and saved lineups, so they can't be period ids
+const RESERVED_PERIOD_IDS = ['all', 'closing'];
+
+const MAX_TIME_PERIODS = 12;
+
+/**
+ * Minute ranges covered by a period, split in two if it runs past midnight
+ */
+function getPeriodRanges(period) {
+  const start = timeToMinutes(period.start);
+  const end = timeToMinutes(period.end);
+  if (end > start) return [[start, end]];
+  return [[start, 1440], [0, end]];
+}
+
+/**
+ * Validate a list of time periods
+ * Returns an array of error messages (empty if valid)
+ */
+function validateTimePeriods(periods) {
+  if (!Array.isArray(periods) || periods.length === 0) {
+    return ['At least one time period is required'];
+  }
+  if (periods.length > MAX_TIME_PERIODS) {
+    return [`No more than ${MAX_TIME_PERIODS} time periods are allowed`];
+  }
+
+  const errors = [];
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const seenIds = new Set();
+
+  for (const period of periods) {
+    const label = period?.name || period?.id || 'Time period';
+
+    if (!period || typeof period.id !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(period.id)) {
+      errors.push(`${label} needs an id made of letters, numbers, - or _`);
+      continue;
+    }
+    if (RESERVED_PERIOD_IDS.includes(period.id)) {
+      errors.push(`"${period.id}" can't be used as a time period id`);
+    }
+    if (seenIds.has(period.id)) {
+      errors.push(`Time period id "${period.id}" is used more than once`);
+    }
+    seenIds.add(period.id);
+
+    if (typeof period.name !== 'string' || !period.name.trim()) {
+      errors.push(`Time period "${period.id}" needs a name`);
+    }
+    if (!timePattern.test(period.start) || !timePattern.test(period.end)) {
+      errors.push(`${label} needs start and end times as HH:MM`);
+    } else if (period.start === period.end) {
+      errors.push(`${label} must end at a different time than it starts`);
+    }
+  }
+
+  if (errors.length > 0) return errors;
+
+  // Periods can't overlap, otherwise a time block would match two of them
+  for (let i = 0; i < periods.length; i++) {
+    for (let j = i + 1; j < periods.length; j++) {
+      const overlaps = getPeriodRanges(periods[i]).some(([aStart, aEnd]) =>
+        getPeriodRanges(periods[j]).some(([bStart, bEnd]) => aStart < bEnd && bStart < aEnd)
+      );
+      if (overlaps) {
+        errors.push(`${periods[i].name} overlaps ${periods[j].name}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Use a store's saved time periods, or the defaults if none are saved (or they're invalid)
+ */
+function resolveTimePeriods(stored) {
+  if (!stored || validateTimePeriods(stored).length > 0) {
+    return DEFAULT_TIME_PERIODS;
+  }
+  return stored;
+}
+
+/**
+ * Get the id of the time period a time falls in, or null if it's outside every period
+ */
+function getShiftPeriod(timeString, periods = DEFAULT_TIME_PERIODS) {
+  const timeInMinutes = timeToMinutes(timeString) % 1440;
+
+  const period = periods.find(p =>
+    getPeriodRanges(p).some(([start, end]) => timeInMinutes >= start && timeInMinutes < end)
+  );
+  return period ? period.id : null;
+}
+
+module.exports = {
+  DEFAULT_TIME_PERIODS,
+  validateTimePeriods,
+  resolveTimePeriods,
+  getShiftPeriod
+};
@@ -0,0 +1,58 @@
+-- Create store_settings table for per-store generator configuration
+-- Run this in your Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS store_settings (
+  store_id UUID PRIMARY KEY REFERENCES stores(id) ON DELETE CASCADE,
+  -- Partial overrides of the generator's scoring weights, merged over the defaults
+  -- e.g. {"stayInPlace": 40, "closingStayInPlace": 80}
+  scoring_weights JSONB DEFAULT '{}'::JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE store_settings ENABLE ROW LEVEL SECURITY;
+
+-- Any member of the store can read its settings (needed to generate lineups)
+CREATE POLICY "Store members can read store settings"
+  ON store_settings
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = store_settings.store_id
+        AND store_users.user_id = auth.uid()
+    )
+  );
+
+-- Only managers (owner, director, coordinator) can change settings
+CREATE POLICY "Managers can insert store settings"
+  ON store_settings
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = store_settings.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can update store settings"
+  ON store_settings
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = store_settings.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE TRIGGER update_store_settings_updated_at
+  BEFORE UPDATE ON store_settings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
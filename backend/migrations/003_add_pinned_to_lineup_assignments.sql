@@ -0,0 +1,7 @@
+-- Track assignments that were pinned by a leader or moved by hand
+-- Run this in your Supabase SQL Editor
+--
+-- Regenerating a saved day turns these back into pins so manual
+-- drag-and-drop changes aren't wiped out
+
+ALTER TABLE lineup_assignments ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,9 @@
+-- Store the scheduled break window and break cover on each assignment
+-- Run this in your Supabase SQL Editor
+--
+-- break_start/break_end are the employee's planned break for the day,
+-- covering_for is the name of the person on break this assignment covers
+
+ALTER TABLE lineup_assignments ADD COLUMN IF NOT EXISTS break_start TIME;
+ALTER TABLE lineup_assignments ADD COLUMN IF NOT EXISTS break_end TIME;
+ALTER TABLE lineup_assignments ADD COLUMN IF NOT EXISTS covering_for TEXT;
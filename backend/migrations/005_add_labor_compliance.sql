@@ -0,0 +1,9 @@
+-- Labor law compliance for minors
+-- Run this in your Supabase SQL Editor
+--
+-- birth_date lets compliance checks work out a minor's age bracket,
+-- labor_rule_pack picks the store's state rules (see backend/config/laborRulePacks.js)
+
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS birth_date DATE;
+
+ALTER TABLE store_settings ADD COLUMN IF NOT EXISTS labor_rule_pack TEXT NOT NULL DEFAULT 'federal';
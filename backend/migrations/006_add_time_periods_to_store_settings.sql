@@ -0,0 +1,12 @@
+-- Store-configurable time periods (dayparts)
+-- Run this in your Supabase SQL Editor
+--
+-- time_periods is a list of { id, name, start, end } objects, e.g.
+-- [{"id": "breakfast", "name": "Breakfast", "start": "05:00", "end": "10:30"},
+--  {"id": "overnight", "name": "Overnight", "start": "22:00", "end": "02:00"}]
+-- NULL means the store uses the default periods (see backend/config/timePeriods.js)
+
+ALTER TABLE store_settings ADD COLUMN IF NOT EXISTS time_periods JSONB;
+
+-- Lineups are tagged with the store's own period ids, not just the built-in ones
+ALTER TABLE lineups ALTER COLUMN shift_period TYPE TEXT;
@@ -0,0 +1,82 @@
+-- Create position_layouts table for store-owned headcount layouts
+-- Run this in your Supabase SQL Editor
+--
+-- One layout per store, house, time period and headcount. positions is the ordered
+-- station list; a combined station like "hashbrowns/griddle" is one person on either.
+-- The generator uses a layout when the number of people filling stations matches
+-- people_count exactly, and falls back to the priority-sorted positions otherwise.
+
+CREATE TABLE IF NOT EXISTS position_layouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  house_type TEXT NOT NULL DEFAULT 'boh' CHECK (house_type IN ('boh', 'foh')),
+  -- A time period id from store_settings.time_periods (or the defaults)
+  time_period TEXT NOT NULL,
+  people_count INTEGER NOT NULL CHECK (people_count BETWEEN 1 AND 20),
+  positions TEXT[] NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (store_id, house_type, time_period, people_count)
+);
+
+CREATE INDEX IF NOT EXISTS idx_position_layouts_store ON position_layouts(store_id, house_type);
+
+ALTER TABLE position_layouts ENABLE ROW LEVEL SECURITY;
+
+-- Any member of the store can read its layouts (needed to generate lineups)
+CREATE POLICY "Store members can read position layouts"
+  ON position_layouts
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = position_layouts.store_id
+        AND store_users.user_id = auth.uid()
+    )
+  );
+
+-- Only managers (owner, director, coordinator) can change layouts
+CREATE POLICY "Managers can insert position layouts"
+  ON position_layouts
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = position_layouts.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can update position layouts"
+  ON position_layouts
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = position_layouts.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can delete position layouts"
+  ON position_layouts
+  FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = position_layouts.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE TRIGGER update_position_layouts_updated_at
+  BEFORE UPDATE ON position_layouts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,78 @@
+-- Persist the day's schedule in the shifts table
+-- Run this in your Supabase SQL Editor
+--
+-- The shifts table already exists (employee_id, shift_date, start_time, end_time,
+-- is_shift_lead) but had no store or house. Each employee has at most one shift
+-- per day and house. pins are the leader's position pins: [{ position, startTime?, endTime? }]
+
+CREATE TABLE IF NOT EXISTS shifts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  shift_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  is_shift_lead BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS store_id UUID REFERENCES stores(id) ON DELETE CASCADE;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS house_type TEXT NOT NULL DEFAULT 'boh' CHECK (house_type IN ('boh', 'foh'));
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS is_booster BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS is_in_training BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS pins JSONB NOT NULL DEFAULT '[]'::JSONB;
+
+-- Older rows get their store from the employee
+UPDATE shifts SET store_id = employees.store_id
+  FROM employees
+  WHERE shifts.employee_id = employees.id AND shifts.store_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shifts_employee_day
+  ON shifts(store_id, employee_id, shift_date, house_type);
+CREATE INDEX IF NOT EXISTS idx_shifts_store_date ON shifts(store_id, shift_date);
+
+ALTER TABLE shifts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Store members can read shifts" ON shifts;
+DROP POLICY IF EXISTS "Managers can manage shifts" ON shifts;
+
+-- Any member of the store can read its schedule
+CREATE POLICY "Store members can read shifts"
+  ON shifts
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = shifts.store_id
+        AND store_users.user_id = auth.uid()
+    )
+  );
+
+-- Only managers (owner, director, coordinator) can change it
+CREATE POLICY "Managers can manage shifts"
+  ON shifts
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = shifts.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = shifts.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+DROP TRIGGER IF EXISTS update_shifts_updated_at ON shifts;
+CREATE TRIGGER update_shifts_updated_at
+  BEFORE UPDATE ON shifts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
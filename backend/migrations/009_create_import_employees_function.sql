@@ -0,0 +1,50 @@
+-- Apply a roster import in one transaction
+-- Run this in your Supabase SQL Editor
+--
+-- p_employees is a JSON array of employees; ones with an "id" are updated, the rest are created.
+-- If any row fails (a bad value, or an update the caller isn't allowed to make) nothing is saved.
+-- SECURITY INVOKER keeps the employees table's row level security in force for the caller.
+
+CREATE OR REPLACE FUNCTION import_employees(p_store_id UUID, p_employees JSONB)
+RETURNS SETOF employees
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  item JSONB;
+  saved employees;
+BEGIN
+  FOR item IN SELECT * FROM jsonb_array_elements(p_employees) LOOP
+    IF item ? 'id' THEN
+      UPDATE employees
+      SET name = item->>'name',
+          is_minor = (item->>'is_minor')::BOOLEAN,
+          house_type = item->>'house_type',
+          positions = ARRAY(SELECT jsonb_array_elements_text(item->'positions')),
+          best_positions = ARRAY(SELECT jsonb_array_elements_text(item->'best_positions'))
+      WHERE id = (item->>'id')::UUID
+        AND store_id = p_store_id
+      RETURNING * INTO saved;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Employee % not found', item->>'id' USING ERRCODE = 'P0002';
+      END IF;
+    ELSE
+      INSERT INTO employees (name, is_minor, house_type, positions, best_positions, store_id)
+      VALUES (
+        item->>'name',
+        (item->>'is_minor')::BOOLEAN,
+        item->>'house_type',
+        ARRAY(SELECT jsonb_array_elements_text(item->'positions')),
+        ARRAY(SELECT jsonb_array_elements_text(item->'best_positions')),
+        p_store_id
+      )
+      RETURNING * INTO saved;
+    END IF;
+
+    RETURN NEXT saved;
+  END LOOP;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION import_employees(UUID, JSONB) TO authenticated;
@@ -0,0 +1,83 @@
+-- Create employee_skills table for per-position skill levels and certifications
+-- Run this in your Supabase SQL Editor
+--
+-- One row per employee and position. Positions without a row count as certified, so
+-- existing rosters keep working; employees.positions still lists what someone can work.
+-- trainee scores below a capable match, trainer scores like a best position and can be
+-- paired with trainees on that station. An expired certification is flagged in lineups.
+
+CREATE TABLE IF NOT EXISTS employee_skills (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  position TEXT NOT NULL,
+  level TEXT NOT NULL DEFAULT 'certified' CHECK (level IN ('trainee', 'certified', 'trainer')),
+  certified_on DATE,
+  expires_on DATE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (employee_id, position),
+  CHECK (expires_on IS NULL OR certified_on IS NULL OR expires_on >= certified_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_employee_skills_store ON employee_skills(store_id);
+
+ALTER TABLE employee_skills ENABLE ROW LEVEL SECURITY;
+
+-- Any member of the store can read skills (needed to generate lineups)
+CREATE POLICY "Store members can read employee skills"
+  ON employee_skills
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = employee_skills.store_id
+        AND store_users.user_id = auth.uid()
+    )
+  );
+
+-- Only managers (owner, director, coordinator) can change skills
+CREATE POLICY "Managers can insert employee skills"
+  ON employee_skills
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = employee_skills.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can update employee skills"
+  ON employee_skills
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = employee_skills.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can delete employee skills"
+  ON employee_skills
+  FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = employee_skills.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE TRIGGER update_employee_skills_updated_at
+  BEFORE UPDATE ON employee_skills
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,8 @@
+-- Add a training target to shifts
+-- Run this in your Supabase SQL Editor
+--
+-- For a shift marked in training, the position the trainee is learning that day.
+-- The generator pairs them with a trainer on that station ("breading (training w/ Alex)").
+-- NULL falls back to the positions they're a trainee on in employee_skills.
+
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS training_position TEXT;
@@ -0,0 +1,166 @@
+-- Create employee_availability and time_off_requests tables
+-- Run this in your Supabase SQL Editor
+--
+-- employee_availability holds recurring weekly windows when an employee can work. An employee
+-- with no windows is available any time; once they have some, a day without a window is a day off.
+-- time_off_requests are whole days off (start_date through end_date). Any store member can ask for
+-- time off on an employee's behalf; managers approve or deny it. Shifts that fall outside
+-- availability or on approved time off are flagged when validating and generating lineups.
+
+CREATE TABLE IF NOT EXISTS employee_availability (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL, -- earlier than start_time for windows that run past midnight
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (start_time <> end_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_employee_availability_employee ON employee_availability(employee_id);
+CREATE INDEX IF NOT EXISTS idx_employee_availability_store ON employee_availability(store_id);
+
+CREATE TABLE IF NOT EXISTS time_off_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied')),
+  requested_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  review_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_off_requests_store_dates ON time_off_requests(store_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_time_off_requests_employee ON time_off_requests(employee_id);
+
+ALTER TABLE employee_availability ENABLE ROW LEVEL SECURITY;
+ALTER TABLE time_off_requests ENABLE ROW LEVEL SECURITY;
+
+-- Any member of the store can read availability (needed to check shifts)
+CREATE POLICY "Store members can read employee availability"
+  ON employee_availability
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = employee_availability.store_id
+        AND store_users.user_id = auth.uid()
+    )
+  );
+
+-- Only managers (owner, director, coordinator) can change availability
+CREATE POLICY "Managers can insert employee availability"
+  ON employee_availability
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = employee_availability.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can update employee availability"
+  ON employee_availability
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = employee_availability.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can delete employee availability"
+  ON employee_availability
+  FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = employee_availability.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+-- Any member of the store can read time off requests
+CREATE POLICY "Store members can read time off requests"
+  ON time_off_requests
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = time_off_requests.store_id
+        AND store_users.user_id = auth.uid()
+    )
+  );
+
+-- Any member of the store can ask for time off, but only as a pending request of their own
+CREATE POLICY "Store members can request time off"
+  ON time_off_requests
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    status = 'pending'
+    AND requested_by = auth.uid()
+    AND EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = time_off_requests.store_id
+        AND store_users.user_id = auth.uid()
+    )
+  );
+
+-- Only managers can approve or deny requests
+CREATE POLICY "Managers can review time off requests"
+  ON time_off_requests
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = time_off_requests.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+-- Managers can delete any request; whoever asked can withdraw it while it's pending
+CREATE POLICY "Managers or requesters can delete time off requests"
+  ON time_off_requests
+  FOR DELETE
+  TO authenticated
+  USING (
+    (status = 'pending' AND requested_by = auth.uid())
+    OR EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = time_off_requests.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE TRIGGER update_employee_availability_updated_at
+  BEFORE UPDATE ON employee_availability
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_time_off_requests_updated_at
+  BEFORE UPDATE ON time_off_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
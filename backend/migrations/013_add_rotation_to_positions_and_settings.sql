@@ -0,0 +1,11 @@
+-- Fairness rotation for undesirable stations
+-- Run this in your Supabase SQL Editor
+--
+-- positions.rotate marks stations people shouldn't be stuck on day after day (e.g. DT fries).
+-- store_settings.rotation is { enabled, lookbackDays, penaltyPerDay, maxPenalty }: with it enabled,
+-- the generator takes points off an employee's score for each day in the lookback window they
+-- already worked a rotate station. NULL means rotation is off (see backend/config/rotation.js)
+
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS rotate BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE store_settings ADD COLUMN IF NOT EXISTS rotation JSONB;
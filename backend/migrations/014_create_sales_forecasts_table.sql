@@ -0,0 +1,83 @@
+-- Create sales_forecasts table and add staffing_rules to store_settings
+-- Run this in your Supabase SQL Editor
+--
+-- sales_forecasts holds forecast transactions for a store, one row per 15 or 30 minute interval.
+-- Forecasts are store-wide (both houses serve the same guests); each house turns them into a
+-- headcount with its own bands in store_settings.staffing_rules (see backend/config/staffingRules.js).
+
+CREATE TABLE IF NOT EXISTS sales_forecasts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  forecast_date DATE NOT NULL,
+  interval_start TIME NOT NULL,
+  interval_minutes SMALLINT NOT NULL DEFAULT 30 CHECK (interval_minutes IN (15, 30)),
+  transactions INTEGER NOT NULL CHECK (transactions >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (store_id, forecast_date, interval_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_forecasts_store_date ON sales_forecasts(store_id, forecast_date);
+
+ALTER TABLE sales_forecasts ENABLE ROW LEVEL SECURITY;
+
+-- Any member of the store can read forecasts
+CREATE POLICY "Store members can read sales forecasts"
+  ON sales_forecasts
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = sales_forecasts.store_id
+        AND store_users.user_id = auth.uid()
+    )
+  );
+
+-- Only managers (owner, director, coordinator) can enter or import forecasts
+CREATE POLICY "Managers can insert sales forecasts"
+  ON sales_forecasts
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = sales_forecasts.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can update sales forecasts"
+  ON sales_forecasts
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = sales_forecasts.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can delete sales forecasts"
+  ON sales_forecasts
+  FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = sales_forecasts.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE TRIGGER update_sales_forecasts_updated_at
+  BEFORE UPDATE ON sales_forecasts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Per-house transaction bands; NULL means the defaults in backend/config/staffingRules.js
+ALTER TABLE store_settings ADD COLUMN IF NOT EXISTS staffing_rules JSONB;
@@ -0,0 +1,122 @@
+-- Create itinerary_shares table and the function behind shared itinerary links
+-- Run this in your Supabase SQL Editor
+--
+-- A share lets someone without a store account see one employee's itinerary for one day.
+-- The backend signs the share id and expiry into the link (SHARE_LINK_SECRET), and
+-- get_shared_itinerary only answers for shares that haven't expired or been revoked, so the
+-- function is safe to call with the anon key.
+
+CREATE TABLE IF NOT EXISTS itinerary_shares (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  share_date DATE NOT NULL,
+  house_type TEXT NOT NULL DEFAULT 'boh' CHECK (house_type IN ('boh', 'foh')),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_itinerary_shares_store_date ON itinerary_shares(store_id, share_date);
+
+ALTER TABLE itinerary_shares ENABLE ROW LEVEL SECURITY;
+
+-- Managers (owner, director, coordinator) create, list and revoke share links
+CREATE POLICY "Managers can read itinerary shares"
+  ON itinerary_shares
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = itinerary_shares.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can create itinerary shares"
+  ON itinerary_shares
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = itinerary_shares.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can revoke itinerary shares"
+  ON itinerary_shares
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = itinerary_shares.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+-- Everything a shared link shows: the employee's and store's names and their saved assignments
+-- for the day (closing included), in generation order. NULL if the share is unknown, expired or revoked.
+-- SECURITY DEFINER so it can read past row level security for a caller without an account;
+-- it only ever returns the one employee and day the share was made for.
+CREATE OR REPLACE FUNCTION get_shared_itinerary(p_share_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  share itinerary_shares;
+  result JSONB;
+BEGIN
+  SELECT * INTO share
+  FROM itinerary_shares
+  WHERE id = p_share_id
+    AND revoked_at IS NULL
+    AND expires_at > NOW();
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT jsonb_build_object(
+    'employee_id', share.employee_id,
+    'employee_name', (SELECT name FROM employees WHERE id = share.employee_id),
+    'store_name', (SELECT name FROM stores WHERE id = share.store_id),
+    'share_date', share.share_date,
+    'house_type', share.house_type,
+    'expires_at', share.expires_at,
+    'lineups', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'start_time', l.start_time,
+        'end_time', l.end_time,
+        'shift_period', l.shift_period,
+        'position', a.position,
+        'match_quality', a.match_quality,
+        'needs_break', a.needs_break,
+        'break_type', a.break_type,
+        'break_start', a.break_start,
+        'break_end', a.break_end,
+        'covering_for', a.covering_for
+      ) ORDER BY l.created_at)
+      FROM lineups l
+      JOIN lineup_assignments a ON a.lineup_id = l.id
+      WHERE l.store_id = share.store_id
+        AND l.house_type = share.house_type
+        AND l.lineup_date = share.share_date
+        AND a.employee_id = share.employee_id
+    ), '[]'::JSONB)
+  ) INTO result;
+
+  RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_shared_itinerary(UUID) TO anon, authenticated;
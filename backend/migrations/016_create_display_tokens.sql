@@ -0,0 +1,125 @@
+-- Create display_tokens table and the function behind kiosk displays
+-- Run this in your Supabase SQL Editor
+--
+-- A display token lets a screen in the store (e.g. a back-of-house TV) show one house's saved
+-- lineups for today without anyone signing in. It only reads lineups for its own store and house.
+-- The backend signs the token id and expiry into the display link (SHARE_LINK_SECRET), and
+-- get_display_lineups only answers for tokens that haven't expired or been revoked, so the
+-- function is safe to call with the anon key.
+
+CREATE TABLE IF NOT EXISTS display_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  house_type TEXT NOT NULL DEFAULT 'boh' CHECK (house_type IN ('boh', 'foh')),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_display_tokens_store ON display_tokens(store_id);
+
+ALTER TABLE display_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Managers (owner, director, coordinator) create, list and revoke displays
+CREATE POLICY "Managers can read display tokens"
+  ON display_tokens
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = display_tokens.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can create display tokens"
+  ON display_tokens
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = display_tokens.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+CREATE POLICY "Managers can revoke display tokens"
+  ON display_tokens
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM store_users
+      WHERE store_users.store_id = display_tokens.store_id
+        AND store_users.user_id = auth.uid()
+        AND store_users.role IN ('owner', 'director', 'coordinator')
+    )
+  );
+
+-- Everything a display shows for one day: the store's name and the house's saved lineups with
+-- each person's name and assignment, in generation order. NULL if the token is unknown, expired or revoked.
+-- SECURITY DEFINER so it can read past row level security for a screen without an account;
+-- it only ever returns lineups for the store and house the token was made for.
+CREATE OR REPLACE FUNCTION get_display_lineups(p_display_id UUID, p_date DATE)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  display display_tokens;
+  result JSONB;
+BEGIN
+  SELECT * INTO display
+  FROM display_tokens
+  WHERE id = p_display_id
+    AND revoked_at IS NULL
+    AND expires_at > NOW();
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT jsonb_build_object(
+    'display_name', display.name,
+    'store_name', (SELECT name FROM stores WHERE id = display.store_id),
+    'house_type', display.house_type,
+    'lineups', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'start_time', l.start_time,
+        'end_time', l.end_time,
+        'shift_period', l.shift_period,
+        'assignments', COALESCE((
+          SELECT jsonb_agg(jsonb_build_object(
+            'employee_id', a.employee_id,
+            'employee_name', e.name,
+            'position', a.position,
+            'needs_break', a.needs_break,
+            'break_type', a.break_type,
+            'break_start', a.break_start,
+            'break_end', a.break_end,
+            'covering_for', a.covering_for
+          ) ORDER BY a.assignment_order)
+          FROM lineup_assignments a
+          JOIN employees e ON e.id = a.employee_id
+          WHERE a.lineup_id = l.id
+        ), '[]'::JSONB)
+      ) ORDER BY l.created_at)
+      FROM lineups l
+      WHERE l.store_id = display.store_id
+        AND l.house_type = display.house_type
+        AND l.lineup_date = p_date
+    ), '[]'::JSONB)
+  ) INTO result;
+
+  RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_display_lineups(UUID, DATE) TO anon, authenticated;
@@ -0,0 +1,74 @@
+-- Live, conflict-safe editing of saved lineups
+-- Run this in your Supabase SQL Editor
+--
+-- Every assignment gets a version that goes up on each change. Swaps send the versions the
+-- leader was looking at; if someone else changed one of those rows first, nothing is saved and
+-- the app shows the conflict instead of quietly overwriting it.
+-- Lineups and assignments are also published to Supabase Realtime so open screens update live.
+
+ALTER TABLE lineup_assignments ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION bump_version_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.version = OLD.version + 1;
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS bump_lineup_assignments_version ON lineup_assignments;
+CREATE TRIGGER bump_lineup_assignments_version
+  BEFORE UPDATE ON lineup_assignments
+  FOR EACH ROW
+  EXECUTE FUNCTION bump_version_column();
+
+-- Move assignments to new positions in one transaction, e.g. both sides of a swap and the later
+-- blocks it cascades to. p_updates is a JSON array of { id, version, position }, where version is
+-- the one the caller last saw. If any row is gone or has a newer version nothing is saved and the
+-- function raises 40001 (serialization_failure). Moved rows are pinned so regenerating keeps them.
+-- SECURITY INVOKER keeps the lineup_assignments table's row level security in force for the caller.
+CREATE OR REPLACE FUNCTION update_lineup_assignments(p_updates JSONB)
+RETURNS SETOF lineup_assignments
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  item JSONB;
+  saved lineup_assignments;
+BEGIN
+  FOR item IN SELECT * FROM jsonb_array_elements(p_updates) LOOP
+    UPDATE lineup_assignments
+    SET position = item->>'position',
+        is_pinned = TRUE
+    WHERE id = (item->>'id')::UUID
+      AND version = (item->>'version')::INTEGER
+    RETURNING * INTO saved;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Assignment % was changed or removed by someone else', item->>'id'
+        USING ERRCODE = '40001';
+    END IF;
+
+    RETURN NEXT saved;
+  END LOOP;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION update_lineup_assignments(JSONB) TO authenticated;
+
+-- Realtime: row changes reach subscribed clients, filtered by the same row level security
+-- (skipping tables already added, so the migration can be re-run)
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['lineups', 'lineup_assignments'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', t);
+    END IF;
+  END LOOP;
+END;
+$$;
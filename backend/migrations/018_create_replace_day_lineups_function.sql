@@ -0,0 +1,70 @@
+-- Replace a day's saved lineups for one house in one transaction
+-- Run this in your Supabase SQL Editor
+--
+-- Publishing a week swaps out each day's lineups. Doing the delete and the inserts together means a
+-- failed insert leaves the day as it was instead of empty or half saved.
+-- p_lineups is a JSON array of lineups in order, each with its "assignments" array.
+-- SECURITY INVOKER keeps the lineups tables' row level security in force for the caller.
+
+CREATE OR REPLACE FUNCTION replace_day_lineups(
+  p_store_id UUID,
+  p_house_type TEXT,
+  p_date DATE,
+  p_lineups JSONB
+)
+RETURNS SETOF lineups
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  item JSONB;
+  saved lineups;
+BEGIN
+  DELETE FROM lineups
+  WHERE store_id = p_store_id
+    AND house_type = p_house_type
+    AND lineup_date = p_date;
+
+  FOR item IN SELECT * FROM jsonb_array_elements(p_lineups) LOOP
+    -- clock_timestamp() rather than the transaction time, so created_at keeps generation order
+    INSERT INTO lineups (
+      lineup_date, start_time, end_time, shift_period, people_count, extra_people,
+      store_id, house_type, created_at
+    )
+    VALUES (
+      p_date,
+      (item->>'start_time')::TIME,
+      (item->>'end_time')::TIME,
+      item->>'shift_period',
+      (item->>'people_count')::INTEGER,
+      COALESCE((item->>'extra_people')::INTEGER, 0),
+      p_store_id,
+      p_house_type,
+      clock_timestamp()
+    )
+    RETURNING * INTO saved;
+
+    INSERT INTO lineup_assignments (
+      lineup_id, employee_id, position, match_quality, needs_break, break_type, is_pinned,
+      break_start, break_end, covering_for, assignment_order
+    )
+    SELECT
+      saved.id,
+      (a.value->>'employee_id')::UUID,
+      a.value->>'position',
+      a.value->>'match_quality',
+      COALESCE((a.value->>'needs_break')::BOOLEAN, FALSE),
+      a.value->>'break_type',
+      COALESCE((a.value->>'is_pinned')::BOOLEAN, FALSE),
+      (a.value->>'break_start')::TIME,
+      (a.value->>'break_end')::TIME,
+      a.value->>'covering_for',
+      (a.ordinality - 1)::INTEGER
+    FROM jsonb_array_elements(COALESCE(item->'assignments', '[]'::JSONB)) WITH ORDINALITY AS a(value, ordinality);
+
+    RETURN NEXT saved;
+  END LOOP;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION replace_day_lineups(UUID, TEXT, DATE, JSONB) TO authenticated;
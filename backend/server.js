@@ -6,9 +6,30 @@ const fs = require('fs');
 const path = require('path');
 
 const { supabase } = require('./config/supabase');
-const { allPositions } = require('./config/positionLayouts');
-const { generateLineups } = require('./services/lineupGenerator');
+const { allPositions, getDefaultLayouts, validatePositionLayout } = require('./config/positionLayouts');
+const { generateLineups, summarizeLineups, validatePins, getShiftMinutes } = require('./services/lineupGenerator');
 const { exportToBuffer } = require('./services/excelExporter');
+const { exportStationBoard } = require('./services/pdfExporter');
+const { buildItinerary, buildDayItineraries } = require('./services/itinerary');
+const { buildKioskView } = require('./services/kiosk');
+const { signToken, verifyToken } = require('./services/signedTokens');
+const { validateShifts, hasBlockingViolations } = require('./services/compliance');
+const { parseSchedule } = require('./services/scheduleImport');
+const { buildRosterWorkbook, rosterToCsv, readRosterFile, planRosterImport } = require('./services/rosterImport');
+const { DEFAULT_SCORING_WEIGHTS, SCORING_PRESETS, validateScoringWeights, resolveScoringWeights } = require('./config/scoringWeights');
+const { DEFAULT_RULE_PACK, LABOR_RULE_PACKS, getRulePack, listRulePacks } = require('./config/laborRulePacks');
+const { DEFAULT_TIME_PERIODS, validateTimePeriods, resolveTimePeriods } = require('./config/timePeriods');
+const { validateSkills } = require('./config/skillLevels');
+const { TIME_OFF_STATUSES, validateAvailability, validateTimeOffRequest } = require('./config/availability');
+const { checkAvailability } = require('./services/availability');
+const { buildCrossTrainingReport } = require('./services/crossTraining');
+const { buildLineupAnalytics } = require('./services/lineupAnalytics');
+const { addCoverageDiagnostics } = require('./services/coverage');
+const { countStationExposure, toExposureLineups } = require('./services/rotation');
+const { DEFAULT_ROTATION, validateRotation, resolveRotation } = require('./config/rotation');
+const { validateForecast, parseForecastCsv, recommendStaffing } = require('./services/staffing');
+const { DEFAULT_STAFFING_RULES, validateStaffingRules, resolveStaffingRules } = require('./config/staffingRules');
+const { positionToApiFormat, positionToDbFormat, positionUpdateToDbFormat } = require('./services/positions');
 const { authMiddleware, requireStore, requireManager } = require('./middleware/auth');
 
 const app = express();
@@ -22,7 +43,7 @@ const corsOptions = {
   credentials: true
 };
 app.use(cors(corsOptions));
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // room for schedule imports
 
 // Data file path (fallback for local development without Supabase)
 const DATA_FILE = path.join(__dirname, 'data', 'employees.json');
@@ -48,20 +69,94 @@ function toApiFormat(row) {
     id: row.id,
     name: row.name,
     isMinor: row.is_minor,
+    birthDate: row.birth_date || null,
     positions: row.positions || [],
     bestPositions: row.best_positions || [],
     houseType: row.house_type || 'boh',
+    skills: (row.employee_skills || []).map(skill => ({
+      position: skill.position,
+      level: skill.level,
+      certifiedOn: skill.certified_on || null,
+      expiresOn: skill.expires_on || null
+    })),
+    availability: (row.employee_availability || [])
+      .map(window => ({
+        dayOfWeek: window.day_of_week,
+        startTime: window.start_time.substring(0, 5),
+        endTime: window.end_time.substring(0, 5)
+      }))
+      .sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.startTime.localeCompare(b.startTime)),
     storeId: row.store_id,
     createdAt: row.created_at,
     updatedAt: row.updated_at
   };
 }
 
+// Employees are read with their skill levels and weekly availability
+const EMPLOYEE_SELECT = '*, employee_skills (*), employee_availability (*)';
+
+// Replace an employee's skill rows
+async function saveEmployeeSkills(client, storeId, employeeId, skills) {
+  const { error: deleteError } = await client
+    .from('employee_skills')
+    .delete()
+    .eq('employee_id', employeeId);
+  if (deleteError) throw deleteError;
+
+  if (skills.length === 0) return;
+
+  const { error } = await client
+    .from('employee_skills')
+    .insert(skills.map(skill => ({
+      store_id: storeId,
+      employee_id: employeeId,
+      position: skill.position,
+      level: skill.level,
+      certified_on: skill.certifiedOn || null,
+      expires_on: skill.expiresOn || null
+    })));
+  if (error) throw error;
+}
+
+// Replace an employee's weekly availability windows
+async function saveEmployeeAvailability(client, storeId, employeeId, availability) {
+  const { error: deleteError } = await client
+    .from('employee_availability')
+    .delete()
+    .eq('employee_id', employeeId);
+  if (deleteError) throw deleteError;
+
+  if (availability.length === 0) return;
+
+  const { error } = await client
+    .from('employee_availability')
+    .insert(availability.map(window => ({
+      store_id: storeId,
+      employee_id: employeeId,
+      day_of_week: window.dayOfWeek,
+      start_time: window.startTime,
+      end_time: window.endTime
+    })));
+  if (error) throw error;
+}
+
+// Re-read an employee with their skills and availability after saving
+async function loadEmployeeWithSkills(client, employeeId) {
+  const { data, error } = await client
+    .from('employees')
+    .select(EMPLOYEE_SELECT)
+    .eq('id', employeeId)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
 // Convert API format to Supabase employee row
 function toDbFormat(data, storeId) {
   return {
     name: data.name,
     is_minor: data.isMinor || false,
+    birth_date: data.birthDate || null,
     positions: data.positions || [],
     best_positions: data.bestPositions || [],
     house_type: data.houseType || 'boh',
@@ -69,35 +164,439 @@ function toDbFormat(data, storeId) {
   };
 }
 
-// Convert Supabase position row to API format
-function positionToApiFormat(row) {
+// Convert Supabase position_layouts row to API format
+function layoutToApiFormat(row) {
   return {
     id: row.id,
-    name: row.name,
     houseType: row.house_type || 'boh',
-    priority: row.priority || 99,
-    timePeriods: row.time_periods || ['all'],
-    isActive: row.is_active !== false,
-    requiresClosing: row.requires_closing || false,
-    storeId: row.store_id,
-    createdAt: row.created_at,
+    timePeriod: row.time_period,
+    peopleCount: row.people_count,
+    positions: row.positions || [],
     updatedAt: row.updated_at
   };
 }
 
-// Convert API format to Supabase position row
-function positionToDbFormat(data, storeId) {
+// Fetch a store's layouts for one house
+async function loadPositionLayouts(supabaseClient, storeId, houseType) {
+  const { data, error } = await supabaseClient
+    .from('position_layouts')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('house_type', houseType)
+    .order('time_period', { ascending: true })
+    .order('people_count', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(layoutToApiFormat);
+}
+
+// Convert Supabase shifts row (with the employee's name and minor flag joined) to a shift assignment
+function shiftToApiFormat(row) {
   return {
-    name: data.name,
-    house_type: data.houseType || 'boh',
-    priority: data.priority || 99,
-    time_periods: data.timePeriods || ['all'],
-    is_active: data.isActive !== false,
-    requires_closing: data.requiresClosing || false,
-    store_id: storeId
+    id: row.id,
+    employeeId: row.employee_id,
+    name: row.employees?.name,
+    isMinor: row.employees?.is_minor || false,
+    date: row.shift_date,
+    houseType: row.house_type || 'boh',
+    startTime: row.start_time.substring(0, 5),
+    endTime: row.end_time.substring(0, 5),
+    isShiftLead: row.is_shift_lead || false,
+    isBooster: row.is_booster || false,
+    isInTraining: row.is_in_training || false,
+    trainingPosition: row.training_position || null,
+    pins: row.pins || []
+  };
+}
+
+// Convert a shift assignment to a Supabase shifts row
+function shiftToDbFormat(data, storeId, date, houseType) {
+  return {
+    store_id: storeId,
+    employee_id: data.employeeId,
+    shift_date: date,
+    house_type: houseType,
+    start_time: data.startTime,
+    end_time: data.endTime,
+    is_shift_lead: data.isShiftLead === true,
+    is_booster: data.isBooster === true,
+    is_in_training: data.isInTraining === true,
+    training_position: data.isInTraining === true ? data.trainingPosition || null : null,
+    pins: (data.pins || []).map(({ position, startTime, endTime }) => ({ position, startTime, endTime }))
+  };
+}
+
+// Check a shift from a request body, returns an error message or null
+function validateShiftInput(shift) {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!shift || typeof shift.employeeId !== 'string' || !/^[0-9a-fA-F-]{36}$/.test(shift.employeeId)) {
+    return 'Each shift needs a valid employeeId';
+  }
+  if (!timePattern.test(shift.startTime) || !timePattern.test(shift.endTime)) {
+    return `Shift times for ${shift.name || shift.employeeId} must be HH:MM`;
+  }
+  if (shift.startTime === shift.endTime) {
+    return `Shift for ${shift.name || shift.employeeId} must end at a different time than it starts`;
+  }
+  if (shift.trainingPosition != null && typeof shift.trainingPosition !== 'string') {
+    return `Training position for ${shift.name || shift.employeeId} must be a position name`;
+  }
+  return validatePins([shift]);
+}
+
+// Fetch saved shifts for one house between two dates (inclusive), in start time order
+async function loadShifts(supabaseClient, storeId, houseType, from, to = from) {
+  const { data, error } = await supabaseClient
+    .from('shifts')
+    .select('*, employees (name, is_minor)')
+    .eq('store_id', storeId)
+    .eq('house_type', houseType)
+    .gte('shift_date', from)
+    .lte('shift_date', to)
+    .order('shift_date', { ascending: true })
+    .order('start_time', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(shiftToApiFormat);
+}
+
+// Fetch a day's sales forecast: { date, intervalMinutes, intervals: [{ startTime, transactions }] }
+// intervalMinutes is null when nothing has been entered for the day
+async function loadForecast(supabaseClient, storeId, date) {
+  const { data, error } = await supabaseClient
+    .from('sales_forecasts')
+    .select('interval_start, interval_minutes, transactions')
+    .eq('store_id', storeId)
+    .eq('forecast_date', date)
+    .order('interval_start', { ascending: true });
+
+  if (error) throw error;
+  return {
+    date,
+    intervalMinutes: data?.length > 0 ? data[0].interval_minutes : null,
+    intervals: (data || []).map(row => ({
+      startTime: row.interval_start.substring(0, 5),
+      transactions: row.transactions
+    }))
+  };
+}
+
+// Replace a day's sales forecast with new intervals
+async function saveForecast(supabaseClient, storeId, date, intervalMinutes, intervals) {
+  const { error: deleteError } = await supabaseClient
+    .from('sales_forecasts')
+    .delete()
+    .eq('store_id', storeId)
+    .eq('forecast_date', date);
+  if (deleteError) throw deleteError;
+
+  if (intervals.length > 0) {
+    const { error } = await supabaseClient
+      .from('sales_forecasts')
+      .insert(intervals.map(interval => ({
+        store_id: storeId,
+        forecast_date: date,
+        interval_start: interval.startTime,
+        interval_minutes: intervalMinutes,
+        transactions: interval.transactions
+      })));
+    if (error) throw error;
+  }
+}
+
+// Convert Supabase time_off_requests row (with the employee's name joined) to API format
+function timeOffToApiFormat(row) {
+  return {
+    id: row.id,
+    employeeId: row.employee_id,
+    name: row.employees?.name,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    reason: row.reason || null,
+    status: row.status,
+    requestedBy: row.requested_by || null,
+    reviewedBy: row.reviewed_by || null,
+    reviewedAt: row.reviewed_at || null,
+    reviewNote: row.review_note || null,
+    createdAt: row.created_at
+  };
+}
+
+// Fetch time off requests that overlap a date range (inclusive), earliest first
+async function loadTimeOff(supabaseClient, storeId, from, to = from) {
+  const { data, error } = await supabaseClient
+    .from('time_off_requests')
+    .select('*, employees (name)')
+    .eq('store_id', storeId)
+    .lte('start_date', to)
+    .gte('end_date', from)
+    .order('start_date', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(timeOffToApiFormat);
+}
+
+// Fetch a store's settings row (null if the store hasn't saved any)
+async function loadStoreSettings(supabaseClient, storeId) {
+  const { data, error } = await supabaseClient
+    .from('store_settings')
+    .select('*')
+    .eq('store_id', storeId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Hours each employee is scheduled from the 7 days before `date` through `date`, from saved shifts
+// in both houses. Shifts for `houseType` on replacedDates are left out - the caller has newer ones.
+// Returns { [employeeId]: { [date]: hours } } for the compliance checks, split shifts added together
+async function loadShiftHistory(supabaseClient, storeId, houseType, date, replacedDates = [date]) {
+  const from = new Date(date + 'T00:00:00Z');
+  from.setUTCDate(from.getUTCDate() - 7);
+
+  const { data, error } = await supabaseClient
+    .from('shifts')
+    .select('employee_id, shift_date, start_time, end_time, house_type')
+    .eq('store_id', storeId)
+    .gte('shift_date', from.toISOString().split('T')[0])
+    .lte('shift_date', date);
+
+  if (error) throw error;
+
+  const history = {};
+  for (const shift of data || []) {
+    if (shift.house_type === houseType && replacedDates.includes(shift.shift_date)) continue;
+    const { start, end } = getShiftMinutes({ startTime: shift.start_time, endTime: shift.end_time });
+    const days = history[shift.employee_id] || (history[shift.employee_id] = {});
+    days[shift.shift_date] = (days[shift.shift_date] || 0) + (end - start) / 60;
+  }
+  return history;
+}
+
+// Fetch saved lineups for one house between two dates (inclusive), in the order they were saved,
+// with their assignments in lineup order
+async function loadSavedLineups(supabaseClient, storeId, houseType, from, to) {
+  const { data, error } = await supabaseClient
+    .from('lineups')
+    .select('lineup_date, start_time, end_time, shift_period, people_count, extra_people, created_at, ' +
+      'lineup_assignments (employee_id, position, match_quality, needs_break, break_type, break_start, break_end, ' +
+      'covering_for, assignment_order)')
+    .eq('store_id', storeId)
+    .eq('house_type', houseType)
+    .gte('lineup_date', from)
+    .lte('lineup_date', to)
+    .order('lineup_date', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(row => ({
+    date: row.lineup_date,
+    startTime: row.start_time.substring(0, 5),
+    endTime: row.end_time.substring(0, 5),
+    shiftPeriod: row.shift_period,
+    peopleCount: row.people_count,
+    extraPeople: row.extra_people || 0,
+    assignments: (row.lineup_assignments || [])
+      .sort((a, b) => (a.assignment_order ?? 0) - (b.assignment_order ?? 0))
+      .map(a => ({
+        employeeId: a.employee_id,
+        position: a.position,
+        matchQuality: a.match_quality,
+        needsBreak: a.needs_break || false,
+        breakType: a.break_type || null,
+        breakStart: a.break_start ? a.break_start.substring(0, 5) : null,
+        breakEnd: a.break_end ? a.break_end.substring(0, 5) : null,
+        coveringFor: a.covering_for || null
+      }))
+  }));
+}
+
+// Load everything the generator needs for a store and house: employees (filtered to the house),
+// positions, scoring weights, time periods, layouts, rotation settings and the raw settings row
+async function loadGenerationContext(req, houseType) {
+  let employees = [];
+  let positions = [];
+  let scoringWeights = resolveScoringWeights(null);
+  let timePeriods = resolveTimePeriods(null);
+  let positionLayouts = [];
+  let rotation = resolveRotation(null);
+  let settings = null;
+
+  if (req.supabase) {
+    console.log('Fetching from Supabase...');
+    // Fetch employees
+    console.log('Fetching employees for store:', req.store.id);
+    const { data: empData, error: empError } = await req.supabase
+      .from('employees')
+      .select(EMPLOYEE_SELECT)
+      .eq('store_id', req.store.id);
+
+    if (empError) {
+      console.error('Employee fetch error:', empError);
+      throw empError;
+    }
+    console.log('Found employees:', empData?.length);
+    employees = empData.map(toApiFormat);
+
+    // Fetch positions for this store and house type
+    console.log('Fetching positions for house type:', houseType);
+    let positionsQuery = req.supabase
+      .from('positions')
+      .select('*')
+      .eq('store_id', req.store.id)
+      .eq('is_active', true);
+
+    if (houseType && ['foh', 'boh'].includes(houseType)) {
+      positionsQuery = positionsQuery.eq('house_type', houseType);
+    }
+
+    const { data: posData, error: posError } = await positionsQuery.order('priority', { ascending: true });
+    if (posError) {
+      console.error('Position fetch error:', posError);
+      throw posError;
+    }
+    console.log('Found positions:', posData?.length);
+
+    // Fetch the store's scoring profile, labor rule pack and dayparts
+    settings = await loadStoreSettings(req.supabase, req.store.id);
+    scoringWeights = resolveScoringWeights(settings?.scoring_weights);
+    timePeriods = resolveTimePeriods(settings?.time_periods);
+    rotation = resolveRotation(settings?.rotation);
+
+    // Saved headcount layouts for this house
+    positionLayouts = await loadPositionLayouts(req.supabase, req.store.id, houseType === 'foh' ? 'foh' : 'boh');
+
+    // Convert to API format (snake_case to camelCase)
+    positions = (posData || []).map(pos => ({
+      id: pos.id,
+      name: pos.name,
+      houseType: pos.house_type,
+      priority: pos.priority,
+      timePeriods: pos.time_periods || ['all'],
+      requiresClosing: pos.requires_closing || false,
+      rotate: pos.rotate || false
+    }));
+  } else {
+    const data = readEmployeesFromFile();
+    employees = data.employees;
+    // No positions in local file mode - generator will need defaults
+  }
+
+  // Filter employees by house type if specified
+  if (houseType && ['foh', 'boh'].includes(houseType)) {
+    employees = employees.filter(emp => {
+      const empHouseType = emp.houseType || 'boh';
+      return empHouseType === houseType || empHouseType === 'both';
+    });
+  }
+
+  return { employees, positions, scoringWeights, timePeriods, positionLayouts, rotation, settings };
+}
+
+// Fairness rotation options for the generator: days each employee worked each rotate station
+// in the lookback window before `date`. Null when rotation is off or no station is marked rotate
+// extraLineups: lineups generated earlier in the same request, in saved-lineup shape
+// skipDates: dates being regenerated, whose saved lineups no longer count
+async function loadRotationOptions(req, houseType, date, rotation, positions, extraLineups = [], skipDates = []) {
+  const rotatePositions = positions.filter(p => p.rotate).map(p => p.name);
+  if (!rotation.enabled || rotatePositions.length === 0) return null;
+
+  const from = new Date(date + 'T00:00:00Z');
+  from.setUTCDate(from.getUTCDate() - rotation.lookbackDays);
+  const fromDate = from.toISOString().split('T')[0];
+  const to = new Date(date + 'T00:00:00Z');
+  to.setUTCDate(to.getUTCDate() - 1);
+
+  const saved = req.supabase
+    ? await loadSavedLineups(req.supabase, req.store.id, houseType, fromDate, to.toISOString().split('T')[0])
+    : [];
+  const history = [
+    ...saved.filter(l => !skipDates.includes(l.date)),
+    ...extraLineups.filter(l => l.date >= fromDate && l.date < date)
+  ];
+
+  return {
+    exposure: countStationExposure(history, rotatePositions),
+    penaltyPerDay: rotation.penaltyPerDay,
+    maxPenalty: rotation.maxPenalty
   };
 }
 
+// Run the store's labor rule pack against a day's shifts for one house
+// plannedDays: { [date]: shiftAssignments } being generated alongside this day (week generation);
+// they replace whatever is saved for this house on those dates in the history
+async function checkCompliance(req, houseType, shiftAssignments, employees, date, settings, plannedDays = {}) {
+  const rulePack = settings?.labor_rule_pack || DEFAULT_RULE_PACK;
+  const house = houseType === 'foh' ? 'foh' : 'boh';
+  const replacedDates = [date, ...Object.keys(plannedDays)];
+  const history = req.supabase
+    ? await loadShiftHistory(req.supabase, req.store.id, house, date, replacedDates)
+    : {};
+
+  for (const [plannedDate, shifts] of Object.entries(plannedDays)) {
+    if (plannedDate >= date) continue;
+    for (const shift of shifts) {
+      const { start, end } = getShiftMinutes(shift);
+      const days = history[shift.employeeId] || (history[shift.employeeId] = {});
+      days[plannedDate] = (days[plannedDate] || 0) + (end - start) / 60;
+    }
+  }
+
+  const violations = validateShifts(shiftAssignments, employees, { rulePack, date, history });
+  return { rulePack, violations };
+}
+
+// Flag shifts outside employees' weekly availability or on their time off (warnings only)
+// timeOff: requests already loaded for the date, otherwise they're fetched
+async function checkEmployeeAvailability(req, shiftAssignments, employees, date, timeOff) {
+  const requests = timeOff || (req.supabase ? await loadTimeOff(req.supabase, req.store.id, date) : []);
+  return checkAvailability(shiftAssignments, employees, requests, date);
+}
+
+// Replace a day's saved lineups for one house with newly generated ones
+// Mirrors lineupService.saveAllLineups on the frontend, closing lineup last. The delete and the
+// inserts run in one transaction (replace_day_lineups), so a failure leaves the day as it was
+async function saveDayLineups(supabaseClient, storeId, houseType, date, lineups, closingLineup) {
+  const toSave = [...lineups];
+  if (closingLineup && closingLineup.assignments && closingLineup.assignments.length > 0) {
+    const closingTime = lineups.length > 0 ? lineups[lineups.length - 1].endTime : '22:00';
+    toSave.push({
+      ...closingLineup,
+      startTime: closingTime,
+      endTime: closingTime,
+      shiftPeriod: 'closing',
+      peopleCount: closingLineup.peopleCount || closingLineup.assignments.length,
+      extraPeople: 0
+    });
+  }
+
+  const { error } = await supabaseClient.rpc('replace_day_lineups', {
+    p_store_id: storeId,
+    p_house_type: houseType,
+    p_date: date,
+    p_lineups: toSave.map(lineup => ({
+      start_time: lineup.startTime,
+      end_time: lineup.endTime,
+      shift_period: lineup.shiftPeriod,
+      people_count: lineup.peopleCount,
+      extra_people: lineup.extraPeople || 0,
+      assignments: (lineup.assignments || []).map(a => ({
+        employee_id: a.employee.id,
+        position: a.position,
+        match_quality: a.matchQuality,
+        needs_break: a.needsBreak || false,
+        break_type: a.breakType || null,
+        is_pinned: a.pinned || false,
+        break_start: a.breakStart || null,
+        break_end: a.breakEnd || null,
+        covering_for: a.coveringFor || null
+      }))
+    }))
+  });
+  if (error) throw error;
+}
+
 // ========== Auth Routes ==========
 
 // Get current user info
@@ -119,7 +618,7 @@ app.get('/api/employees', authMiddleware, requireStore, async (req, res) => {
     if (req.supabase) {
       const { data, error } = await req.supabase
         .from('employees')
-        .select('*')
+        .select(EMPLOYEE_SELECT)
         .eq('store_id', req.store.id)
         .order('name');
 
@@ -136,13 +635,135 @@ app.get('/api/employees', authMiddleware, requireStore, async (req, res) => {
   }
 });
 
+// Export the roster as a spreadsheet (?format=xlsx, the default, or csv)
+app.get('/api/employees/export', authMiddleware, requireStore, async (req, res) => {
+  try {
+    let employees;
+    if (req.supabase) {
+      const { data, error } = await req.supabase
+        .from('employees')
+        .select('*')
+        .eq('store_id', req.store.id)
+        .order('name');
+
+      if (error) throw error;
+      employees = data.map(toApiFormat);
+    } else {
+      employees = readEmployeesFromFile().employees;
+    }
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=roster.csv');
+      return res.send(rosterToCsv(employees));
+    }
+
+    const buffer = await buildRosterWorkbook(employees).xlsx.writeBuffer();
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=roster.xlsx');
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting roster:', error);
+    res.status(500).json({ error: 'Failed to export roster' });
+  }
+});
+
+// Import a roster spreadsheet (see services/rosterImport.js)
+// Body: { file, format } - file is CSV text, or base64 when format is 'xlsx'
+// ?preview=true returns the creates, updates and conflicts without saving; otherwise the
+// whole file is applied at once, and nothing is saved if any row has a conflict
+app.post('/api/employees/import', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { file } = req.body;
+    const format = req.body.format === 'xlsx' ? 'xlsx' : 'csv';
+    const preview = req.query.preview === 'true';
+
+    if (typeof file !== 'string' || !file.trim()) {
+      return res.status(400).json({ error: 'file is required' });
+    }
+
+    let employees;
+    let positions;
+    if (req.supabase) {
+      const [employeeResult, positionResult] = await Promise.all([
+        req.supabase.from('employees').select('*').eq('store_id', req.store.id),
+        req.supabase.from('positions').select('*').eq('store_id', req.store.id).eq('is_active', true)
+      ]);
+      if (employeeResult.error) throw employeeResult.error;
+      if (positionResult.error) throw positionResult.error;
+      employees = employeeResult.data.map(toApiFormat);
+      positions = positionResult.data.map(positionToApiFormat);
+    } else {
+      employees = readEmployeesFromFile().employees;
+      positions = allPositions.map(name => ({ name, houseType: 'boh' }));
+    }
+
+    let plan;
+    try {
+      plan = planRosterImport(await readRosterFile(file, format), employees, positions);
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    if (preview) {
+      return res.json(plan);
+    }
+    if (plan.conflicts.length > 0) {
+      return res.status(422).json({ error: 'Fix the conflicts in the file before importing', ...plan });
+    }
+
+    const changes = [
+      ...plan.creates.map(c => c.employee),
+      ...plan.updates.map(u => ({ id: u.id, ...u.employee }))
+    ];
+
+    if (req.supabase) {
+      if (changes.length > 0) {
+        const { error } = await req.supabase.rpc('import_employees', {
+          p_store_id: req.store.id,
+          p_employees: changes.map(e => ({
+            ...(e.id ? { id: e.id } : {}),
+            name: e.name,
+            is_minor: e.isMinor,
+            house_type: e.houseType,
+            positions: e.positions,
+            best_positions: e.bestPositions
+          }))
+        });
+        if (error) throw error;
+      }
+    } else {
+      const data = readEmployeesFromFile();
+      const now = new Date().toISOString();
+      for (const change of changes) {
+        const index = change.id ? data.employees.findIndex(e => e.id === change.id) : -1;
+        if (index === -1) {
+          data.employees.push({ id: `${Date.now()}-${data.employees.length}`, ...change, createdAt: now });
+        } else {
+          data.employees[index] = { ...data.employees[index], ...change, updatedAt: now };
+        }
+      }
+      writeEmployeesToFile(data);
+    }
+
+    res.json({
+      created: plan.creates.length,
+      updated: plan.updates.length,
+      unchanged: plan.unchanged.length
+    });
+  } catch (error) {
+    console.error('Error importing roster:', error);
+    res.status(500).json({ error: 'Failed to import roster' });
+  }
+});
+
 // Get single employee
 app.get('/api/employees/:id', authMiddleware, requireStore, async (req, res) => {
   try {
     if (req.supabase) {
       const { data, error } = await req.supabase
         .from('employees')
-        .select('*')
+        .select(EMPLOYEE_SELECT)
         .eq('id', req.params.id)
         .eq('store_id', req.store.id)
         .single();
@@ -171,6 +792,20 @@ app.get('/api/employees/:id', authMiddleware, requireStore, async (req, res) =>
 // Create employee
 app.post('/api/employees', authMiddleware, requireStore, requireManager, async (req, res) => {
   try {
+    // skills: [{ position, level, certifiedOn?, expiresOn? }] for the employee's positions
+    const skills = req.body.skills || [];
+    const skillErrors = validateSkills(skills, req.body.positions || []);
+    if (skillErrors.length > 0) {
+      return res.status(400).json({ error: skillErrors.join('; ') });
+    }
+
+    // availability: [{ dayOfWeek, startTime, endTime }] - none means available any time
+    const availability = req.body.availability || [];
+    const availabilityErrors = validateAvailability(availability);
+    if (availabilityErrors.length > 0) {
+      return res.status(400).json({ error: availabilityErrors.join('; ') });
+    }
+
     if (req.supabase) {
       const { data, error } = await req.supabase
         .from('employees')
@@ -179,15 +814,21 @@ app.post('/api/employees', authMiddleware, requireStore, requireManager, async (
         .single();
 
       if (error) throw error;
-      res.status(201).json(toApiFormat(data));
+
+      await saveEmployeeSkills(req.supabase, req.store.id, data.id, skills);
+      await saveEmployeeAvailability(req.supabase, req.store.id, data.id, availability);
+      res.status(201).json(toApiFormat(await loadEmployeeWithSkills(req.supabase, data.id)));
     } else {
       const data = readEmployeesFromFile();
       const newEmployee = {
         id: Date.now().toString(),
         name: req.body.name,
         isMinor: req.body.isMinor || false,
+        birthDate: req.body.birthDate || null,
         positions: req.body.positions || [],
         bestPositions: req.body.bestPositions || [],
+        skills,
+        availability,
         createdAt: new Date().toISOString()
       };
 
@@ -204,6 +845,21 @@ app.post('/api/employees', authMiddleware, requireStore, requireManager, async (
 // Update employee
 app.put('/api/employees/:id', authMiddleware, requireStore, requireManager, async (req, res) => {
   try {
+    // Skills and availability are only replaced when sent
+    const { skills, availability } = req.body;
+    if (skills !== undefined) {
+      const skillErrors = validateSkills(skills, req.body.positions || []);
+      if (skillErrors.length > 0) {
+        return res.status(400).json({ error: skillErrors.join('; ') });
+      }
+    }
+    if (availability !== undefined) {
+      const availabilityErrors = validateAvailability(availability);
+      if (availabilityErrors.length > 0) {
+        return res.status(400).json({ error: availabilityErrors.join('; ') });
+      }
+    }
+
     if (req.supabase) {
       const { data, error } = await req.supabase
         .from('employees')
@@ -219,7 +875,14 @@ app.put('/api/employees/:id', authMiddleware, requireStore, requireManager, asyn
         }
         throw error;
       }
-      res.json(toApiFormat(data));
+
+      if (skills !== undefined) {
+        await saveEmployeeSkills(req.supabase, req.store.id, data.id, skills);
+      }
+      if (availability !== undefined) {
+        await saveEmployeeAvailability(req.supabase, req.store.id, data.id, availability);
+      }
+      res.json(toApiFormat(await loadEmployeeWithSkills(req.supabase, data.id)));
     } else {
       const data = readEmployeesFromFile();
       const index = data.employees.findIndex(e => e.id === req.params.id);
@@ -232,8 +895,11 @@ app.put('/api/employees/:id', authMiddleware, requireStore, requireManager, asyn
         ...data.employees[index],
         name: req.body.name ?? data.employees[index].name,
         isMinor: req.body.isMinor ?? data.employees[index].isMinor,
+        birthDate: req.body.birthDate ?? data.employees[index].birthDate,
         positions: req.body.positions ?? data.employees[index].positions,
         bestPositions: req.body.bestPositions ?? data.employees[index].bestPositions,
+        skills: skills ?? data.employees[index].skills,
+        availability: availability ?? data.employees[index].availability,
         updatedAt: new Date().toISOString()
       };
 
@@ -368,23 +1034,9 @@ app.post('/api/positions', authMiddleware, requireStore, requireManager, async (
 app.put('/api/positions/:id', authMiddleware, requireStore, requireManager, async (req, res) => {
   try {
     if (req.supabase) {
-      const updateData = {
-        name: req.body.name,
-        house_type: req.body.houseType,
-        priority: req.body.priority,
-        time_periods: req.body.timePeriods,
-        is_active: req.body.isActive,
-        requires_closing: req.body.requiresClosing
-      };
-
-      // Remove undefined fields
-      Object.keys(updateData).forEach(key =>
-        updateData[key] === undefined && delete updateData[key]
-      );
-
       const { data, error } = await req.supabase
         .from('positions')
-        .update(updateData)
+        .update(positionUpdateToDbFormat(req.body))
         .eq('id', req.params.id)
         .eq('store_id', req.store.id)
         .select()
@@ -427,110 +1079,1670 @@ app.delete('/api/positions/:id', authMiddleware, requireStore, requireManager, a
   }
 });
 
-// ========== Lineup Routes ==========
+// ========== Layout Routes ==========
 
-// Generate lineup
-app.post('/api/lineup/generate', authMiddleware, requireStore, async (req, res) => {
-  console.log('Generate lineup endpoint called');
+// Get a store's headcount layouts for one house, plus the built-in layouts for its time periods
+app.get('/api/layouts', authMiddleware, requireStore, async (req, res) => {
   try {
-    const { shiftAssignments, houseType } = req.body;
-    console.log('Request body:', { shiftAssignmentsCount: shiftAssignments?.length, houseType });
+    const houseType = req.query.houseType === 'foh' ? 'foh' : 'boh';
+    let layouts = [];
+    let stored = null;
 
-    if (!shiftAssignments || !Array.isArray(shiftAssignments)) {
-      return res.status(400).json({ error: 'shiftAssignments array is required' });
+    if (req.supabase) {
+      layouts = await loadPositionLayouts(req.supabase, req.store.id, houseType);
+      const settings = await loadStoreSettings(req.supabase, req.store.id);
+      stored = settings?.time_periods || null;
     }
 
-    let employees = [];
-    let positions = [];
+    const periodIds = resolveTimePeriods(stored).map(p => p.id);
+    res.json({
+      layouts,
+      defaults: houseType === 'boh' ? getDefaultLayouts().filter(l => periodIds.includes(l.timePeriod)) : []
+    });
+  } catch (error) {
+    console.error('Error fetching layouts:', error);
+    res.status(500).json({ error: 'Failed to fetch layouts' });
+  }
+});
 
+// Create or replace the layout for a time period and headcount
+app.put('/api/layouts', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const houseType = req.body.houseType === 'foh' ? 'foh' : 'boh';
+    const { timePeriod, peopleCount } = req.body;
+    const positions = Array.isArray(req.body.positions)
+      ? req.body.positions.map(p => typeof p === 'string' ? p.split('/').map(part => part.trim()).join('/') : p)
+      : req.body.positions;
+
+    // Layouts can only use the store's time periods and active positions for this house
+    const settings = await loadStoreSettings(req.supabase, req.store.id);
+    const periodIds = resolveTimePeriods(settings?.time_periods).map(p => p.id);
+
+    const { data: posData, error: posError } = await req.supabase
+      .from('positions')
+      .select('name')
+      .eq('store_id', req.store.id)
+      .eq('house_type', houseType)
+      .eq('is_active', true);
+    if (posError) throw posError;
+
+    const errors = validatePositionLayout({ timePeriod, peopleCount, positions }, periodIds, posData.map(p => p.name));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const { data, error } = await req.supabase
+      .from('position_layouts')
+      .upsert({
+        store_id: req.store.id,
+        house_type: houseType,
+        time_period: timePeriod,
+        people_count: peopleCount,
+        positions
+      }, { onConflict: 'store_id,house_type,time_period,people_count' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json(layoutToApiFormat(data));
+  } catch (error) {
+    console.error('Error saving layout:', error);
+    res.status(500).json({ error: 'Failed to save layout' });
+  }
+});
+
+// Delete a layout (the generator goes back to the priority-sorted positions for that headcount)
+app.delete('/api/layouts/:id', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
     if (req.supabase) {
-      console.log('Fetching from Supabase...');
-      // Fetch employees
-      console.log('Fetching employees for store:', req.store.id);
-      const { data: empData, error: empError } = await req.supabase
-        .from('employees')
-        .select('*')
+      const { error } = await req.supabase
+        .from('position_layouts')
+        .delete()
+        .eq('id', req.params.id)
         .eq('store_id', req.store.id);
 
-      if (empError) {
-        console.error('Employee fetch error:', empError);
-        throw empError;
-      }
-      console.log('Found employees:', empData?.length);
-      employees = empData.map(toApiFormat);
+      if (error) throw error;
+      res.status(204).send();
+    } else {
+      res.status(500).json({ error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error deleting layout:', error);
+    res.status(500).json({ error: 'Failed to delete layout' });
+  }
+});
 
-      // Fetch positions for this store and house type
-      console.log('Fetching positions for house type:', houseType);
-      let positionsQuery = req.supabase
-        .from('positions')
-        .select('*')
-        .eq('store_id', req.store.id)
-        .eq('is_active', true);
+// ========== Shift Routes ==========
 
-      if (houseType && ['foh', 'boh'].includes(houseType)) {
-        positionsQuery = positionsQuery.eq('house_type', houseType);
+// Get saved shifts for a day (?date=) or a range (?from=&to=), for one house
+app.get('/api/shifts', authMiddleware, requireStore, async (req, res) => {
+  try {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const from = req.query.date || req.query.from;
+    const to = req.query.date || req.query.to || from;
+    if (!datePattern.test(from) || !datePattern.test(to)) {
+      return res.status(400).json({ error: 'date (or from and to) must be YYYY-MM-DD' });
+    }
+
+    if (req.supabase) {
+      const houseType = req.query.houseType === 'foh' ? 'foh' : 'boh';
+      res.json(await loadShifts(req.supabase, req.store.id, houseType, from, to));
+    } else {
+      res.json([]);
+    }
+  } catch (error) {
+    console.error('Error fetching shifts:', error);
+    res.status(500).json({ error: 'Failed to fetch shifts' });
+  }
+});
+
+// Replace a day's shifts for one house (used by the shift screen's autosave)
+// Body: { date, houseType, shiftAssignments }
+app.put('/api/shifts/day', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { date, shiftAssignments } = req.body;
+    const houseType = req.body.houseType === 'foh' ? 'foh' : 'boh';
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    if (!Array.isArray(shiftAssignments)) {
+      return res.status(400).json({ error: 'shiftAssignments array is required' });
+    }
+    for (const shift of shiftAssignments) {
+      const shiftError = validateShiftInput(shift);
+      if (shiftError) {
+        return res.status(400).json({ error: shiftError });
       }
+    }
+    const employeeIds = shiftAssignments.map(s => s.employeeId);
+    if (new Set(employeeIds).size !== employeeIds.length) {
+      return res.status(400).json({ error: 'Each employee can only have one shift per day' });
+    }
+
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    // Remove shifts for anyone no longer on the schedule, then upsert the rest
+    let deleteQuery = req.supabase
+      .from('shifts')
+      .delete()
+      .eq('store_id', req.store.id)
+      .eq('house_type', houseType)
+      .eq('shift_date', date);
+    if (employeeIds.length > 0) {
+      deleteQuery = deleteQuery.not('employee_id', 'in', `(${employeeIds.join(',')})`);
+    }
+    const { error: deleteError } = await deleteQuery;
+    if (deleteError) throw deleteError;
+
+    if (shiftAssignments.length > 0) {
+      const { error } = await req.supabase
+        .from('shifts')
+        .upsert(
+          shiftAssignments.map(s => shiftToDbFormat(s, req.store.id, date, houseType)),
+          { onConflict: 'store_id,employee_id,shift_date,house_type' }
+        );
+      if (error) throw error;
+    }
+
+    res.json(await loadShifts(req.supabase, req.store.id, houseType, date));
+  } catch (error) {
+    console.error('Error saving shifts:', error);
+    res.status(500).json({ error: 'Failed to save shifts' });
+  }
+});
+
+// Import shifts from a CSV schedule export (see services/scheduleImport.js)
+// Body: { csv, houseType, defaultDate, matches: { [line]: employeeId | null } }
+// ?preview=true returns the parsed rows and name matches without saving; otherwise every row
+// with an employee is saved (matches overrides or fills in the fuzzy match, null skips the row)
+app.post('/api/shifts/import', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { csv, defaultDate, matches = {} } = req.body;
+    const houseType = req.body.houseType === 'foh' ? 'foh' : 'boh';
+    const preview = req.query.preview === 'true';
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({ error: 'csv text is required' });
+    }
+    if (defaultDate && !/^\d{4}-\d{2}-\d{2}$/.test(defaultDate)) {
+      return res.status(400).json({ error: 'defaultDate must be YYYY-MM-DD' });
+    }
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    // Match against this house's employees (and anyone working both)
+    const { data: empData, error: empError } = await req.supabase
+      .from('employees')
+      .select('*')
+      .eq('store_id', req.store.id);
+    if (empError) throw empError;
+    const employees = empData.map(toApiFormat).filter(emp => {
+      const empHouseType = emp.houseType || 'boh';
+      return empHouseType === houseType || empHouseType === 'both';
+    });
+
+    let parsed;
+    try {
+      parsed = parseSchedule(csv, employees, { defaultDate });
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    // Apply the leader's choices from the review step
+    for (const row of parsed.rows) {
+      if (!(String(row.line) in matches)) continue;
+      const employee = employees.find(e => e.id === matches[row.line]);
+      row.match = employee ? { employeeId: employee.id, name: employee.name, score: 1 } : null;
+    }
+
+    if (preview) {
+      return res.json(parsed);
+    }
 
-      const { data: posData, error: posError } = await positionsQuery.order('priority', { ascending: true });
-      if (posError) {
-        console.error('Position fetch error:', posError);
-        throw posError;
+    const toImport = new Map();
+    const skipped = [];
+    for (const row of parsed.rows) {
+      if (row.error || !row.match) {
+        skipped.push({ line: row.line, name: row.name, reason: row.error || 'No matching employee' });
+        continue;
       }
-      console.log('Found positions:', posData?.length);
-
-      // Convert to API format (snake_case to camelCase)
-      positions = (posData || []).map(pos => ({
-        id: pos.id,
-        name: pos.name,
-        houseType: pos.house_type,
-        priority: pos.priority,
-        timePeriods: pos.time_periods || ['all'],
-        requiresClosing: pos.requires_closing || false
-      }));
-    } else {
-      const data = readEmployeesFromFile();
-      employees = data.employees;
-      // No positions in local file mode - generator will need defaults
+      // One shift per employee per day - a later row for the same day wins
+      toImport.set(`${row.match.employeeId}|${row.date}`, row);
     }
 
-    // Filter employees by house type if specified
-    if (houseType && ['foh', 'boh'].includes(houseType)) {
-      employees = employees.filter(emp => {
-        const empHouseType = emp.houseType || 'boh';
-        return empHouseType === houseType || empHouseType === 'both';
-      });
+    if (toImport.size > 0) {
+      // Only times are set, so roles and pins on shifts that already exist are kept
+      const { error } = await req.supabase
+        .from('shifts')
+        .upsert([...toImport.values()].map(row => ({
+          store_id: req.store.id,
+          employee_id: row.match.employeeId,
+          shift_date: row.date,
+          house_type: houseType,
+          start_time: row.startTime,
+          end_time: row.endTime
+        })), { onConflict: 'store_id,employee_id,shift_date,house_type' });
+      if (error) throw error;
     }
 
-    console.log('Calling generateLineups with', employees.length, 'employees and', positions.length, 'positions');
-    const result = generateLineups(shiftAssignments, employees, positions);
-    console.log('Generated', result.lineups?.length, 'lineups');
-    res.json({ lineups: result.lineups, closingLineup: result.closingLineup, houseType: houseType || 'boh' });
+    res.json({
+      format: parsed.format,
+      imported: toImport.size,
+      dates: [...new Set([...toImport.values()].map(row => row.date))].sort(),
+      skipped
+    });
   } catch (error) {
-    console.error('Error generating lineup:', error);
-    res.status(500).json({ error: 'Failed to generate lineup' });
+    console.error('Error importing shifts:', error);
+    res.status(500).json({ error: 'Failed to import shifts' });
   }
 });
 
-// Export lineup to Excel
-app.post('/api/lineup/export', authMiddleware, requireStore, async (req, res) => {
+// Create a shift
+app.post('/api/shifts', authMiddleware, requireStore, requireManager, async (req, res) => {
   try {
-    const { lineups } = req.body;
+    const { date } = req.body;
+    const houseType = req.body.houseType === 'foh' ? 'foh' : 'boh';
 
-    if (!lineups || !Array.isArray(lineups)) {
-      return res.status(400).json({ error: 'lineups array is required' });
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    const shiftError = validateShiftInput(req.body);
+    if (shiftError) {
+      return res.status(400).json({ error: shiftError });
     }
 
-    const buffer = await exportToBuffer(lineups);
+    if (req.supabase) {
+      const { data, error } = await req.supabase
+        .from('shifts')
+        .insert([shiftToDbFormat(req.body, req.store.id, date, houseType)])
+        .select('*, employees (name, is_minor)')
+        .single();
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename=lineup.xlsx');
-    res.send(buffer);
+      if (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'This employee already has a shift that day' });
+        }
+        throw error;
+      }
+      res.status(201).json(shiftToApiFormat(data));
+    } else {
+      res.status(500).json({ error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error creating shift:', error);
+    res.status(500).json({ error: 'Failed to create shift' });
+  }
+});
+
+// Update a shift's times, roles or pins
+app.put('/api/shifts/:id', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const { data: existing, error: fetchError } = await req.supabase
+      .from('shifts')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('store_id', req.store.id)
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Shift not found' });
+      }
+      throw fetchError;
+    }
+
+    // Check the shift as it will be after the update
+    const merged = { ...shiftToApiFormat(existing), ...req.body, employeeId: existing.employee_id };
+    const shiftError = validateShiftInput(merged);
+    if (shiftError) {
+      return res.status(400).json({ error: shiftError });
+    }
+
+    const { data, error } = await req.supabase
+      .from('shifts')
+      .update({
+        start_time: merged.startTime,
+        end_time: merged.endTime,
+        is_shift_lead: merged.isShiftLead === true,
+        is_booster: merged.isBooster === true,
+        is_in_training: merged.isInTraining === true,
+        training_position: merged.isInTraining === true ? merged.trainingPosition || null : null,
+        pins: merged.pins || []
+      })
+      .eq('id', req.params.id)
+      .eq('store_id', req.store.id)
+      .select('*, employees (name, is_minor)')
+      .single();
+
+    if (error) throw error;
+    res.json(shiftToApiFormat(data));
+  } catch (error) {
+    console.error('Error updating shift:', error);
+    res.status(500).json({ error: 'Failed to update shift' });
+  }
+});
+
+// Delete a shift
+app.delete('/api/shifts/:id', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    if (req.supabase) {
+      const { error } = await req.supabase
+        .from('shifts')
+        .delete()
+        .eq('id', req.params.id)
+        .eq('store_id', req.store.id);
+
+      if (error) throw error;
+      res.status(204).send();
+    } else {
+      res.status(500).json({ error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error deleting shift:', error);
+    res.status(500).json({ error: 'Failed to delete shift' });
+  }
+});
+
+// ========== Time Off Routes ==========
+
+// Get time off requests overlapping ?from=&to= (defaults to the next 90 days), optionally ?status=
+app.get('/api/time-off', authMiddleware, requireStore, async (req, res) => {
+  try {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const from = req.query.from || new Date().toISOString().split('T')[0];
+    const { status } = req.query;
+
+    if (!datePattern.test(from) || (req.query.to && !datePattern.test(req.query.to))) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+
+    let to = req.query.to;
+    if (!to) {
+      const end = new Date(from + 'T00:00:00Z');
+      end.setUTCDate(end.getUTCDate() + 90);
+      to = end.toISOString().split('T')[0];
+    }
+    if (status && !TIME_OFF_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${TIME_OFF_STATUSES.join(', ')}` });
+    }
+
+    if (!req.supabase) {
+      return res.json([]);
+    }
+
+    const requests = await loadTimeOff(req.supabase, req.store.id, from, to);
+    res.json(status ? requests.filter(r => r.status === status) : requests);
+  } catch (error) {
+    console.error('Error fetching time off:', error);
+    res.status(500).json({ error: 'Failed to fetch time off' });
+  }
+});
+
+// Ask for time off for an employee - any store member can, it starts out pending
+// Body: { employeeId, startDate, endDate?, reason? }, endDate defaults to startDate
+app.post('/api/time-off', authMiddleware, requireStore, async (req, res) => {
+  try {
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const errors = validateTimeOffRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const { employeeId, startDate, reason } = req.body;
+    const { data: employee, error: employeeError } = await req.supabase
+      .from('employees')
+      .select('id')
+      .eq('id', employeeId)
+      .eq('store_id', req.store.id)
+      .maybeSingle();
+    if (employeeError) throw employeeError;
+    if (!employee) {
+      return res.status(400).json({ error: 'Employee not found in this store' });
+    }
+
+    const { data, error } = await req.supabase
+      .from('time_off_requests')
+      .insert({
+        store_id: req.store.id,
+        employee_id: employeeId,
+        start_date: startDate,
+        end_date: req.body.endDate || startDate,
+        reason: reason?.trim() || null,
+        status: 'pending',
+        requested_by: req.user.id
+      })
+      .select('*, employees (name)')
+      .single();
+
+    if (error) throw error;
+    res.status(201).json(timeOffToApiFormat(data));
+  } catch (error) {
+    console.error('Error requesting time off:', error);
+    res.status(500).json({ error: 'Failed to request time off' });
+  }
+});
+
+// Approve or deny a time off request
+// Body: { status: 'approved' | 'denied', note? } - a reviewed request can be reviewed again
+app.put('/api/time-off/:id/review', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const { status, note } = req.body;
+    if (!['approved', 'denied'].includes(status)) {
+      return res.status(400).json({ error: 'status must be "approved" or "denied"' });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be text' });
+    }
+
+    const { data, error } = await req.supabase
+      .from('time_off_requests')
+      .update({
+        status,
+        review_note: note?.trim() || null,
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('store_id', req.store.id)
+      .select('*, employees (name)')
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Time off request not found' });
+      }
+      throw error;
+    }
+    res.json(timeOffToApiFormat(data));
+  } catch (error) {
+    console.error('Error reviewing time off:', error);
+    res.status(500).json({ error: 'Failed to review time off' });
+  }
+});
+
+// Delete a time off request - managers can delete any, others can withdraw their own pending requests
+app.delete('/api/time-off/:id', authMiddleware, requireStore, async (req, res) => {
+  try {
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    // Row level security decides what the caller may delete; nothing deleted means not found or not allowed
+    const { data, error } = await req.supabase
+      .from('time_off_requests')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('store_id', req.store.id)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Time off request not found, or it can no longer be withdrawn' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting time off:', error);
+    res.status(500).json({ error: 'Failed to delete time off' });
+  }
+});
+
+// ========== Forecast Routes ==========
+
+// Get a day's sales forecast (transactions per 15 or 30 minute interval)
+app.get('/api/forecasts/:date', authMiddleware, requireStore, async (req, res) => {
+  try {
+    const { date } = req.params;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    if (req.supabase) {
+      res.json(await loadForecast(req.supabase, req.store.id, date));
+    } else {
+      res.json({ date, intervalMinutes: null, intervals: [] });
+    }
+  } catch (error) {
+    console.error('Error fetching forecast:', error);
+    res.status(500).json({ error: 'Failed to fetch forecast' });
+  }
+});
+
+// Replace a day's sales forecast
+// Body: { intervalMinutes: 15 | 30, intervals: [{ startTime, transactions }] } - an empty list clears the day
+app.put('/api/forecasts/:date', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { date } = req.params;
+    const { intervalMinutes, intervals } = req.body;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    const errors = validateForecast(intervals, intervalMinutes);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    await saveForecast(req.supabase, req.store.id, date, intervalMinutes, intervals);
+    res.json(await loadForecast(req.supabase, req.store.id, date));
+  } catch (error) {
+    console.error('Error saving forecast:', error);
+    res.status(500).json({ error: 'Failed to save forecast' });
+  }
+});
+
+// Import sales forecasts from a CSV (time and transactions columns, optionally a date column)
+// Body: { csv, defaultDate }
+// ?preview=true returns the parsed rows and days without saving; otherwise each day in the file
+// replaces that day's forecast, and days with errors are skipped
+app.post('/api/forecasts/import', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { csv, defaultDate } = req.body;
+    const preview = req.query.preview === 'true';
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({ error: 'csv text is required' });
+    }
+    if (defaultDate && !/^\d{4}-\d{2}-\d{2}$/.test(defaultDate)) {
+      return res.status(400).json({ error: 'defaultDate must be YYYY-MM-DD' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseForecastCsv(csv, { defaultDate });
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    if (preview) {
+      return res.json(parsed);
+    }
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const imported = [];
+    const skipped = parsed.rows
+      .filter(row => row.error)
+      .map(row => ({ line: row.line, reason: row.error }));
+    for (const day of parsed.days) {
+      if (day.errors.length > 0) {
+        skipped.push({ date: day.date, reason: day.errors.join('; ') });
+        continue;
+      }
+      await saveForecast(req.supabase, req.store.id, day.date, day.intervalMinutes, day.intervals);
+      imported.push(day.date);
+    }
+
+    res.json({
+      imported: parsed.days.filter(day => imported.includes(day.date)).reduce((sum, day) => sum + day.intervals.length, 0),
+      dates: imported,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error importing forecast:', error);
+    res.status(500).json({ error: 'Failed to import forecast' });
+  }
+});
+
+// Recommended headcount per interval and daypart for one house, from the day's forecast and the
+// store's staffing rules, compared against the shifts
+// Body: { date, houseType, shiftAssignments } - shiftAssignments defaults to the day's saved shifts
+app.post('/api/staffing/recommend', authMiddleware, requireStore, async (req, res) => {
+  try {
+    const { date, shiftAssignments } = req.body;
+    const houseType = req.body.houseType === 'foh' ? 'foh' : 'boh';
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    if (shiftAssignments !== undefined && !Array.isArray(shiftAssignments)) {
+      return res.status(400).json({ error: 'shiftAssignments must be an array' });
+    }
+    if (shiftAssignments) {
+      for (const shift of shiftAssignments) {
+        if (!/^\d{2}:\d{2}$/.test(shift?.startTime || '') || !/^\d{2}:\d{2}$/.test(shift?.endTime || '')) {
+          return res.status(400).json({ error: 'Shift times must be HH:MM' });
+        }
+      }
+    }
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const forecast = await loadForecast(req.supabase, req.store.id, date);
+    if (forecast.intervals.length === 0) {
+      return res.status(404).json({ error: 'No forecast has been entered for this date' });
+    }
+
+    const { positions, timePeriods, settings } = await loadGenerationContext(req, houseType);
+    const shifts = shiftAssignments || await loadShifts(req.supabase, req.store.id, houseType, date);
+    const bands = resolveStaffingRules(settings?.staffing_rules)[houseType];
+
+    res.json({
+      date,
+      houseType,
+      intervalMinutes: forecast.intervalMinutes,
+      bands,
+      ...recommendStaffing(forecast, bands, positions, timePeriods, shifts)
+    });
+  } catch (error) {
+    console.error('Error recommending staffing:', error);
+    res.status(500).json({ error: 'Failed to recommend staffing' });
+  }
+});
+
+// ========== Settings Routes ==========
+
+// Get scoring weights for the store (merged over defaults)
+app.get('/api/settings/scoring', authMiddleware, requireStore, async (req, res) => {
+  try {
+    let stored = null;
+    if (req.supabase) {
+      const settings = await loadStoreSettings(req.supabase, req.store.id);
+      stored = settings?.scoring_weights || null;
+    }
+
+    res.json({
+      weights: resolveScoringWeights(stored),
+      defaults: DEFAULT_SCORING_WEIGHTS,
+      presets: SCORING_PRESETS
+    });
+  } catch (error) {
+    console.error('Error fetching scoring settings:', error);
+    res.status(500).json({ error: 'Failed to fetch scoring settings' });
+  }
+});
+
+// Update scoring weights for the store
+app.put('/api/settings/scoring', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { weights } = req.body;
+
+    const errors = validateScoringWeights(weights);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (req.supabase) {
+      const { data, error } = await req.supabase
+        .from('store_settings')
+        .upsert({ store_id: req.store.id, scoring_weights: weights }, { onConflict: 'store_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      res.json({
+        weights: resolveScoringWeights(data.scoring_weights),
+        defaults: DEFAULT_SCORING_WEIGHTS,
+        presets: SCORING_PRESETS
+      });
+    } else {
+      res.status(500).json({ error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error updating scoring settings:', error);
+    res.status(500).json({ error: 'Failed to update scoring settings' });
+  }
+});
+
+// Get the store's labor rule pack and the packs to choose from
+app.get('/api/settings/compliance', authMiddleware, requireStore, async (req, res) => {
+  try {
+    let rulePack = DEFAULT_RULE_PACK;
+    if (req.supabase) {
+      const settings = await loadStoreSettings(req.supabase, req.store.id);
+      rulePack = settings?.labor_rule_pack || DEFAULT_RULE_PACK;
+    }
+
+    res.json({
+      rulePack,
+      rulePacks: listRulePacks(),
+      breaks: getRulePack(rulePack).breaks
+    });
+  } catch (error) {
+    console.error('Error fetching compliance settings:', error);
+    res.status(500).json({ error: 'Failed to fetch compliance settings' });
+  }
+});
+
+// Update the store's labor rule pack
+app.put('/api/settings/compliance', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { rulePack } = req.body;
+
+    if (!LABOR_RULE_PACKS[rulePack]) {
+      return res.status(400).json({ error: `Unknown rule pack: ${rulePack}` });
+    }
+
+    if (req.supabase) {
+      const { data, error } = await req.supabase
+        .from('store_settings')
+        .upsert({ store_id: req.store.id, labor_rule_pack: rulePack }, { onConflict: 'store_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      res.json({
+        rulePack: data.labor_rule_pack,
+        rulePacks: listRulePacks(),
+        breaks: getRulePack(data.labor_rule_pack).breaks
+      });
+    } else {
+      res.status(500).json({ error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error updating compliance settings:', error);
+    res.status(500).json({ error: 'Failed to update compliance settings' });
+  }
+});
+
+// Get the store's time periods (dayparts)
+app.get('/api/settings/time-periods', authMiddleware, requireStore, async (req, res) => {
+  try {
+    let stored = null;
+    if (req.supabase) {
+      const settings = await loadStoreSettings(req.supabase, req.store.id);
+      stored = settings?.time_periods || null;
+    }
+
+    res.json({
+      timePeriods: resolveTimePeriods(stored),
+      defaults: DEFAULT_TIME_PERIODS
+    });
+  } catch (error) {
+    console.error('Error fetching time periods:', error);
+    res.status(500).json({ error: 'Failed to fetch time periods' });
+  }
+});
+
+// Update the store's time periods
+app.put('/api/settings/time-periods', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { timePeriods } = req.body;
+
+    const errors = validateTimePeriods(timePeriods);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    // Only keep the known fields
+    const cleaned = timePeriods.map(({ id, name, start, end }) => ({ id, name: name.trim(), start, end }));
+
+    if (req.supabase) {
+      const { data, error } = await req.supabase
+        .from('store_settings')
+        .upsert({ store_id: req.store.id, time_periods: cleaned }, { onConflict: 'store_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      res.json({
+        timePeriods: resolveTimePeriods(data.time_periods),
+        defaults: DEFAULT_TIME_PERIODS
+      });
+    } else {
+      res.status(500).json({ error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error updating time periods:', error);
+    res.status(500).json({ error: 'Failed to update time periods' });
+  }
+});
+
+// Get the store's fairness rotation settings
+app.get('/api/settings/rotation', authMiddleware, requireStore, async (req, res) => {
+  try {
+    let stored = null;
+    if (req.supabase) {
+      const settings = await loadStoreSettings(req.supabase, req.store.id);
+      stored = settings?.rotation || null;
+    }
+
+    res.json({
+      rotation: resolveRotation(stored),
+      defaults: DEFAULT_ROTATION
+    });
+  } catch (error) {
+    console.error('Error fetching rotation settings:', error);
+    res.status(500).json({ error: 'Failed to fetch rotation settings' });
+  }
+});
+
+// Update the store's fairness rotation settings (partial updates are merged over the current ones)
+app.put('/api/settings/rotation', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { rotation } = req.body;
+
+    const errors = validateRotation(rotation);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (req.supabase) {
+      const settings = await loadStoreSettings(req.supabase, req.store.id);
+      const merged = { ...resolveRotation(settings?.rotation), ...rotation };
+
+      const { data, error } = await req.supabase
+        .from('store_settings')
+        .upsert({ store_id: req.store.id, rotation: merged }, { onConflict: 'store_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      res.json({
+        rotation: resolveRotation(data.rotation),
+        defaults: DEFAULT_ROTATION
+      });
+    } else {
+      res.status(500).json({ error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error updating rotation settings:', error);
+    res.status(500).json({ error: 'Failed to update rotation settings' });
+  }
+});
+
+// Get the store's staffing rules (stations to open per forecast transaction band, per house)
+app.get('/api/settings/staffing-rules', authMiddleware, requireStore, async (req, res) => {
+  try {
+    let stored = null;
+    if (req.supabase) {
+      const settings = await loadStoreSettings(req.supabase, req.store.id);
+      stored = settings?.staffing_rules || null;
+    }
+
+    res.json({
+      staffingRules: resolveStaffingRules(stored),
+      defaults: DEFAULT_STAFFING_RULES
+    });
+  } catch (error) {
+    console.error('Error fetching staffing rules:', error);
+    res.status(500).json({ error: 'Failed to fetch staffing rules' });
+  }
+});
+
+// Update the store's staffing rules; a house left out keeps its current bands
+app.put('/api/settings/staffing-rules', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { staffingRules } = req.body;
+
+    const errors = validateStaffingRules(staffingRules);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (req.supabase) {
+      const settings = await loadStoreSettings(req.supabase, req.store.id);
+      const merged = { ...resolveStaffingRules(settings?.staffing_rules), ...staffingRules };
+
+      const { data, error } = await req.supabase
+        .from('store_settings')
+        .upsert({ store_id: req.store.id, staffing_rules: merged }, { onConflict: 'store_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      res.json({
+        staffingRules: resolveStaffingRules(data.staffing_rules),
+        defaults: DEFAULT_STAFFING_RULES
+      });
+    } else {
+      res.status(500).json({ error: 'Database not available' });
+    }
+  } catch (error) {
+    console.error('Error updating staffing rules:', error);
+    res.status(500).json({ error: 'Failed to update staffing rules' });
+  }
+});
+
+// ========== Lineup Routes ==========
+
+// Check shifts against the store's labor rule pack without generating
+app.post('/api/lineup/validate', authMiddleware, requireStore, async (req, res) => {
+  try {
+    const { shiftAssignments, date, houseType } = req.body;
+
+    if (!shiftAssignments || !Array.isArray(shiftAssignments)) {
+      return res.status(400).json({ error: 'shiftAssignments array is required' });
+    }
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    let employees = [];
+    let settings = null;
+
+    if (req.supabase) {
+      const { data, error } = await req.supabase
+        .from('employees')
+        .select(EMPLOYEE_SELECT)
+        .eq('store_id', req.store.id);
+
+      if (error) throw error;
+      employees = data.map(toApiFormat);
+      settings = await loadStoreSettings(req.supabase, req.store.id);
+    } else {
+      employees = readEmployeesFromFile().employees;
+    }
+
+    const lineupDate = date || new Date().toISOString().split('T')[0];
+    const { rulePack, violations } = await checkCompliance(req, houseType, shiftAssignments, employees, lineupDate, settings);
+    const availabilityWarnings = await checkEmployeeAvailability(req, shiftAssignments, employees, lineupDate);
+    res.json({ rulePack, violations, blocking: hasBlockingViolations(violations), availabilityWarnings });
+  } catch (error) {
+    console.error('Error validating shifts:', error);
+    res.status(500).json({ error: 'Failed to validate shifts' });
+  }
+});
+
+// Generate lineup
+// ?explain=true attaches a per-assignment trace (candidates, bonuses, swaps, runner-up)
+app.post('/api/lineup/generate', authMiddleware, requireStore, async (req, res) => {
+  console.log('Generate lineup endpoint called');
+  try {
+    const { houseType, solver, planBreaks, date, rotation: useRotation } = req.body;
+    let { shiftAssignments } = req.body;
+    const explain = req.query.explain === 'true';
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    // With only a date, generate from the schedule saved for that day
+    if (shiftAssignments === undefined && date && req.supabase) {
+      shiftAssignments = await loadShifts(req.supabase, req.store.id, houseType === 'foh' ? 'foh' : 'boh', date);
+    }
+    console.log('Request body:', { shiftAssignmentsCount: shiftAssignments?.length, houseType, solver });
+
+    if (!shiftAssignments || !Array.isArray(shiftAssignments)) {
+      return res.status(400).json({ error: 'shiftAssignments array (or a date with saved shifts) is required' });
+    }
+
+    if (solver && !['greedy', 'optimal'].includes(solver)) {
+      return res.status(400).json({ error: 'solver must be "greedy" or "optimal"' });
+    }
+
+    if (planBreaks !== undefined && typeof planBreaks !== 'boolean') {
+      return res.status(400).json({ error: 'planBreaks must be true or false' });
+    }
+
+    if (useRotation !== undefined && typeof useRotation !== 'boolean') {
+      return res.status(400).json({ error: 'rotation must be true or false' });
+    }
+
+    // Pins: [{ position, startTime?, endTime? }] on each shift assignment
+    const pinError = validatePins(shiftAssignments);
+    if (pinError) {
+      return res.status(400).json({ error: pinError });
+    }
+
+    const { employees, positions, scoringWeights, timePeriods, positionLayouts, rotation, settings } =
+      await loadGenerationContext(req, houseType);
+
+    // Labor law checks run before generating - errors (e.g. a 15-year-old past 7 PM) block the lineup
+    const lineupDate = date || new Date().toISOString().split('T')[0];
+    const { rulePack, violations } = await checkCompliance(req, houseType, shiftAssignments, employees, lineupDate, settings);
+    if (hasBlockingViolations(violations)) {
+      return res.status(422).json({ error: 'Shifts break labor rules for this store', rulePack, violations });
+    }
+
+    // The store's rotation setting applies unless the request turns it on or off
+    const rotationOptions = await loadRotationOptions(req, houseType === 'foh' ? 'foh' : 'boh', lineupDate,
+      { ...rotation, enabled: useRotation ?? rotation.enabled }, positions);
+
+    console.log('Calling generateLineups with', employees.length, 'employees and', positions.length, 'positions');
+    const result = generateLineups(shiftAssignments, employees, positions, {
+      solver: solver || 'greedy',
+      scoringWeights,
+      explain,
+      planBreaks,
+      breakThresholds: getRulePack(rulePack).breaks,
+      timePeriods,
+      positionLayouts,
+      date: lineupDate,
+      rotation: rotationOptions
+    });
+    console.log('Generated', result.lineups?.length, 'lineups');
+    const coverageIssueCount = addCoverageDiagnostics(result.lineups, shiftAssignments, employees, lineupDate);
+    res.json({
+      lineups: result.lineups,
+      closingLineup: result.closingLineup,
+      houseType: houseType || 'boh',
+      violations,
+      certificationWarnings: result.certificationWarnings,
+      availabilityWarnings: await checkEmployeeAvailability(req, shiftAssignments, employees, lineupDate),
+      coverageIssueCount
+    });
+  } catch (error) {
+    console.error('Error generating lineup:', error);
+    res.status(500).json({ error: 'Failed to generate lineup' });
+  }
+});
+
+// Generate (and optionally save) lineups for up to a week of days in one call
+// Body: { days: [{ date, shiftAssignments? }], houseType, solver, planBreaks, save }
+// Days are checked in date order, so earlier days count toward weekly labor limits.
+// With save: true nothing is saved if any day breaks labor rules (422)
+app.post('/api/lineup/generate-week', authMiddleware, requireStore, async (req, res) => {
+  try {
+    const { days, houseType, solver, planBreaks, save, rotation: useRotation } = req.body;
+
+    if (!Array.isArray(days) || days.length === 0) {
+      return res.status(400).json({ error: 'days array is required' });
+    }
+    if (days.length > 7) {
+      return res.status(400).json({ error: 'No more than 7 days can be generated at once' });
+    }
+    for (const day of days) {
+      if (!day || !/^\d{4}-\d{2}-\d{2}$/.test(day.date)) {
+        return res.status(400).json({ error: 'Each day needs a date as YYYY-MM-DD' });
+      }
+      // Days sent without shifts use the schedule saved for that date
+      if (day.shiftAssignments === undefined && req.supabase) {
+        day.shiftAssignments = await loadShifts(req.supabase, req.store.id, houseType === 'foh' ? 'foh' : 'boh', day.date);
+      }
+      if (!Array.isArray(day.shiftAssignments)) {
+        return res.status(400).json({ error: `shiftAssignments array is required for ${day.date}` });
+      }
+      const pinError = validatePins(day.shiftAssignments);
+      if (pinError) {
+        return res.status(400).json({ error: `${day.date}: ${pinError}` });
+      }
+    }
+    if (new Set(days.map(d => d.date)).size !== days.length) {
+      return res.status(400).json({ error: 'Each date can only appear once' });
+    }
+    if (solver && !['greedy', 'optimal'].includes(solver)) {
+      return res.status(400).json({ error: 'solver must be "greedy" or "optimal"' });
+    }
+    if (planBreaks !== undefined && typeof planBreaks !== 'boolean') {
+      return res.status(400).json({ error: 'planBreaks must be true or false' });
+    }
+    if (useRotation !== undefined && typeof useRotation !== 'boolean') {
+      return res.status(400).json({ error: 'rotation must be true or false' });
+    }
+    if (save && !req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const house = houseType === 'foh' ? 'foh' : 'boh';
+    const { employees, positions, scoringWeights, timePeriods, positionLayouts, rotation, settings } =
+      await loadGenerationContext(req, houseType);
+
+    const sortedDays = [...days].sort((a, b) => a.date.localeCompare(b.date));
+    const plannedDays = Object.fromEntries(sortedDays.map(d => [d.date, d.shiftAssignments]));
+    const timeOff = req.supabase
+      ? await loadTimeOff(req.supabase, req.store.id, sortedDays[0].date, sortedDays[sortedDays.length - 1].date)
+      : [];
+    const results = [];
+    // Days generated so far count toward rotation in place of what's saved for those dates
+    const generatedHistory = [];
+    const batchDates = sortedDays.map(d => d.date);
+
+    for (const day of sortedDays) {
+      const { rulePack, violations } = await checkCompliance(req, house, day.shiftAssignments, employees, day.date, settings, plannedDays);
+      const availabilityWarnings = await checkEmployeeAvailability(req, day.shiftAssignments, employees, day.date, timeOff);
+
+      if (day.shiftAssignments.length === 0 || hasBlockingViolations(violations)) {
+        results.push({
+          date: day.date,
+          blocked: hasBlockingViolations(violations),
+          violations,
+          availabilityWarnings,
+          lineups: [],
+          closingLineup: null,
+          certificationWarnings: [],
+          coverageIssueCount: 0,
+          summary: summarizeLineups([])
+        });
+        continue;
+      }
+
+      const rotationOptions = await loadRotationOptions(req, house, day.date,
+        { ...rotation, enabled: useRotation ?? rotation.enabled }, positions, generatedHistory, batchDates);
+
+      const result = generateLineups(day.shiftAssignments, employees, positions, {
+        solver: solver || 'greedy',
+        scoringWeights,
+        planBreaks,
+        breakThresholds: getRulePack(rulePack).breaks,
+        timePeriods,
+        positionLayouts,
+        date: day.date,
+        rotation: rotationOptions
+      });
+      generatedHistory.push(...toExposureLineups(day.date, result.lineups));
+      const coverageIssueCount = addCoverageDiagnostics(result.lineups, day.shiftAssignments, employees, day.date);
+
+      results.push({
+        date: day.date,
+        blocked: false,
+        violations,
+        availabilityWarnings,
+        lineups: result.lineups,
+        closingLineup: result.closingLineup,
+        certificationWarnings: result.certificationWarnings,
+        coverageIssueCount,
+        summary: summarizeLineups(result.lineups)
+      });
+    }
+
+    if (save) {
+      if (results.some(r => r.blocked)) {
+        return res.status(422).json({ error: 'Some days break labor rules, nothing was saved', houseType: house, days: results });
+      }
+      for (const day of results) {
+        if (day.lineups.length === 0) continue;
+        await saveDayLineups(req.supabase, req.store.id, house, day.date, day.lineups, day.closingLineup);
+      }
+    }
+
+    res.json({ houseType: house, saved: Boolean(save), days: results });
+  } catch (error) {
+    console.error('Error generating week:', error);
+    res.status(500).json({ error: 'Failed to generate week' });
+  }
+});
+
+// Export lineup to Excel: the lineup, a timeline, each employee's itinerary, closing and a summary
+// Body: { lineups, closingLineup, houseType, date }
+app.post('/api/lineup/export', authMiddleware, requireStore, async (req, res) => {
+  try {
+    const { lineups, closingLineup, date } = req.body;
+    const houseType = ['foh', 'boh'].includes(req.body.houseType) ? req.body.houseType : null;
+
+    if (!lineups || !Array.isArray(lineups)) {
+      return res.status(400).json({ error: 'lineups array is required' });
+    }
+    if (closingLineup && !Array.isArray(closingLineup.assignments)) {
+      return res.status(400).json({ error: 'closingLineup must have an assignments array' });
+    }
+
+    const buffer = await exportToBuffer(lineups, closingLineup || null, { houseType, date });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=lineup.xlsx');
+    res.send(buffer);
   } catch (error) {
     console.error('Error exporting lineup:', error);
     res.status(500).json({ error: 'Failed to export lineup' });
   }
 });
 
+// Export a printable station board PDF: one page per daypart and one for closing
+// Body: { lineups, closingLineup, date, houseType }
+app.post('/api/lineup/export/pdf', authMiddleware, requireStore, async (req, res) => {
+  try {
+    const { lineups, closingLineup, date } = req.body;
+    const houseType = req.body.houseType === 'foh' ? 'foh' : 'boh';
+
+    if (!lineups || !Array.isArray(lineups)) {
+      return res.status(400).json({ error: 'lineups array is required' });
+    }
+    if (lineups.length === 0 && !closingLineup?.assignments?.length) {
+      return res.status(400).json({ error: 'There is no lineup to print' });
+    }
+    const timePattern = /^\d{2}:\d{2}/;
+    if (lineups.some(l => !timePattern.test(l?.startTime || '') || !timePattern.test(l?.endTime || '') || !Array.isArray(l.assignments))) {
+      return res.status(400).json({ error: 'Each lineup needs a startTime, endTime and assignments' });
+    }
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    // Page titles use the store's own daypart names
+    let timePeriods = resolveTimePeriods(null);
+    if (req.supabase) {
+      const settings = await loadStoreSettings(req.supabase, req.store.id);
+      timePeriods = resolveTimePeriods(settings?.time_periods);
+    }
+
+    const buffer = await exportStationBoard(lineups, closingLineup || null, {
+      date,
+      houseType,
+      storeName: req.store.name,
+      timePeriods
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=station_board${date ? `_${date}` : ''}.pdf`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting station board:', error);
+    res.status(500).json({ error: 'Failed to export station board' });
+  }
+});
+
+// ========== Itinerary Routes ==========
+
+const MAX_SHARE_HOURS = 168;
+
+// Each employee's day from the saved lineups for ?date= and ?houseType=
+app.get('/api/itineraries', authMiddleware, requireStore, async (req, res) => {
+  try {
+    const { date } = req.query;
+    const houseType = req.query.houseType === 'foh' ? 'foh' : 'boh';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const lineups = await loadSavedLineups(req.supabase, req.store.id, houseType, date, date);
+    const { data: employees, error } = await req.supabase
+      .from('employees')
+      .select('id, name')
+      .eq('store_id', req.store.id);
+    if (error) throw error;
+
+    res.json({ date, houseType, itineraries: buildDayItineraries(lineups, employees) });
+  } catch (error) {
+    console.error('Error fetching itineraries:', error);
+    res.status(500).json({ error: 'Failed to fetch itineraries' });
+  }
+});
+
+// One employee's day from the saved lineups for ?date= and ?houseType=
+app.get('/api/itineraries/:employeeId', authMiddleware, requireStore, async (req, res) => {
+  try {
+    const { date } = req.query;
+    const houseType = req.query.houseType === 'foh' ? 'foh' : 'boh';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const lineups = await loadSavedLineups(req.supabase, req.store.id, houseType, date, date);
+    const { data: employees, error } = await req.supabase
+      .from('employees')
+      .select('id, name')
+      .eq('store_id', req.store.id)
+      .eq('id', req.params.employeeId);
+    if (error) throw error;
+
+    const itinerary = buildDayItineraries(lineups, employees).find(i => i.employeeId === req.params.employeeId);
+    if (!itinerary) {
+      return res.status(404).json({ error: 'This employee has no saved lineup that day' });
+    }
+    res.json({ date, houseType, ...itinerary });
+  } catch (error) {
+    console.error('Error fetching itinerary:', error);
+    res.status(500).json({ error: 'Failed to fetch itinerary' });
+  }
+});
+
+// Make a read-only link to one employee's itinerary that works without an account
+// Body: { date, houseType, expiresInHours } - links last 24 hours unless set (at most a week)
+// Returns { token, expiresAt }; the frontend turns the token into /itinerary?token=...
+app.post('/api/itineraries/:employeeId/share', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const { date, expiresInHours = 24 } = req.body;
+    const houseType = req.body.houseType === 'foh' ? 'foh' : 'boh';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    if (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > MAX_SHARE_HOURS) {
+      return res.status(400).json({ error: `expiresInHours must be a whole number between 1 and ${MAX_SHARE_HOURS}` });
+    }
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const { data: employee, error: employeeError } = await req.supabase
+      .from('employees')
+      .select('id')
+      .eq('store_id', req.store.id)
+      .eq('id', req.params.employeeId)
+      .maybeSingle();
+    if (employeeError) throw employeeError;
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const expiresAt = new Date(Date.now() + expiresInHours * 3600 * 1000);
+    const { data: share, error } = await req.supabase
+      .from('itinerary_shares')
+      .insert({
+        store_id: req.store.id,
+        employee_id: employee.id,
+        share_date: date,
+        house_type: houseType,
+        expires_at: expiresAt.toISOString(),
+        created_by: req.user?.id || null
+      })
+      .select('id')
+      .single();
+    if (error) throw error;
+
+    res.status(201).json({ token: signToken('itinerary', { id: share.id }, expiresAt), expiresAt: expiresAt.toISOString() });
+  } catch (error) {
+    if (error.code === 'NO_SHARE_SECRET') {
+      return res.status(500).json({ error: error.message });
+    }
+    console.error('Error sharing itinerary:', error);
+    res.status(500).json({ error: 'Failed to share itinerary' });
+  }
+});
+
+// A shared itinerary, opened from a link - no account needed, the signed token is the permission
+app.get('/api/shared/itinerary/:token', async (req, res) => {
+  try {
+    const share = verifyToken(req.params.token, 'itinerary');
+    if (!share) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' });
+    }
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    // Checks the share again (expiry and revocation) on the database side
+    const { data, error } = await supabase.rpc('get_shared_itinerary', { p_share_id: share.id });
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' });
+    }
+
+    const blocks = data.lineups.map(row => ({
+      startTime: row.start_time.substring(0, 5),
+      endTime: row.end_time.substring(0, 5),
+      shiftPeriod: row.shift_period,
+      position: row.position,
+      needsBreak: row.needs_break || false,
+      breakType: row.break_type || null,
+      breakStart: row.break_start ? row.break_start.substring(0, 5) : null,
+      breakEnd: row.break_end ? row.break_end.substring(0, 5) : null,
+      coveringFor: row.covering_for || null
+    }));
+
+    res.json({
+      name: data.employee_name,
+      storeName: data.store_name,
+      date: data.share_date,
+      houseType: data.house_type,
+      expiresAt: data.expires_at,
+      ...buildItinerary(blocks)
+    });
+  } catch (error) {
+    if (error.code === 'NO_SHARE_SECRET') {
+      return res.status(500).json({ error: error.message });
+    }
+    console.error('Error opening shared itinerary:', error);
+    res.status(500).json({ error: 'Failed to open itinerary' });
+  }
+});
+
+// ========== Display Routes ==========
+
+// Display links stay good for a year unless revoked
+const DISPLAY_TOKEN_DAYS = 365;
+const MAX_DISPLAY_NAME_LENGTH = 50;
+
+const toDisplay = (row) => ({
+  id: row.id,
+  name: row.name,
+  houseType: row.house_type,
+  expiresAt: row.expires_at,
+  createdAt: row.created_at,
+  token: signToken('display', { id: row.id }, new Date(row.expires_at))
+});
+
+// The store's kiosk displays that still work, with their tokens for /display?token=...
+app.get('/api/displays', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const { data, error } = await req.supabase
+      .from('display_tokens')
+      .select('id, name, house_type, expires_at, created_at')
+      .eq('store_id', req.store.id)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    res.json({ displays: data.map(toDisplay) });
+  } catch (error) {
+    if (error.code === 'NO_SHARE_SECRET') {
+      return res.status(500).json({ error: error.message });
+    }
+    console.error('Error fetching displays:', error);
+    res.status(500).json({ error: 'Failed to fetch displays' });
+  }
+});
+
+// Set up a kiosk display for one house, e.g. { name: 'BOH TV', houseType: 'boh' }
+app.post('/api/displays', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const houseType = req.body.houseType === 'foh' ? 'foh' : 'boh';
+    if (!name || name.length > MAX_DISPLAY_NAME_LENGTH) {
+      return res.status(400).json({ error: `name is required and must be at most ${MAX_DISPLAY_NAME_LENGTH} characters` });
+    }
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const expiresAt = new Date(Date.now() + DISPLAY_TOKEN_DAYS * 24 * 3600 * 1000);
+    const { data, error } = await req.supabase
+      .from('display_tokens')
+      .insert({
+        store_id: req.store.id,
+        name,
+        house_type: houseType,
+        expires_at: expiresAt.toISOString(),
+        created_by: req.user?.id || null
+      })
+      .select('id, name, house_type, expires_at, created_at')
+      .single();
+    if (error) throw error;
+
+    res.status(201).json(toDisplay(data));
+  } catch (error) {
+    if (error.code === 'NO_SHARE_SECRET') {
+      return res.status(500).json({ error: error.message });
+    }
+    console.error('Error creating display:', error);
+    res.status(500).json({ error: 'Failed to create display' });
+  }
+});
+
+// Revoke a display - its screen stops updating on the next refresh
+app.delete('/api/displays/:id', authMiddleware, requireStore, requireManager, async (req, res) => {
+  try {
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const { data, error } = await req.supabase
+      .from('display_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('store_id', req.store.id)
+      .is('revoked_at', null)
+      .select('id');
+    if (error) throw error;
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Display not found' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error revoking display:', error);
+    res.status(500).json({ error: 'Failed to revoke display' });
+  }
+});
+
+// What a kiosk shows at ?date=YYYY-MM-DD&time=HH:MM - both from the screen's clock, since the
+// server may not be in the store's time zone. No account needed, the signed token is the permission
+app.get('/api/display/:token', async (req, res) => {
+  try {
+    const { date, time } = req.query;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !/^\d{2}:\d{2}$/.test(time || '')) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD and time HH:MM' });
+    }
+    const display = verifyToken(req.params.token, 'display');
+    if (!display) {
+      return res.status(404).json({ error: 'This display link is invalid or has expired' });
+    }
+    if (!supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    // Checks the token again (expiry and revocation) on the database side
+    const { data, error } = await supabase.rpc('get_display_lineups', { p_display_id: display.id, p_date: date });
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'This display link is invalid or has expired' });
+    }
+
+    const lineups = data.lineups.map(row => ({
+      startTime: row.start_time.substring(0, 5),
+      endTime: row.end_time.substring(0, 5),
+      shiftPeriod: row.shift_period,
+      assignments: row.assignments.map(a => ({
+        employeeId: a.employee_id,
+        name: a.employee_name,
+        position: a.position,
+        needsBreak: a.needs_break || false,
+        breakType: a.break_type || null,
+        breakStart: a.break_start ? a.break_start.substring(0, 5) : null,
+        breakEnd: a.break_end ? a.break_end.substring(0, 5) : null,
+        coveringFor: a.covering_for || null
+      }))
+    }));
+
+    res.json({
+      name: data.display_name,
+      storeName: data.store_name,
+      houseType: data.house_type,
+      date,
+      time,
+      ...buildKioskView(lineups, time)
+    });
+  } catch (error) {
+    if (error.code === 'NO_SHARE_SECRET') {
+      return res.status(500).json({ error: error.message });
+    }
+    console.error('Error loading display:', error);
+    res.status(500).json({ error: 'Failed to load display' });
+  }
+});
+
+// ========== Report Routes ==========
+
+// Date range for a report from ?from=&to=: `to` defaults to today and `from` to `defaultDays` days
+// before it, and a report covers at most a year. Returns { from, to } or { error }
+function parseReportRange(query, defaultDays) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const to = query.to || new Date().toISOString().split('T')[0];
+  if (!datePattern.test(to) || (query.from && !datePattern.test(query.from))) {
+    return { error: 'from and to must be YYYY-MM-DD' };
+  }
+
+  let from = query.from;
+  if (!from) {
+    const start = new Date(to + 'T00:00:00Z');
+    start.setUTCDate(start.getUTCDate() - (defaultDays - 1));
+    from = start.toISOString().split('T')[0];
+  }
+  if (from > to) {
+    return { error: 'from must be on or before to' };
+  }
+  if ((new Date(to) - new Date(from)) / 86400000 > 366) {
+    return { error: 'The report can cover at most a year' };
+  }
+  return { from, to };
+}
+
+// Cross-training report for one house over ?from=&to= (defaults to the last 30 days):
+// hours per employee and station from saved lineups, positions listed but never worked,
+// and stations too few people can cover, with who to schedule or train there
+app.get('/api/reports/cross-training', authMiddleware, requireStore, async (req, res) => {
+  try {
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const houseType = req.query.houseType === 'foh' ? 'foh' : 'boh';
+    const { from, to, error: rangeError } = parseReportRange(req.query, 30);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const { employees, positions } = await loadGenerationContext(req, houseType);
+    const lineups = await loadSavedLineups(req.supabase, req.store.id, houseType, from, to);
+    const report = buildCrossTrainingReport(lineups, employees, positions);
+
+    res.json({ from, to, houseType, lineupCount: lineups.length, ...report });
+  } catch (error) {
+    console.error('Error building cross-training report:', error);
+    res.status(500).json({ error: 'Failed to build cross-training report' });
+  }
+});
+
+// Lineup quality for one house over ?from=&to= (defaults to the last 8 weeks), by ?groupBy=day|week:
+// best/capable/fallback match rates, position changes per employee, segments with extra people,
+// segments where one of the ?topPositions= highest-priority stations was open, and break counts
+app.get('/api/reports/lineup-quality', authMiddleware, requireStore, async (req, res) => {
+  try {
+    if (!req.supabase) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const houseType = req.query.houseType === 'foh' ? 'foh' : 'boh';
+    const groupBy = req.query.groupBy || 'week';
+    if (!['day', 'week'].includes(groupBy)) {
+      return res.status(400).json({ error: 'groupBy must be "day" or "week"' });
+    }
+    const topPositions = req.query.topPositions === undefined ? 5 : Number(req.query.topPositions);
+    if (!Number.isInteger(topPositions) || topPositions < 1 || topPositions > 50) {
+      return res.status(400).json({ error: 'topPositions must be a whole number between 1 and 50' });
+    }
+    const { from, to, error: rangeError } = parseReportRange(req.query, 56);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const { employees, positions } = await loadGenerationContext(req, houseType);
+    const lineups = await loadSavedLineups(req.supabase, req.store.id, houseType, from, to);
+    const analytics = buildLineupAnalytics(lineups, employees, positions, { groupBy, topPositions });
+
+    res.json({ from, to, houseType, groupBy, topPositions, lineupCount: lineups.length, ...analytics });
+  } catch (error) {
+    console.error('Error building lineup quality report:', error);
+    res.status(500).json({ error: 'Failed to build lineup quality report' });
+  }
+});
+
 // Health check endpoint (useful for Railway)
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -548,11 +2760,53 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('  POST   /api/employees       - Create employee');
   console.log('  PUT    /api/employees/:id   - Update employee');
   console.log('  DELETE /api/employees/:id   - Delete employee');
+  console.log('  GET    /api/employees/export - Export roster (xlsx or csv)');
+  console.log('  POST   /api/employees/import - Import roster (preview or apply)');
   console.log('  GET    /api/positions       - List all positions');
   console.log('  POST   /api/positions       - Create position');
   console.log('  PUT    /api/positions/:id   - Update position');
   console.log('  DELETE /api/positions/:id   - Delete position');
+  console.log('  GET    /api/layouts         - List headcount layouts');
+  console.log('  PUT    /api/layouts         - Save a headcount layout');
+  console.log('  DELETE /api/layouts/:id     - Delete a headcount layout');
+  console.log('  GET    /api/shifts          - List saved shifts for a day or range');
+  console.log('  PUT    /api/shifts/day      - Replace a day\'s shifts');
+  console.log('  POST   /api/shifts          - Create shift');
+  console.log('  POST   /api/shifts/import   - Import shifts from a CSV schedule');
+  console.log('  PUT    /api/shifts/:id      - Update shift');
+  console.log('  DELETE /api/shifts/:id      - Delete shift');
+  console.log('  GET    /api/time-off        - List time off requests');
+  console.log('  POST   /api/time-off        - Request time off');
+  console.log('  PUT    /api/time-off/:id/review - Approve or deny time off');
+  console.log('  DELETE /api/time-off/:id    - Delete or withdraw time off');
+  console.log('  GET    /api/forecasts/:date - Get a day\'s sales forecast');
+  console.log('  PUT    /api/forecasts/:date - Replace a day\'s sales forecast');
+  console.log('  POST   /api/forecasts/import - Import sales forecasts from CSV');
+  console.log('  POST   /api/staffing/recommend - Recommended headcount per daypart from the forecast');
+  console.log('  GET    /api/settings/scoring - Get scoring weights');
+  console.log('  PUT    /api/settings/scoring - Update scoring weights');
+  console.log('  GET    /api/settings/compliance - Get labor rule pack');
+  console.log('  PUT    /api/settings/compliance - Update labor rule pack');
+  console.log('  GET    /api/settings/time-periods - Get store time periods');
+  console.log('  PUT    /api/settings/time-periods - Update store time periods');
+  console.log('  GET    /api/settings/rotation - Get fairness rotation settings');
+  console.log('  PUT    /api/settings/rotation - Update fairness rotation settings');
+  console.log('  GET    /api/settings/staffing-rules - Get staffing rules (stations per transaction band)');
+  console.log('  PUT    /api/settings/staffing-rules - Update staffing rules');
+  console.log('  POST   /api/lineup/validate - Check shifts against labor rules');
   console.log('  POST   /api/lineup/generate - Generate lineup');
-  console.log('  POST   /api/lineup/export   - Export to Excel');
+  console.log('  POST   /api/lineup/generate-week - Generate (and save) up to a week of lineups');
+  console.log('  POST   /api/lineup/export   - Export to Excel (lineup, timeline, itineraries, closing, summary)');
+  console.log('  POST   /api/lineup/export/pdf - Export a printable station board');
+  console.log('  GET    /api/itineraries     - Each employee\'s day from saved lineups');
+  console.log('  GET    /api/itineraries/:employeeId - One employee\'s day');
+  console.log('  POST   /api/itineraries/:employeeId/share - Make an expiring itinerary link');
+  console.log('  GET    /api/shared/itinerary/:token - Open a shared itinerary (no account)');
+  console.log('  GET    /api/displays        - List kiosk displays');
+  console.log('  POST   /api/displays        - Set up a kiosk display');
+  console.log('  DELETE /api/displays/:id    - Revoke a kiosk display');
+  console.log('  GET    /api/display/:token  - What a kiosk shows now (display token, no account)');
+  console.log('  GET    /api/reports/cross-training - Hours per station and cross-training suggestions');
+  console.log('  GET    /api/reports/lineup-quality - Match rates, moves, extras and open stations by day or week');
   console.log('  GET    /health              - Health check');
 });
@@ -0,0 +1,121 @@
+/**
+ * Optimal assignment solver (Hungarian algorithm)
+ *
+ * Given a score matrix where scores[row][col] is how well row fits col
+ * (higher is better), finds the one-to-one assignment that maximizes the
+ * total score. Unlike the greedy fill + pairwise swaps, this finds rotations
+ * involving any number of people (e.g. A->B, B->C, C->A).
+ */
+
+/**
+ * Solve a rectangular min-cost assignment with rows <= columns
+ * Classic O(n^2 * m) Hungarian algorithm with potentials
+ * Returns an array mapping each row to its assigned column
+ */
+function solveMinCost(cost) {
+  const n = cost.length;
+  const m = cost[0].length;
+  const INF = Number.MAX_SAFE_INTEGER;
+
+  // 1-indexed potentials and matching, column 0 is a virtual starting column
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const matchedRow = new Array(m + 1).fill(0); // matchedRow[col] = row
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    matchedRow[0] = i;
+    let col0 = 0;
+    const minv = new Array(m + 1).fill(INF);
+    const used = new Array(m + 1).fill(false);
+
+    do {
+      used[col0] = true;
+      const row0 = matchedRow[col0];
+      let delta = INF;
+      let col1 = 0;
+
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const reduced = cost[row0 - 1][j - 1] - u[row0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = col0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          col1 = j;
+        }
+      }
+
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[matchedRow[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+
+      col0 = col1;
+    } while (matchedRow[col0] !== 0);
+
+    // Walk back along the augmenting path
+    do {
+      const col1 = way[col0];
+      matchedRow[col0] = matchedRow[col1];
+      col0 = col1;
+    } while (col0 !== 0);
+  }
+
+  const rowToCol = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (matchedRow[j] !== 0) {
+      rowToCol[matchedRow[j] - 1] = j - 1;
+    }
+  }
+  return rowToCol;
+}
+
+/**
+ * Find the assignment that maximizes the total score
+ * scores: 2D array [rows][cols], may be rectangular in either direction
+ * Returns an array mapping each row to its column, or -1 if the row is left out
+ * (only happens when there are more rows than columns)
+ */
+function solveMaxScoreAssignment(scores) {
+  const rowCount = scores.length;
+  if (rowCount === 0) return [];
+  const colCount = scores[0].length;
+  if (colCount === 0) return new Array(rowCount).fill(-1);
+
+  // Convert to a min-cost problem
+  let maxScore = 0;
+  for (const row of scores) {
+    for (const score of row) {
+      if (score > maxScore) maxScore = score;
+    }
+  }
+
+  if (rowCount <= colCount) {
+    const cost = scores.map(row => row.map(score => maxScore - score));
+    return solveMinCost(cost);
+  }
+
+  // More rows than columns - solve the transposed problem
+  const cost = [];
+  for (let j = 0; j < colCount; j++) {
+    cost.push(scores.map(row => maxScore - row[j]));
+  }
+  const colToRow = solveMinCost(cost);
+
+  const rowToCol = new Array(rowCount).fill(-1);
+  colToRow.forEach((row, col) => {
+    if (row !== -1) rowToCol[row] = col;
+  });
+  return rowToCol;
+}
+
+module.exports = {
+  solveMaxScoreAssignment
+};
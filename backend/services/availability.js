@@ -0,0 +1,102 @@
+/**
+ * Availability checks
+ * Flags shifts that fall outside an employee's weekly availability or on days they
+ * have time off. These are warnings only - the manager decides whether to keep the shift.
+ *
+ * Warnings use the same shape as compliance violations:
+ *   { rule, severity: 'warning', employeeId, name, message }
+ */
+
+const { DAY_NAMES } = require('../config/availability');
+const { getShiftMinutes } = require('./lineupGenerator');
+const { formatTime12Hour, dayOfWeek, minutesToTime } = require('./timeUtils');
+
+/**
+ * An employee's available time on one day, as merged minute ranges
+ * Windows from the day before that run past midnight count too
+ */
+function availableRanges(windows, day) {
+  const previousDay = (day + 6) % 7;
+  const ranges = [];
+
+  for (const window of windows) {
+    const { start, end } = getShiftMinutes(window);
+    if (window.dayOfWeek === day) {
+      ranges.push({ start, end });
+    } else if (window.dayOfWeek === previousDay && end > 1440) {
+      ranges.push({ start: 0, end: end - 1440 });
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+const describeRanges = (ranges) => ranges
+  .map(r => `${formatTime12Hour(minutesToTime(r.start))} - ${formatTime12Hour(minutesToTime(r.end))}`)
+  .join(', ');
+
+const describeDates = (request) => request.startDate === request.endDate
+  ? request.startDate
+  : `${request.startDate} to ${request.endDate}`;
+
+/**
+ * Check a day's shifts against availability and time off
+ * @param shiftAssignments - employees and their shift times for the day
+ * @param employees - full employee data (availability: [{ dayOfWeek, startTime, endTime }])
+ * @param timeOff - time off requests covering the date (API format), denied ones are ignored
+ * @param date - YYYY-MM-DD
+ * @returns list of warnings, approved time off first
+ */
+function checkAvailability(shiftAssignments, employees, timeOff, date) {
+  const day = dayOfWeek(date);
+  const warnings = [];
+  const checkedTimeOff = new Set();
+
+  for (const shift of shiftAssignments) {
+    const employee = employees.find(e => e.id === shift.employeeId) || {};
+    const name = shift.name || employee.name;
+    const warn = (rule, message) => warnings.push({ rule, severity: 'warning', employeeId: shift.employeeId, name, message });
+
+    // Time off is about the day, so it's only mentioned once for someone with split shifts
+    const requests = checkedTimeOff.has(shift.employeeId) ? [] : timeOff.filter(r =>
+      r.employeeId === shift.employeeId && r.startDate <= date && r.endDate >= date && r.status !== 'denied'
+    );
+    checkedTimeOff.add(shift.employeeId);
+    const approved = requests.find(r => r.status === 'approved');
+    if (approved) {
+      warn('timeOff', `${name} has approved time off (${describeDates(approved)})${approved.reason ? `: ${approved.reason}` : ''}`);
+    } else if (requests.length > 0) {
+      warn('pendingTimeOff', `${name} has asked for time off (${describeDates(requests[0])}) - not reviewed yet`);
+    }
+
+    const windows = employee.availability || [];
+    if (windows.length === 0) continue;
+
+    const { start, end } = getShiftMinutes(shift);
+    const ranges = availableRanges(windows, day);
+    if (ranges.length === 0) {
+      warn('availability', `${name} isn't available on ${DAY_NAMES[day]}s`);
+    } else if (!ranges.some(r => start >= r.start && end <= r.end)) {
+      warn('availability',
+        `${name}'s shift (${formatTime12Hour(shift.startTime)} - ${formatTime12Hour(shift.endTime)}) is outside their ` +
+        `${DAY_NAMES[day]} availability (${describeRanges(ranges)})`);
+    }
+  }
+
+  const order = { timeOff: 0, availability: 1, pendingTimeOff: 2 };
+  return warnings.sort((a, b) => order[a.rule] - order[b.rule]);
+}
+
+module.exports = {
+  checkAvailability
+};
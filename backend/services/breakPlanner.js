@@ -0,0 +1,98 @@
+/**
+ * Break planner
+ * Picks an actual break window for every employee flagged by calculateBreakFlags,
+ * staggering breaks so the floor isn't short-handed and steering clear of rush periods
+ */
+
+const BREAK_LENGTH_MINUTES = 30;
+const SLOT_MINUTES = 15;
+
+// Don't send someone on break right after clocking in or right before leaving
+const MIN_MINUTES_BEFORE_BREAK = 120;
+const MIN_MINUTES_AFTER_BREAK = 60;
+
+// Cost penalties when ranking candidate windows (distance from mid-shift is the base cost)
+const RUSH_PENALTY = 1000;
+const OVERLAP_PENALTY = 200;
+
+/**
+ * Check whether any part of [start, end) falls in a rush period
+ */
+function overlapsRush(start, end, isRushTime) {
+  for (let t = start; t < end; t += SLOT_MINUTES) {
+    if (isRushTime(t)) return true;
+  }
+  return false;
+}
+
+/**
+ * Count already-planned breaks that overlap [start, end)
+ */
+function countOverlaps(start, end, planned) {
+  return planned.filter(b => start < b.end && b.start < end).length;
+}
+
+/**
+ * Pick the best break window for one shift
+ * Returns { start, end } in minutes from midnight
+ */
+function pickBreakWindow(shift, planned, isRushTime, breakLength) {
+  const midpoint = Math.round((shift.start + shift.end - breakLength) / 2);
+  let earliest = shift.start + MIN_MINUTES_BEFORE_BREAK;
+  let latest = shift.end - MIN_MINUTES_AFTER_BREAK - breakLength;
+
+  // Short shift - fall back to the middle of the shift
+  if (earliest > latest) {
+    earliest = latest = Math.max(shift.start, midpoint);
+  }
+
+  let best = null;
+  const firstSlot = Math.ceil(earliest / SLOT_MINUTES) * SLOT_MINUTES;
+
+  for (let start = Math.min(firstSlot, latest); start <= latest; start += SLOT_MINUTES) {
+    const end = start + breakLength;
+    let cost = Math.abs(start - midpoint);
+    if (overlapsRush(start, end, isRushTime)) cost += RUSH_PENALTY;
+    cost += countOverlaps(start, end, planned) * OVERLAP_PENALTY;
+
+    if (!best || cost < best.cost) {
+      best = { start, end, cost };
+    }
+  }
+
+  return { start: best.start, end: best.end };
+}
+
+/**
+ * Plan break windows for a day's shifts
+ * shifts: [{ key, start, end, breakType }] with times in minutes, only employees who need a break
+ * options.isRushTime: (minutes) => boolean, breaks avoid these times when possible
+ * options.breakLength: break length in minutes (default 30)
+ * Returns Map of key -> { start, end } in minutes
+ */
+function planBreaks(shifts, options = {}) {
+  const isRushTime = options.isRushTime || (() => false);
+  const breakLength = options.breakLength || BREAK_LENGTH_MINUTES;
+
+  // Required breaks get first pick of the quiet windows, then earliest shifts first
+  const ordered = [...shifts].sort((a, b) => {
+    if (a.breakType !== b.breakType) return a.breakType === 'required' ? -1 : 1;
+    return a.start - b.start;
+  });
+
+  const planned = [];
+  const breaks = new Map();
+
+  for (const shift of ordered) {
+    const window = pickBreakWindow(shift, planned, isRushTime, breakLength);
+    planned.push(window);
+    breaks.set(shift.key, window);
+  }
+
+  return breaks;
+}
+
+module.exports = {
+  planBreaks,
+  BREAK_LENGTH_MINUTES
+};
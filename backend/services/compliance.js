@@ -0,0 +1,246 @@
+/**
+ * Labor law compliance checks
+ * Validates shift assignments against the store's rule pack (config/laborRulePacks.js)
+ * before a lineup is generated.
+ *
+ * Each rule takes a shift context and returns a list of violations:
+ *   { rule, severity: 'error' | 'warning', employeeId, name, message }
+ * Errors block lineup generation, warnings are shown but don't block.
+ */
+
+const { getRulePack, DEFAULT_RULE_PACK } = require('../config/laborRulePacks');
+const { getShiftMinutes } = require('./lineupGenerator');
+const { formatTime12Hour, timeToMinutes, addDays, dayOfWeek } = require('./timeUtils');
+
+/**
+ * Labor Day (first Monday of September) for a year, as YYYY-MM-DD
+ */
+function laborDay(year) {
+  const firstOfSeptember = `${year}-09-01`;
+  const offset = (8 - dayOfWeek(firstOfSeptember)) % 7;
+  return addDays(firstOfSeptember, offset);
+}
+
+/**
+ * Summer break runs June 1 through Labor Day (the federal definition)
+ */
+function isSummer(dateStr) {
+  const year = dateStr.substring(0, 4);
+  return dateStr >= `${year}-06-01` && dateStr <= laborDay(Number(year));
+}
+
+/**
+ * School days are weekdays outside summer break (holidays aren't tracked)
+ */
+function isSchoolDay(dateStr) {
+  const day = dayOfWeek(dateStr);
+  return day >= 1 && day <= 5 && !isSummer(dateStr);
+}
+
+/**
+ * A school night is any night before a school day
+ */
+function isSchoolNight(dateStr) {
+  return isSchoolDay(addDays(dateStr, 1));
+}
+
+/**
+ * Age in whole years on a given date
+ */
+function getAge(birthDate, onDate) {
+  const [birthYear, birthMonth, birthDay] = birthDate.substring(0, 10).split('-').map(Number);
+  const [year, month, day] = onDate.split('-').map(Number);
+  let age = year - birthYear;
+  if (month < birthMonth || (month === birthMonth && day < birthDay)) age--;
+  return age;
+}
+
+/**
+ * Minor age bracket, or null for adults
+ * Minors without a birth date on file are checked as 16-17
+ */
+function getMinorBracket(age, isMinor) {
+  if (age === null) return isMinor ? '16-17' : null;
+  if (age < 16) return '14-15';
+  if (age < 18) return '16-17';
+  return null;
+}
+
+const describe = (ctx) => ctx.age !== null ? `${ctx.name} (${ctx.age})` : ctx.name;
+
+const violation = (ctx, rule, severity, message) => ({
+  rule,
+  severity,
+  employeeId: ctx.shift.employeeId,
+  name: ctx.name,
+  message
+});
+
+// Hours worked on earlier days of the same Sunday-Saturday week
+const hoursEarlierThisWeek = (ctx) => {
+  const weekStart = addDays(ctx.date, -dayOfWeek(ctx.date));
+  return Object.entries(ctx.history)
+    .filter(([date]) => date >= weekStart && date < ctx.date)
+    .reduce((sum, [, hours]) => sum + hours, 0);
+};
+
+const daysEarlierThisWeek = (ctx) => {
+  const weekStart = addDays(ctx.date, -dayOfWeek(ctx.date));
+  return Object.keys(ctx.history).filter(date => date >= weekStart && date < ctx.date).length;
+};
+
+/**
+ * Compliance rules, run in order for every shift
+ */
+const RULES = [
+  function minimumAge(ctx) {
+    if (ctx.age === null || !ctx.pack.minimumAge || ctx.age >= ctx.pack.minimumAge) return [];
+    return [violation(ctx, 'minimumAge', 'error',
+      `${describe(ctx)} is under ${ctx.pack.minimumAge} and can't be scheduled`)];
+  },
+
+  function missingBirthDate(ctx) {
+    if (ctx.age !== null || !ctx.employee.isMinor) return [];
+    return [violation(ctx, 'missingBirthDate', 'warning',
+      `${ctx.name} is marked as a minor but has no birth date, so they were checked as 16-17`)];
+  },
+
+  function earliestStart(ctx) {
+    const limit = ctx.minorRules?.earliestStart;
+    if (!limit || timeToMinutes(ctx.shift.startTime) >= timeToMinutes(limit)) return [];
+    return [violation(ctx, 'earliestStart', 'error',
+      `${describe(ctx)} can't start before ${formatTime12Hour(limit)}`)];
+  },
+
+  function latestEnd(ctx) {
+    const latestEnd = ctx.minorRules?.latestEnd;
+    if (!latestEnd) return [];
+
+    let limit;
+    let when;
+    if (isSummer(ctx.date)) {
+      limit = latestEnd.summer || latestEnd.nonSchoolNight;
+      when = 'during summer';
+    } else if (isSchoolNight(ctx.date)) {
+      limit = latestEnd.schoolNight;
+      when = 'on a school night';
+    } else {
+      limit = latestEnd.nonSchoolNight;
+      when = 'on a non-school night';
+    }
+
+    if (!limit || getShiftMinutes(ctx.shift).end <= timeToMinutes(limit)) return [];
+    return [violation(ctx, 'latestEnd', 'error',
+      `${describe(ctx)} can't work past ${formatTime12Hour(limit)} ${when}`)];
+  },
+
+  function maxDailyHours(ctx) {
+    const limits = ctx.minorRules?.maxDailyHours;
+    if (!limits) return [];
+
+    const schoolDay = isSchoolDay(ctx.date);
+    const limit = schoolDay ? limits.schoolDay : limits.nonSchoolDay;
+    if (!limit || ctx.hours <= limit) return [];
+    return [violation(ctx, 'maxDailyHours', 'error',
+      `${describe(ctx)} is scheduled ${ctx.hours} hours, the limit on a ${schoolDay ? 'school day' : 'non-school day'} is ${limit}`)];
+  },
+
+  function maxWeeklyHours(ctx) {
+    const limits = ctx.minorRules?.maxWeeklyHours;
+    if (!limits) return [];
+
+    const limit = isSummer(ctx.date) ? limits.summerWeek : limits.schoolWeek;
+    const total = hoursEarlierThisWeek(ctx) + ctx.hours;
+    if (!limit || total <= limit) return [];
+    return [violation(ctx, 'maxWeeklyHours', 'error',
+      `${describe(ctx)} would work ${total} hours this week, the limit is ${limit}`)];
+  },
+
+  function maxDaysPerWeek(ctx) {
+    const limit = ctx.minorRules?.maxDaysPerWeek;
+    const days = daysEarlierThisWeek(ctx) + 1;
+    if (!limit || days <= limit) return [];
+    return [violation(ctx, 'maxDaysPerWeek', 'error',
+      `${describe(ctx)} would work ${days} days this week, the limit is ${limit}`)];
+  },
+
+  function maxConsecutiveDays(ctx) {
+    const limit = ctx.pack.maxConsecutiveDays;
+    if (!limit) return [];
+
+    let streak = 1;
+    while (ctx.history[addDays(ctx.date, -streak)] !== undefined) streak++;
+    if (streak <= limit) return [];
+    return [violation(ctx, 'maxConsecutiveDays', 'error',
+      `${describe(ctx)} would work ${streak} days in a row, the limit is ${limit}`)];
+  }
+];
+
+/**
+ * Check shift assignments against a rule pack
+ * @param shiftAssignments - employees and their shift times for the day
+ * @param employees - full employee data (birthDate, isMinor)
+ * @param options.rulePack - rule pack id (defaults to federal)
+ * @param options.date - lineup date, YYYY-MM-DD (defaults to today)
+ * @param options.history - hours already scheduled on earlier days, and elsewhere on this one:
+ *   { [employeeId]: { [date]: hours } }
+ * @returns list of violations, errors first
+ */
+function validateShifts(shiftAssignments, employees, options = {}) {
+  const pack = getRulePack(options.rulePack || DEFAULT_RULE_PACK);
+  const date = options.date || new Date().toISOString().split('T')[0];
+  const history = options.history || {};
+  const violations = [];
+  const seen = new Set();
+
+  // Every segment of a split shift counts toward the day, plus anything already saved for the
+  // day in history (e.g. a shift in the other house)
+  const dayHours = (employeeId) => shiftAssignments
+    .filter(s => s.employeeId === employeeId)
+    .reduce((sum, s) => {
+      const { start, end } = getShiftMinutes(s);
+      return sum + (end - start) / 60;
+    }, history[employeeId]?.[date] || 0);
+
+  for (const shift of shiftAssignments) {
+    const employee = employees.find(e => e.id === shift.employeeId) || {};
+    const age = employee.birthDate ? getAge(employee.birthDate, date) : null;
+    const bracket = getMinorBracket(age, employee.isMinor);
+
+    const ctx = {
+      shift,
+      employee,
+      name: shift.name || employee.name,
+      age,
+      pack,
+      date,
+      minorRules: bracket ? pack.minors[bracket] : null,
+      hours: dayHours(shift.employeeId),
+      history: history[shift.employeeId] || {}
+    };
+
+    for (const rule of RULES) {
+      // Someone with a split shift gets each day-wide violation once, not once per segment
+      for (const found of rule(ctx)) {
+        const key = `${found.employeeId}|${found.rule}|${found.message}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        violations.push(found);
+      }
+    }
+  }
+
+  return violations.sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+}
+
+/**
+ * True if any violation should stop lineup generation
+ */
+function hasBlockingViolations(violations) {
+  return violations.some(v => v.severity === 'error');
+}
+
+module.exports = {
+  validateShifts,
+  hasBlockingViolations
+};
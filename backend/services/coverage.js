@@ -0,0 +1,203 @@
+/**
+ * Coverage diagnostics
+ * Explains what a generated lineup couldn't cover, segment by segment, with suggested fixes:
+ * stations left open, stations filled by someone who isn't trained on them, stretches with
+ * no shift lead, and critical stations nobody working could run.
+ *
+ * Issues look like:
+ *   { type: 'unfilled' | 'fallback' | 'noLead' | 'noCertified', severity: 'error' | 'warning',
+ *     position, employeeId, name, message, fixes: [string] }
+ */
+
+const { getShiftMinutes, getExpectedStations } = require('./lineupGenerator');
+const { formatTime12Hour, minutesToTime, segmentMinutes } = require('./timeUtils');
+
+// The first stations of each segment (priority or layout order) are the ones it can't run without
+const CRITICAL_STATION_COUNT = 3;
+
+// Longest shift extension or early start worth suggesting
+const MAX_EXTENSION_MINUTES = 120;
+
+// Lineup rows that don't cover a station
+const NON_STATION_POSITIONS = ['lead (floating)', 'booster (floating)', 'in training', 'extra/support', 'on break'];
+
+// "breading (training w/ Alex)" - the trainer's row covers the station
+const TRAINING_PATTERN = / \(training w\/ .+\)$/;
+
+const formatRange = (start, end) => `${formatTime12Hour(minutesToTime(start))} - ${formatTime12Hour(minutesToTime(end))}`;
+
+/**
+ * Whether someone can run a station on their own on `date`: they work it, aren't still a trainee
+ * and their certification hasn't lapsed. Combined stations ("secondary2/buns") need either part
+ */
+function isCertified(employee, station, date) {
+  return station.split('/').some(pos => {
+    if (!employee.positions?.includes(pos) && !employee.bestPositions?.includes(pos)) return false;
+    const skill = employee.skills?.find(s => s.position === pos);
+    if (skill?.level === 'trainee') return false;
+    return !(skill?.expiresOn && skill.expiresOn < date);
+  });
+}
+
+/**
+ * Shifts that could stretch to cover a segment: ones ending before it (stay later) or
+ * starting after it (come in earlier), closest first
+ * Returns [{ shift, employee, minutes, text }]
+ */
+function findExtensions(shifts, segment, canCover) {
+  const options = [];
+
+  for (const { shift, employee } of shifts) {
+    const { start, end } = getShiftMinutes(shift);
+    if (!canCover(employee, shift)) continue;
+    const name = shift.name || employee.name;
+
+    if (end <= segment.start && segment.end - end <= MAX_EXTENSION_MINUTES) {
+      const minutes = segment.end - end;
+      options.push({ shift, employee, minutes, text: `Extend ${name}'s shift ${minutes} min (to ${formatTime12Hour(minutesToTime(segment.end))})` });
+    } else if (start >= segment.end && start - segment.start <= MAX_EXTENSION_MINUTES) {
+      const minutes = start - segment.start;
+      options.push({ shift, employee, minutes, text: `Start ${name} ${minutes} min early (at ${formatTime12Hour(minutesToTime(segment.start))})` });
+    }
+  }
+
+  return options.sort((a, b) => a.minutes - b.minutes);
+}
+
+/**
+ * Add coverage diagnostics to generated lineups
+ * Sets `coverage` (a list of issues, empty when the segment is fully covered) on each lineup in place
+ * @param lineups - generateLineups output (each lineup has stations, the positions it staffs)
+ * @param shiftAssignments - the day's shifts ({ employeeId, name, startTime, endTime, isShiftLead })
+ * @param employees - full employee data (positions, bestPositions, skills)
+ * @param date - YYYY-MM-DD, for certification expiry
+ * @returns total number of issues
+ */
+function addCoverageDiagnostics(lineups, shiftAssignments, employees, date) {
+  const shifts = shiftAssignments.map(shift => ({
+    shift,
+    employee: employees.find(e => e.id === shift.employeeId) || {}
+  }));
+  const scheduledIds = new Set(shiftAssignments.map(s => s.employeeId));
+  const unscheduled = employees.filter(e => !scheduledIds.has(e.id));
+  const anyLead = shiftAssignments.some(s => s.isShiftLead === true);
+  const minutes = segmentMinutes(lineups);
+  let issueCount = 0;
+
+  lineups.forEach((lineup, index) => {
+    const segment = minutes[index];
+    const range = formatRange(segment.start, segment.end);
+    const issues = [];
+
+    // Everyone scheduled across the segment, including anyone on break during it
+    const working = shifts.filter(({ shift }) => {
+      const { start, end } = getShiftMinutes(shift);
+      return start <= segment.start && end >= segment.end;
+    });
+    const offShift = shifts.filter(s => !working.includes(s));
+    const extensionFixes = (station) =>
+      findExtensions(offShift, segment, (employee) => isCertified(employee, station, date))
+        .slice(0, 2)
+        .map(option => `${option.text} to cover ${range} ${station}`);
+    // Leads and boosters float, so one who can work the station could step onto it
+    const floaterFixes = (station) => lineup.assignments
+      .filter(a => (a.position === 'lead (floating)' || a.position === 'booster (floating)') &&
+        isCertified(a.employee, station, date))
+      .map(a => `Put ${a.employee.name} (${a.position.replace(' (floating)', '')}) on ${station}`);
+    const callInFix = (station) => {
+      const names = unscheduled.filter(e => isCertified(e, station, date)).slice(0, 3).map(e => e.name);
+      return names.length > 0 ? [`Call in someone who can work ${station}: ${names.join(', ')}`] : [];
+    };
+
+    const stations = getExpectedStations(lineup);
+    const covered = new Set(lineup.assignments
+      .filter(a => !NON_STATION_POSITIONS.includes(a.position) && !TRAINING_PATTERN.test(a.position))
+      .map(a => a.position.replace(' (lead)', '')));
+
+    // Critical stations nobody working could run - more people on the same shift won't fix these
+    const uncertified = new Set();
+    for (const station of stations.slice(0, CRITICAL_STATION_COUNT)) {
+      if (working.some(({ employee }) => isCertified(employee, station, date))) continue;
+      uncertified.add(station);
+      const fixes = [...extensionFixes(station), ...callInFix(station)];
+      issues.push({
+        type: 'noCertified',
+        severity: 'error',
+        position: station,
+        message: `Nobody working ${range} is certified on ${station}`,
+        fixes: fixes.length > 0 ? fixes : [`Train someone on ${station}`]
+      });
+    }
+
+    for (const station of stations) {
+      if (covered.has(station) || uncertified.has(station)) continue;
+      const critical = stations.indexOf(station) < CRITICAL_STATION_COUNT;
+      issues.push({
+        type: 'unfilled',
+        severity: critical ? 'error' : 'warning',
+        position: station,
+        message: `${station} has nobody on it ${range}`,
+        fixes: [...floaterFixes(station), ...extensionFixes(station), ...callInFix(station)]
+      });
+    }
+
+    for (const assignment of lineup.assignments) {
+      if (assignment.matchQuality !== 'fallback' || uncertified.has(assignment.position)) continue;
+      const station = assignment.position;
+      const name = assignment.employee.name;
+      const employeeId = assignment.employee.employeeId || assignment.employee.id || null;
+
+      // A trade with someone who can work this station and whose station this person can work
+      const swaps = lineup.assignments
+        .filter(other => other !== assignment &&
+          !NON_STATION_POSITIONS.includes(other.position) && !TRAINING_PATTERN.test(other.position) &&
+          !other.pinned && isCertified(other.employee, station, date) &&
+          isCertified(assignment.employee, other.position.replace(' (lead)', ''), date))
+        .slice(0, 2)
+        .map(other => `Swap ${name} and ${other.employee.name} (on ${other.position})`);
+      // An open station this person can work, if the one they're on is covered some other way
+      const openStation = stations.find(open => !covered.has(open) && isCertified(assignment.employee, open, date));
+      const moves = openStation ? [`Move ${name} to ${openStation}, which is open`] : [];
+
+      issues.push({
+        type: 'fallback',
+        severity: 'warning',
+        position: station,
+        employeeId,
+        name,
+        message: `${name} is on ${station} ${range} but isn't trained on it`,
+        fixes: [...swaps, ...floaterFixes(station), ...moves, ...extensionFixes(station)]
+      });
+    }
+
+    // Shift leads: a gap in the day's lead coverage, or nobody marked lead at all (said once)
+    if (anyLead && !working.some(({ shift }) => shift.isShiftLead === true)) {
+      const leadShifts = offShift.filter(({ shift }) => shift.isShiftLead === true);
+      const fixes = findExtensions(leadShifts, segment, () => true)
+        .slice(0, 2)
+        .map(option => `${option.text} to cover ${range}`);
+      issues.push({
+        type: 'noLead',
+        severity: 'warning',
+        message: `No shift lead ${range}`,
+        fixes: fixes.length > 0 ? fixes : [`Schedule a shift lead for ${range}`]
+      });
+    } else if (!anyLead && index === 0) {
+      issues.push({
+        type: 'noLead',
+        severity: 'warning',
+        message: 'Nobody is marked shift lead today',
+        fixes: ['Mark a shift lead on the schedule']
+      });
+    }
+
+    lineup.coverage = issues;
+    issueCount += issues.length;
+  });
+
+  return issueCount;
+}
+
+module.exports = {
+  addCoverageDiagnostics
+};
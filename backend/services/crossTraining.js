@@ -0,0 +1,182 @@
+/**
+ * Cross-training report
+ * Totals the hours each employee spent on each station in saved lineups, finds the positions
+ * they're listed for but never work, and flags stations that too few people can cover
+ * (single points of failure), with suggestions for who to schedule or train there.
+ */
+
+const { getShiftMinutes } = require('./lineupGenerator');
+
+// Lineup rows that aren't a station
+const NON_STATION_POSITIONS = ['lead (floating)', 'booster (floating)', 'in training', 'extra/support', 'on break', 'available'];
+
+// A station fewer people than this can work is thin; one person or nobody is critical
+const MIN_STATION_DEPTH = 3;
+
+// One person doing at least this share of a station's hours is a single point of failure too
+const CONCENTRATION_SHARE = 0.8;
+
+const SUGGESTIONS_PER_STATION = 3;
+
+// "breading (training w/ Alex)" - a trainee paired with a trainer
+const TRAINING_PATTERN = /^(.+) \(training w\/ .+\)$/;
+
+const round = (hours) => Math.round(hours * 10) / 10;
+
+const skillLevel = (employee, position) =>
+  (employee.skills || []).find(s => s.position === position)?.level || null;
+
+/**
+ * The station a lineup row counts toward, or null for rows that aren't a station
+ * Combined stations ("secondary2/buns") count toward the part the employee is listed for
+ */
+function stationFor(position, employee) {
+  const training = position.match(TRAINING_PATTERN);
+  if (training) {
+    return { station: training[1], training: true };
+  }
+  if (NON_STATION_POSITIONS.includes(position)) return null;
+
+  const options = position.replace(' (lead)', '').split('/');
+  const station = options.find(option => (employee.positions || []).includes(option)) || options[0];
+  return { station, training: false };
+}
+
+/**
+ * Build the cross-training report for one house
+ * @param lineups - saved lineups: [{ startTime, endTime, shiftPeriod, assignments: [{ employeeId, position }] }]
+ * @param employees - the house's employees (API format, with skills)
+ * @param positions - the house's active positions, in priority order
+ * @returns { employees, stations, suggestions }
+ *   employees: [{ employeeId, name, totalHours, positions: [{ position, hours, trainingHours, listed }], neverWorked }]
+ *     sorted by hours worked
+ *   stations: [{ position, priority, capable, trainees, trainers, workedBy, hours, topShare, risk }]
+ *   suggestions: [{ position, employeeId, name, kind: 'schedule' | 'continue' | 'train', reason, trainer }]
+ */
+function buildCrossTrainingReport(lineups, employees, positions) {
+  const employeesById = new Map(employees.map(e => [e.id, e]));
+  // employeeId -> station -> { hours, trainingHours }
+  const worked = new Map(employees.map(e => [e.id, new Map()]));
+
+  for (const lineup of lineups) {
+    // Closing lineups share their start and end time, so they add no hours
+    if (lineup.shiftPeriod === 'closing') continue;
+    const { start, end } = getShiftMinutes(lineup);
+    const hours = (end - start) / 60;
+
+    for (const assignment of lineup.assignments || []) {
+      const employee = employeesById.get(assignment.employeeId);
+      if (!employee) continue;
+      const found = stationFor(assignment.position, employee);
+      if (!found) continue;
+
+      const stations = worked.get(employee.id);
+      const totals = stations.get(found.station) || { hours: 0, trainingHours: 0 };
+      if (found.training) totals.trainingHours += hours;
+      else totals.hours += hours;
+      stations.set(found.station, totals);
+    }
+  }
+
+  const stationNames = positions.map(p => p.name);
+
+  const employeeReport = employees.map(employee => {
+    const stations = worked.get(employee.id);
+    const positionHours = [...stations.entries()]
+      .map(([position, totals]) => ({
+        position,
+        hours: round(totals.hours),
+        trainingHours: round(totals.trainingHours),
+        listed: (employee.positions || []).includes(position)
+      }))
+      .sort((a, b) => (b.hours + b.trainingHours) - (a.hours + a.trainingHours));
+
+    return {
+      employeeId: employee.id,
+      name: employee.name,
+      totalHours: round([...stations.values()].reduce((sum, t) => sum + t.hours + t.trainingHours, 0)),
+      positions: positionHours,
+      // Positions they're still training on don't count as never worked
+      neverWorked: (employee.positions || []).filter(p =>
+        stationNames.includes(p) && skillLevel(employee, p) !== 'trainee' && !(stations.get(p)?.hours > 0)
+      )
+    };
+  });
+
+  const hoursOn = (employee, position) => worked.get(employee.id).get(position)?.hours || 0;
+
+  const stationReport = positions.map(position => {
+    const listed = employees.filter(e => (e.positions || []).includes(position.name));
+    const capable = listed.filter(e => skillLevel(e, position.name) !== 'trainee');
+    const trainees = listed.filter(e => skillLevel(e, position.name) === 'trainee');
+    const trainers = listed.filter(e => skillLevel(e, position.name) === 'trainer');
+    const workers = employees.filter(e => hoursOn(e, position.name) > 0);
+    const hours = workers.reduce((sum, e) => sum + hoursOn(e, position.name), 0);
+    const topShare = hours > 0 ? Math.max(...workers.map(e => hoursOn(e, position.name))) / hours : 0;
+
+    let risk = null;
+    if (capable.length <= 1) risk = 'critical';
+    else if (capable.length < MIN_STATION_DEPTH) risk = 'thin';
+    else if (topShare >= CONCENTRATION_SHARE) risk = 'concentrated';
+
+    return {
+      position: position.name,
+      priority: position.priority,
+      capable: capable.map(e => e.name),
+      trainees: trainees.map(e => e.name),
+      trainers: trainers.map(e => e.name),
+      workedBy: workers
+        .sort((a, b) => hoursOn(b, position.name) - hoursOn(a, position.name))
+        .map(e => ({ name: e.name, hours: round(hoursOn(e, position.name)) })),
+      hours: round(hours),
+      topShare: Math.round(topShare * 100) / 100,
+      risk
+    };
+  });
+
+  const totalHours = new Map(employeeReport.map(e => [e.employeeId, e.totalHours]));
+  const suggestions = [];
+
+  for (const station of stationReport) {
+    if (!station.risk) continue;
+    const name = station.position;
+    const trainer = station.trainers[0] || station.workedBy[0]?.name || null;
+
+    // Listed but never scheduled there first, then people already training on it,
+    // then whoever works the most hours and can't work it yet
+    const scheduleNext = employees
+      .filter(e => (e.positions || []).includes(name) && skillLevel(e, name) !== 'trainee' && hoursOn(e, name) === 0)
+      .map(e => ({ employee: e, kind: 'schedule', reason: `Listed for ${name} but hasn't worked it in this range` }));
+    const continueTraining = employees
+      .filter(e => skillLevel(e, name) === 'trainee' && (e.positions || []).includes(name))
+      .map(e => ({ employee: e, kind: 'continue', reason: `Already training on ${name}` }));
+    const train = employees
+      .filter(e => !(e.positions || []).includes(name))
+      .sort((a, b) => totalHours.get(b.id) - totalHours.get(a.id))
+      .map(e => ({ employee: e, kind: 'train', reason: `Worked ${totalHours.get(e.id)} hours in this range and can't work ${name} yet` }));
+
+    // With the station concentrated on one person, the fix is getting others on it, not adding more names
+    const candidates = station.risk === 'concentrated' ? scheduleNext : [...scheduleNext, ...continueTraining, ...train];
+
+    for (const candidate of candidates.slice(0, SUGGESTIONS_PER_STATION)) {
+      suggestions.push({
+        position: name,
+        employeeId: candidate.employee.id,
+        name: candidate.employee.name,
+        kind: candidate.kind,
+        reason: candidate.reason,
+        trainer: candidate.kind === 'schedule' || trainer === candidate.employee.name ? null : trainer
+      });
+    }
+  }
+
+  return {
+    employees: employeeReport.sort((a, b) => b.totalHours - a.totalHours || a.name.localeCompare(b.name)),
+    stations: stationReport,
+    suggestions
+  };
+}
+
+module.exports = {
+  buildCrossTrainingReport
+};
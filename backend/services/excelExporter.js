@@ -1,20 +1,325 @@
 const ExcelJS = require('exceljs');
 const path = require('path');
+const { formatTime12Hour, minutesToTime, segmentMinutes } = require('./timeUtils');
 
 /**
- * Convert 24-hour time to 12-hour format
+ * Describe an assignment's break, e.g. "On break 1:30 PM-2:00 PM"
  */
-function formatTime12Hour(time24) {
-  const [hours, minutes] = time24.split(':').map(Number);
-  const period = hours >= 12 ? 'PM' : 'AM';
-  const hours12 = hours % 12 || 12;
-  return `${hours12}:${minutes.toString().padStart(2, '0')} ${period}`;
+function describeBreak(assignment) {
+  const window = assignment.breakStart
+    ? `${formatTime12Hour(assignment.breakStart)}-${formatTime12Hour(assignment.breakEnd)}`
+    : null;
+
+  if (assignment.position === 'on break') {
+    return window ? `On break ${window}` : 'On break';
+  }
+  if (!assignment.needsBreak) return '';
+
+  const label = assignment.breakType === 'required' ? 'BREAK REQUIRED' : 'Break (optional)';
+  return window ? `${label} ${window}` : label;
+}
+
+const SLOT_MINUTES = 15;
+
+// Timeline colors for rows that aren't stations; stations take colors from STATION_COLORS in order
+const SPECIAL_COLORS = {
+  'lead (floating)': 'FFFFE08A',
+  'booster (floating)': 'FFFFD8A8',
+  'extra/support': 'FFD9D9D9',
+  'on break': 'FFADD8E6',
+  training: 'FFE1D5F5'
+};
+const STATION_COLORS = [
+  'FFF4CCCC', 'FFD9EAD3', 'FFCFE2F3', 'FFFFF2CC', 'FFEAD1DC', 'FFD0E0E3',
+  'FFFCE5CD', 'FFD9D2E9', 'FFB6D7A8', 'FFA4C2F4', 'FFF9CB9C', 'FFB4A7D6'
+];
+
+const STATION_QUALITIES = ['best', 'capable', 'fallback'];
+const FLOATING_POSITIONS = ['lead (floating)', 'booster (floating)'];
+
+const solidFill = (argb) => ({ type: 'pattern', pattern: 'solid', fgColor: { argb } });
+
+const employeeKey = (employee) => employee.employeeId || employee.id || employee.name;
+
+/**
+ * Short name for a lineup row: "breading (training w/ Alex)" is "breading (training)",
+ * "on break" is "break" and the lead/booster lose "(floating)"
+ */
+function describePosition(position) {
+  if (position === 'on break') return 'break';
+  return position
+    .replace(/ \(training w\/ .+\)$/, ' (training)')
+    .replace(' (floating)', '');
+}
+
+/**
+ * Each employee's day as runs of the same position, in timeline order
+ * Returns [{ key, name, runs: [{ start, end, position, assignment }] }] sorted by first block
+ */
+function buildItineraries(lineups) {
+  const minutes = segmentMinutes(lineups);
+  const byEmployee = new Map();
+
+  lineups.forEach((lineup, index) => {
+    for (const assignment of lineup.assignments) {
+      const key = employeeKey(assignment.employee);
+      if (!byEmployee.has(key)) {
+        byEmployee.set(key, { key, name: assignment.employee.name, runs: [] });
+      }
+      const runs = byEmployee.get(key).runs;
+      const last = runs[runs.length - 1];
+      const { start, end } = minutes[index];
+      if (last && last.end === start && last.position === assignment.position) {
+        last.end = end;
+      } else {
+        runs.push({ start, end, position: assignment.position, assignment });
+      }
+    }
+  });
+
+  return [...byEmployee.values()].sort((a, b) => a.runs[0].start - b.runs[0].start || a.name.localeCompare(b.name));
+}
+
+/**
+ * Color for a lineup position on the timeline, assigning station colors as they're first seen
+ */
+function positionColor(position, stationColors) {
+  if (SPECIAL_COLORS[position]) return SPECIAL_COLORS[position];
+  if (/ \(training w\/ .+\)$/.test(position) || position === 'in training') return SPECIAL_COLORS.training;
+
+  const station = position.replace(' (lead)', '');
+  if (!stationColors.has(station)) {
+    stationColors.set(station, STATION_COLORS[stationColors.size % STATION_COLORS.length]);
+  }
+  return stationColors.get(station);
+}
+
+/**
+ * Summary counts for the day
+ */
+function summarize(lineups, closingLineup) {
+  const matches = { best: 0, capable: 0, fallback: 0, training: 0, extra: 0 };
+  const requiredBreaks = new Set();
+  const optionalBreaks = new Set();
+  const breaksTaken = new Set();
+  const people = new Set();
+
+  for (const lineup of lineups) {
+    for (const assignment of lineup.assignments) {
+      const key = employeeKey(assignment.employee);
+      people.add(key);
+      if (assignment.position === 'on break') {
+        breaksTaken.add(key);
+        continue;
+      }
+      // Floating leads and boosters aren't on a station, so they don't count toward match quality
+      if (!FLOATING_POSITIONS.includes(assignment.position) && matches[assignment.matchQuality] !== undefined) {
+        matches[assignment.matchQuality]++;
+      }
+      if (assignment.needsBreak && assignment.breakType === 'required') requiredBreaks.add(key);
+      if (assignment.needsBreak && assignment.breakType === 'optional') optionalBreaks.add(key);
+    }
+  }
+
+  const stationAssignments = STATION_QUALITIES.reduce((sum, quality) => sum + matches[quality], 0);
+  return {
+    blocks: lineups.length,
+    people: people.size,
+    matches,
+    stationAssignments,
+    requiredBreaks: requiredBreaks.size,
+    optionalBreaks: optionalBreaks.size,
+    breaksScheduled: breaksTaken.size,
+    closers: closingLineup?.assignments?.length || 0
+  };
+}
+
+/**
+ * Timeline sheet: a row per employee and a column per 15 minutes, colored by position
+ * The position name is written where each stretch starts
+ */
+function addTimelineSheet(workbook, lineups) {
+  const worksheet = workbook.addWorksheet('Timeline', { views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }] });
+  const minutes = segmentMinutes(lineups);
+  if (minutes.length === 0) return worksheet;
+
+  const dayStart = Math.floor(minutes[0].start / SLOT_MINUTES) * SLOT_MINUTES;
+  const dayEnd = Math.max(...minutes.map(m => m.end));
+  const slotCount = Math.ceil((dayEnd - dayStart) / SLOT_MINUTES);
+
+  worksheet.columns = [
+    { header: 'Employee', key: 'employee', width: 22 },
+    ...Array.from({ length: slotCount }, () => ({ width: 4 }))
+  ];
+
+  // Label the hours; the slots between them stay blank to keep the columns narrow
+  const header = worksheet.getRow(1);
+  for (let slot = 0; slot < slotCount; slot++) {
+    const time = dayStart + slot * SLOT_MINUTES;
+    if (time % 60 === 0 || slot === 0) {
+      header.getCell(slot + 2).value = formatTime12Hour(minutesToTime(time)).replace(':00', '');
+    }
+  }
+  header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  header.fill = solidFill('FFE31837');
+
+  const stationColors = new Map();
+  for (const itinerary of buildItineraries(lineups)) {
+    const row = worksheet.addRow({ employee: itinerary.name });
+    for (const run of itinerary.runs) {
+      const color = positionColor(run.position, stationColors);
+      const first = (run.start - dayStart) / SLOT_MINUTES;
+      const last = Math.ceil((run.end - dayStart) / SLOT_MINUTES) - 1;
+      for (let slot = first; slot <= last; slot++) {
+        row.getCell(slot + 2).fill = solidFill(color);
+      }
+      const label = row.getCell(first + 2);
+      label.value = describePosition(run.position);
+      label.font = { size: 9, bold: run.position === 'on break' };
+    }
+  }
+
+  // Key to the station colors
+  worksheet.addRow({});
+  const keyTitle = worksheet.addRow({ employee: 'Colors' });
+  keyTitle.font = { bold: true };
+  const keyEntries = [...stationColors.entries(), ...Object.entries(SPECIAL_COLORS)];
+  for (const [position, color] of keyEntries) {
+    const row = worksheet.addRow({ employee: describePosition(position) });
+    row.getCell(2).fill = solidFill(color);
+  }
+
+  return worksheet;
+}
+
+/**
+ * Itinerary sheet: each employee's day in one line, e.g. "11:00 AM primary → 2:00 PM breading → 3:00 PM break"
+ */
+function addItinerarySheet(workbook, lineups) {
+  const worksheet = workbook.addWorksheet('Itinerary');
+  worksheet.columns = [
+    { header: 'Employee', key: 'employee', width: 22 },
+    { header: 'Shift', key: 'shift', width: 20 },
+    { header: 'Itinerary', key: 'itinerary', width: 90 },
+    { header: 'Moves', key: 'moves', width: 8 },
+    { header: 'Break', key: 'breakStatus', width: 32 }
+  ];
+  worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  worksheet.getRow(1).fill = solidFill('FFE31837');
+
+  for (const itinerary of buildItineraries(lineups)) {
+    const { runs } = itinerary;
+    const tookBreak = runs.find(run => run.position === 'on break');
+    const flagged = runs.find(run => run.assignment.needsBreak);
+
+    const row = worksheet.addRow({
+      employee: itinerary.name,
+      shift: `${formatTime12Hour(minutesToTime(runs[0].start))} - ${formatTime12Hour(minutesToTime(runs[runs.length - 1].end))}`,
+      itinerary: runs.map(run => `${formatTime12Hour(minutesToTime(run.start))} ${describePosition(run.position)}`).join(' → '),
+      moves: runs.filter(run => run.position !== 'on break').length - 1,
+      breakStatus: tookBreak ? describeBreak(tookBreak.assignment) : flagged ? describeBreak(flagged.assignment) : ''
+    });
+    row.getCell('itinerary').alignment = { wrapText: true, vertical: 'top' };
+    if (!tookBreak && flagged?.assignment.breakType === 'required') {
+      row.getCell('breakStatus').fill = solidFill('FFFFFF00');
+      row.getCell('breakStatus').font = { bold: true };
+    }
+  }
+
+  return worksheet;
+}
+
+/**
+ * Closing sheet: the closing positions and who's on them
+ */
+function addClosingSheet(workbook, closingLineup) {
+  const worksheet = workbook.addWorksheet('Closing');
+  worksheet.columns = [
+    { header: 'Position', key: 'position', width: 22 },
+    { header: 'Employee', key: 'employee', width: 22 },
+    { header: 'Match', key: 'match', width: 12 }
+  ];
+  worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  worksheet.getRow(1).fill = solidFill('FFE31837');
+
+  const assignments = closingLineup?.assignments || [];
+  if (assignments.length === 0) {
+    worksheet.addRow({ position: 'No closing lineup for this day' });
+    return worksheet;
+  }
+
+  for (const assignment of assignments) {
+    const row = worksheet.addRow({
+      position: assignment.position,
+      employee: assignment.employee.name,
+      match: assignment.matchQuality
+    });
+    if (assignment.matchQuality === 'best') {
+      row.getCell('match').fill = solidFill('FF90EE90');
+    } else if (assignment.matchQuality === 'fallback') {
+      row.getCell('match').fill = solidFill('FFFFCCCB');
+    }
+  }
+
+  return worksheet;
+}
+
+/**
+ * Summary sheet: match quality and break counts for the day
+ */
+function addSummarySheet(workbook, lineups, closingLineup, options) {
+  const worksheet = workbook.addWorksheet('Summary');
+  worksheet.columns = [
+    { key: 'label', width: 34 },
+    { key: 'value', width: 12 },
+    { key: 'share', width: 10 }
+  ];
+
+  const stats = summarize(lineups, closingLineup);
+  const share = (count) => stats.stationAssignments > 0 ? `${Math.round((count / stats.stationAssignments) * 100)}%` : '';
+  const houseLabel = options.houseType === 'foh' ? 'Front of House' : options.houseType === 'boh' ? 'Back of House' : null;
+
+  const title = worksheet.addRow({ label: ['Lineup Summary', houseLabel, options.date].filter(Boolean).join(' - ') });
+  title.font = { bold: true, size: 14 };
+  worksheet.addRow({});
+
+  const section = (label) => {
+    const row = worksheet.addRow({ label });
+    row.font = { bold: true };
+    row.fill = solidFill('FFCCCCCC');
+  };
+
+  section('Day');
+  worksheet.addRow({ label: 'Lineup blocks', value: stats.blocks });
+  worksheet.addRow({ label: 'People working', value: stats.people });
+  worksheet.addRow({ label: 'Closers', value: stats.closers });
+  worksheet.addRow({});
+
+  section('Station assignments (all blocks)');
+  const best = worksheet.addRow({ label: 'Best position', value: stats.matches.best, share: share(stats.matches.best) });
+  best.getCell('value').fill = solidFill('FF90EE90');
+  worksheet.addRow({ label: 'Capable', value: stats.matches.capable, share: share(stats.matches.capable) });
+  const fallback = worksheet.addRow({ label: 'Fallback (not trained)', value: stats.matches.fallback, share: share(stats.matches.fallback) });
+  fallback.getCell('value').fill = solidFill('FFFFCCCB');
+  worksheet.addRow({ label: 'Training', value: stats.matches.training });
+  worksheet.addRow({ label: 'Extra/support', value: stats.matches.extra });
+  worksheet.addRow({});
+
+  section('Breaks (people)');
+  const required = worksheet.addRow({ label: 'Required', value: stats.requiredBreaks });
+  if (stats.requiredBreaks > stats.breaksScheduled) required.getCell('value').fill = solidFill('FFFFFF00');
+  worksheet.addRow({ label: 'Optional', value: stats.optionalBreaks });
+  worksheet.addRow({ label: 'With a break block scheduled', value: stats.breaksScheduled });
+
+  return worksheet;
 }
 
 /**
  * Generate Excel file with lineup data
+ * Sheets: Lineup (every block), Timeline, Itinerary, Closing and Summary
+ * @param options - { houseType, date } for the summary title
  */
-async function generateExcelLineup(lineups, filename = 'lineup.xlsx') {
+async function generateExcelLineup(lineups, closingLineup = null, options = {}) {
   const workbook = new ExcelJS.Workbook();
   workbook.creator = 'Shift Lineup App';
   workbook.created = new Date();
@@ -28,7 +333,7 @@ async function generateExcelLineup(lineups, filename = 'lineup.xlsx') {
     { header: 'Position', key: 'position', width: 20 },
     { header: 'Employee', key: 'employee', width: 20 },
     { header: 'Match', key: 'match', width: 12 },
-    { header: 'Break Status', key: 'breakStatus', width: 15 }
+    { header: 'Break Status', key: 'breakStatus', width: 32 }
   ];
 
   // Style the header row
@@ -47,18 +352,17 @@ async function generateExcelLineup(lineups, filename = 'lineup.xlsx') {
     let firstRowOfPeriod = currentRow;
 
     for (const assignment of lineup.assignments) {
-      let breakStatus = '';
-      if (assignment.needsBreak) {
-        breakStatus = assignment.breakType === 'required' ? 'BREAK REQUIRED' : 'Break (optional)';
-      }
+      const position = assignment.coveringFor
+        ? `${assignment.position} (covering ${assignment.coveringFor})`
+        : assignment.position;
 
       worksheet.addRow({
         timePeriod: currentRow === firstRowOfPeriod ? timePeriod : '',
         shift: currentRow === firstRowOfPeriod ? lineup.shiftPeriod : '',
-        position: assignment.position,
+        position: position,
         employee: assignment.employee.name,
         match: assignment.matchQuality,
-        breakStatus: breakStatus
+        breakStatus: describeBreak(assignment)
       });
 
       // Color code match quality
@@ -77,8 +381,16 @@ async function generateExcelLineup(lineups, filename = 'lineup.xlsx') {
         };
       }
 
-      // Highlight required breaks
-      if (assignment.breakType === 'required') {
+      // Highlight people on break and required breaks
+      if (assignment.position === 'on break') {
+        const breakCell = worksheet.getCell(`F${currentRow}`);
+        breakCell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFADD8E6' } // Light blue
+        };
+        breakCell.font = { bold: true };
+      } else if (assignment.breakType === 'required') {
         const breakCell = worksheet.getCell(`F${currentRow}`);
         breakCell.fill = {
           type: 'pattern',
@@ -96,47 +408,24 @@ async function generateExcelLineup(lineups, filename = 'lineup.xlsx') {
     currentRow++;
   }
 
-  // Add summary section
-  worksheet.addRow({});
-  currentRow++;
-
-  const summaryRow = worksheet.addRow({
-    timePeriod: 'SUMMARY',
-    shift: '',
-    position: '',
-    employee: '',
-    match: '',
-    breakStatus: ''
-  });
-  summaryRow.font = { bold: true };
-  summaryRow.fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FFCCCCCC' }
-  };
-
-  worksheet.addRow({
-    timePeriod: `Total Time Periods: ${lineups.length}`,
-    shift: '',
-    position: '',
-    employee: '',
-    match: '',
-    breakStatus: ''
-  });
-
   // Auto-fit columns
   worksheet.columns.forEach(column => {
     column.alignment = { vertical: 'middle', horizontal: 'left' };
   });
 
+  addTimelineSheet(workbook, lineups);
+  addItinerarySheet(workbook, lineups);
+  addClosingSheet(workbook, closingLineup);
+  addSummarySheet(workbook, lineups, closingLineup, options);
+
   return workbook;
 }
 
 /**
  * Export workbook to buffer
  */
-async function exportToBuffer(lineups) {
-  const workbook = await generateExcelLineup(lineups);
+async function exportToBuffer(lineups, closingLineup = null, options = {}) {
+  const workbook = await generateExcelLineup(lineups, closingLineup, options);
   return await workbook.xlsx.writeBuffer();
 }
 
@@ -0,0 +1,131 @@
+/**
+ * Employee itineraries
+ * Turns a day's saved lineups into each person's day: where they are, when they move,
+ * when they're on break and whether they close.
+ *
+ * An itinerary looks like:
+ *   { startTime, endTime,
+ *     steps: [{ startTime, endTime, position, station, kind, isLead, coveringFor, trainer }],
+ *     break: { type, startTime, endTime, scheduled } | null,
+ *     closing: { position } | null }
+ * kind is 'station', 'lead', 'booster', 'training', 'extra' or 'break'
+ */
+
+const { timeToMinutes } = require('./timeUtils');
+
+const TRAINING_PATTERN = /^(.+) \(training w\/ (.+)\)$/;
+
+const KINDS = {
+  'lead (floating)': 'lead',
+  'booster (floating)': 'booster',
+  'in training': 'training',
+  'extra/support': 'extra',
+  'on break': 'break'
+};
+
+/**
+ * What a lineup row means for the person on it
+ */
+function describeStep(position) {
+  const training = position.match(TRAINING_PATTERN);
+  if (training) {
+    return { kind: 'training', station: training[1], trainer: training[2], isLead: false };
+  }
+  if (KINDS[position]) {
+    return { kind: KINDS[position], station: null, trainer: null, isLead: position === 'lead (floating)' };
+  }
+  const isLead = position.endsWith(' (lead)');
+  return { kind: 'station', station: isLead ? position.replace(' (lead)', '') : position, trainer: null, isLead };
+}
+
+/**
+ * Build one employee's itinerary from their blocks, in saved (generation) order
+ * @param blocks - [{ startTime, endTime, shiftPeriod, position, needsBreak, breakType, breakStart, breakEnd, coveringFor }]
+ *   the closing block has shiftPeriod 'closing'
+ */
+function buildItinerary(blocks) {
+  const steps = [];
+  let closing = null;
+  let flagged = null;
+
+  for (const block of blocks) {
+    if (block.shiftPeriod === 'closing') {
+      closing = { position: block.position };
+      continue;
+    }
+    if (block.needsBreak && !flagged) flagged = block;
+
+    // Consecutive blocks on the same row are one step
+    const last = steps[steps.length - 1];
+    if (last && last.position === block.position && last.endTime === block.startTime &&
+        (last.coveringFor || null) === (block.coveringFor || null)) {
+      last.endTime = block.endTime;
+      continue;
+    }
+    steps.push({
+      startTime: block.startTime,
+      endTime: block.endTime,
+      position: block.position,
+      ...describeStep(block.position),
+      coveringFor: block.coveringFor || null
+    });
+  }
+
+  const breakStep = steps.find(step => step.kind === 'break');
+  const source = blocks.find(b => b.breakStart) || flagged;
+  let breakInfo = null;
+  if (breakStep || flagged) {
+    breakInfo = {
+      type: flagged?.breakType || null,
+      startTime: source?.breakStart || breakStep?.startTime || null,
+      endTime: source?.breakEnd || breakStep?.endTime || null,
+      scheduled: Boolean(breakStep)
+    };
+  }
+
+  return {
+    startTime: steps[0]?.startTime || null,
+    endTime: steps[steps.length - 1]?.endTime || null,
+    steps,
+    break: breakInfo,
+    closing
+  };
+}
+
+/**
+ * Itineraries for everyone in a day's saved lineups (loadSavedLineups format)
+ * @param lineups - saved lineups for one house and day, in generation order
+ * @param employees - [{ id, name }] for names
+ * @returns [{ employeeId, name, ...itinerary }] sorted by start time, then name
+ */
+function buildDayItineraries(lineups, employees) {
+  const blocksByEmployee = new Map();
+  for (const lineup of lineups) {
+    for (const assignment of lineup.assignments) {
+      if (!blocksByEmployee.has(assignment.employeeId)) blocksByEmployee.set(assignment.employeeId, []);
+      blocksByEmployee.get(assignment.employeeId).push({
+        startTime: lineup.startTime,
+        endTime: lineup.endTime,
+        shiftPeriod: lineup.shiftPeriod,
+        ...assignment
+      });
+    }
+  }
+
+  // Overnight blocks sort after the evening ones by their place in the day, not the clock
+  const dayStart = lineups.length > 0 ? timeToMinutes(lineups[0].startTime) : 0;
+  const sortKey = (time) => time ? (timeToMinutes(time) - dayStart + 1440) % 1440 : 1440;
+
+  return [...blocksByEmployee.entries()]
+    .map(([employeeId, blocks]) => ({
+      employeeId,
+      name: employees.find(e => e.id === employeeId)?.name || 'Unknown',
+      ...buildItinerary(blocks)
+    }))
+    .sort((a, b) => sortKey(a.startTime) - sortKey(b.startTime) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  buildItinerary,
+  buildDayItineraries
+};
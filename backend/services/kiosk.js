@@ -0,0 +1,142 @@
+/**
+ * Kiosk display
+ * What a screen in the store shows at a given time from a day's saved lineups: the segment on
+ * now, the one after it, who moves at the change and who is due for a break.
+ *
+ * A view looks like:
+ *   { status: 'empty' | 'before' | 'open' | 'closed',
+ *     current: segment | null, next: segment | null, nextChangeAt: 'HH:MM' | null,
+ *     moves: [{ employeeId, name, from, to }],
+ *     breaks: [{ employeeId, name, type, startTime, endTime, status: 'on_break' | 'due' | 'soon' }] }
+ * A segment is { startTime, endTime, shiftPeriod, assignments: [{ employeeId, name, position, ... }] };
+ * after the last segment ends the closing lineup (shiftPeriod 'closing') is shown as current.
+ */
+
+const { timeToMinutes } = require('./timeUtils');
+const { buildDayItineraries } = require('./itinerary');
+
+// Breaks start showing this many minutes before they're due
+const BREAK_WARNING_MINUTES = 15;
+
+const BREAK_ORDER = { on_break: 0, due: 1, soon: 2 };
+
+const toSegment = (lineup) => lineup && {
+  startTime: lineup.startTime,
+  endTime: lineup.endTime,
+  shiftPeriod: lineup.shiftPeriod,
+  assignments: lineup.assignments
+};
+
+/**
+ * Who changes position between two segments: moving stations, starting or heading out
+ * from/to are null for someone starting or leaving at the change
+ */
+function findMoves(current, next) {
+  const moves = [];
+  const before = new Map(current.assignments.map(a => [a.employeeId, a]));
+  const after = new Map(next.assignments.map(a => [a.employeeId, a]));
+
+  for (const a of next.assignments) {
+    const was = before.get(a.employeeId);
+    if (!was || was.position !== a.position) {
+      moves.push({ employeeId: a.employeeId, name: a.name, from: was?.position || null, to: a.position });
+    }
+  }
+  for (const a of current.assignments) {
+    if (!after.has(a.employeeId)) {
+      moves.push({ employeeId: a.employeeId, name: a.name, from: a.position, to: null });
+    }
+  }
+  return moves;
+}
+
+/**
+ * The kiosk view for a time of day
+ * @param lineups - saved lineups for one house and day (loadSavedLineups format), each assignment with a name
+ * @param now - 'HH:MM' on the store's clock
+ */
+function buildKioskView(lineups, now) {
+  const blocks = lineups.filter(l => l.shiftPeriod !== 'closing');
+  const closingLineup = lineups.find(l => l.shiftPeriod === 'closing') || null;
+  const view = { status: 'empty', current: null, next: null, nextChangeAt: null, moves: [], breaks: [] };
+  if (blocks.length === 0) {
+    if (closingLineup) Object.assign(view, { status: 'closed', current: toSegment(closingLineup) });
+    return view;
+  }
+
+  // Minutes into the day, so segments past midnight stay after the evening ones
+  const dayStart = timeToMinutes(blocks[0].startTime);
+  const offset = (time) => (timeToMinutes(time) - dayStart + 1440) % 1440;
+  const endOffset = (lineup) => offset(lineup.endTime) || 1440;
+  const nowOffset = offset(now);
+
+  const currentIndex = blocks.findIndex(b => offset(b.startTime) <= nowOffset && nowOffset < endOffset(b));
+  if (currentIndex >= 0) {
+    const current = blocks[currentIndex];
+    const next = blocks[currentIndex + 1] || closingLineup;
+    view.status = 'open';
+    view.current = toSegment(current);
+    view.next = toSegment(next);
+    view.nextChangeAt = current.endTime;
+  } else {
+    const upcoming = blocks.find(b => offset(b.startTime) > nowOffset);
+    if (upcoming) {
+      // Between segments
+      Object.assign(view, { status: 'before', next: toSegment(upcoming), nextChangeAt: upcoming.startTime });
+    } else if (timeToMinutes(now) < dayStart) {
+      // Early morning, before the first segment
+      Object.assign(view, { status: 'before', next: toSegment(blocks[0]), nextChangeAt: blocks[0].startTime });
+    } else {
+      Object.assign(view, { status: 'closed', current: toSegment(closingLineup) });
+    }
+  }
+
+  if (view.status !== 'open') return view;
+
+  if (view.next) view.moves = findMoves(view.current, view.next);
+
+  const employees = [];
+  for (const lineup of lineups) {
+    for (const a of lineup.assignments) {
+      if (!employees.some(e => e.id === a.employeeId)) employees.push({ id: a.employeeId, name: a.name });
+    }
+  }
+  const working = new Map(view.current.assignments.map(a => [a.employeeId, a]));
+
+  for (const itinerary of buildDayItineraries(lineups, employees)) {
+    const assignment = working.get(itinerary.employeeId);
+    const breakInfo = itinerary.break;
+    if (!assignment || !breakInfo) continue;
+
+    let status = null;
+    if (assignment.position === 'on break') {
+      status = 'on_break';
+    } else if (breakInfo.endTime && offset(breakInfo.endTime) <= nowOffset) {
+      // Already had it
+      status = null;
+    } else if (!breakInfo.startTime) {
+      status = 'due';
+    } else {
+      const minutesUntil = offset(breakInfo.startTime) - nowOffset;
+      if (minutesUntil <= 0) status = 'due';
+      else if (minutesUntil <= BREAK_WARNING_MINUTES) status = 'soon';
+    }
+    if (!status) continue;
+
+    view.breaks.push({
+      employeeId: itinerary.employeeId,
+      name: itinerary.name,
+      type: breakInfo.type,
+      startTime: breakInfo.startTime,
+      endTime: breakInfo.endTime,
+      status
+    });
+  }
+  view.breaks.sort((a, b) => BREAK_ORDER[a.status] - BREAK_ORDER[b.status] || a.name.localeCompare(b.name));
+
+  return view;
+}
+
+module.exports = {
+  buildKioskView
+};
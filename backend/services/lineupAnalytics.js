@@ -0,0 +1,205 @@
+/**
+ * Lineup analytics
+ * Aggregates saved lineups by day or week so lineup quality can be tracked over time:
+ * how many stations got a best/capable/fallback match, how often people moved between
+ * stations, segments with extra people, segments where a top-priority station sat open,
+ * and how many required breaks came up.
+ */
+
+const { addDays, dayOfWeek } = require('./timeUtils');
+
+// Lineup rows that don't cover a station
+const NON_STATION_POSITIONS = ['lead (floating)', 'booster (floating)', 'in training', 'extra/support', 'on break', 'available'];
+
+// "breading (training w/ Alex)" - a trainee paired with a trainer, the station is covered
+const TRAINING_PATTERN = /^(.+) \(training w\/ .+\)$/;
+
+// Match qualities that count toward the match percentages
+const MATCH_QUALITIES = ['best', 'capable', 'fallback'];
+
+const percent = (count, total) => total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+
+/**
+ * Sunday of the week a YYYY-MM-DD date falls in (weeks run Sunday through Saturday, like the Week tab)
+ */
+function weekStart(date) {
+  return addDays(date, -dayOfWeek(date));
+}
+
+/**
+ * Stations a lineup row covers ("secondary2/buns" covers either part)
+ */
+function coveredStations(position) {
+  const training = position.match(TRAINING_PATTERN);
+  if (training) return training[1].split('/');
+  if (NON_STATION_POSITIONS.includes(position)) return [];
+  return position.replace(' (lead)', '').split('/');
+}
+
+/**
+ * The highest-priority stations the store runs during a period
+ */
+function priorityStations(positions, shiftPeriod, topPositions) {
+  return positions
+    .filter(p => {
+      const periods = p.timePeriods || ['all'];
+      return periods.includes('all') || periods.includes(shiftPeriod);
+    })
+    .sort((a, b) => a.priority - b.priority)
+    .slice(0, topPositions)
+    .map(p => p.name);
+}
+
+const segmentOf = (lineup) => ({
+  date: lineup.date,
+  startTime: lineup.startTime,
+  endTime: lineup.endTime,
+  shiftPeriod: lineup.shiftPeriod,
+  peopleCount: lineup.peopleCount
+});
+
+/**
+ * Aggregate one group of saved lineups
+ */
+function summarizeGroup(lineups, employeesById, positions, topPositions) {
+  const matches = { best: 0, capable: 0, fallback: 0 };
+  const extraSegments = [];
+  const understaffedSegments = [];
+  // employeeId -> { changes, days }
+  const changesByEmployee = new Map();
+  // "date|employeeId" -> break type, so split blocks of the same shift count once
+  const breaksByShift = new Map();
+  const dates = new Set();
+
+  // Closing lineups are a snapshot of who closes what, not a segment of the day
+  const segments = lineups.filter(l => l.shiftPeriod !== 'closing');
+
+  for (const lineup of segments) {
+    dates.add(lineup.date);
+
+    for (const assignment of lineup.assignments) {
+      if (MATCH_QUALITIES.includes(assignment.matchQuality)) {
+        matches[assignment.matchQuality]++;
+      }
+      if (assignment.needsBreak) {
+        const key = `${lineup.date}|${assignment.employeeId}`;
+        if (breaksByShift.get(key) !== 'required') breaksByShift.set(key, assignment.breakType);
+      }
+    }
+
+    const extras = lineup.assignments.filter(a => a.position === 'extra/support').length;
+    if (extras > 0 || lineup.extraPeople > 0) {
+      extraSegments.push({ ...segmentOf(lineup), extraPeople: Math.max(extras, lineup.extraPeople) });
+    }
+
+    const covered = new Set(lineup.assignments.flatMap(a => coveredStations(a.position)));
+    const missing = priorityStations(positions, lineup.shiftPeriod, topPositions).filter(name => !covered.has(name));
+    if (missing.length > 0) {
+      understaffedSegments.push({ ...segmentOf(lineup), missing });
+    }
+  }
+
+  // Position changes: each time someone's station differs from their previous segment that day
+  // Going on break and coming back to the same station isn't a change
+  const byDate = new Map();
+  for (const lineup of segments) {
+    if (!byDate.has(lineup.date)) byDate.set(lineup.date, []);
+    byDate.get(lineup.date).push(lineup);
+  }
+  for (const dayLineups of byDate.values()) {
+    const lastPosition = new Map();
+    const worked = new Set();
+
+    // Saved lineups come back in the order they were generated, which stays right past midnight
+    for (const lineup of dayLineups) {
+      for (const assignment of lineup.assignments) {
+        if (assignment.position === 'on break') continue;
+        const id = assignment.employeeId;
+        const entry = changesByEmployee.get(id) || { changes: 0, days: 0 };
+        if (!worked.has(id)) {
+          worked.add(id);
+          entry.days++;
+        }
+        const previous = lastPosition.get(id);
+        if (previous !== undefined && previous !== assignment.position) entry.changes++;
+        lastPosition.set(id, assignment.position);
+        changesByEmployee.set(id, entry);
+      }
+    }
+  }
+
+  const perEmployee = [...changesByEmployee.entries()]
+    .map(([employeeId, entry]) => ({
+      employeeId,
+      name: employeesById.get(employeeId)?.name || 'Former employee',
+      changes: entry.changes,
+      days: entry.days,
+      perDay: Math.round((entry.changes / entry.days) * 10) / 10
+    }))
+    .sort((a, b) => b.changes - a.changes || a.name.localeCompare(b.name));
+  const totalChanges = perEmployee.reduce((sum, e) => sum + e.changes, 0);
+  const matchTotal = matches.best + matches.capable + matches.fallback;
+  const breakTypes = [...breaksByShift.values()];
+
+  return {
+    days: dates.size,
+    segmentCount: segments.length,
+    matches: {
+      ...matches,
+      total: matchTotal,
+      bestPct: percent(matches.best, matchTotal),
+      capablePct: percent(matches.capable, matchTotal),
+      fallbackPct: percent(matches.fallback, matchTotal)
+    },
+    positionChanges: {
+      total: totalChanges,
+      perShift: perEmployee.length > 0
+        ? Math.round((totalChanges / perEmployee.reduce((sum, e) => sum + e.days, 0)) * 10) / 10
+        : 0,
+      perEmployee
+    },
+    extraSegments,
+    understaffedSegments,
+    breaks: {
+      required: breakTypes.filter(t => t === 'required').length,
+      optional: breakTypes.filter(t => t === 'optional').length
+    }
+  };
+}
+
+/**
+ * Build lineup analytics for one house
+ * @param lineups - saved lineups (see loadSavedLineups): [{ date, startTime, endTime, shiftPeriod, peopleCount,
+ *   extraPeople, assignments: [{ employeeId, position, matchQuality, needsBreak, breakType }] }]
+ * @param employees - the house's employees, for names
+ * @param positions - the house's active positions ({ name, priority, timePeriods })
+ * @param options.groupBy - 'day' or 'week' (Sunday through Saturday)
+ * @param options.topPositions - how many of each period's highest-priority stations must be covered
+ * @returns { periods: [{ start, end, ...summary }], totals: summary } with periods oldest first
+ *   summary: { days, segmentCount, matches, positionChanges, extraSegments, understaffedSegments, breaks }
+ */
+function buildLineupAnalytics(lineups, employees, positions, { groupBy = 'week', topPositions = 5 } = {}) {
+  const employeesById = new Map(employees.map(e => [e.id, e]));
+  const groups = new Map();
+
+  for (const lineup of lineups) {
+    const start = groupBy === 'day' ? lineup.date : weekStart(lineup.date);
+    if (!groups.has(start)) groups.set(start, []);
+    groups.get(start).push(lineup);
+  }
+
+  const periods = [...groups.keys()].sort().map(start => ({
+    start,
+    end: groupBy === 'day' ? start : addDays(start, 6),
+    ...summarizeGroup(groups.get(start), employeesById, positions, topPositions)
+  }));
+
+  return {
+    periods,
+    totals: summarizeGroup(lineups, employeesById, positions, topPositions)
+  };
+}
+
+module.exports = {
+  buildLineupAnalytics
+};
@@ -1,94 +1,141 @@
-/**
- * Time period definitions for position filtering
- */
-const TIME_PERIOD_RANGES = {
-  morning: { start: 360, end: 630 },     // 6:00 - 10:30
-  lunch: { start: 630, end: 840 },       // 10:30 - 14:00
-  midday: { start: 840, end: 1020 },     // 14:00 - 17:00
-  dinner: { start: 1020, end: 1200 },    // 17:00 - 20:00
-  lateNight: { start: 1200, end: 1320 }  // 20:00 - 22:00
-};
+const { solveMaxScoreAssignment } = require('./assignmentSolver');
+const { planBreaks } = require('./breakPlanner');
+const { DEFAULT_SCORING_WEIGHTS } = require('../config/scoringWeights');
+const { DEFAULT_BREAK_THRESHOLDS } = require('../config/laborRulePacks');
+const { DEFAULT_TIME_PERIODS, getShiftPeriod } = require('../config/timePeriods');
+const { timeToMinutes, minutesToTime } = require('./timeUtils');
 
 /**
- * Get the shift period based on time
+ * Get a shift's start and end in minutes
+ * A shift that ends before it starts runs past midnight, so its end is pushed into the next day
  */
-function getShiftPeriod(timeString) {
-  const [hours, minutes] = timeString.split(':').map(Number);
-  const timeInMinutes = hours * 60 + minutes;
-
-  if (timeInMinutes >= 360 && timeInMinutes < 630) return 'morning';
-  if (timeInMinutes >= 630 && timeInMinutes < 840) return 'lunch';
-  if (timeInMinutes >= 840 && timeInMinutes < 1020) return 'midday';
-  if (timeInMinutes >= 1020 && timeInMinutes < 1200) return 'dinner';
-  if (timeInMinutes >= 1200 && timeInMinutes < 1320) return 'lateNight';
-
-  return null;
-}
-
-/**
- * Parse time string to minutes from midnight
- */
-function timeToMinutes(timeString) {
-  const [hours, minutes] = timeString.split(':').map(Number);
-  return hours * 60 + minutes;
+function getShiftMinutes(assignment) {
+  const start = timeToMinutes(assignment.startTime);
+  let end = timeToMinutes(assignment.endTime);
+  if (end < start) end += 1440;
+  return { start, end };
 }
 
 /**
- * Format minutes to time string
+ * Convert a time inside a shift (pin or break) to minutes on the shift's timeline
+ * Times earlier than the shift start are after midnight on an overnight shift
  */
-function minutesToTime(minutes) {
-  const hours = Math.floor(minutes / 60);
-  const mins = minutes % 60;
-  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+function toShiftMinutes(assignment, time) {
+  const minutes = timeToMinutes(time);
+  return minutes < timeToMinutes(assignment.startTime) ? minutes + 1440 : minutes;
 }
 
 /**
  * Get all time points where staff changes occur
+ * Pin windows and scheduled breaks inside a shift also start a new time block
  */
 function getChangePoints(shiftAssignments) {
   const points = new Set();
 
   shiftAssignments.forEach(assignment => {
-    points.add(timeToMinutes(assignment.startTime));
-    points.add(timeToMinutes(assignment.endTime));
+    const { start, end } = getShiftMinutes(assignment);
+    points.add(start);
+    points.add(end);
+
+    const windows = [...(assignment.pins || [])];
+    if (assignment.breakStart && assignment.breakEnd) {
+      windows.push({ startTime: assignment.breakStart, endTime: assignment.breakEnd });
+    }
+
+    for (const window of windows) {
+      for (const time of [window?.startTime, window?.endTime]) {
+        if (!time) continue;
+        const minutes = toShiftMinutes(assignment, time);
+        if (minutes > start && minutes < end) points.add(minutes);
+      }
+    }
   });
 
   return Array.from(points).sort((a, b) => a - b);
 }
 
+/**
+ * Check if an employee is on their scheduled break at a given time
+ */
+function isOnBreak(assignment, timeInMinutes) {
+  if (!assignment.breakStart || !assignment.breakEnd) return false;
+  return timeInMinutes >= toShiftMinutes(assignment, assignment.breakStart) &&
+    timeInMinutes < toShiftMinutes(assignment, assignment.breakEnd);
+}
+
 /**
  * Get employees working at a specific time
  */
 function getWorkingEmployees(shiftAssignments, timeInMinutes) {
   return shiftAssignments.filter(assignment => {
-    const start = timeToMinutes(assignment.startTime);
-    const end = timeToMinutes(assignment.endTime);
+    const { start, end } = getShiftMinutes(assignment);
     return timeInMinutes >= start && timeInMinutes < end;
   });
 }
 
 /**
- * Calculate break flags for employees
+ * Get the pin that applies to an employee at a given time, if any
+ * Pins come from the shift assignment: { position, startTime?, endTime? }
+ * A pin without a time window applies to the whole shift
+ */
+function getActivePin(assignment, timeInMinutes) {
+  if (!Array.isArray(assignment.pins)) return null;
+
+  return assignment.pins.find(pin => {
+    if (!pin || !pin.position) return false;
+    const start = pin.startTime ? toShiftMinutes(assignment, pin.startTime) : -Infinity;
+    const end = pin.endTime ? toShiftMinutes(assignment, pin.endTime) : Infinity;
+    return timeInMinutes >= start && timeInMinutes < end;
+  }) || null;
+}
+
+/**
+ * Validate pins on shift assignments before generating
+ * Returns an error message, or null if all pins are well formed
  */
-function calculateBreakFlags(employee, startTime, endTime) {
-  const hoursWorked = (timeToMinutes(endTime) - timeToMinutes(startTime)) / 60;
+function validatePins(shiftAssignments) {
+  const timePattern = /^\d{2}:\d{2}(:\d{2})?$/;
 
-  if (employee.isMinor) {
-    // Minors: break required at 4.5 hours, optional at 4 hours
-    if (hoursWorked >= 4.5) {
-      return { needsBreak: true, breakType: 'required' };
-    } else if (hoursWorked >= 4) {
-      return { needsBreak: true, breakType: 'optional' };
+  for (const assignment of shiftAssignments) {
+    if (assignment.pins === undefined || assignment.pins === null) continue;
+    if (!Array.isArray(assignment.pins)) {
+      return `pins for ${assignment.name || assignment.employeeId} must be an array`;
     }
-  } else {
-    // Adults: break required at 7.5 hours, optional at 7 hours
-    if (hoursWorked >= 7.5) {
-      return { needsBreak: true, breakType: 'required' };
-    } else if (hoursWorked >= 7) {
-      return { needsBreak: true, breakType: 'optional' };
+
+    for (const pin of assignment.pins) {
+      if (!pin || typeof pin.position !== 'string' || !pin.position.trim()) {
+        return `Each pin for ${assignment.name || assignment.employeeId} needs a position`;
+      }
+      for (const field of ['startTime', 'endTime']) {
+        if (pin[field] && !timePattern.test(pin[field])) {
+          return `Pin ${field} for ${assignment.name || assignment.employeeId} must be HH:MM`;
+        }
+      }
+      if (pin.startTime && pin.endTime && toShiftMinutes(assignment, pin.startTime) >= toShiftMinutes(assignment, pin.endTime)) {
+        return `Pin for ${assignment.name || assignment.employeeId} must end after it starts`;
+      }
     }
   }
 
+  return null;
+}
+
+/**
+ * Calculate break flags for employees
+ * thresholds: hours before a break is required/optional, from the store's labor rule pack
+ * (defaults: minors required at 4.5 hours, optional at 4; adults required at 7.5, optional at 7)
+ */
+function calculateBreakFlags(employee, startTime, endTime, thresholds = DEFAULT_BREAK_THRESHOLDS) {
+  const { start, end } = getShiftMinutes({ startTime, endTime });
+  const hoursWorked = (end - start) / 60;
+  const { required, optional } = employee.isMinor ? thresholds.minor : thresholds.adult;
+
+  if (hoursWorked >= required) {
+    return { needsBreak: true, breakType: 'required' };
+  } else if (optional && hoursWorked >= optional) {
+    return { needsBreak: true, breakType: 'optional' };
+  }
+
   return { needsBreak: false, breakType: null };
 }
 
@@ -113,6 +160,16 @@ function canWorkPosition(employee, position) {
   });
 }
 
+/**
+ * An employee's skill row for one position ({ position, level, certifiedOn, expiresOn }), or null
+ * Positions without a row count as certified (see config/skillLevels.js)
+ */
+function getSkill(employee, position) {
+  // Rows left over from a position the employee no longer works don't count
+  if (!employee.positions?.includes(position)) return null;
+  return employee.skills?.find(s => s.position === position) || null;
+}
+
 /**
  * Default position priorities - lower number = higher priority (fill first)
  * Used as fallback if positions don't have priorities set
@@ -177,6 +234,50 @@ function getPositionsForPeriod(dbPositions, shiftPeriod, peopleCount) {
   };
 }
 
+/**
+ * The positions a block actually staffs
+ * Checklist and precloser are duties, not stations, so they're dropped (also from combined positions)
+ */
+function getStationPositions(positions) {
+  return positions.filter(pos => {
+    const parts = pos.split('/');
+    // Remove positions that are ONLY checklist or precloser
+    return !parts.every(p => p === 'checklist' || p === 'precloser');
+  }).map(pos => {
+    // Remove checklist/precloser from combined positions
+    const parts = pos.split('/').filter(p => p !== 'checklist' && p !== 'precloser');
+    return parts.length > 0 ? parts.join('/') : pos;
+  });
+}
+
+/**
+ * Find the store's layout for a time period and headcount
+ * Only an exact headcount match is used - otherwise the generator falls back to
+ * the priority-sorted position list
+ */
+function findLayout(positionLayouts, shiftPeriod, headcount) {
+  if (!positionLayouts || positionLayouts.length === 0) return null;
+  return positionLayouts.find(l => l.timePeriod === shiftPeriod && l.peopleCount === headcount) || null;
+}
+
+/**
+ * Number of people filling stations - leads, boosters and trainees float instead
+ */
+function getStationHeadcount(employees) {
+  return employees.filter(e => e.isShiftLead !== true && e.isBooster !== true && e.isInTraining !== true).length;
+}
+
+/**
+ * Stations a block is expected to fill: every station of a layout (it was picked for this headcount),
+ * otherwise as many down the priority list as there are people to fill them. People on break still
+ * count - their station should be covered
+ */
+function getExpectedStations(lineup) {
+  const stations = lineup.stations || [];
+  if (lineup.usedLayout) return stations;
+  return stations.slice(0, getStationHeadcount(lineup.assignments.map(a => a.employee)));
+}
+
 /**
  * Positions that a checklist person can be pulled from (in priority order)
  * Lower number = prefer to pull from this position first
@@ -223,25 +324,50 @@ function getPositionPriority(position, positionPriorityMap = null) {
 }
 
 /**
- * Score how well an employee fits a position (higher is better)
+ * Break down how an employee scores for a position
+ * Returns each component so the generator can explain its choices
  * previousPosition: if employee was in this position before, give bonus to minimize moves
+ * weights: store scoring profile (see config/scoringWeights.js)
+ * employee.rotationPenalties: points off per "rotate" station under the fairness rotation.
+ * Like the checklist boost it only counts toward full scores (boostChecklistPositions), never match quality
  */
-function scoreEmployeeForPosition(employee, position, boostChecklistPositions = false, previousPosition = null) {
+function getScoreBreakdown(employee, position, boostChecklistPositions = false, previousPosition = null, weights = DEFAULT_SCORING_WEIGHTS) {
   const positionOptions = position.split('/');
-  let bestScore = 0;
+  let skill = null;
+  let skillPoints = 0;
+  let skillPosition = null;
 
   for (const pos of positionOptions) {
-    // Best position = 10 points
-    if (employee.bestPositions && employee.bestPositions.includes(pos)) {
-      bestScore = Math.max(bestScore, 10);
+    const level = getSkill(employee, pos)?.level;
+
+    // Still learning the position - scores below someone who can work it
+    if (level === 'trainee') {
+      if (weights.traineePosition > skillPoints) {
+        skillPoints = weights.traineePosition;
+        skill = 'trainee';
+        skillPosition = pos;
+      }
     }
-    // Can do position = 5 points
+    // Best position, or they train others on it
+    else if (level === 'trainer' || (employee.bestPositions && employee.bestPositions.includes(pos))) {
+      if (weights.bestPosition >= skillPoints) {
+        skillPoints = weights.bestPosition;
+        skill = level === 'trainer' ? 'trainer' : 'best';
+        skillPosition = pos;
+      }
+    }
+    // Can do position
     else if (employee.positions && employee.positions.includes(pos)) {
-      bestScore = Math.max(bestScore, 5);
+      if (weights.capablePosition > skillPoints) {
+        skillPoints = weights.capablePosition;
+        skill = 'capable';
+        skillPosition = pos;
+      }
     }
   }
 
   // Boost score for checklist people on checklist-friendly positions
+  let checklistBoost = 0;
   if (boostChecklistPositions) {
     const hasChecklistSkill = employee.positions?.includes('checklist') ||
                               employee.bestPositions?.includes('checklist');
@@ -249,117 +375,73 @@ function scoreEmployeeForPosition(employee, position, boostChecklistPositions =
       const basePosition = position.split('/')[0];
       if (checklistPositionPriority[basePosition] !== undefined) {
         // Add bonus points - higher bonus for priority 1 positions (buns, machines)
-        const priorityBonus = checklistPositionPriority[basePosition] === 1 ? 15 : 12;
-        bestScore += priorityBonus;
+        checklistBoost = checklistPositionPriority[basePosition] === 1
+          ? weights.checklistPrimary
+          : weights.checklistSecondary;
       }
     }
   }
 
   // Big bonus for staying in the same position (minimize moves)
+  let stabilityBonus = 0;
   if (previousPosition) {
     const prevBase = previousPosition.replace(' (lead)', '').replace(' (floating)', '').split('/')[0];
     const currOptions = position.split('/');
     if (currOptions.includes(prevBase) || prevBase === position) {
-      bestScore += 20; // Strong preference to stay in place
+      stabilityBonus = weights.stayInPlace; // Strong preference to stay in place
     }
   }
 
-  return bestScore;
+  // Fairness rotation: fewer points for a station they've worked a lot lately,
+  // but never down to zero so they still count as able to work it
+  let rotationPenalty = 0;
+  if (boostChecklistPositions && skillPosition && employee.rotationPenalties?.[skillPosition]) {
+    const subtotal = skillPoints + checklistBoost + stabilityBonus;
+    rotationPenalty = Math.min(employee.rotationPenalties[skillPosition], Math.max(0, subtotal - 1));
+  }
+
+  return {
+    skill,
+    skillPoints,
+    checklistBoost,
+    stabilityBonus,
+    rotationPenalty,
+    total: skillPoints + checklistBoost + stabilityBonus - rotationPenalty
+  };
 }
 
 /**
- * Assign employees to positions using a greedy algorithm
- * Fills positions by priority (1=highest) and assigns best-matching employees first
- * People with checklist skill get boosted priority for buns, machines, secondary2
- * Lead is marked per-shift (isShiftLead flag) so leaders can work general positions some days
- * Leaders float and can place themselves anywhere - most important positions filled first with "best" employees
- * Boosters float to help everyone, trainees shadow and aren't locked to positions
- * previousAssignments helps minimize position changes between periods
- * positionPriorityMap: map of position name -> priority from database
+ * Score how well an employee fits a position (higher is better)
+ * See getScoreBreakdown for the individual components
  */
-function assignEmployeesToPositions(workingEmployees, positions, startTime, previousAssignments = {}, positionPriorityMap = null) {
-  const assignments = [];
-  const unassigned = [...workingEmployees];
-  const dinnerRush = isDinnerRush(startTime);
-
-  // Filter out checklist and precloser from positions - these aren't real assignments
-  const filteredPositions = positions.filter(pos => {
-    const parts = pos.split('/');
-    // Remove positions that are ONLY checklist or precloser
-    return !parts.every(p => p === 'checklist' || p === 'precloser');
-  }).map(pos => {
-    // Remove checklist/precloser from combined positions
-    const parts = pos.split('/').filter(p => p !== 'checklist' && p !== 'precloser');
-    return parts.length > 0 ? parts.join('/') : pos;
-  });
-
-  // Handle shift leads first - uses isShiftLead flag set per shift
-  // Multiple shift leads are allowed
-  const leadIndices = [];
-  for (let i = unassigned.length - 1; i >= 0; i--) {
-    if (unassigned[i].isShiftLead === true) {
-      leadIndices.push(i);
-    }
-  }
-
-  // Process in reverse order to maintain correct indices during splice
-  for (const leadIndex of leadIndices) {
-    const leadEmployee = unassigned[leadIndex];
-    unassigned.splice(leadIndex, 1);
-
-    assignments.push({
-      employee: leadEmployee,
-      position: 'lead (floating)',
-      matchQuality: 'best'
-    });
-  }
-
-  // Handle boosters - they float to help everyone
-  const boosterIndices = [];
-  for (let i = unassigned.length - 1; i >= 0; i--) {
-    if (unassigned[i].isBooster === true) {
-      boosterIndices.push(i);
-    }
-  }
-
-  for (const boosterIndex of boosterIndices) {
-    const boosterEmployee = unassigned[boosterIndex];
-    unassigned.splice(boosterIndex, 1);
-
-    assignments.push({
-      employee: boosterEmployee,
-      position: 'booster (floating)',
-      matchQuality: 'best'
-    });
-  }
-
-  // Handle trainees - they shadow and aren't locked to positions
-  const traineeIndices = [];
-  for (let i = unassigned.length - 1; i >= 0; i--) {
-    if (unassigned[i].isInTraining === true) {
-      traineeIndices.push(i);
-    }
-  }
-
-  for (const traineeIndex of traineeIndices) {
-    const traineeEmployee = unassigned[traineeIndex];
-    unassigned.splice(traineeIndex, 1);
+function scoreEmployeeForPosition(employee, position, boostChecklistPositions = false, previousPosition = null, weights = DEFAULT_SCORING_WEIGHTS) {
+  return getScoreBreakdown(employee, position, boostChecklistPositions, previousPosition, weights).total;
+}
 
-    assignments.push({
-      employee: traineeEmployee,
-      position: 'in training',
-      matchQuality: 'training'
-    });
-  }
+/**
+ * Stable key for an employee across time blocks
+ */
+function getEmployeeKey(employee) {
+  return employee.employeeId || employee.id || employee.name;
+}
 
-  // Sort positions by priority (lower number = higher priority = fill first)
-  // Lead floats so all positions need to be filled
-  const positionsToFill = filteredPositions;
+/**
+ * Map a base score (skills only, no boosts) to a match quality label
+ */
+function getMatchQuality(baseScore, weights = DEFAULT_SCORING_WEIGHTS) {
+  if (baseScore > 0 && baseScore >= weights.bestPosition) return 'best';
+  if (baseScore > 0 && baseScore >= weights.capablePosition) return 'capable';
+  return 'fallback';
+}
 
-  const sortedPositions = [...positionsToFill].map(pos => ({
-    position: pos,
-    priority: getPositionPriority(pos, positionPriorityMap)
-  })).sort((a, b) => a.priority - b.priority);
+/**
+ * Greedy fill: positions in priority order each take the best-scoring remaining employee
+ * Followed by two bounded swap passes to recover "best" matches the greedy order missed
+ * swapTrace: optional Map of employee key -> note, filled in when a swap pass moves someone
+ * Returns assignments for regular positions plus extra/support
+ */
+function fillPositionsGreedy(unassigned, sortedPositions, previousAssignments, weights, swapTrace = null) {
+  const assignments = [];
 
   // First pass: assign employees to positions in priority order
   // Use checklist boost so shift leads get placed on buns/machines/secondary2
@@ -376,7 +458,7 @@ function assignEmployeesToPositions(workingEmployees, positions, startTime, prev
       const employeeId = employee.employeeId || employee.id || employee.name;
       const prevPosition = previousAssignments[employeeId];
       // Enable checklist boost and pass previous position for stability bonus
-      const score = scoreEmployeeForPosition(employee, position, true, prevPosition);
+      const score = scoreEmployeeForPosition(employee, position, true, prevPosition, weights);
 
       if (score > bestScore) {
         bestScore = score;
@@ -387,11 +469,11 @@ function assignEmployeesToPositions(workingEmployees, positions, startTime, prev
 
     if (bestEmployee && bestScore > 0) {
       // Determine match quality based on base score (without boosts)
-      const baseScore = scoreEmployeeForPosition(bestEmployee, position, false, null);
+      const baseScore = scoreEmployeeForPosition(bestEmployee, position, false, null, weights);
       assignments.push({
         employee: bestEmployee,
         position: position,
-        matchQuality: baseScore >= 10 ? 'best' : baseScore >= 5 ? 'capable' : 'fallback'
+        matchQuality: getMatchQuality(baseScore, weights)
       });
       unassigned.splice(bestIndex, 1);
     } else if (unassigned.length > 0) {
@@ -452,23 +534,36 @@ function assignEmployeesToPositions(workingEmployees, positions, startTime, prev
         }
 
         // Calculate current scores
-        const scoreAatA = scoreEmployeeForPosition(assignmentA.employee, assignmentA.position, false, null);
-        const scoreBatB = scoreEmployeeForPosition(assignmentB.employee, assignmentB.position, false, null);
+        const scoreAatA = scoreEmployeeForPosition(assignmentA.employee, assignmentA.position, false, null, weights);
+        const scoreBatB = scoreEmployeeForPosition(assignmentB.employee, assignmentB.position, false, null, weights);
         const currentTotal = scoreAatA + scoreBatB;
 
         // Calculate swapped scores
-        const scoreAatB = scoreEmployeeForPosition(assignmentA.employee, assignmentB.position, false, null);
-        const scoreBatA = scoreEmployeeForPosition(assignmentB.employee, assignmentA.position, false, null);
+        const scoreAatB = scoreEmployeeForPosition(assignmentA.employee, assignmentB.position, false, null, weights);
+        const scoreBatA = scoreEmployeeForPosition(assignmentB.employee, assignmentA.position, false, null, weights);
         const swappedTotal = scoreAatB + scoreBatA;
 
-        // Count "best" matches (score >= 10) before and after
-        const currentBestCount = (scoreAatA >= 10 ? 1 : 0) + (scoreBatB >= 10 ? 1 : 0);
-        const swappedBestCount = (scoreAatB >= 10 ? 1 : 0) + (scoreBatA >= 10 ? 1 : 0);
+        // Count "best" matches before and after
+        const isBest = score => getMatchQuality(score, weights) === 'best';
+        const currentBestCount = (isBest(scoreAatA) ? 1 : 0) + (isBest(scoreBatB) ? 1 : 0);
+        const swappedBestCount = (isBest(scoreAatB) ? 1 : 0) + (isBest(scoreBatA) ? 1 : 0);
+
+        // With nothing else between them, move people off rotate stations they've worked a lot lately
+        const rotationPenalty = (employee, position) =>
+          getScoreBreakdown(employee, position, true, null, weights).rotationPenalty;
+        const currentPenalty = rotationPenalty(assignmentA.employee, assignmentA.position) +
+          rotationPenalty(assignmentB.employee, assignmentB.position);
+        const swappedPenalty = rotationPenalty(assignmentA.employee, assignmentB.position) +
+          rotationPenalty(assignmentB.employee, assignmentA.position);
 
         // Swap if it increases the number of "best" matches
         // Or if same number of "best" but higher total score
-        const shouldSwap = swappedBestCount > currentBestCount ||
-          (swappedBestCount === currentBestCount && swappedTotal > currentTotal);
+        // Or if the scores tie and the swap spreads out a rotate station
+        // Never swap someone back onto a rotate station the first pass kept them off
+        const shouldSwap = swappedPenalty <= currentPenalty && (
+          swappedBestCount > currentBestCount ||
+          (swappedBestCount === currentBestCount && swappedTotal > currentTotal) ||
+          (swappedBestCount === currentBestCount && swappedTotal === currentTotal && swappedPenalty < currentPenalty));
 
         if (shouldSwap) {
           // Perform the swap
@@ -477,8 +572,16 @@ function assignEmployeesToPositions(workingEmployees, positions, startTime, prev
           assignmentB.employee = tempEmployee;
 
           // Update match qualities
-          assignmentA.matchQuality = scoreBatA >= 10 ? 'best' : scoreBatA >= 5 ? 'capable' : 'fallback';
-          assignmentB.matchQuality = scoreAatB >= 10 ? 'best' : scoreAatB >= 5 ? 'capable' : 'fallback';
+          assignmentA.matchQuality = getMatchQuality(scoreBatA, weights);
+          assignmentB.matchQuality = getMatchQuality(scoreAatB, weights);
+
+          if (swapTrace) {
+            const why = swappedTotal === currentTotal ? 'to rotate a station they worked recently' : 'to increase best matches';
+            swapTrace.set(getEmployeeKey(assignmentA.employee),
+              `Swapped with ${assignmentB.employee.name} (from ${assignmentB.position}) ${why}`);
+            swapTrace.set(getEmployeeKey(assignmentB.employee),
+              `Swapped with ${assignmentA.employee.name} (from ${assignmentA.position}) ${why}`);
+          }
 
           improved = true;
           break;
@@ -519,10 +622,16 @@ function assignEmployeesToPositions(workingEmployees, positions, startTime, prev
           otherAssignment.employee,
           currentAssignment.position,
           false,
-          null
+          null,
+          weights
         );
 
-        if (otherEmployeeScore >= 10) {
+        // Don't pull up someone who has worked this rotate station more than the person they'd replace
+        const rotationPenalty = (employee) =>
+          getScoreBreakdown(employee, currentAssignment.position, true, null, weights).rotationPenalty;
+        const raisesRotation = rotationPenalty(otherAssignment.employee) > rotationPenalty(currentAssignment.employee);
+
+        if (getMatchQuality(otherEmployeeScore, weights) === 'best' && !raisesRotation) {
           // Swap: bring the "best" person up from extra/support
           const tempEmployee = currentAssignment.employee;
           currentAssignment.employee = otherAssignment.employee;
@@ -531,6 +640,13 @@ function assignEmployeesToPositions(workingEmployees, positions, startTime, prev
           currentAssignment.matchQuality = 'best';
           otherAssignment.matchQuality = 'extra';
 
+          if (swapTrace) {
+            swapTrace.set(getEmployeeKey(currentAssignment.employee),
+              `Pulled up from extra/support because this is their best position (replaced ${otherAssignment.employee.name})`);
+            swapTrace.set(getEmployeeKey(otherAssignment.employee),
+              `Moved to extra/support so ${currentAssignment.employee.name} could take their best position`);
+          }
+
           improved = true;
           break;
         }
@@ -540,6 +656,345 @@ function assignEmployeesToPositions(workingEmployees, positions, startTime, prev
     }
   }
 
+  return assignments;
+}
+
+/**
+ * Optimal fill: solves a max-score matching (Hungarian algorithm) over the
+ * scoreEmployeeForPosition matrix, including the checklist boost and stability bonus
+ * Finds multi-person rotations the pairwise swap passes can't
+ * Only the highest-priority positions that we have people for are filled, same as greedy
+ * Returns assignments for regular positions plus extra/support
+ */
+function fillPositionsOptimal(unassigned, sortedPositions, previousAssignments, weights) {
+  const assignments = [];
+  const positionsToFill = sortedPositions.slice(0, unassigned.length);
+
+  const scores = unassigned.map(employee => {
+    const employeeId = employee.employeeId || employee.id || employee.name;
+    const prevPosition = previousAssignments[employeeId];
+    return positionsToFill.map(({ position }) =>
+      scoreEmployeeForPosition(employee, position, true, prevPosition, weights)
+    );
+  });
+
+  const rowToCol = solveMaxScoreAssignment(scores);
+  const employeeForPosition = new Array(positionsToFill.length).fill(null);
+  const extras = [];
+
+  rowToCol.forEach((col, row) => {
+    if (col === -1) {
+      extras.push(unassigned[row]);
+    } else {
+      employeeForPosition[col] = unassigned[row];
+    }
+  });
+
+  positionsToFill.forEach(({ position }, col) => {
+    const employee = employeeForPosition[col];
+    if (!employee) return;
+    const baseScore = scoreEmployeeForPosition(employee, position, false, null, weights);
+    assignments.push({
+      employee: employee,
+      position: position,
+      matchQuality: getMatchQuality(baseScore, weights)
+    });
+  });
+
+  for (const employee of extras) {
+    assignments.push({
+      employee: employee,
+      position: 'extra/support',
+      matchQuality: 'extra'
+    });
+  }
+
+  return assignments;
+}
+
+/**
+ * Build a per-assignment trace explaining why each person landed where they did
+ * Candidates are everyone who was eligible for a station in this time block
+ * Adds an `explanation` object to each assignment in place
+ */
+function attachExplanations(assignments, stationPool, previousAssignments, weights, solver, swapTrace) {
+  const MAX_CANDIDATES = 5;
+  const positionByEmployee = new Map(assignments.map(a => [getEmployeeKey(a.employee), a.position]));
+
+  const describeCandidate = (employee, position) => {
+    const breakdown = getScoreBreakdown(employee, position, true, previousAssignments[getEmployeeKey(employee)], weights);
+    return {
+      employeeId: employee.employeeId || employee.id || null,
+      name: employee.name,
+      score: breakdown.total,
+      skill: breakdown.skill,
+      checklistBoost: breakdown.checklistBoost,
+      stabilityBonus: breakdown.stabilityBonus,
+      rotationPenalty: breakdown.rotationPenalty,
+      assignedTo: positionByEmployee.get(getEmployeeKey(employee)) || null
+    };
+  };
+
+  const listBonuses = (breakdown) => {
+    const bonuses = [];
+    if (breakdown.skill === 'best') bonuses.push({ type: 'best', points: breakdown.skillPoints });
+    if (breakdown.skill === 'trainer') bonuses.push({ type: 'trainer', points: breakdown.skillPoints });
+    if (breakdown.skill === 'capable') bonuses.push({ type: 'capable', points: breakdown.skillPoints });
+    if (breakdown.skill === 'trainee') bonuses.push({ type: 'trainee', points: breakdown.skillPoints });
+    if (breakdown.checklistBoost > 0) bonuses.push({ type: 'checklistBoost', points: breakdown.checklistBoost });
+    if (breakdown.stabilityBonus > 0) bonuses.push({ type: 'stability', points: breakdown.stabilityBonus });
+    if (breakdown.rotationPenalty > 0) bonuses.push({ type: 'rotation', points: -breakdown.rotationPenalty });
+    return bonuses;
+  };
+
+  for (const assignment of assignments) {
+    const key = getEmployeeKey(assignment.employee);
+    const swapNote = swapTrace?.get(key) || null;
+
+    if (assignment.pinned) {
+      assignment.explanation = { reason: 'Pinned to this position by a leader, skipped by the fill and swap passes' };
+      continue;
+    }
+    if (assignment.coveringFor) {
+      assignment.explanation = { reason: `Covering for ${assignment.coveringFor} while they are on break` };
+      continue;
+    }
+    if (assignment.position === 'lead (floating)') {
+      assignment.explanation = { reason: 'Marked as shift lead for this shift, floats instead of holding a station' };
+      continue;
+    }
+    if (assignment.position === 'booster (floating)') {
+      assignment.explanation = { reason: 'Marked as booster for this shift, floats to help everyone' };
+      continue;
+    }
+    if (assignment.trainee) {
+      assignment.explanation = { reason: `Training ${assignment.trainee} on this station, kept here with them` };
+      continue;
+    }
+    if (assignment.matchQuality === 'training') {
+      assignment.explanation = {
+        reason: assignment.trainer
+          ? `In training on ${assignment.trainingPosition} with ${assignment.trainer}`
+          : 'Marked as in training for this shift, no trainer was free on a station they\'re learning so they shadow'
+      };
+      continue;
+    }
+
+    if (assignment.position === 'extra/support') {
+      // Show where they would have scored highest
+      const options = assignments
+        .filter(a => !a.position.includes('(floating)') && a.matchQuality !== 'training' && a.position !== 'extra/support')
+        .map(a => ({
+          position: a.position,
+          score: scoreEmployeeForPosition(assignment.employee, a.position, true, previousAssignments[key], weights),
+          heldBy: a.employee.name
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+
+      assignment.explanation = {
+        reason: 'All open positions were filled by people who scored the same or higher',
+        solver,
+        movedBySwap: !!swapNote,
+        swapNote,
+        bestOptions: options
+      };
+      continue;
+    }
+
+    const breakdown = getScoreBreakdown(assignment.employee, assignment.position, true, previousAssignments[key], weights);
+    const candidates = stationPool
+      .map(employee => describeCandidate(employee, assignment.position))
+      .sort((a, b) => b.score - a.score);
+    const runnerUp = candidates.find(c => c.name !== assignment.employee.name) || null;
+
+    let reason;
+    if (breakdown.total === 0) {
+      reason = 'Nobody left could work this position, assigned to keep it covered';
+    } else if (solver === 'optimal') {
+      reason = 'Chosen by optimal matching to maximize the total score across all positions';
+    } else {
+      reason = 'Highest scoring person still available when this position was filled (by priority)';
+    }
+
+    assignment.explanation = {
+      reason,
+      solver,
+      score: breakdown.total,
+      bonuses: listBonuses(breakdown),
+      movedBySwap: !!swapNote,
+      swapNote,
+      candidates: candidates.slice(0, MAX_CANDIDATES),
+      runnerUp
+    };
+  }
+}
+
+/**
+ * Assign employees to positions
+ * Default is a greedy algorithm that fills positions by priority (1=highest) and assigns best-matching employees first
+ * People with checklist skill get boosted priority for buns, machines, secondary2
+ * Lead is marked per-shift (isShiftLead flag) so leaders can work general positions some days
+ * Leaders float and can place themselves anywhere - most important positions filled first with "best" employees
+ * Boosters float to help everyone, trainees are paired with a trainer on the station they're learning
+ * Pinned employees (shift.pins) are placed first and never moved by the swap passes
+ * previousAssignments helps minimize position changes between periods
+ * positionPriorityMap: map of position name -> priority from database
+ * options.solver: 'greedy' (default) or 'optimal' (Hungarian min-cost matching)
+ * options.scoringWeights: store scoring profile, defaults to DEFAULT_SCORING_WEIGHTS
+ * options.explain: attach an `explanation` trace to each assignment
+ * options.trainingPairs: Map of trainee key -> trainer key, read and updated to keep pairs across blocks
+ */
+function assignEmployeesToPositions(workingEmployees, positions, startTime, previousAssignments = {}, positionPriorityMap = null, options = {}) {
+  const assignments = [];
+  const unassigned = [...workingEmployees];
+  const dinnerRush = isDinnerRush(startTime);
+
+  const filteredPositions = getStationPositions(positions);
+
+  // Handle pins first - a leader locked this person to a position for this time
+  // Pinned people and their positions are taken out before the fill, so the
+  // greedy/optimal fill and both swap passes never move them
+  const weights = options.scoringWeights || DEFAULT_SCORING_WEIGHTS;
+  const openPositions = [...filteredPositions];
+  // generateLineups passes the block's minutes on the day's timeline, which run past 1440 after midnight
+  const startMinutes = options.startMinutes ?? timeToMinutes(startTime);
+
+  // Break cover works the same way: options.breakCover maps employee key -> { position, coveringFor }
+  for (let i = unassigned.length - 1; i >= 0; i--) {
+    const pin = getActivePin(unassigned[i], startMinutes);
+    const cover = !pin && options.breakCover ? options.breakCover.get(getEmployeeKey(unassigned[i])) : null;
+    if (!pin && !cover) continue;
+
+    const pinnedEmployee = unassigned[i];
+    unassigned.splice(i, 1);
+
+    // Take the matching open position out of the fill (exact name, or a combined position containing it)
+    const lockedPosition = pin ? pin.position : cover.position;
+    const openIndex = openPositions.findIndex(pos => pos === lockedPosition || pos.split('/').includes(lockedPosition));
+    const position = openIndex !== -1 ? openPositions[openIndex] : lockedPosition;
+    if (openIndex !== -1) {
+      openPositions.splice(openIndex, 1);
+    }
+
+    const baseScore = scoreEmployeeForPosition(pinnedEmployee, position, false, null, weights);
+    const assignment = {
+      employee: pinnedEmployee,
+      position: position,
+      matchQuality: getMatchQuality(baseScore, weights)
+    };
+    if (pin) {
+      assignment.pinned = true;
+    } else {
+      assignment.coveringFor = cover.coveringFor;
+    }
+    assignments.push(assignment);
+  }
+
+  // Handle shift leads - uses isShiftLead flag set per shift
+  // Multiple shift leads are allowed
+  const leadIndices = [];
+  for (let i = unassigned.length - 1; i >= 0; i--) {
+    if (unassigned[i].isShiftLead === true) {
+      leadIndices.push(i);
+    }
+  }
+
+  // Process in reverse order to maintain correct indices during splice
+  for (const leadIndex of leadIndices) {
+    const leadEmployee = unassigned[leadIndex];
+    unassigned.splice(leadIndex, 1);
+
+    assignments.push({
+      employee: leadEmployee,
+      position: 'lead (floating)',
+      matchQuality: 'best'
+    });
+  }
+
+  // Handle boosters - they float to help everyone
+  const boosterIndices = [];
+  for (let i = unassigned.length - 1; i >= 0; i--) {
+    if (unassigned[i].isBooster === true) {
+      boosterIndices.push(i);
+    }
+  }
+
+  for (const boosterIndex of boosterIndices) {
+    const boosterEmployee = unassigned[boosterIndex];
+    unassigned.splice(boosterIndex, 1);
+
+    assignments.push({
+      employee: boosterEmployee,
+      position: 'booster (floating)',
+      matchQuality: 'best'
+    });
+  }
+
+  // Handle trainees - each is paired with a trainer on the station they're learning
+  // The trainer is locked to the station like a pin; trainees with nobody to learn from shadow
+  const trainees = unassigned.filter(e => e.isInTraining === true);
+  for (const trainee of trainees) {
+    unassigned.splice(unassigned.indexOf(trainee), 1);
+  }
+
+  for (const trainee of trainees) {
+    const traineeKey = getEmployeeKey(trainee);
+    const pairing = pairTrainee(trainee, unassigned, openPositions, options.trainingPairs?.get(traineeKey));
+
+    if (!pairing) {
+      assignments.push({
+        employee: trainee,
+        position: 'in training',
+        matchQuality: 'training'
+      });
+      continue;
+    }
+
+    const { trainer, station, trainingPosition } = pairing;
+    unassigned.splice(unassigned.indexOf(trainer), 1);
+    openPositions.splice(openPositions.indexOf(station), 1);
+    options.trainingPairs?.set(traineeKey, getEmployeeKey(trainer));
+
+    const baseScore = scoreEmployeeForPosition(trainer, station, false, null, weights);
+    assignments.push({
+      employee: trainer,
+      position: station,
+      matchQuality: getMatchQuality(baseScore, weights),
+      trainee: trainee.name
+    });
+    assignments.push({
+      employee: trainee,
+      position: `${trainingPosition} (training w/ ${trainer.name})`,
+      matchQuality: 'training',
+      trainingPosition,
+      trainer: trainer.name
+    });
+  }
+
+  // Sort positions by priority (lower number = higher priority = fill first)
+  // Lead floats so all remaining (unpinned) positions need to be filled
+  const positionsToFill = openPositions;
+
+  const sortedPositions = [...positionsToFill].map(pos => ({
+    position: pos,
+    priority: getPositionPriority(pos, positionPriorityMap)
+  })).sort((a, b) => a.priority - b.priority);
+
+  const solver = options.solver === 'optimal' ? 'optimal' : 'greedy';
+  const stationPool = [...unassigned];
+  const swapTrace = options.explain ? new Map() : null;
+
+  if (solver === 'optimal') {
+    assignments.push(...fillPositionsOptimal(unassigned, sortedPositions, previousAssignments, weights));
+  } else {
+    assignments.push(...fillPositionsGreedy(unassigned, sortedPositions, previousAssignments, weights, swapTrace));
+  }
+
+  if (options.explain) {
+    attachExplanations(assignments, stationPool, previousAssignments, weights, solver, swapTrace);
+  }
+
   // Re-sort assignments to match original position order for display
   const positionOrder = {};
   positionOrder['lead (floating)'] = -3;       // Leads show first
@@ -555,32 +1010,224 @@ function assignEmployeesToPositions(workingEmployees, positions, startTime, prev
     return orderA - orderB;
   });
 
+  // Paired trainees show right under their trainer
+  for (const traineeAssignment of assignments.filter(a => a.trainer)) {
+    assignments.splice(assignments.indexOf(traineeAssignment), 1);
+    const trainerIndex = assignments.findIndex(a => a.trainee === traineeAssignment.employee.name);
+    assignments.splice(trainerIndex + 1, 0, traineeAssignment);
+  }
+
   return assignments;
 }
 
+/**
+ * Find a trainer and station for a trainee
+ * The target is the shift's trainingPosition, otherwise the positions they're a trainee on (in order).
+ * The station must still be open; trainers (skill level) are preferred over people with it as a best
+ * position, and whoever trained them in the previous block (previousTrainerKey) keeps the pair together.
+ * Returns { trainer, station, trainingPosition } or null
+ */
+function pairTrainee(trainee, candidates, openPositions, previousTrainerKey) {
+  const targets = trainee.trainingPosition
+    ? [trainee.trainingPosition]
+    : (trainee.skills || []).filter(s => s.level === 'trainee').map(s => s.position);
+
+  // Leads and boosters float, so they can't hold a station to train on
+  const available = candidates.filter(e => e.isShiftLead !== true && e.isBooster !== true);
+
+  for (const target of targets) {
+    const station = openPositions.find(pos => pos === target || pos.split('/').includes(target));
+    if (!station) continue;
+
+    const trainers = available.filter(e => getSkill(e, target)?.level === 'trainer');
+    const qualified = trainers.length > 0
+      ? trainers
+      : available.filter(e => e.bestPositions?.includes(target) && getSkill(e, target)?.level !== 'trainee');
+    if (qualified.length === 0) continue;
+
+    const trainer = qualified.find(e => getEmployeeKey(e) === previousTrainerKey) || qualified[0];
+    return { trainer, station, trainingPosition: target };
+  }
+
+  return null;
+}
+
+/**
+ * Flag assignments where the person's certification for the position has expired by `date`
+ * Sets certificationExpired (the expiry date) on the assignment in place
+ * Returns one warning per employee and position: [{ employeeId, name, position, expiresOn }]
+ */
+function flagExpiredCertifications(lineups, date) {
+  const warnings = new Map();
+
+  for (const lineup of lineups) {
+    for (const assignment of lineup.assignments) {
+      const expired = assignment.position
+        .split('/')
+        .map(pos => getSkill(assignment.employee, pos))
+        .find(skill => skill?.expiresOn && skill.expiresOn < date);
+      if (!expired) continue;
+
+      assignment.certificationExpired = expired.expiresOn;
+      const key = `${getEmployeeKey(assignment.employee)}|${expired.position}`;
+      if (!warnings.has(key)) {
+        warnings.set(key, {
+          employeeId: assignment.employee.employeeId || assignment.employee.id || null,
+          name: assignment.employee.name,
+          position: expired.position,
+          expiresOn: expired.expiresOn
+        });
+      }
+    }
+  }
+
+  return [...warnings.values()];
+}
+
+/**
+ * Plan break windows for everyone who needs a break
+ * Sets breakStart/breakEnd (HH:MM) on each enriched shift assignment in place
+ * Breaks avoid the dinner rush and are staggered so only one person is off at a time where possible
+ */
+function scheduleBreaks(enrichedAssignments, breakThresholds) {
+  const shifts = [];
+  for (const assignment of enrichedAssignments) {
+    const { needsBreak, breakType } = calculateBreakFlags(assignment, assignment.startTime, assignment.endTime, breakThresholds);
+    if (!needsBreak) continue;
+
+    const { start, end } = getShiftMinutes(assignment);
+    shifts.push({
+      key: getEmployeeKey(assignment),
+      start,
+      end,
+      breakType
+    });
+  }
+
+  const breaks = planBreaks(shifts, {
+    isRushTime: (minutes) => isDinnerRush(minutesToTime(minutes))
+  });
+
+  for (const assignment of enrichedAssignments) {
+    const window = breaks.get(getEmployeeKey(assignment));
+    if (!window) continue;
+    assignment.breakStart = minutesToTime(window.start);
+    assignment.breakEnd = minutesToTime(window.end);
+  }
+}
+
+/**
+ * Positions people on break don't need covered
+ */
+const UNCOVERED_POSITIONS = ['lead (floating)', 'booster (floating)', 'in training', 'extra/support', 'on break'];
+
+/**
+ * Pick who covers each position left open by someone on break
+ * Cover comes from people on "breaks" or extra/support, best skill match first
+ * Returns Map of employee key -> { position, coveringFor }
+ */
+function findBreakCover(onBreak, onFloor, previousAssignments, timeInMinutes, weights) {
+  const cover = new Map();
+
+  const isCoverCandidate = (employee) => {
+    if (employee.isShiftLead || employee.isBooster || employee.isInTraining) return false;
+    if (getActivePin(employee, timeInMinutes)) return false;
+    const key = getEmployeeKey(employee);
+    if (cover.has(key)) return false;
+    const previous = previousAssignments[key];
+    return previous === 'extra/support' || (previous && previous.split('/').includes('breaks'));
+  };
+
+  for (const employee of onBreak) {
+    const position = previousAssignments[getEmployeeKey(employee)];
+    if (!position || UNCOVERED_POSITIONS.includes(position)) continue;
+
+    let best = null;
+    let bestScore = -1;
+    for (const candidate of onFloor.filter(isCoverCandidate)) {
+      const score = scoreEmployeeForPosition(candidate, position, false, null, weights);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+
+    if (best) {
+      cover.set(getEmployeeKey(best), { position, coveringFor: employee.name });
+    }
+  }
+
+  return cover;
+}
+
+/**
+ * Points off per rotate station for one employee under the fairness rotation
+ * Returns { [position]: points } for the rotate stations they've worked in the lookback window
+ */
+function getRotationPenalties(rotation, rotatePositions, employeeId) {
+  const daysWorked = rotation.exposure?.[employeeId] || {};
+  const penalties = {};
+  for (const position of rotatePositions) {
+    if (daysWorked[position] > 0) {
+      penalties[position] = Math.min(daysWorked[position] * rotation.penaltyPerDay, rotation.maxPenalty);
+    }
+  }
+  return penalties;
+}
+
 /**
  * Generate lineups for all time periods
  * @param shiftAssignments - employees and their shift times
  * @param employees - full employee data with positions/bestPositions
  * @param dbPositions - positions from database with priorities and time periods
+ * @param options - { solver: 'greedy' | 'optimal', scoringWeights, explain, planBreaks, breakThresholds }
+ *   breakThresholds come from the store's labor rule pack (defaults to DEFAULT_BREAK_THRESHOLDS)
+ *   timePeriods are the store's dayparts (defaults to DEFAULT_TIME_PERIODS); time blocks outside
+ *   every period are skipped. Shifts ending before they start run past midnight.
+ *   positionLayouts are the store's saved layouts ({ timePeriod, peopleCount, positions });
+ *   a layout matching the period and station headcount replaces the priority-sorted positions
+ *   planBreaks (default true) schedules a break window for everyone flagged by
+ *   calculateBreakFlags, adds an "on break" block and assigns cover for their position
+ *   date (YYYY-MM-DD, defaults to today) is checked against certification expiry dates
+ *   rotation ({ exposure, penaltyPerDay, maxPenalty }) turns on the fairness rotation: exposure is
+ *   { [employeeId]: { [position]: days } } from countStationExposure, and each day on a position
+ *   marked rotate takes penaltyPerDay points off, up to maxPenalty
+ * @returns { lineups, closingLineup, certificationWarnings } - see flagExpiredCertifications
  */
-function generateLineups(shiftAssignments, employees, dbPositions = null) {
+function generateLineups(shiftAssignments, employees, dbPositions = null, options = {}) {
+  const rotatePositions = (dbPositions || []).filter(p => p.rotate).map(p => p.name);
+
   // Merge employee data with shift assignments
   const enrichedAssignments = shiftAssignments.map(assignment => {
     const employee = employees.find(e => e.id === assignment.employeeId) || {};
     return {
       ...assignment,
       ...employee,
-      name: assignment.name || employee.name
+      name: assignment.name || employee.name,
+      rotationPenalties: options.rotation
+        ? getRotationPenalties(options.rotation, rotatePositions, assignment.employeeId)
+        : null
     };
   });
 
+  if (options.planBreaks !== false) {
+    scheduleBreaks(enrichedAssignments, options.breakThresholds);
+  }
+
+  const weights = options.scoringWeights || DEFAULT_SCORING_WEIGHTS;
+  const timePeriods = options.timePeriods || DEFAULT_TIME_PERIODS;
   const changePoints = getChangePoints(enrichedAssignments);
   const lineups = [];
 
   // Track previous assignments to minimize position changes
   let previousAssignments = {};
 
+  // Where people on break (and their cover) go back to once the break is over
+  const homePositions = {};
+
+  // Trainee key -> trainer key, so a pair stays together from block to block
+  const trainingPairs = new Map();
+
   // Build priority map from database positions
   const positionPriorityMap = {};
   if (dbPositions && dbPositions.length > 0) {
@@ -596,13 +1243,21 @@ function generateLineups(shiftAssignments, employees, dbPositions = null) {
     const endTime = minutesToTime(endMinutes);
 
     const workingEmployees = getWorkingEmployees(enrichedAssignments, startMinutes);
-    const shiftPeriod = getShiftPeriod(startTime);
+    const shiftPeriod = getShiftPeriod(startTime, timePeriods);
 
     if (!shiftPeriod || workingEmployees.length === 0) continue;
 
-    // Get positions filtered by time period and sorted by priority
+    // People on their scheduled break come off the floor for this block
+    const onBreak = workingEmployees.filter(e => isOnBreak(e, startMinutes));
+    const onFloor = workingEmployees.filter(e => !isOnBreak(e, startMinutes));
+
+    // A store layout for this period and headcount wins (it can combine stations like "hashbrowns/griddle")
+    // Otherwise use the positions for this time period, sorted by priority
     let positionsToUse;
-    if (dbPositions && dbPositions.length > 0) {
+    const layout = findLayout(options.positionLayouts, shiftPeriod, getStationHeadcount(onFloor));
+    if (layout) {
+      positionsToUse = layout.positions;
+    } else if (dbPositions && dbPositions.length > 0) {
       const periodPositions = getPositionsForPeriod(dbPositions, shiftPeriod, workingEmployees.length);
       if (periodPositions) {
         positionsToUse = periodPositions.positions;
@@ -615,14 +1270,41 @@ function generateLineups(shiftAssignments, employees, dbPositions = null) {
       continue;
     }
 
-    const assignments = assignEmployeesToPositions(workingEmployees, positionsToUse, startTime, previousAssignments, positionPriorityMap);
+    for (const employee of onBreak) {
+      const key = getEmployeeKey(employee);
+      if (!(key in homePositions)) homePositions[key] = previousAssignments[key];
+    }
+
+    const breakCover = findBreakCover(onBreak, onFloor, previousAssignments, startMinutes, weights);
+    for (const key of breakCover.keys()) {
+      if (!(key in homePositions)) homePositions[key] = previousAssignments[key];
+    }
+
+    const assignments = assignEmployeesToPositions(onFloor, positionsToUse, startTime, previousAssignments, positionPriorityMap, { ...options, breakCover, startMinutes, trainingPairs });
+
+    for (const employee of onBreak) {
+      assignments.push({
+        employee,
+        position: 'on break',
+        matchQuality: 'break'
+      });
+    }
 
     // Update previous assignments for next iteration
+    // Anyone on break or covering keeps their home position so they go back to it afterwards
     previousAssignments = {};
     for (const a of assignments) {
       const employeeId = a.employee.employeeId || a.employee.id || a.employee.name;
       previousAssignments[employeeId] = a.position;
     }
+    for (const key of Object.keys(homePositions)) {
+      const stillAway = onBreak.some(e => getEmployeeKey(e) === key) || breakCover.has(key);
+      if (stillAway) {
+        previousAssignments[key] = homePositions[key];
+      } else {
+        delete homePositions[key];
+      }
+    }
 
     // Add break flags to each assignment
     const assignmentsWithBreaks = assignments.map(a => {
@@ -631,9 +1313,14 @@ function generateLineups(shiftAssignments, employees, dbPositions = null) {
       );
 
       const breakInfo = originalAssignment
-        ? calculateBreakFlags(a.employee, originalAssignment.startTime, originalAssignment.endTime)
+        ? calculateBreakFlags(a.employee, originalAssignment.startTime, originalAssignment.endTime, options.breakThresholds)
         : { needsBreak: false, breakType: null };
 
+      if (originalAssignment && originalAssignment.breakStart) {
+        breakInfo.breakStart = originalAssignment.breakStart;
+        breakInfo.breakEnd = originalAssignment.breakEnd;
+      }
+
       return {
         ...a,
         ...breakInfo
@@ -646,23 +1333,68 @@ function generateLineups(shiftAssignments, employees, dbPositions = null) {
       shiftPeriod,
       peopleCount: workingEmployees.length,
       positionsUsed: positionsToUse.length,
-      extraPeople: Math.max(0, workingEmployees.length - positionsToUse.length),
+      stations: getStationPositions(positionsToUse),
+      usedLayout: Boolean(layout),
+      extraPeople: Math.max(0, onFloor.length - positionsToUse.length),
       assignments: assignmentsWithBreaks
     });
   }
 
   // Generate closing lineup based on the last lineup period
-  const closingLineup = generateClosingLineup(lineups, enrichedAssignments, dbPositions);
+  const closingLineup = generateClosingLineup(lineups, enrichedAssignments, dbPositions, options.scoringWeights);
+
+  const certificationWarnings = flagExpiredCertifications(lineups, options.date || new Date().toISOString().split('T')[0]);
+
+  return { lineups, closingLineup, certificationWarnings };
+}
+
+/**
+ * Summarize a day's lineups for review
+ * coverageGaps: blocks that left stations open, fallbackCount: assignments to a position
+ * the person isn't trained on, breaks: everyone's break window
+ */
+function summarizeLineups(lineups) {
+  const coverageGaps = [];
+  let fallbackCount = 0;
+  const breaks = new Map();
+
+  for (const lineup of lineups) {
+    const covered = new Set(lineup.assignments
+      .filter(a => !UNCOVERED_POSITIONS.includes(a.position) && a.matchQuality !== 'training')
+      .map(a => a.position.replace(' (lead)', '')));
+    const openPositions = getExpectedStations(lineup).filter(station => !covered.has(station)).length;
+    if (openPositions > 0) {
+      coverageGaps.push({
+        startTime: lineup.startTime,
+        endTime: lineup.endTime,
+        shiftPeriod: lineup.shiftPeriod,
+        openPositions
+      });
+    }
 
-  return { lineups, closingLineup };
+    for (const a of lineup.assignments) {
+      if (a.matchQuality === 'fallback') fallbackCount++;
+      if (a.breakStart && !breaks.has(getEmployeeKey(a.employee))) {
+        breaks.set(getEmployeeKey(a.employee), { name: a.employee.name, breakStart: a.breakStart, breakEnd: a.breakEnd });
+      }
+    }
+  }
+
+  return {
+    lineupCount: lineups.length,
+    coverageGaps,
+    fallbackCount,
+    breaks: [...breaks.values()]
+  };
 }
 
 /**
  * Generate closing lineup assignments
  * Uses positions marked with requiresClosing from the database
  * Assigns closers to positions based on best match
+ * weights: store scoring profile (closing* weights)
  */
-function generateClosingLineup(lineups, enrichedAssignments, dbPositions = []) {
+function generateClosingLineup(lineups, enrichedAssignments, dbPositions = [], weights = DEFAULT_SCORING_WEIGHTS) {
   if (lineups.length === 0) {
     console.log('[Closing] No lineups generated, skipping closing lineup');
     return null;
@@ -740,16 +1472,16 @@ function generateClosingLineup(lineups, enrichedAssignments, dbPositions = []) {
 
       // Big bonus if already in this position
       if (currentPos === positionLower || currentPos.includes(positionLower)) {
-        score += 50;
+        score += weights.closingStayInPlace;
       }
 
       // Best position skill
       if (employee.bestPositions && employee.bestPositions.some(p => p.toLowerCase() === positionLower)) {
-        score += 10;
+        score += weights.closingBestPosition;
       }
       // Can do position skill
       else if (employee.positions && employee.positions.some(p => p.toLowerCase() === positionLower)) {
-        score += 5;
+        score += weights.closingCapablePosition;
       }
 
       if (score > bestScore) {
@@ -764,7 +1496,9 @@ function generateClosingLineup(lineups, enrichedAssignments, dbPositions = []) {
       closingAssignments.push({
         employee: bestEmployee,
         position: position,
-        matchQuality: bestScore >= 50 ? 'best' : bestScore >= 5 ? 'capable' : 'fallback'
+        matchQuality: bestScore > 0 && bestScore >= weights.closingStayInPlace ? 'best'
+          : bestScore > 0 && bestScore >= weights.closingCapablePosition ? 'capable'
+          : 'fallback'
       });
       assignedEmployeeIds.add(empId);
       unassignedClosers.splice(bestIndex, 1);
@@ -789,7 +1523,10 @@ function generateClosingLineup(lineups, enrichedAssignments, dbPositions = []) {
 
 module.exports = {
   generateLineups,
-  timeToMinutes,
-  minutesToTime,
+  summarizeLineups,
+  validatePins,
+  getShiftMinutes,
+  getStationPositions,
+  getExpectedStations,
   calculateBreakFlags
 };
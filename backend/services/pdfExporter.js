@@ -0,0 +1,309 @@
+const PDFDocument = require('pdfkit');
+const { formatTime12Hour } = require('./timeUtils');
+
+/**
+ * Printable station board
+ * One landscape page per daypart for the crew to read off the wall: a row per station, a column per
+ * lineup block, and each person's name as large as the page allows. Shift leads are highlighted,
+ * breaks are marked on the person's cell, and the closing lineup gets its own page.
+ */
+
+const PAGE = { size: 'LETTER', layout: 'landscape', margin: 36 };
+
+const COLORS = {
+  brand: '#E31837', // Chick-fil-A red, same as the Excel header
+  text: '#111111',
+  muted: '#555555',
+  grid: '#999999',
+  headerFill: '#EEEEEE',
+  leadFill: '#FFF3B0',
+  breakFill: '#DCEBF7',
+  requiredBreak: '#B00020'
+};
+
+const MAX_NAME_SIZE = 30;
+const MIN_NAME_SIZE = 9;
+const LABEL_COLUMN_WIDTH = 150;
+const HEADER_HEIGHT = 64;
+const FOOTER_HEIGHT = 20;
+
+// Rows that aren't stations go around them: the floating lead first, everyone else off a station last
+const LEADING_ROWS = ['lead (floating)'];
+const TRAILING_ROWS = ['booster (floating)', 'in training', 'extra/support', 'on break'];
+
+const TRAINING_PATTERN = /^(.+) \(training w\/ (.+)\)$/;
+
+const formatRange = (start, end) => `${formatTime12Hour(start)} - ${formatTime12Hour(end)}`;
+
+function formatDate(date) {
+  return new Date(date + 'T00:00:00Z').toLocaleDateString('en-US', {
+    weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+/**
+ * Consecutive lineups in the same time period, one group per page
+ */
+function groupByDaypart(lineups, timePeriods) {
+  const groups = [];
+  for (const lineup of lineups) {
+    const last = groups[groups.length - 1];
+    if (last && last.id === lineup.shiftPeriod) {
+      last.lineups.push(lineup);
+    } else {
+      const period = timePeriods.find(p => p.id === lineup.shiftPeriod);
+      groups.push({ id: lineup.shiftPeriod, name: period?.name || lineup.shiftPeriod || 'Lineup', lineups: [lineup] });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Board row for an assignment, plus what to print in the cell
+ * "primary (lead)" goes on the primary row, trainees go on their station's training row
+ */
+function toCell(assignment) {
+  const position = assignment.position;
+  const training = position.match(TRAINING_PATTERN);
+  const isLead = assignment.employee?.isShiftLead === true || position === 'lead (floating)' || position.endsWith(' (lead)');
+
+  const notes = [];
+  if (training) notes.push(`with ${training[2]}`);
+  if (assignment.coveringFor) notes.push(`covering ${assignment.coveringFor}`);
+
+  let breakNote = null;
+  if (position === 'on break') {
+    breakNote = assignment.breakStart ? `back ${formatTime12Hour(assignment.breakEnd)}` : null;
+  } else if (assignment.needsBreak) {
+    const window = assignment.breakStart ? ` ${formatRange(assignment.breakStart, assignment.breakEnd)}` : '';
+    breakNote = assignment.breakType === 'required' ? `BREAK${window}` : `break (optional)${window}`;
+  }
+
+  return {
+    row: training ? `${training[1]} (training)` : position.replace(' (lead)', ''),
+    name: assignment.employee?.name || '',
+    isLead,
+    onBreak: position === 'on break',
+    requiredBreak: position !== 'on break' && assignment.needsBreak && assignment.breakType === 'required',
+    breakNote,
+    notes
+  };
+}
+
+/**
+ * Rows in board order: floating lead, stations in the order they first appear, then everyone off a station
+ */
+function orderRows(rowNames) {
+  const unique = [...new Set(rowNames)];
+  const rank = (row) => {
+    if (LEADING_ROWS.includes(row)) return -1;
+    const trailing = TRAILING_ROWS.indexOf(row);
+    if (trailing >= 0) return 1000 + trailing;
+    if (row.endsWith(' (training)')) return 999;
+    return 0;
+  };
+  return unique
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => rank(a.row) - rank(b.row) || a.index - b.index)
+    .map(({ row }) => row);
+}
+
+/**
+ * Largest font size (up to max) at which text fits in width
+ */
+function fitFontSize(doc, text, width, max) {
+  let size = max;
+  doc.font('Helvetica-Bold');
+  while (size > MIN_NAME_SIZE && doc.fontSize(size).widthOfString(text) > width) {
+    size -= 1;
+  }
+  return size;
+}
+
+function drawPageHeader(doc, title, subtitle, options) {
+  const { margin } = PAGE;
+  const width = doc.page.width - margin * 2;
+
+  doc.rect(margin, margin, width, 6).fill(COLORS.brand);
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(24)
+    .text(title, margin, margin + 14, { width: width * 0.6, lineBreak: false });
+  doc.font('Helvetica').fontSize(14).fillColor(COLORS.muted)
+    .text(subtitle, margin, margin + 42, { width: width * 0.6, lineBreak: false });
+
+  const right = [options.storeName, options.houseLabel, options.date ? formatDate(options.date) : null].filter(Boolean);
+  doc.font('Helvetica').fontSize(12).fillColor(COLORS.muted);
+  right.forEach((line, i) => {
+    doc.text(line, margin + width * 0.6, margin + 14 + i * 16, { width: width * 0.4, align: 'right', lineBreak: false });
+  });
+}
+
+function drawFooter(doc) {
+  const { margin } = PAGE;
+  const y = doc.page.height - margin - 12;
+  let x = margin;
+
+  const swatch = (fill, label) => {
+    doc.rect(x, y, 12, 10).fillAndStroke(fill, COLORS.grid);
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text(label, x + 16, y + 1, { lineBreak: false });
+    x += 16 + doc.widthOfString(label) + 18;
+  };
+  swatch(COLORS.leadFill, 'Shift lead');
+  swatch(COLORS.breakFill, 'On break');
+  doc.fillColor(COLORS.requiredBreak).font('Helvetica-Bold').fontSize(9).text('BREAK', x, y + 1, { lineBreak: false });
+  doc.fillColor(COLORS.muted).font('Helvetica').text(' = required break, take it in the time shown', { lineBreak: false });
+}
+
+/**
+ * Draw one cell: names stacked, each with its notes underneath
+ */
+function drawCell(doc, cells, x, y, width, height, nameSize) {
+  if (cells.some(c => c.isLead)) {
+    doc.rect(x, y, width, height).fill(COLORS.leadFill);
+  } else if (cells.length > 0 && cells.every(c => c.onBreak)) {
+    doc.rect(x, y, width, height).fill(COLORS.breakFill);
+  }
+
+  const padding = 6;
+  const noteSize = Math.max(8, Math.round(nameSize * 0.45));
+  const blockHeight = height / Math.max(cells.length, 1);
+
+  cells.forEach((cell, i) => {
+    const size = Math.min(nameSize, fitFontSize(doc, cell.name, width - padding * 2, nameSize));
+    const notes = [...cell.notes];
+    const lines = (cell.breakNote ? 1 : 0) + (notes.length > 0 ? 1 : 0);
+    const contentHeight = size + lines * (noteSize + 2);
+    let textY = y + blockHeight * i + Math.max(2, (blockHeight - contentHeight) / 2);
+
+    doc.font('Helvetica-Bold').fontSize(size).fillColor(COLORS.text)
+      .text(cell.name, x + padding, textY, { width: width - padding * 2, lineBreak: false, ellipsis: true });
+    textY += size + 2;
+
+    if (cell.breakNote) {
+      doc.font(cell.requiredBreak ? 'Helvetica-Bold' : 'Helvetica').fontSize(noteSize)
+        .fillColor(cell.requiredBreak ? COLORS.requiredBreak : COLORS.muted)
+        .text(cell.breakNote, x + padding, textY, { width: width - padding * 2, lineBreak: false, ellipsis: true });
+      textY += noteSize + 2;
+    }
+    if (notes.length > 0) {
+      doc.font('Helvetica').fontSize(noteSize).fillColor(COLORS.muted)
+        .text(notes.join(', '), x + padding, textY, { width: width - padding * 2, lineBreak: false, ellipsis: true });
+    }
+  });
+}
+
+/**
+ * Draw a board: rows of stations, a column per block, names as large as the rows allow
+ * columns: [{ label, cellsByRow: Map(row -> [cell]) }]
+ */
+function drawBoard(doc, rows, columns) {
+  const { margin } = PAGE;
+  const top = margin + HEADER_HEIGHT;
+  const width = doc.page.width - margin * 2;
+  const height = doc.page.height - margin * 2 - HEADER_HEIGHT - FOOTER_HEIGHT;
+  const columnHeaderHeight = 28;
+
+  // Each row is as tall as the most names any of its cells holds
+  const rowWeights = rows.map(row => Math.max(1, ...columns.map(col => (col.cellsByRow.get(row) || []).length)));
+  const unitHeight = (height - columnHeaderHeight) / rowWeights.reduce((sum, w) => sum + w, 0);
+  const columnWidth = (width - LABEL_COLUMN_WIDTH) / columns.length;
+  // Leave room under each name for a break or training note
+  const nameSize = Math.max(MIN_NAME_SIZE, Math.min(MAX_NAME_SIZE, Math.floor(unitHeight * 0.5)));
+  const labelSize = Math.max(MIN_NAME_SIZE, Math.min(18, Math.floor(unitHeight * 0.4)));
+
+  // Column headers
+  doc.rect(margin, top, width, columnHeaderHeight).fill(COLORS.headerFill);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text)
+    .text('Station', margin + 6, top + 8, { width: LABEL_COLUMN_WIDTH - 12, lineBreak: false });
+  columns.forEach((col, i) => {
+    doc.text(col.label, margin + LABEL_COLUMN_WIDTH + columnWidth * i + 6, top + 8, {
+      width: columnWidth - 12, align: 'center', lineBreak: false, ellipsis: true
+    });
+  });
+
+  let y = top + columnHeaderHeight;
+  rows.forEach((row, r) => {
+    const rowHeight = unitHeight * rowWeights[r];
+    doc.font('Helvetica-Bold').fontSize(fitFontSize(doc, row, LABEL_COLUMN_WIDTH - 12, labelSize)).fillColor(COLORS.text)
+      .text(row, margin + 6, y + (rowHeight - labelSize) / 2, { width: LABEL_COLUMN_WIDTH - 12, lineBreak: false, ellipsis: true });
+
+    columns.forEach((col, i) => {
+      drawCell(doc, col.cellsByRow.get(row) || [], margin + LABEL_COLUMN_WIDTH + columnWidth * i, y, columnWidth, rowHeight, nameSize);
+    });
+
+    y += rowHeight;
+  });
+
+  // Grid lines over the fills
+  doc.lineWidth(1).strokeColor(COLORS.grid);
+  doc.rect(margin, top, width, y - top).stroke();
+  let lineY = top + columnHeaderHeight;
+  doc.moveTo(margin, lineY).lineTo(margin + width, lineY).stroke();
+  rowWeights.forEach(weight => {
+    lineY += unitHeight * weight;
+    doc.moveTo(margin, lineY).lineTo(margin + width, lineY).stroke();
+  });
+  for (let i = 0; i < columns.length; i++) {
+    const x = margin + LABEL_COLUMN_WIDTH + columnWidth * i;
+    doc.moveTo(x, top).lineTo(x, y).stroke();
+  }
+}
+
+function toColumn(label, assignments) {
+  const cellsByRow = new Map();
+  for (const assignment of assignments) {
+    const cell = toCell(assignment);
+    if (!cellsByRow.has(cell.row)) cellsByRow.set(cell.row, []);
+    cellsByRow.get(cell.row).push(cell);
+  }
+  return { label, cellsByRow };
+}
+
+/**
+ * Build the station board PDF
+ * @param lineups - generated lineups for one day
+ * @param closingLineup - the closing lineup ({ assignments }), or null
+ * @param options - { date, storeName, houseType, timePeriods } for titles
+ * @returns Promise of a Buffer
+ */
+function exportStationBoard(lineups, closingLineup, options = {}) {
+  const { timePeriods = [] } = options;
+  const houseLabel = options.houseType === 'foh' ? 'Front of House' : options.houseType === 'boh' ? 'Back of House' : null;
+  const headerOptions = { ...options, houseLabel };
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ ...PAGE, autoFirstPage: false, info: { Title: 'Station Board', Creator: 'Shift Lineup App' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    for (const daypart of groupByDaypart(lineups, timePeriods)) {
+      const first = daypart.lineups[0];
+      const last = daypart.lineups[daypart.lineups.length - 1];
+      const columns = daypart.lineups.map(l => toColumn(formatRange(l.startTime, l.endTime), l.assignments || []));
+      const rows = orderRows(daypart.lineups.flatMap(l => (l.assignments || []).map(a => toCell(a).row)));
+
+      doc.addPage();
+      drawPageHeader(doc, daypart.name, formatRange(first.startTime, last.endTime), headerOptions);
+      if (rows.length > 0) drawBoard(doc, rows, columns);
+      drawFooter(doc);
+    }
+
+    if (closingLineup?.assignments?.length > 0) {
+      const column = toColumn('Closing', closingLineup.assignments);
+      const rows = orderRows(closingLineup.assignments.map(a => toCell(a).row));
+      const closeTime = lineups.length > 0 ? `Until ${formatTime12Hour(lineups[lineups.length - 1].endTime)}` : '';
+
+      doc.addPage();
+      drawPageHeader(doc, 'Closing', closeTime, headerOptions);
+      drawBoard(doc, rows, [column]);
+      drawFooter(doc);
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  exportStationBoard
+};
@@ -0,0 +1,60 @@
+/**
+ * Positions
+ * Converts between Supabase positions rows and the API format
+ */
+
+// Convert Supabase position row to API format
+function positionToApiFormat(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    houseType: row.house_type || 'boh',
+    priority: row.priority || 99,
+    timePeriods: row.time_periods || ['all'],
+    isActive: row.is_active !== false,
+    requiresClosing: row.requires_closing || false,
+    rotate: row.rotate || false,
+    storeId: row.store_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Convert API format to Supabase position row
+function positionToDbFormat(data, storeId) {
+  return {
+    name: data.name,
+    house_type: data.houseType || 'boh',
+    priority: data.priority || 99,
+    time_periods: data.timePeriods || ['all'],
+    is_active: data.isActive !== false,
+    requires_closing: data.requiresClosing || false,
+    rotate: data.rotate === true,
+    store_id: storeId
+  };
+}
+
+// Fields sent to PUT /api/positions/:id as a Supabase update - anything left out stays as it is
+function positionUpdateToDbFormat(data) {
+  const updateData = {
+    name: data.name,
+    house_type: data.houseType,
+    priority: data.priority,
+    time_periods: data.timePeriods,
+    is_active: data.isActive,
+    requires_closing: data.requiresClosing,
+    rotate: data.rotate
+  };
+
+  // Remove undefined fields
+  Object.keys(updateData).forEach(key =>
+    updateData[key] === undefined && delete updateData[key]
+  );
+  return updateData;
+}
+
+module.exports = {
+  positionToApiFormat,
+  positionToDbFormat,
+  positionUpdateToDbFormat
+};
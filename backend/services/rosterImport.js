@@ -0,0 +1,244 @@
+const ExcelJS = require('exceljs');
+const { parseCsv } = require('./scheduleImport');
+
+/**
+ * Roster import/export
+ * The roster file has one row per employee: Name, Minor, House, Positions, Best Positions.
+ * Positions are listed in one cell separated by commas or semicolons.
+ * Employees are matched to the store's roster by name; anyone not in the file is left alone.
+ */
+
+const ROSTER_COLUMNS = [
+  { header: 'Name', key: 'name', width: 28 },
+  { header: 'Minor', key: 'minor', width: 8 },
+  { header: 'House', key: 'house', width: 8 },
+  { header: 'Positions', key: 'positions', width: 48 },
+  { header: 'Best Positions', key: 'bestPositions', width: 32 }
+];
+
+const HEADER_ALIASES = {
+  name: ['name', 'employee', 'employee name', 'team member'],
+  minor: ['minor', 'is minor', 'under 18'],
+  house: ['house', 'house type', 'side'],
+  positions: ['positions', 'position', 'stations', 'trained positions'],
+  bestPositions: ['best positions', 'best position', 'best', 'strongest positions']
+};
+
+const MAX_ROSTER_ROWS = 500;
+
+const HOUSE_VALUES = {
+  boh: 'boh', 'back of house': 'boh', back: 'boh',
+  foh: 'foh', 'front of house': 'foh', front: 'foh',
+  both: 'both'
+};
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x', 'minor'];
+const FALSE_VALUES = ['', 'no', 'n', 'false', '0', 'adult'];
+
+const HOUSE_LABELS = { boh: 'BOH', foh: 'FOH', both: 'Both' };
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+const normalizeName = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const toRosterRow = (employee) => ({
+  name: employee.name,
+  minor: employee.isMinor ? 'Yes' : 'No',
+  house: HOUSE_LABELS[employee.houseType || 'boh'],
+  positions: (employee.positions || []).join(', '),
+  bestPositions: (employee.bestPositions || []).join(', ')
+});
+
+/**
+ * Build an Excel workbook of the roster
+ */
+function buildRosterWorkbook(employees) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Shift Lineup App';
+  workbook.created = new Date();
+
+  const worksheet = workbook.addWorksheet('Roster');
+  worksheet.columns = ROSTER_COLUMNS;
+  worksheet.getRow(1).font = { bold: true };
+  employees.forEach(employee => worksheet.addRow(toRosterRow(employee)));
+
+  return workbook;
+}
+
+/**
+ * Write the roster as CSV text
+ */
+function rosterToCsv(employees) {
+  const escape = (value) => /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  const lines = [ROSTER_COLUMNS.map(c => c.header).join(',')];
+  for (const employee of employees) {
+    const row = toRosterRow(employee);
+    lines.push(ROSTER_COLUMNS.map(c => escape(row[c.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Read an uploaded roster into rows of cell text
+ * @param content - CSV text, or base64 for xlsx
+ * @param format - 'csv' or 'xlsx'
+ */
+async function readRosterFile(content, format) {
+  if (format !== 'xlsx') {
+    return parseCsv(content);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(Buffer.from(content, 'base64'));
+  } catch {
+    throw new Error('Couldn\'t open the Excel file');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const table = [];
+  worksheet.eachRow({ includeEmpty: true }, (row) => {
+    const cells = [];
+    for (let i = 1; i <= worksheet.columnCount; i++) {
+      cells.push((row.getCell(i).text || '').trim());
+    }
+    table.push(cells);
+  });
+  return table.filter(r => r.some(c => c !== ''));
+}
+
+const splitList = (value) => value.split(/[,;|]/).map(p => p.trim()).filter(Boolean);
+
+/**
+ * Turn a roster table into employee rows, checked against the store's active positions
+ * and matched to existing employees by name
+ * @param table - rows of cell text, header row first
+ * @param existing - the store's employees (API format)
+ * @param positions - the store's active positions (API format)
+ * @returns { creates, updates, unchanged, conflicts }
+ *   creates/updates: [{ line, id?, employee, changes? }], unchanged: [{ line, id, name }],
+ *   conflicts: [{ line, name, message }] - nothing is applied while there are conflicts
+ */
+function planRosterImport(table, existing, positions) {
+  if (table.length < 2) {
+    throw new Error('The file needs a header row and at least one employee');
+  }
+  if (table.length - 1 > MAX_ROSTER_ROWS) {
+    throw new Error(`A roster file can have at most ${MAX_ROSTER_ROWS} employees`);
+  }
+
+  const columns = {};
+  table[0].forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+      if (columns[field] === undefined && aliases.includes(normalized)) {
+        columns[field] = index;
+        return;
+      }
+    }
+  });
+  if (columns.name === undefined) {
+    throw new Error('Couldn\'t find a "Name" column');
+  }
+
+  const existingByName = new Map();
+  for (const employee of existing) {
+    const key = normalizeName(employee.name);
+    existingByName.set(key, existingByName.has(key) ? null : employee);
+  }
+
+  const plan = { creates: [], updates: [], unchanged: [], conflicts: [] };
+  const seenNames = new Map();
+
+  table.slice(1).forEach((cells, index) => {
+    const line = index + 2;
+    const has = (field) => columns[field] !== undefined;
+    const cell = (field) => has(field) ? (cells[columns[field]] || '').trim() : '';
+    const name = cell('name').replace(/\s+/g, ' ');
+    const conflict = (message) => plan.conflicts.push({ line, name, message });
+
+    if (!name) return conflict('No name');
+
+    const key = normalizeName(name);
+    if (seenNames.has(key)) {
+      return conflict(`Listed twice (also on line ${seenNames.get(key)})`);
+    }
+    seenNames.set(key, line);
+
+    const current = existingByName.get(key);
+    if (current === null) {
+      return conflict('More than one employee already has this name - edit them one by one');
+    }
+
+    // Columns left out of the file keep the employee's current values
+    const houseCell = cell('house').toLowerCase();
+    const houseType = houseCell ? HOUSE_VALUES[houseCell] : (current?.houseType || 'boh');
+    if (!houseType) {
+      return conflict(`Unknown house "${cell('house')}" - use BOH, FOH or Both`);
+    }
+
+    let isMinor = current?.isMinor || false;
+    if (has('minor')) {
+      const minorCell = cell('minor').toLowerCase();
+      if (TRUE_VALUES.includes(minorCell)) isMinor = true;
+      else if (FALSE_VALUES.includes(minorCell)) isMinor = false;
+      else return conflict(`Can't tell if "${cell('minor')}" means minor - use Yes or No`);
+    }
+
+    // Positions must be active for the employee's house, and are saved with the store's spelling
+    const housePositions = positions.filter(p => houseType === 'both' || p.houseType === houseType);
+    const resolve = (names) => {
+      const resolved = [];
+      for (const positionName of names) {
+        const match = housePositions.find(p => p.name.toLowerCase() === positionName.toLowerCase());
+        if (!match) {
+          conflict(`"${positionName}" isn't an active ${HOUSE_LABELS[houseType]} position`);
+          return null;
+        }
+        if (!resolved.includes(match.name)) resolved.push(match.name);
+      }
+      return resolved;
+    };
+
+    const employeePositions = has('positions') ? resolve(splitList(cell('positions'))) : (current?.positions || []);
+    if (!employeePositions) return;
+    const bestPositions = has('bestPositions') ? resolve(splitList(cell('bestPositions'))) : (current?.bestPositions || []);
+    if (!bestPositions) return;
+
+    const notTrained = bestPositions.find(p => !employeePositions.includes(p));
+    if (notTrained) {
+      return conflict(`Best position "${notTrained}" isn't one of their positions`);
+    }
+
+    const employee = { name, isMinor, houseType, positions: employeePositions, bestPositions };
+
+    if (!current) {
+      plan.creates.push({ line, employee });
+      return;
+    }
+
+    const sameList = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+    const changes = [];
+    if (current.name !== name) changes.push('name');
+    if ((current.isMinor || false) !== isMinor) changes.push('minor');
+    if ((current.houseType || 'boh') !== houseType) changes.push('house');
+    if (!sameList(current.positions || [], employeePositions)) changes.push('positions');
+    if (!sameList(current.bestPositions || [], bestPositions)) changes.push('best positions');
+
+    if (changes.length === 0) {
+      plan.unchanged.push({ line, id: current.id, name });
+    } else {
+      plan.updates.push({ line, id: current.id, employee, changes });
+    }
+  });
+
+  return plan;
+}
+
+module.exports = {
+  buildRosterWorkbook,
+  rosterToCsv,
+  readRosterFile,
+  planRosterImport
+};
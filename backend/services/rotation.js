@@ -0,0 +1,59 @@
+/**
+ * Station exposure for the fairness rotation
+ * Counts the days each employee worked each "rotate" station in saved lineups,
+ * which the generator turns into a score penalty (see config/rotation.js)
+ */
+
+// "DT fries (training w/ Alex)" - a trainee paired with a trainer still spends the day on the station
+const TRAINING_PATTERN = /^(.+) \(training w\/ .+\)$/;
+
+/**
+ * Days each employee worked each rotate station
+ * @param lineups - [{ date, assignments: [{ employeeId, position }] }]
+ * @param rotatePositions - names of the positions marked "rotate"
+ * @returns { [employeeId]: { [position]: days } }
+ */
+function countStationExposure(lineups, rotatePositions) {
+  const daysWorked = {};
+
+  for (const lineup of lineups) {
+    for (const assignment of lineup.assignments || []) {
+      const training = assignment.position.match(TRAINING_PATTERN);
+      const station = training ? training[1] : assignment.position.replace(' (lead)', '');
+
+      // Combined stations ("DT fries/FC fries") count toward each rotate part
+      for (const position of station.split('/')) {
+        if (!rotatePositions.includes(position)) continue;
+        const positions = daysWorked[assignment.employeeId] || (daysWorked[assignment.employeeId] = {});
+        (positions[position] || (positions[position] = new Set())).add(lineup.date);
+      }
+    }
+  }
+
+  const exposure = {};
+  for (const [employeeId, positions] of Object.entries(daysWorked)) {
+    exposure[employeeId] = Object.fromEntries(
+      Object.entries(positions).map(([position, dates]) => [position, dates.size])
+    );
+  }
+  return exposure;
+}
+
+/**
+ * Saved-lineup shape for lineups the generator just made, so a week being generated
+ * counts its earlier days toward the later ones
+ */
+function toExposureLineups(date, lineups) {
+  return lineups.map(lineup => ({
+    date,
+    assignments: lineup.assignments.map(a => ({
+      employeeId: a.employee.employeeId || a.employee.id,
+      position: a.position
+    }))
+  }));
+}
+
+module.exports = {
+  countStationExposure,
+  toExposureLineups
+};
@@ -0,0 +1,312 @@
+/**
+ * Schedule import
+ * Turns a CSV schedule (our own template, or a HotSchedules / When I Work style export)
+ * into shift rows matched to the store's employees.
+ *
+ * Columns are found by header name, so column order and extra columns don't matter:
+ *   name: "Name", "Employee", "Team Member" - or "First Name" + "Last Name"
+ *   date: "Date", "Shift Date", "Start Date" (optional, falls back to the default date)
+ *   times: "Start"/"In Time" + "End"/"Out Time", or one "Shift"/"Time" column like "2:00 PM - 10:00 PM"
+ */
+
+const HEADER_ALIASES = {
+  name: ['name', 'employee', 'employee name', 'team member', 'staff', 'member'],
+  firstName: ['first name', 'first', 'firstname', 'given name'],
+  lastName: ['last name', 'last', 'lastname', 'surname', 'family name'],
+  date: ['date', 'shift date', 'start date', 'day', 'schedule date'],
+  start: ['start', 'start time', 'in', 'in time', 'time in', 'clock in', 'shift start', 'begin'],
+  end: ['end', 'end time', 'out', 'out time', 'time out', 'clock out', 'shift end', 'finish'],
+  range: ['shift', 'time', 'times', 'hours', 'shift time', 'scheduled']
+};
+
+// Names scoring below this aren't matched automatically and go to review
+const MATCH_THRESHOLD = 0.8;
+
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Parse CSV text into rows of cells (handles quoted cells, "" escapes and CRLF)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows
+    .map(r => r.map(c => c.trim()))
+    .filter(r => r.some(c => c !== ''));
+}
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Find which column holds each field, from the header row
+ */
+function mapColumns(headerRow) {
+  const columns = {};
+  headerRow.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+      if (columns[field] === undefined && aliases.includes(normalized)) {
+        columns[field] = index;
+        return;
+      }
+    }
+  });
+  return columns;
+}
+
+/**
+ * Parse a time like "14:00", "2:00 PM", "2pm", "2:30p" or "1430" to HH:MM (null if unreadable)
+ */
+function parseTime(value) {
+  if (!value) return null;
+  const match = value.trim().toLowerCase().match(/^(\d{1,2})(?::?(\d{2}))?(?::\d{2})?\s*(a|p|am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3] ? match[3][0] : null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'p' && hours !== 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Split a range like "2:00 PM - 10:00 PM" or "6a-2p" into start and end times
+ * An end without am/pm borrows the start's ("2-10pm")
+ */
+function parseTimeRange(value) {
+  const parts = (value || '').split(/\s*(?:-|–|to)\s*/i);
+  if (parts.length !== 2) return null;
+
+  let [start, end] = parts;
+  const endMeridiem = end.match(/(am|pm|a|p)$/i);
+  if (endMeridiem && !/(am|pm|a|p)$/i.test(start)) {
+    start += endMeridiem[1];
+  }
+
+  const startTime = parseTime(start);
+  const endTime = parseTime(end);
+  return startTime && endTime ? { startTime, endTime } : null;
+}
+
+/**
+ * Parse a date like "2026-10-19", "10/19/2026" or "10/19/26" to YYYY-MM-DD (null if unreadable)
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const trimmed = value.trim();
+
+  let match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    // US exports put the month first; some prefix the weekday ("Sat 10/24/2026")
+    match = trimmed.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+    if (!match) return null;
+    [, month, day, year] = match.map(Number);
+    if (year < 100) year += 2000;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Lowercase a name and drop punctuation; "Smith, Jane" becomes "jane smith"
+ */
+function normalizeName(name) {
+  let value = (name || '').trim();
+  const comma = value.match(/^([^,]+),\s*(.+)$/);
+  if (comma) value = `${comma[2]} ${comma[1]}`;
+  return value.toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * How alike two normalized names are, from 0 to 1
+ * "Jane S" or "Jane" against "Jane Smith" count as close, typos are scored by edit distance
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const aTokens = a.split(' ');
+  const bTokens = b.split(' ');
+
+  // Same first name and the last name is an initial or left out ("Jane S", "Jane")
+  if (aTokens[0] === bTokens[0]) {
+    const aLast = aTokens[aTokens.length - 1];
+    const bLast = bTokens[bTokens.length - 1];
+    if (aTokens.length === 1 || bTokens.length === 1) return 0.86;
+    if (aLast.length === 1 && bLast.startsWith(aLast)) return 0.9;
+    if (bLast.length === 1 && aLast.startsWith(bLast)) return 0.9;
+  }
+
+  // Same words in a different order
+  if ([...aTokens].sort().join(' ') === [...bTokens].sort().join(' ')) return 0.95;
+
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Match an imported name to the store's employees
+ * Returns { match, candidates }: match is only set when one employee is clearly the best
+ */
+function matchEmployee(rawName, employees) {
+  const name = normalizeName(rawName);
+  const scored = employees
+    .map(e => ({ employeeId: e.id, name: e.name, score: nameSimilarity(name, normalizeName(e.name)) }))
+    .filter(c => c.score >= 0.5)
+    .sort((a, b) => b.score - a.score);
+
+  const candidates = scored.slice(0, 3).map(c => ({ ...c, score: Math.round(c.score * 100) / 100 }));
+  const [best, next] = scored;
+  const clearWinner = best && best.score >= MATCH_THRESHOLD && (!next || best.score - next.score >= 0.05 || (best.score === 1 && next.score < 1));
+
+  return { match: clearWinner ? candidates[0] : null, candidates };
+}
+
+/**
+ * Detect which tool exported a file from its headers (for display only)
+ */
+function detectFormat(headerRow) {
+  const headers = headerRow.map(normalizeHeader);
+  if (headers.includes('first name') && headers.includes('start date')) return 'When I Work';
+  if (headers.includes('in time') || headers.includes('out time') || headers.includes('job')) return 'HotSchedules';
+  return 'CSV';
+}
+
+/**
+ * Parse a schedule export and match it to employees
+ * @param text - CSV text
+ * @param employees - the store's employees ({ id, name })
+ * @param options.defaultDate - YYYY-MM-DD for files without a date column
+ * @returns { format, rows: [{ line, name, date, startTime, endTime, match, candidates, error }] }
+ *   line is the 1-based line in the file, error is set for rows that can't be imported
+ */
+function parseSchedule(text, employees, options = {}) {
+  const table = parseCsv(text || '');
+  if (table.length < 2) {
+    throw new Error('The file needs a header row and at least one shift');
+  }
+  if (table.length - 1 > MAX_IMPORT_ROWS) {
+    throw new Error(`A file can have at most ${MAX_IMPORT_ROWS} shifts`);
+  }
+
+  const columns = mapColumns(table[0]);
+  const hasName = columns.name !== undefined || columns.firstName !== undefined;
+  const hasTimes = (columns.start !== undefined && columns.end !== undefined) || columns.range !== undefined;
+  if (!hasName || !hasTimes) {
+    throw new Error('Couldn\'t find name and shift time columns. Expected headers like "Name", "Start" and "End"');
+  }
+  if (columns.date === undefined && !options.defaultDate) {
+    throw new Error('The file has no date column, pick a date for these shifts');
+  }
+
+  const rows = table.slice(1).map((cells, index) => {
+    const cell = (field) => columns[field] !== undefined ? (cells[columns[field]] || '') : '';
+
+    const name = columns.name !== undefined
+      ? cell('name')
+      : `${cell('firstName')} ${cell('lastName')}`.trim();
+
+    let times = null;
+    if (cell('start') || cell('end')) {
+      const startTime = parseTime(cell('start'));
+      const endTime = parseTime(cell('end'));
+      times = startTime && endTime ? { startTime, endTime } : null;
+    } else if (cell('range')) {
+      times = parseTimeRange(cell('range'));
+    }
+
+    const date = columns.date !== undefined && cell('date') ? parseDate(cell('date')) : options.defaultDate;
+
+    let error = null;
+    if (!name) error = 'No name';
+    else if (columns.date !== undefined && cell('date') && !date) error = `Can't read date "${cell('date')}"`;
+    else if (!times) error = 'Can\'t read shift times';
+    else if (times.startTime === times.endTime) error = 'Shift starts and ends at the same time';
+
+    const { match, candidates } = name ? matchEmployee(name, employees) : { match: null, candidates: [] };
+
+    return {
+      line: index + 2,
+      name,
+      date: date || null,
+      startTime: times?.startTime || null,
+      endTime: times?.endTime || null,
+      match,
+      candidates,
+      error
+    };
+  });
+
+  return { format: detectFormat(table[0]), rows };
+}
+
+module.exports = {
+  parseSchedule,
+  parseCsv,
+  parseTime,
+  parseTimeRange,
+  parseDate,
+  matchEmployee
+};
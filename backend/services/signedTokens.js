@@ -0,0 +1,61 @@
+/**
+ * Signed tokens for links that work without a store account
+ * A token is "<payload>.<signature>": the payload is base64url JSON with a purpose and an expiry
+ * (exp, seconds since epoch), signed with HMAC-SHA256 using SHARE_LINK_SECRET.
+ * The purpose keeps a token made for one kind of link from opening another.
+ */
+
+const crypto = require('crypto');
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+function getSecret() {
+  const secret = process.env.SHARE_LINK_SECRET;
+  if (!secret || secret.length < 32) {
+    const error = new Error('Share links are not set up: add a SHARE_LINK_SECRET of at least 32 characters to the backend environment');
+    error.code = 'NO_SHARE_SECRET';
+    throw error;
+  }
+  return secret;
+}
+
+const sign = (payload, secret) => base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+
+/**
+ * Sign a token
+ * @param purpose - what the token opens, e.g. 'itinerary'
+ * @param data - fields to carry (kept short, they end up in the URL)
+ * @param expiresAt - Date the token stops working
+ */
+function signToken(purpose, data, expiresAt) {
+  const payload = base64url(JSON.stringify({ ...data, purpose, exp: Math.floor(expiresAt.getTime() / 1000) }));
+  return `${payload}.${sign(payload, getSecret())}`;
+}
+
+/**
+ * Check a token's signature, purpose and expiry
+ * Returns the payload, or null if the token is malformed, forged, for something else or expired
+ */
+function verifyToken(token, purpose) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload, getSecret()));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (data?.purpose !== purpose || !Number.isInteger(data.exp) || data.exp * 1000 <= Date.now()) return null;
+  return data;
+}
+
+module.exports = {
+  signToken,
+  verifyToken
+};
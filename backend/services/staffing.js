@@ -0,0 +1,250 @@
+/**
+ * Staffing recommendations from a sales forecast
+ * Turns forecast transactions per 15 or 30 minute interval into the number of stations each
+ * interval needs (using the store's staffing rules), picks which stations to open by position
+ * priority, and compares that with the people scheduled.
+ */
+
+const { parseCsv, parseTime, parseDate } = require('./scheduleImport');
+const { getShiftMinutes, getStationPositions } = require('./lineupGenerator');
+const { timeToMinutes } = require('./timeUtils');
+const { positionsForTransactions } = require('../config/staffingRules');
+const { getShiftPeriod } = require('../config/timePeriods');
+
+const INTERVAL_LENGTHS = [15, 30];
+
+const MAX_IMPORT_ROWS = 2000;
+
+const HEADER_ALIASES = {
+  date: ['date', 'forecast date', 'day', 'business date'],
+  time: ['time', 'interval', 'start', 'start time', 'interval start', 'period', 'time slot'],
+  transactions: ['transactions', 'transaction count', 'trans', 'checks', 'check count', 'tickets', 'orders', 'count', 'guests']
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Validate one day's forecast intervals ([{ startTime, transactions }])
+ * Returns a list of error messages, empty if valid
+ */
+function validateForecast(intervals, intervalMinutes) {
+  if (!INTERVAL_LENGTHS.includes(intervalMinutes)) {
+    return ['intervalMinutes must be 15 or 30'];
+  }
+  if (!Array.isArray(intervals)) {
+    return ['intervals must be a list'];
+  }
+  if (intervals.length > 1440 / intervalMinutes) {
+    return [`A day has at most ${1440 / intervalMinutes} intervals of ${intervalMinutes} minutes`];
+  }
+
+  const errors = [];
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const seen = new Set();
+
+  for (const interval of intervals) {
+    const time = interval?.startTime;
+    if (!timePattern.test(time || '')) {
+      errors.push(`Interval start "${time}" must be HH:MM`);
+      continue;
+    }
+    if (timeToMinutes(time) % intervalMinutes !== 0) {
+      errors.push(`${time} doesn't start a ${intervalMinutes} minute interval`);
+    }
+    if (seen.has(time)) {
+      errors.push(`${time} is listed more than once`);
+    }
+    seen.add(time);
+    if (!Number.isInteger(interval.transactions) || interval.transactions < 0) {
+      errors.push(`${time}: transactions must be a whole number of 0 or more`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Interval length of a day's rows, from the smallest gap between start times
+ */
+function detectIntervalMinutes(times) {
+  const minutes = [...new Set(times.map(timeToMinutes))].sort((a, b) => a - b);
+  let smallest = null;
+  for (let i = 1; i < minutes.length; i++) {
+    const gap = minutes[i] - minutes[i - 1];
+    if (smallest === null || gap < smallest) smallest = gap;
+  }
+  return smallest === 15 ? 15 : 30;
+}
+
+/**
+ * Parse a forecast CSV: one row per interval with a time and a transaction count, and
+ * optionally a date so one file can hold several days
+ * @param text - CSV text
+ * @param options.defaultDate - YYYY-MM-DD for files without a date column
+ * @returns { rows: [{ line, date, startTime, transactions, error }],
+ *            days: [{ date, intervalMinutes, intervals: [{ startTime, transactions }], errors }] }
+ *   days only holds readable rows; a day with errors can't be saved
+ */
+function parseForecastCsv(text, options = {}) {
+  const table = parseCsv(text || '');
+  if (table.length < 2) {
+    throw new Error('The file needs a header row and at least one interval');
+  }
+  if (table.length - 1 > MAX_IMPORT_ROWS) {
+    throw new Error(`A file can have at most ${MAX_IMPORT_ROWS} intervals`);
+  }
+
+  const columns = {};
+  table[0].forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+      if (columns[field] === undefined && aliases.includes(normalized)) {
+        columns[field] = index;
+        return;
+      }
+    }
+  });
+  if (columns.time === undefined || columns.transactions === undefined) {
+    throw new Error('Couldn\'t find time and transaction columns. Expected headers like "Time" and "Transactions"');
+  }
+  if (columns.date === undefined && !options.defaultDate) {
+    throw new Error('The file has no date column, pick a date for this forecast');
+  }
+
+  const rows = table.slice(1).map((cells, index) => {
+    const cell = (field) => columns[field] !== undefined ? (cells[columns[field]] || '') : '';
+    // Times like "10:00 AM - 10:30 AM" use the start
+    const startTime = parseTime(cell('time').split(/\s*(?:-|–|to)\s*/i)[0]);
+    const date = columns.date !== undefined && cell('date') ? parseDate(cell('date')) : options.defaultDate;
+    const count = cell('transactions').replace(/,/g, '');
+    const transactions = /^\d+(\.\d+)?$/.test(count) ? Math.round(Number(count)) : null;
+
+    let error = null;
+    if (!date) error = `Can't read date "${cell('date')}"`;
+    else if (!startTime) error = `Can't read time "${cell('time')}"`;
+    else if (transactions === null) error = `Can't read transactions "${cell('transactions')}"`;
+
+    return { line: index + 2, date: date || null, startTime, transactions, error };
+  });
+
+  const byDate = new Map();
+  for (const row of rows) {
+    if (row.error) continue;
+    if (!byDate.has(row.date)) byDate.set(row.date, []);
+    byDate.get(row.date).push({ startTime: row.startTime, transactions: row.transactions });
+  }
+
+  const days = [...byDate.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, intervals]) => {
+      const intervalMinutes = detectIntervalMinutes(intervals.map(i => i.startTime));
+      const sorted = intervals.sort((a, b) => a.startTime.localeCompare(b.startTime));
+      return { date, intervalMinutes, intervals: sorted, errors: validateForecast(sorted, intervalMinutes) };
+    });
+
+  return { rows, days };
+}
+
+/**
+ * Whether a shift covers a minute of the day (overnight shifts cover the early hours of the next day too)
+ */
+function coversMinute(shift, minute) {
+  const { start, end } = getShiftMinutes(shift);
+  return (minute >= start && minute < end) || (minute + 1440 >= start && minute + 1440 < end);
+}
+
+/**
+ * Recommend staffing for one house and day
+ * @param forecast - { intervalMinutes, intervals: [{ startTime, transactions }] }
+ * @param bands - the house's staffing rule bands (see config/staffingRules.js)
+ * @param positions - the house's active positions ({ name, priority, timePeriods })
+ * @param timePeriods - the store's dayparts
+ * @param shiftAssignments - the day's shifts, to compare against
+ * @returns { intervals, dayparts }
+ *   intervals: [{ startTime, endTime, shiftPeriod, transactions, needed, stations, unstaffable,
+ *     scheduled, scheduledTotal, difference }] - scheduled counts people on stations (not leads,
+ *     boosters or trainees), difference is scheduled minus needed
+ *   dayparts: [{ id, name, start, end, transactions, peakTransactions, recommended, stations,
+ *     scheduledLow, scheduledHigh, shortIntervals, overIntervals, status: 'short' | 'over' | 'ok' }]
+ */
+function recommendStaffing(forecast, bands, positions, timePeriods, shiftAssignments) {
+  const { intervalMinutes } = forecast;
+  // Bands are per 30 minutes
+  const scale = 30 / intervalMinutes;
+  const stationShifts = shiftAssignments.filter(s => s.isShiftLead !== true && s.isBooster !== true && s.isInTraining !== true);
+
+  // Stations each period can open, in priority order
+  const stationsByPeriod = new Map();
+  const stationsFor = (periodId) => {
+    if (!stationsByPeriod.has(periodId)) {
+      const periodPositions = positions
+        .filter(p => {
+          const periods = p.timePeriods || ['all'];
+          return periods.includes('all') || periods.includes(periodId);
+        })
+        .sort((a, b) => (a.priority || 99) - (b.priority || 99));
+      stationsByPeriod.set(periodId, getStationPositions(periodPositions.map(p => p.name)));
+    }
+    return stationsByPeriod.get(periodId);
+  };
+
+  const intervals = [...forecast.intervals]
+    .sort((a, b) => a.startTime.localeCompare(b.startTime))
+    .map(interval => {
+      const minute = timeToMinutes(interval.startTime);
+      const end = (minute + intervalMinutes) % 1440;
+      const shiftPeriod = getShiftPeriod(interval.startTime, timePeriods);
+      const needed = positionsForTransactions(bands, Math.round(interval.transactions * scale));
+      const available = shiftPeriod ? stationsFor(shiftPeriod) : [];
+      const scheduled = stationShifts.filter(s => coversMinute(s, minute)).length;
+
+      return {
+        startTime: interval.startTime,
+        endTime: `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`,
+        shiftPeriod,
+        transactions: interval.transactions,
+        needed,
+        stations: available.slice(0, needed),
+        // More stations called for than the period has positions
+        unstaffable: Math.max(0, needed - available.length),
+        scheduled,
+        scheduledTotal: shiftAssignments.filter(s => coversMinute(s, minute)).length,
+        difference: scheduled - needed
+      };
+    });
+
+  const dayparts = timePeriods
+    .map(period => {
+      const inPeriod = intervals.filter(i => i.shiftPeriod === period.id);
+      if (inPeriod.length === 0) return null;
+
+      const peak = inPeriod.reduce((best, i) => i.needed > best.needed || (i.needed === best.needed && i.transactions > best.transactions) ? i : best);
+      const shortIntervals = inPeriod.filter(i => i.difference < 0).length;
+      const overIntervals = inPeriod.filter(i => i.difference > 0).length;
+
+      return {
+        id: period.id,
+        name: period.name,
+        start: period.start,
+        end: period.end,
+        transactions: inPeriod.reduce((sum, i) => sum + i.transactions, 0),
+        peakTransactions: Math.max(...inPeriod.map(i => i.transactions)),
+        recommended: peak.needed,
+        stations: peak.stations,
+        scheduledLow: Math.min(...inPeriod.map(i => i.scheduled)),
+        scheduledHigh: Math.max(...inPeriod.map(i => i.scheduled)),
+        shortIntervals,
+        overIntervals,
+        status: shortIntervals > 0 ? 'short' : overIntervals > 0 ? 'over' : 'ok'
+      };
+    })
+    .filter(Boolean);
+
+  return { intervals, dayparts };
+}
+
+module.exports = {
+  validateForecast,
+  parseForecastCsv,
+  recommendStaffing
+};
@@ -0,0 +1,79 @@
+/**
+ * Time and date helpers shared by the services
+ * Times are 'HH:MM' strings, dates are 'YYYY-MM-DD' strings read as UTC so they never shift a day.
+ */
+
+/**
+ * Parse time string to minutes from midnight
+ */
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes to time string
+ * Minutes past midnight of the next day (1440+) wrap around, for overnight shifts
+ */
+function minutesToTime(minutes) {
+  const dayMinutes = ((minutes % 1440) + 1440) % 1440;
+  const hours = Math.floor(dayMinutes / 60);
+  const mins = dayMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Where each lineup block sits on the day's timeline: minutes after midnight keep counting
+ * past 1440, so overnight blocks stay after the evening ones
+ * Returns [{ start, end }] in the same order as lineups
+ */
+function segmentMinutes(lineups) {
+  let offset = 0;
+  let previousStart = null;
+  return lineups.map(lineup => {
+    let start = timeToMinutes(lineup.startTime) + offset;
+    if (previousStart !== null && start < previousStart) {
+      offset += 1440;
+      start += 1440;
+    }
+    previousStart = start;
+    let length = timeToMinutes(lineup.endTime) - timeToMinutes(lineup.startTime);
+    if (length < 0) length += 1440;
+    return { start, end: start + length };
+  });
+}
+
+/**
+ * Convert 24-hour time to 12-hour format
+ */
+function formatTime12Hour(time24) {
+  const [hours, minutes] = time24.split(':').map(Number);
+  const period = hours >= 12 ? 'PM' : 'AM';
+  const hours12 = hours % 12 || 12;
+  return `${hours12}:${minutes.toString().padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+function addDays(dateStr, days) {
+  const date = new Date(dateStr + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Day of week for a YYYY-MM-DD date (0 = Sunday)
+ */
+function dayOfWeek(dateStr) {
+  return new Date(dateStr + 'T00:00:00Z').getUTCDay();
+}
+
+module.exports = {
+  timeToMinutes,
+  minutesToTime,
+  segmentMinutes,
+  formatTime12Hour,
+  addDays,
+  dayOfWeek
+};
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { solveMaxScoreAssignment } = require('../services/assignmentSolver');
+
+const total = (scores, rowToCol) =>
+  rowToCol.reduce((sum, col, row) => sum + (col === -1 ? 0 : scores[row][col]), 0);
+
+test('finds a rotation greedy picking misses', () => {
+  // Greedy gives row 0 column 0 (10) and leaves row 1 with 1; the best total is 9 + 8
+  const scores = [
+    [10, 9],
+    [8, 1]
+  ];
+  assert.deepEqual(solveMaxScoreAssignment(scores), [1, 0]);
+});
+
+test('matches a brute-force search on a 4x4 matrix', () => {
+  const scores = [
+    [7, 3, 9, 2],
+    [4, 8, 6, 5],
+    [9, 9, 1, 3],
+    [2, 6, 7, 8]
+  ];
+  const permutations = (items) => items.length <= 1 ? [items] :
+    items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+  const best = Math.max(...permutations([0, 1, 2, 3]).map(p => total(scores, p)));
+
+  const result = solveMaxScoreAssignment(scores);
+  assert.equal(new Set(result).size, 4);
+  assert.equal(total(scores, result), best);
+});
+
+test('leaves the lowest scoring rows out when there are more rows than columns', () => {
+  const scores = [
+    [1, 1],
+    [9, 2],
+    [3, 8]
+  ];
+  assert.deepEqual(solveMaxScoreAssignment(scores), [-1, 0, 1]);
+});
+
+test('uses the best columns when there are more columns than rows', () => {
+  const scores = [
+    [1, 5, 2],
+    [4, 6, 1]
+  ];
+  const result = solveMaxScoreAssignment(scores);
+  assert.equal(total(scores, result), 9);
+  assert.notEqual(result[0], result[1]);
+});
+
+test('handles empty input', () => {
+  assert.deepEqual(solveMaxScoreAssignment([]), []);
+  assert.deepEqual(solveMaxScoreAssignment([[], []]), [-1, -1]);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { planBreaks, BREAK_LENGTH_MINUTES } = require('../services/breakPlanner');
+
+const hours = (h) => h * 60;
+
+test('puts a break near the middle of the shift', () => {
+  const breaks = planBreaks([{ key: 'a', start: hours(6), end: hours(14), breakType: 'required' }]);
+  const window = breaks.get('a');
+  assert.equal(window.end - window.start, BREAK_LENGTH_MINUTES);
+  assert.equal(window.start, hours(9) + 45);
+});
+
+test('keeps breaks clear of the start and end of a shift', () => {
+  const breaks = planBreaks([{ key: 'a', start: hours(10), end: hours(15), breakType: 'optional' }], {
+    isRushTime: (minutes) => minutes >= hours(12) && minutes < hours(13) + 30
+  });
+  const window = breaks.get('a');
+  assert.ok(window.start >= hours(12), 'at least two hours in');
+  assert.ok(window.end <= hours(14), 'at least an hour before leaving');
+});
+
+test('steers breaks away from rush periods', () => {
+  const breaks = planBreaks([{ key: 'a', start: hours(6), end: hours(14), breakType: 'required' }], {
+    isRushTime: (minutes) => minutes >= hours(9) && minutes < hours(11)
+  });
+  const window = breaks.get('a');
+  assert.ok(window.end <= hours(9) || window.start >= hours(11), `${window.start}-${window.end} overlaps the rush`);
+});
+
+test('staggers breaks for people with the same shift', () => {
+  const shift = { start: hours(6), end: hours(14), breakType: 'required' };
+  const breaks = planBreaks([{ key: 'a', ...shift }, { key: 'b', ...shift }]);
+  const a = breaks.get('a');
+  const b = breaks.get('b');
+  assert.ok(a.end <= b.start || b.end <= a.start, 'breaks overlap');
+});
+
+test('gives required breaks first pick of the quiet windows', () => {
+  const shift = { start: hours(6), end: hours(14) };
+  const breaks = planBreaks([
+    { key: 'optional', ...shift, breakType: 'optional' },
+    { key: 'required', ...shift, breakType: 'required' }
+  ]);
+  assert.equal(breaks.get('required').start, hours(9) + 45);
+});
+
+test('falls back to the middle of a short shift', () => {
+  const breaks = planBreaks([{ key: 'a', start: hours(10), end: hours(13), breakType: 'optional' }]);
+  assert.deepEqual(breaks.get('a'), { start: hours(11) + 15, end: hours(11) + 45 });
+});
+
+test('uses a custom break length', () => {
+  const breaks = planBreaks([{ key: 'a', start: hours(6), end: hours(14), breakType: 'required' }], { breakLength: 45 });
+  const window = breaks.get('a');
+  assert.equal(window.end - window.start, 45);
+});
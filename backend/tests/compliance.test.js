@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateShifts } = require('../services/compliance');
+
+// A Wednesday during the school year
+const DATE = '2026-10-14';
+const employees = [{ id: 'e1', name: 'Sam', birthDate: '2011-01-01' }];
+
+const dailyHours = (violations) => violations.filter(v => v.rule === 'maxDailyHours');
+
+test('adds split shift segments together for the daily limit', () => {
+  const violations = validateShifts([
+    { employeeId: 'e1', startTime: '07:00', endTime: '09:00' },
+    { employeeId: 'e1', startTime: '16:00', endTime: '18:00' }
+  ], employees, { date: DATE });
+
+  const found = dailyHours(violations);
+  assert.equal(found.length, 1, 'reported once, not once per segment');
+  assert.match(found[0].message, /scheduled 4 hours/);
+});
+
+test('counts hours already scheduled elsewhere that day', () => {
+  const shifts = [{ employeeId: 'e1', startTime: '16:00', endTime: '18:00' }];
+
+  assert.equal(dailyHours(validateShifts(shifts, employees, { date: DATE })).length, 0);
+
+  const history = { e1: { [DATE]: 2 } };
+  assert.equal(dailyHours(validateShifts(shifts, employees, { date: DATE, history })).length, 1);
+});
+
+test('uses earlier days of the week for the weekly limit', () => {
+  const history = { e1: { '2026-10-11': 8, '2026-10-12': 3, '2026-10-13': 3 } };
+  const violations = validateShifts([{ employeeId: 'e1', startTime: '15:00', endTime: '18:00' }], employees, {
+    date: DATE,
+    history
+  });
+
+  const weekly = violations.filter(v => v.rule === 'maxWeeklyHours');
+  assert.equal(weekly.length, 0, '17 hours is under 18');
+
+  history.e1['2026-10-10'] = 8; // the Saturday before, a different week
+  history.e1['2026-10-13'] = 5;
+  const over = validateShifts([{ employeeId: 'e1', startTime: '15:00', endTime: '18:00' }], employees, {
+    date: DATE,
+    history
+  }).filter(v => v.rule === 'maxWeeklyHours');
+  assert.equal(over.length, 1);
+  assert.match(over[0].message, /would work 19 hours this week/);
+});
+
+test('only state packs limit a 15 year old to six days a week', () => {
+  // An hour a day, Sunday through Friday, then Saturday
+  const history = { e1: Object.fromEntries([11, 12, 13, 14, 15, 16].map(day => [`2026-10-${day}`, 1])) };
+  const shifts = [{ employeeId: 'e1', startTime: '10:00', endTime: '11:00' }];
+  const daysPerWeek = (rulePack) => validateShifts(shifts, employees, { date: '2026-10-17', history, rulePack })
+    .filter(v => v.rule === 'maxDaysPerWeek');
+
+  assert.equal(daysPerWeek('federal').length, 0);
+  assert.equal(daysPerWeek('new_york').length, 1);
+});
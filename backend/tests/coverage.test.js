@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { addCoverageDiagnostics } = require('../services/coverage');
+
+const STATIONS = ['primary', 'secondary', 'breading', 'fries', 'drinks', 'buns', 'machines', 'dishes'];
+
+const employees = ['Ana', 'Ben', 'Cal', 'Dee'].map((name, i) => ({
+  id: `e${i}`,
+  name,
+  positions: STATIONS,
+  bestPositions: []
+}));
+
+const shifts = employees.map((e, i) => ({
+  employeeId: e.id,
+  name: e.name,
+  startTime: '11:00',
+  endTime: '15:00',
+  isShiftLead: i === 0
+}));
+
+const lineupWith = (positions, extra = {}) => ({
+  startTime: '11:00',
+  endTime: '12:00',
+  stations: STATIONS,
+  usedLayout: false,
+  assignments: positions.map((position, i) => ({
+    employee: { ...employees[i], employeeId: employees[i].id },
+    position,
+    matchQuality: 'capable'
+  })),
+  ...extra
+});
+
+const unfilled = (lineup) => lineup.coverage.filter(i => i.type === 'unfilled').map(i => i.position);
+
+test('only expects as many stations as there are people to fill them', () => {
+  const lineup = lineupWith(['primary', 'secondary', 'breading', 'fries']);
+  addCoverageDiagnostics([lineup], shifts, employees, '2026-10-14');
+  assert.deepEqual(unfilled(lineup), []);
+});
+
+test('reports a station left open by someone on break', () => {
+  const lineup = lineupWith(['primary', 'secondary', 'breading', 'on break']);
+  addCoverageDiagnostics([lineup], shifts, employees, '2026-10-14');
+  assert.deepEqual(unfilled(lineup), ['fries']);
+});
+
+test('expects every station of a layout', () => {
+  const lineup = lineupWith(['primary', 'secondary', 'breading'], {
+    stations: ['primary', 'secondary', 'breading', 'fries'],
+    usedLayout: true
+  });
+  addCoverageDiagnostics([lineup], shifts, employees, '2026-10-14');
+  assert.deepEqual(unfilled(lineup), ['fries']);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateLineups, summarizeLineups } = require('../services/lineupGenerator');
+
+// Xavier's best station is primary, Yara's is secondary; both can work either
+const employees = [
+  { id: 'x', name: 'Xavier', positions: ['primary', 'secondary'], bestPositions: ['primary'] },
+  { id: 'y', name: 'Yara', positions: ['primary', 'secondary'], bestPositions: ['secondary'] }
+];
+const shifts = employees.map(e => ({ employeeId: e.id, name: e.name, startTime: '11:00', endTime: '14:00' }));
+const positions = [
+  { name: 'primary', priority: 1, rotate: true },
+  { name: 'secondary', priority: 2 }
+];
+
+const positionsByName = (options) => {
+  const { lineups } = generateLineups(shifts, employees, positions, { planBreaks: false, date: '2026-10-19', ...options });
+  return Object.fromEntries(lineups[0].assignments.map(a => [a.employee.name, a.position]));
+};
+
+test('without rotation the swap pass puts everyone on their best station', () => {
+  assert.deepEqual(positionsByName({}), { Xavier: 'primary', Yara: 'secondary' });
+});
+
+test('the swap pass does not put a heavily exposed employee back on a rotate station', () => {
+  // Three recent days on primary: 6 points off, enough for the first pass to pick Yara there
+  const rotation = { exposure: { x: { primary: 3 } }, penaltyPerDay: 2, maxPenalty: 8 };
+  assert.deepEqual(positionsByName({ rotation }), { Xavier: 'secondary', Yara: 'primary' });
+});
+
+test('rotation with no recent days on the station changes nothing', () => {
+  const rotation = { exposure: {}, penaltyPerDay: 2, maxPenalty: 8 };
+  assert.deepEqual(positionsByName({ rotation }), { Xavier: 'primary', Yara: 'secondary' });
+});
+
+test('summary only counts stations the block has people for as open', () => {
+  const morePositions = [...positions, ...['breading', 'fries', 'drinks', 'buns'].map((name, i) => ({ name, priority: 3 + i }))];
+  const { lineups } = generateLineups(shifts, employees, morePositions, { planBreaks: false, date: '2026-10-19' });
+  assert.equal(lineups[0].stations.length, 6);
+  assert.deepEqual(summarizeLineups(lineups).coverageGaps, []);
+});
+
+test('summary counts a station left open by someone on break', () => {
+  const lineup = {
+    startTime: '11:00',
+    endTime: '12:00',
+    shiftPeriod: 'lunch',
+    stations: ['primary', 'secondary', 'breading'],
+    usedLayout: false,
+    assignments: [
+      { employee: employees[0], position: 'primary (lead)', matchQuality: 'best' },
+      { employee: employees[1], position: 'on break', matchQuality: 'break' }
+    ]
+  };
+  assert.deepEqual(summarizeLineups([lineup]).coverageGaps, [
+    { startTime: '11:00', endTime: '12:00', shiftPeriod: 'lunch', openPositions: 1 }
+  ]);
+});
@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { positionUpdateToDbFormat } = require('../services/positions');
+
+test('saves turning rotation on or off for an existing position', () => {
+  assert.deepEqual(positionUpdateToDbFormat({ rotate: true }), { rotate: true });
+  assert.deepEqual(positionUpdateToDbFormat({ rotate: false }), { rotate: false });
+});
+
+test('only updates the fields that were sent', () => {
+  assert.deepEqual(positionUpdateToDbFormat({ name: 'breading', priority: 2, requiresClosing: true }), {
+    name: 'breading',
+    priority: 2,
+    requires_closing: true
+  });
+});
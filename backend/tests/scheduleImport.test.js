@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTime, parseTimeRange, parseDate, parseCsv } = require('../services/scheduleImport');
+
+test('parseTime reads 24-hour, 12-hour and compact times', () => {
+  assert.equal(parseTime('14:00'), '14:00');
+  assert.equal(parseTime('6:30'), '06:30');
+  assert.equal(parseTime('2:00 PM'), '14:00');
+  assert.equal(parseTime('2pm'), '14:00');
+  assert.equal(parseTime('2:30p'), '14:30');
+  assert.equal(parseTime('9 a.m.'), '09:00');
+  assert.equal(parseTime('1430'), '14:30');
+  assert.equal(parseTime('14:00:00'), '14:00');
+});
+
+test('parseTime handles noon and midnight', () => {
+  assert.equal(parseTime('12pm'), '12:00');
+  assert.equal(parseTime('12am'), '00:00');
+  assert.equal(parseTime('12:15 AM'), '00:15');
+});
+
+test('parseTime rejects values it cannot read', () => {
+  assert.equal(parseTime(''), null);
+  assert.equal(parseTime(null), null);
+  assert.equal(parseTime('25:00'), null);
+  assert.equal(parseTime('10:75'), null);
+  assert.equal(parseTime('13pm'), null);
+  assert.equal(parseTime('noon'), null);
+});
+
+test('parseTimeRange splits on dashes and "to"', () => {
+  assert.deepEqual(parseTimeRange('2:00 PM - 10:00 PM'), { startTime: '14:00', endTime: '22:00' });
+  assert.deepEqual(parseTimeRange('6a-2p'), { startTime: '06:00', endTime: '14:00' });
+  assert.deepEqual(parseTimeRange('6:00 AM – 2:00 PM'), { startTime: '06:00', endTime: '14:00' });
+  assert.deepEqual(parseTimeRange('06:00 to 14:00'), { startTime: '06:00', endTime: '14:00' });
+});
+
+test('parseTimeRange lends the end\'s am/pm to a bare start', () => {
+  assert.deepEqual(parseTimeRange('2-10pm'), { startTime: '14:00', endTime: '22:00' });
+});
+
+test('parseTimeRange keeps overnight ranges as written', () => {
+  assert.deepEqual(parseTimeRange('10pm - 2am'), { startTime: '22:00', endTime: '02:00' });
+});
+
+test('parseTimeRange rejects anything that is not two times', () => {
+  assert.equal(parseTimeRange(''), null);
+  assert.equal(parseTimeRange(undefined), null);
+  assert.equal(parseTimeRange('2pm'), null);
+  assert.equal(parseTimeRange('2pm - later'), null);
+});
+
+test('parseDate reads ISO and US dates', () => {
+  assert.equal(parseDate('2026-10-19'), '2026-10-19');
+  assert.equal(parseDate('10/19/2026'), '2026-10-19');
+  assert.equal(parseDate('10/19/26'), '2026-10-19');
+  assert.equal(parseDate('Sat 10/24/2026'), '2026-10-24');
+  assert.equal(parseDate('02/30/2026'), null);
+  assert.equal(parseDate('soon'), null);
+});
+
+test('parseCsv handles quoted cells, escaped quotes, CRLF and blank lines', () => {
+  const rows = parseCsv('name,time\r\n"Smith, Jane","6a-2p"\n\n"Say ""hi""", x \n');
+  assert.deepEqual(rows, [
+    ['name', 'time'],
+    ['Smith, Jane', '6a-2p'],
+    ['Say "hi"', 'x']
+  ]);
+});
@@ -0,0 +1,60 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken, verifyToken } = require('../services/signedTokens');
+
+const SECRET = 'a'.repeat(32);
+const inOneHour = () => new Date(Date.now() + 3600 * 1000);
+let savedSecret;
+
+beforeEach(() => {
+  savedSecret = process.env.SHARE_LINK_SECRET;
+  process.env.SHARE_LINK_SECRET = SECRET;
+});
+
+afterEach(() => {
+  if (savedSecret === undefined) delete process.env.SHARE_LINK_SECRET;
+  else process.env.SHARE_LINK_SECRET = savedSecret;
+});
+
+test('a signed token verifies and carries its data', () => {
+  const token = signToken('itinerary', { id: 'share-1' }, inOneHour());
+  const data = verifyToken(token, 'itinerary');
+  assert.equal(data.id, 'share-1');
+  assert.equal(data.purpose, 'itinerary');
+});
+
+test('a token for one purpose does not open another', () => {
+  const token = signToken('itinerary', { id: 'share-1' }, inOneHour());
+  assert.equal(verifyToken(token, 'display'), null);
+});
+
+test('an expired token is rejected', () => {
+  const token = signToken('itinerary', { id: 'share-1' }, new Date(Date.now() - 1000));
+  assert.equal(verifyToken(token, 'itinerary'), null);
+});
+
+test('a token with a changed payload is rejected', () => {
+  const token = signToken('itinerary', { id: 'share-1' }, inOneHour());
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ id: 'share-2', purpose: 'itinerary', exp: 9999999999 })).toString('base64url');
+  assert.equal(verifyToken(`${forged}.${signature}`, 'itinerary'), null);
+});
+
+test('a token signed with another secret is rejected', () => {
+  const token = signToken('itinerary', { id: 'share-1' }, inOneHour());
+  process.env.SHARE_LINK_SECRET = 'b'.repeat(32);
+  assert.equal(verifyToken(token, 'itinerary'), null);
+});
+
+test('malformed tokens are rejected', () => {
+  for (const token of [undefined, '', 'abc', 'a.b.c', '.sig', 'payload.']) {
+    assert.equal(verifyToken(token, 'itinerary'), null, String(token));
+  }
+});
+
+test('signing without a long enough secret throws NO_SHARE_SECRET', () => {
+  process.env.SHARE_LINK_SECRET = 'short';
+  assert.throws(() => signToken('itinerary', { id: 'share-1' }, inOneHour()), { code: 'NO_SHARE_SECRET' });
+  delete process.env.SHARE_LINK_SECRET;
+  assert.throws(() => verifyToken('a.b', 'itinerary'), { code: 'NO_SHARE_SECRET' });
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { timeToMinutes, minutesToTime, segmentMinutes } = require('../services/timeUtils');
+
+test('minutesToTime wraps past midnight', () => {
+  assert.equal(minutesToTime(timeToMinutes('22:30') + 120), '00:30');
+  assert.equal(minutesToTime(-30), '23:30');
+});
+
+test('segments after midnight stay after the evening ones', () => {
+  assert.deepEqual(segmentMinutes([
+    { startTime: '22:00', endTime: '23:30' },
+    { startTime: '23:30', endTime: '01:00' },
+    { startTime: '01:00', endTime: '02:00' }
+  ]), [
+    { start: 1320, end: 1410 },
+    { start: 1410, end: 1500 },
+    { start: 1500, end: 1560 }
+  ]);
+});
@@ -4,14 +4,23 @@ import Login from './components/Login';
 import StoreSelector from './components/StoreSelector';
 import ResetPassword from './components/ResetPassword';
 import AcceptInvite from './components/AcceptInvite';
+import SharedItinerary from './components/SharedItinerary';
+import KioskDisplay from './components/KioskDisplay';
 import EmployeeManager from './components/EmployeeManager';
 import ShiftInput from './components/ShiftInput';
 import LineupDisplay from './components/LineupDisplay';
 import SavedLineups from './components/SavedLineups';
+import WeekView from './components/WeekView';
 import TeamManager from './components/TeamManager';
 import AdminPanel from './components/AdminPanel';
 import PositionManager from './components/PositionManager';
+import LayoutEditor from './components/LayoutEditor';
+import TimeOffCalendar from './components/TimeOffCalendar';
+import CrossTrainingReport from './components/CrossTrainingReport';
+import LineupAnalytics from './components/LineupAnalytics';
+import StaffingForecast from './components/StaffingForecast';
 import HouseToggle from './components/HouseToggle';
+import Settings from './components/Settings';
 import { employeeApi } from './api';
 import './App.css';
 
@@ -40,6 +49,8 @@ function AppContent() {
   const [loading, setLoading] = useState(true);
   const [isResetPassword, setIsResetPassword] = useState(false);
   const [inviteToken, setInviteToken] = useState(null);
+  const [itineraryToken, setItineraryToken] = useState(null);
+  const [displayToken, setDisplayToken] = useState(null);
   const [isAdminPage, setIsAdminPage] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [houseType, setHouseType] = useState('boh');
@@ -58,6 +69,16 @@ function AppContent() {
       setInviteToken(token);
     }
 
+    // Shared itinerary links work without signing in
+    if (window.location.pathname === '/itinerary' && token) {
+      setItineraryToken(token);
+    }
+
+    // Kiosk displays sign in with their display token, not an account
+    if (window.location.pathname === '/display' && token) {
+      setDisplayToken(token);
+    }
+
     // Check for admin page
     if (window.location.pathname === '/admin') {
       setIsAdminPage(true);
@@ -84,6 +105,15 @@ function AppContent() {
     }
   }, [isAuthenticated, hasStore, currentStore?.id]);
 
+  // A shared itinerary doesn't need an account, so it's shown before any auth checks
+  if (itineraryToken) {
+    return <SharedItinerary token={itineraryToken} />;
+  }
+
+  if (displayToken) {
+    return <KioskDisplay token={displayToken} />;
+  }
+
   // Show loading while checking auth
   if (authLoading) {
     return <div className="loading">Loading...</div>;
@@ -176,9 +206,13 @@ function AppContent() {
   const getTabLabel = (tab) => {
     switch (tab) {
       case 'lineup': return 'Lineup';
+      case 'week': return 'Week';
       case 'saved': return 'Saved Lineups';
       case 'employees': return `Employees (${employees.length})`;
       case 'positions': return 'Positions';
+      case 'reports': return 'Reports';
+      case 'analytics': return 'Analytics';
+      case 'settings': return 'Settings';
       case 'team': return 'Team';
       default: return tab;
     }
@@ -192,7 +226,7 @@ function AppContent() {
           {currentStore && (
             <span className="store-badge">{currentStore.name}</span>
           )}
-          {canEditLineups && activeTab !== 'team' && (
+          {canEditLineups && activeTab !== 'team' && activeTab !== 'settings' && (
             <HouseToggle value={houseType} onChange={setHouseType} />
           )}
         </div>
@@ -224,6 +258,14 @@ function AppContent() {
                   Lineup
                 </button>
               )}
+              {canEditLineups && (
+                <button
+                  className={activeTab === 'week' ? 'active' : ''}
+                  onClick={() => handleTabClick('week')}
+                >
+                  Week
+                </button>
+              )}
               <button
                 className={activeTab === 'saved' ? 'active' : ''}
                 onClick={() => handleTabClick('saved')}
@@ -246,6 +288,30 @@ function AppContent() {
                   Positions
                 </button>
               )}
+              {canEditLineups && (
+                <button
+                  className={activeTab === 'reports' ? 'active' : ''}
+                  onClick={() => handleTabClick('reports')}
+                >
+                  Reports
+                </button>
+              )}
+              {canEditLineups && (
+                <button
+                  className={activeTab === 'analytics' ? 'active' : ''}
+                  onClick={() => handleTabClick('analytics')}
+                >
+                  Analytics
+                </button>
+              )}
+              {canEditLineups && (
+                <button
+                  className={activeTab === 'settings' ? 'active' : ''}
+                  onClick={() => handleTabClick('settings')}
+                >
+                  Settings
+                </button>
+              )}
               <button
                 className={activeTab === 'team' ? 'active' : ''}
                 onClick={() => handleTabClick('team')}
@@ -263,14 +329,28 @@ function AppContent() {
       <main className="app-main">
         {activeTab === 'team' ? (
           <TeamManager />
+        ) : activeTab === 'settings' ? (
+          <Settings />
+        ) : activeTab === 'reports' ? (
+          <CrossTrainingReport houseType={houseType} />
+        ) : activeTab === 'analytics' ? (
+          <LineupAnalytics houseType={houseType} />
         ) : activeTab === 'positions' ? (
-          <PositionManager houseType={houseType} />
+          <>
+            <PositionManager houseType={houseType} />
+            <LayoutEditor houseType={houseType} />
+          </>
         ) : activeTab === 'employees' ? (
-          <EmployeeManager
-            employees={employees}
-            onRefresh={loadEmployees}
-            houseType={houseType}
-          />
+          <>
+            <EmployeeManager
+              employees={employees}
+              onRefresh={loadEmployees}
+              houseType={houseType}
+            />
+            <TimeOffCalendar employees={employees} houseType={houseType} />
+          </>
+        ) : activeTab === 'week' ? (
+          <WeekView employees={employees} houseType={houseType} />
         ) : activeTab === 'saved' ? (
           <SavedLineups canEdit={canEditLineups} houseType={houseType} />
         ) : (
@@ -292,6 +372,11 @@ function AppContent() {
               lineupDate={lineupDate}
               houseType={houseType}
             />
+            <StaffingForecast
+              shiftAssignments={shiftAssignments}
+              lineupDate={lineupDate}
+              houseType={houseType}
+            />
           </div>
         )}
       </main>
@@ -52,7 +52,29 @@ export const employeeApi = {
   get: (id) => api.get(`/employees/${id}`).then(res => res.data),
   create: (employee) => api.post('/employees', employee).then(res => res.data),
   update: (id, employee) => api.put(`/employees/${id}`, employee).then(res => res.data),
-  delete: (id) => api.delete(`/employees/${id}`)
+  delete: (id) => api.delete(`/employees/${id}`),
+  // format: 'xlsx' or 'csv'
+  exportRoster: async (format = 'xlsx') => {
+    const response = await api.get('/employees/export', {
+      params: { format },
+      responseType: 'blob'
+    });
+
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `roster_${new Date().toISOString().split('T')[0]}.${format}`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  },
+  // file: CSV text, or base64 for 'xlsx'
+  // options.preview: return the creates, updates and conflicts without saving
+  importRoster: (file, format, options = {}) =>
+    api.post('/employees/import', { file, format }, {
+      params: options.preview ? { preview: true } : {}
+    }).then(res => res.data)
 };
 
 // Position API
@@ -67,13 +89,111 @@ export const positionApi = {
   delete: (id) => api.delete(`/positions/${id}`)
 };
 
+// Shift API - the saved schedule, one shift per employee per day and house
+export const shiftApi = {
+  getByDate: (date, houseType) =>
+    api.get('/shifts', { params: { date, houseType } }).then(res => res.data),
+  getRange: (from, to, houseType) =>
+    api.get('/shifts', { params: { from, to, houseType } }).then(res => res.data),
+  // Replace everything saved for the day with these shifts
+  saveDay: (date, houseType, shiftAssignments) =>
+    api.put('/shifts/day', { date, houseType, shiftAssignments }).then(res => res.data),
+  create: (shift) => api.post('/shifts', shift).then(res => res.data),
+  update: (id, shift) => api.put(`/shifts/${id}`, shift).then(res => res.data),
+  delete: (id) => api.delete(`/shifts/${id}`),
+  // options.preview: parse and match names without saving
+  // options.matches: { [line]: employeeId | null } picked in the review step, null skips the row
+  importSchedule: (csv, houseType, defaultDate, options = {}) => {
+    const { preview, matches } = options;
+    return api.post('/shifts/import', { csv, houseType, defaultDate, matches }, {
+      params: preview ? { preview: true } : {}
+    }).then(res => res.data);
+  }
+};
+
+// Time off API - requests start out pending until a manager reviews them
+export const timeOffApi = {
+  // Requests overlapping from..to (to defaults to 90 days after from)
+  getRange: (from, to, status) =>
+    api.get('/time-off', { params: { from, to, status } }).then(res => res.data),
+  // request: { employeeId, startDate, endDate?, reason? }
+  create: (request) => api.post('/time-off', request).then(res => res.data),
+  // status: 'approved' or 'denied'
+  review: (id, status, note) =>
+    api.put(`/time-off/${id}/review`, { status, note }).then(res => res.data),
+  delete: (id) => api.delete(`/time-off/${id}`)
+};
+
+// Forecast API - transactions per 15 or 30 minute interval, and the staffing they call for
+export const forecastApi = {
+  getByDate: (date) => api.get(`/forecasts/${date}`).then(res => res.data),
+  // intervals: [{ startTime, transactions }] - replaces the whole day
+  saveDay: (date, intervalMinutes, intervals) =>
+    api.put(`/forecasts/${date}`, { intervalMinutes, intervals }).then(res => res.data),
+  // options.preview: parse without saving
+  importCsv: (csv, defaultDate, options = {}) =>
+    api.post('/forecasts/import', { csv, defaultDate }, {
+      params: options.preview ? { preview: true } : {}
+    }).then(res => res.data),
+  // Recommended headcount per interval and daypart, compared against shiftAssignments
+  // (or the day's saved shifts if left out)
+  recommend: (date, houseType, shiftAssignments) =>
+    api.post('/staffing/recommend', { date, houseType, shiftAssignments }).then(res => res.data)
+};
+
+// Headcount layout API
+export const layoutApi = {
+  getAll: (houseType) => {
+    const params = houseType ? { houseType } : {};
+    return api.get('/layouts', { params }).then(res => res.data);
+  },
+  save: (layout) => api.put('/layouts', layout).then(res => res.data),
+  delete: (id) => api.delete(`/layouts/${id}`)
+};
+
+// Settings API
+export const settingsApi = {
+  getScoring: () => api.get('/settings/scoring').then(res => res.data),
+  updateScoring: (weights) => api.put('/settings/scoring', { weights }).then(res => res.data),
+  getCompliance: () => api.get('/settings/compliance').then(res => res.data),
+  updateCompliance: (rulePack) => api.put('/settings/compliance', { rulePack }).then(res => res.data),
+  getTimePeriods: () => api.get('/settings/time-periods').then(res => res.data),
+  updateTimePeriods: (timePeriods) => api.put('/settings/time-periods', { timePeriods }).then(res => res.data),
+  getRotation: () => api.get('/settings/rotation').then(res => res.data),
+  updateRotation: (rotation) => api.put('/settings/rotation', { rotation }).then(res => res.data),
+  getStaffingRules: () => api.get('/settings/staffing-rules').then(res => res.data),
+  // staffingRules: { boh?, foh? } - a house left out keeps its current bands
+  updateStaffingRules: (staffingRules) =>
+    api.put('/settings/staffing-rules', { staffingRules }).then(res => res.data)
+};
+
 // Lineup API
 export const lineupApi = {
-  generate: (shiftAssignments, houseType) =>
-    api.post('/lineup/generate', { shiftAssignments, houseType }).then(res => res.data),
+  // options.solver: 'greedy' or 'optimal'
+  // options.explain: include a per-assignment explanation trace
+  // options.date: lineup date (YYYY-MM-DD) for the labor rule checks
+  // options.rotation: true/false to turn the fairness rotation on or off for this lineup
+  // Fails with 422 and `violations` if shifts break the store's labor rules
+  generate: (shiftAssignments, houseType, options = {}) => {
+    const { explain, ...body } = options;
+    const params = explain ? { explain: true } : {};
+    return api.post('/lineup/generate', { shiftAssignments, houseType, ...body }, { params })
+      .then(res => res.data);
+  },
 
-  exportExcel: async (lineups) => {
-    const response = await api.post('/lineup/export', { lineups }, {
+  // Generate up to 7 days at once: days = [{ date, shiftAssignments }]
+  // options.save: replace the saved lineups for those days (fails with 422 if any day breaks labor rules)
+  // Returns { days: [{ date, blocked, violations, lineups, closingLineup, summary }] }
+  generateWeek: (days, houseType, options = {}) =>
+    api.post('/lineup/generate-week', { days, houseType, ...options }).then(res => res.data),
+
+  // Check shifts against the store's labor rules without generating
+  validate: (shiftAssignments, date, houseType) =>
+    api.post('/lineup/validate', { shiftAssignments, date, houseType }).then(res => res.data),
+
+  // Sheets: the lineup, a 15-minute timeline, each employee's itinerary, closing and a summary
+  exportExcel: async (lineups, closingLineup, houseType, date) => {
+    const response = await api.post('/lineup/export', { lineups, closingLineup, houseType, date }, {
       responseType: 'blob'
     });
 
@@ -81,7 +201,23 @@ export const lineupApi = {
     const url = window.URL.createObjectURL(new Blob([response.data]));
     const link = document.createElement('a');
     link.href = url;
-    link.setAttribute('download', `lineup_${new Date().toISOString().split('T')[0]}.xlsx`);
+    link.setAttribute('download', `lineup_${date || new Date().toISOString().split('T')[0]}.xlsx`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  },
+
+  // Printable station board: one page per daypart, plus the closing lineup
+  exportPdf: async (lineups, closingLineup, date, houseType) => {
+    const response = await api.post('/lineup/export/pdf', { lineups, closingLineup, date, houseType }, {
+      responseType: 'blob'
+    });
+
+    const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `station_board_${date || new Date().toISOString().split('T')[0]}.pdf`);
     document.body.appendChild(link);
     link.click();
     link.remove();
@@ -89,6 +225,42 @@ export const lineupApi = {
   }
 };
 
+// Itinerary API - each employee's day from saved lineups
+export const itineraryApi = {
+  getDay: (date, houseType) =>
+    api.get('/itineraries', { params: { date, houseType } }).then(res => res.data),
+  get: (employeeId, date, houseType) =>
+    api.get(`/itineraries/${employeeId}`, { params: { date, houseType } }).then(res => res.data),
+  // Returns { token, expiresAt } for a link that works without an account
+  share: (employeeId, date, houseType, expiresInHours) =>
+    api.post(`/itineraries/${employeeId}/share`, { date, houseType, expiresInHours }).then(res => res.data),
+  // Opened from a shared link, no sign in needed
+  getShared: (token) => api.get(`/shared/itinerary/${encodeURIComponent(token)}`).then(res => res.data)
+};
+
+// Kiosk display API
+export const displayApi = {
+  // Displays that still work, each with the token for its /display?token=... link
+  getAll: () => api.get('/displays').then(res => res.data),
+  create: (name, houseType) => api.post('/displays', { name, houseType }).then(res => res.data),
+  revoke: (id) => api.delete(`/displays/${id}`),
+  // What the kiosk shows at date and time on its own clock; the display token stands in for a login
+  getView: (token, date, time) =>
+    api.get(`/display/${encodeURIComponent(token)}`, { params: { date, time } }).then(res => res.data)
+};
+
+// Report API
+export const reportApi = {
+  // Hours per employee and station from saved lineups, stations at risk and cross-training suggestions
+  getCrossTraining: (from, to, houseType) =>
+    api.get('/reports/cross-training', { params: { from, to, houseType } }).then(res => res.data),
+
+  // Lineup quality by day or week: match rates, position changes, extra people, open priority stations, breaks
+  // options: { groupBy: 'day' | 'week', topPositions }
+  getLineupQuality: (from, to, houseType, options = {}) =>
+    api.get('/reports/lineup-quality', { params: { from, to, houseType, ...options } }).then(res => res.data)
+};
+
 // Auth API
 export const authApi = {
   getMe: () => api.get('/auth/me').then(res => res.data)
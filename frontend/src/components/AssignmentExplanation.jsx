@@ -0,0 +1,79 @@
+const BONUS_LABELS = {
+  best: 'Best position',
+  trainer: 'Trains this position',
+  capable: 'Can work position',
+  trainee: 'Still training on position',
+  checklistBoost: 'Checklist boost',
+  stability: 'Stayed in place',
+  rotation: 'Worked this station recently'
+};
+
+function AssignmentExplanation({ explanation }) {
+  if (!explanation) return null;
+
+  return (
+    <div className="assignment-explanation">
+      <p className="explanation-reason">{explanation.reason}</p>
+
+      {explanation.bonuses && (
+        <div className="explanation-row">
+          <strong>Score {explanation.score}:</strong>{' '}
+          {explanation.bonuses.length === 0
+            ? 'no skill match'
+            : explanation.bonuses.map(b => `${BONUS_LABELS[b.type] || b.type} ${b.points < 0 ? b.points : `+${b.points}`}`).join(', ')}
+        </div>
+      )}
+
+      {explanation.movedBySwap && (
+        <div className="explanation-row explanation-swap">{explanation.swapNote}</div>
+      )}
+
+      {explanation.runnerUp && (
+        <div className="explanation-row">
+          <strong>Runner-up:</strong> {explanation.runnerUp.name} ({explanation.runnerUp.score})
+          {explanation.runnerUp.assignedTo && ` - on ${explanation.runnerUp.assignedTo}`}
+        </div>
+      )}
+
+      {explanation.candidates && explanation.candidates.length > 0 && (
+        <table className="explanation-candidates">
+          <thead>
+            <tr>
+              <th>Candidate</th>
+              <th>Score</th>
+              <th>Skill</th>
+              <th>Bonuses</th>
+              <th>Assigned to</th>
+            </tr>
+          </thead>
+          <tbody>
+            {explanation.candidates.map(c => (
+              <tr key={c.employeeId || c.name}>
+                <td>{c.name}</td>
+                <td>{c.score}</td>
+                <td>{c.skill || '-'}</td>
+                <td>
+                  {[
+                    c.checklistBoost > 0 && `checklist +${c.checklistBoost}`,
+                    c.stabilityBonus > 0 && `stay +${c.stabilityBonus}`,
+                    c.rotationPenalty > 0 && `rotation -${c.rotationPenalty}`
+                  ].filter(Boolean).join(', ') || '-'}
+                </td>
+                <td>{c.assignedTo || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {explanation.bestOptions && explanation.bestOptions.length > 0 && (
+        <div className="explanation-row">
+          <strong>Best fits:</strong>{' '}
+          {explanation.bestOptions.map(o => `${o.position} (${o.score}, held by ${o.heldBy})`).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AssignmentExplanation;
@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { settingsApi } from '../api';
+
+function ComplianceSettings() {
+  const [rulePack, setRulePack] = useState(null);
+  const [rulePacks, setRulePacks] = useState([]);
+  const [breaks, setBreaks] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadCompliance = async () => {
+      try {
+        const data = await settingsApi.getCompliance();
+        setRulePack(data.rulePack);
+        setRulePacks(data.rulePacks || []);
+        setBreaks(data.breaks);
+      } catch (err) {
+        console.error('Error loading compliance settings:', err);
+        setError('Failed to load labor rule settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadCompliance();
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = await settingsApi.updateCompliance(rulePack);
+      setRulePack(data.rulePack);
+      setBreaks(data.breaks);
+      alert('Labor rules saved');
+    } catch (err) {
+      console.error('Error saving compliance settings:', err);
+      setError(err.response?.data?.error || 'Failed to save labor rule settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading labor rule settings...</div>;
+  }
+
+  if (!rulePack) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  const selected = rulePacks.find(p => p.id === rulePack);
+
+  return (
+    <div className="settings-section">
+      <h3>Labor Rules</h3>
+      <p className="settings-description">
+        Shifts are checked against these rules before a lineup is generated. Add birth dates to
+        minors so their age bracket is checked correctly.
+      </p>
+
+      <div className="form-group">
+        <label>State rules:</label>
+        <select value={rulePack} onChange={(e) => setRulePack(e.target.value)}>
+          {rulePacks.map(pack => (
+            <option key={pack.id} value={pack.id}>{pack.name}</option>
+          ))}
+        </select>
+        {selected && <small className="rule-pack-description">{selected.description}</small>}
+      </div>
+
+      {breaks && (
+        <p className="settings-description">
+          Current break rules: minors after {breaks.minor.required} hours, adults after {breaks.adult.required} hours.
+        </p>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-actions">
+        <button onClick={handleSave} className="btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Labor Rules'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ComplianceSettings;
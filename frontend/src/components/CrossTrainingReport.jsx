@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react';
+import { reportApi } from '../api';
+import './CrossTrainingReport.css';
+
+const RISK_LABELS = {
+  critical: 'Single point of failure',
+  thin: 'Few people trained',
+  concentrated: 'One person does most of it'
+};
+
+const SUGGESTION_LABELS = {
+  schedule: 'Schedule',
+  continue: 'Keep training',
+  train: 'Cross-train'
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return toDateString(date);
+};
+
+// Cross-training report: hours each employee spent on each station in saved lineups,
+// stations too few people can cover, and who to schedule or train there
+function CrossTrainingReport({ houseType }) {
+  const [from, setFrom] = useState(() => daysAgo(29));
+  const [to, setTo] = useState(() => toDateString(new Date()));
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadReport = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await reportApi.getCrossTraining(from, to, houseType);
+        if (!cancelled) setReport(data);
+      } catch (err) {
+        console.error('Error loading cross-training report:', err);
+        if (!cancelled) setError(err.response?.data?.error || 'Failed to load the report');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    loadReport();
+
+    return () => { cancelled = true; };
+  }, [from, to, houseType]);
+
+  const atRisk = report ? report.stations.filter(s => s.risk) : [];
+
+  return (
+    <div className="cross-training-report">
+      <div className="section-header">
+        <h2>Cross-Training</h2>
+        <div className="report-range">
+          <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+          <span>to</span>
+          <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {loading && !report && <div className="loading">Loading...</div>}
+
+      {report && (
+        <>
+          <p className="report-help">
+            From {report.lineupCount} saved lineup{report.lineupCount === 1 ? '' : 's'}. A station is at risk when
+            fewer than three people can work it, or one person works nearly all of its hours.
+          </p>
+
+          <h3>Stations at risk</h3>
+          {atRisk.length === 0 ? (
+            <p className="empty-state">Every station has enough people who can work it.</p>
+          ) : (
+            <div className="report-table-wrapper">
+              <table className="report-table">
+                <thead>
+                  <tr>
+                    <th>Station</th>
+                    <th>Risk</th>
+                    <th>Can work it</th>
+                    <th>Worked it</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {atRisk.map(station => (
+                    <tr key={station.position}>
+                      <td><strong>{station.position}</strong></td>
+                      <td><span className={`risk-badge ${station.risk}`}>{RISK_LABELS[station.risk]}</span></td>
+                      <td>
+                        {station.capable.length > 0 ? station.capable.join(', ') : 'Nobody'}
+                        {station.trainees.length > 0 && (
+                          <span className="report-muted"> (training: {station.trainees.join(', ')})</span>
+                        )}
+                      </td>
+                      <td>
+                        {station.workedBy.length > 0
+                          ? station.workedBy.map(w => `${w.name} ${w.hours}h`).join(', ')
+                          : 'Not worked'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {report.suggestions.length > 0 && (
+            <>
+              <h3>Suggestions</h3>
+              <ul className="report-suggestions">
+                {report.suggestions.map(s => (
+                  <li key={`${s.position}-${s.employeeId}`}>
+                    <span className={`suggestion-kind ${s.kind}`}>{SUGGESTION_LABELS[s.kind]}</span>
+                    <strong>{s.name}</strong> on {s.position}
+                    {s.trainer && <span> with {s.trainer}</span>}
+                    <span className="report-muted"> - {s.reason}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <h3>Hours by employee</h3>
+          {report.employees.length === 0 ? (
+            <p className="empty-state">No employees in this house.</p>
+          ) : (
+            <div className="report-table-wrapper">
+              <table className="report-table">
+                <thead>
+                  <tr>
+                    <th>Employee</th>
+                    <th>Hours</th>
+                    <th>Stations worked</th>
+                    <th>Listed but never worked</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.employees.map(employee => (
+                    <tr key={employee.employeeId}>
+                      <td><strong>{employee.name}</strong></td>
+                      <td>{employee.totalHours}</td>
+                      <td>
+                        <div className="station-hours">
+                          {employee.positions.map(p => (
+                            <span key={p.position} className={`station-hour ${p.listed ? '' : 'unlisted'}`}>
+                              {p.position} {p.hours > 0 && `${p.hours}h`}
+                              {p.trainingHours > 0 && ` (${p.trainingHours}h training)`}
+                            </span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="report-muted">{employee.neverWorked.join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CrossTrainingReport;
@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import { displayApi } from '../api';
+
+const displayLink = (token) => `${window.location.origin}/display?token=${encodeURIComponent(token)}`;
+
+function DisplaySettings() {
+  const [displays, setDisplays] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [houseType, setHouseType] = useState('boh');
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    const loadDisplays = async () => {
+      try {
+        const data = await displayApi.getAll();
+        setDisplays(data.displays);
+      } catch (err) {
+        console.error('Error loading displays:', err);
+        setError(err.response?.data?.error || 'Failed to load displays');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadDisplays();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      const display = await displayApi.create(name, houseType);
+      setDisplays(prev => [...prev, display]);
+      setName('');
+    } catch (err) {
+      console.error('Error creating display:', err);
+      setError(err.response?.data?.error || 'Failed to create display');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async (display) => {
+    const link = displayLink(display.token);
+    try {
+      await navigator.clipboard.writeText(link);
+      alert('Link copied');
+    } catch {
+      prompt('Copy this link:', link);
+    }
+  };
+
+  const handleRevoke = async (display) => {
+    if (!confirm(`Revoke "${display.name}"? That screen stops showing lineups until it gets a new link.`)) return;
+    setError(null);
+    try {
+      await displayApi.revoke(display.id);
+      setDisplays(prev => prev.filter(d => d.id !== display.id));
+    } catch (err) {
+      console.error('Error revoking display:', err);
+      setError(err.response?.data?.error || 'Failed to revoke display');
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading displays...</div>;
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Kiosk Displays</h3>
+      <p className="settings-description">
+        Open a display link on a screen in the store (e.g. a back-of-house TV) to show who is where right now,
+        what changes next and who is due for a break. It follows the clock through the day from the saved lineups
+        and doesn&apos;t need anyone signed in. A link only shows lineups for this store and its house; revoke it if
+        it ends up somewhere it shouldn&apos;t.
+      </p>
+
+      {displays.length > 0 && (
+        <div className="time-period-rows">
+          {displays.map(display => (
+            <div key={display.id} className="time-period-row">
+              <strong>{display.name}</strong>
+              <span className="overnight-badge">{display.houseType === 'foh' ? 'FOH' : 'BOH'}</span>
+              <input type="text" readOnly value={displayLink(display.token)} onFocus={(e) => e.target.select()} />
+              <button type="button" className="btn-small btn-secondary" onClick={() => handleCopy(display)}>
+                Copy Link
+              </button>
+              <a className="btn-small btn-secondary" href={displayLink(display.token)} target="_blank" rel="noreferrer">
+                Open
+              </a>
+              <button type="button" className="btn-small btn-danger" onClick={() => handleRevoke(display)}>
+                Revoke
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form className="time-period-row" onSubmit={handleCreate}>
+        <input
+          type="text"
+          placeholder="Screen name, e.g. BOH TV"
+          maxLength={50}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <select value={houseType} onChange={(e) => setHouseType(e.target.value)}>
+          <option value="boh">Back of House</option>
+          <option value="foh">Front of House</option>
+        </select>
+        <button type="submit" className="btn-primary" disabled={creating || !name.trim()}>
+          {creating ? 'Adding...' : 'Add Display'}
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+}
+
+export default DisplaySettings;
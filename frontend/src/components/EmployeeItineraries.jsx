@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { itineraryApi } from '../api';
+import Itinerary from './Itinerary';
+import { formatTime12Hour } from '../lib/time';
+
+const EXPIRY_OPTIONS = [
+  { hours: 8, label: '8 hours' },
+  { hours: 24, label: '1 day' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '1 week' }
+];
+
+// Saved lineups for a day, shown person by person, with links leaders can text or show as a QR code
+function EmployeeItineraries({ date, houseType, canShare = false }) {
+  const [itineraries, setItineraries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [sharing, setSharing] = useState(null);
+  const [expiresInHours, setExpiresInHours] = useState(24);
+  const [share, setShare] = useState(null);
+  const [shareError, setShareError] = useState(null);
+
+  useEffect(() => {
+    if (!date) return;
+    const loadItineraries = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await itineraryApi.getDay(date, houseType);
+        setItineraries(data.itineraries);
+      } catch (err) {
+        console.error('Error loading itineraries:', err);
+        setError(err.response?.data?.error || 'Failed to load itineraries');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadItineraries();
+  }, [date, houseType]);
+
+  const openShare = (itinerary) => {
+    setSharing(itinerary);
+    setShare(null);
+    setShareError(null);
+  };
+
+  const handleCreateLink = async () => {
+    setShareError(null);
+    try {
+      const { token, expiresAt } = await itineraryApi.share(sharing.employeeId, date, houseType, expiresInHours);
+      const link = `${window.location.origin}/itinerary?token=${encodeURIComponent(token)}`;
+      const qrCode = await QRCode.toDataURL(link, { margin: 1, width: 240 });
+      setShare({ link, expiresAt, qrCode });
+    } catch (err) {
+      console.error('Error sharing itinerary:', err);
+      setShareError(err.response?.data?.error || 'Failed to create the link');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(share.link);
+      alert('Link copied');
+    } catch {
+      prompt('Copy this link:', share.link);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading itineraries...</div>;
+  }
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  const shown = filter ? itineraries.filter(i => i.employeeId === filter) : itineraries;
+
+  return (
+    <div className="employee-itineraries">
+      <div className="date-selector">
+        <label>Employee:</label>
+        <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+          <option value="">Everyone</option>
+          {[...itineraries].sort((a, b) => a.name.localeCompare(b.name)).map(i => (
+            <option key={i.employeeId} value={i.employeeId}>{i.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="itinerary-cards">
+        {shown.map(itinerary => (
+          <div key={itinerary.employeeId} className="itinerary-card">
+            <div className="itinerary-card-header">
+              <h3>{itinerary.name}</h3>
+              {itinerary.startTime && (
+                <span className="itinerary-shift">
+                  {formatTime12Hour(itinerary.startTime)} - {formatTime12Hour(itinerary.endTime)}
+                </span>
+              )}
+              {canShare && (
+                <button className="btn-small btn-secondary" onClick={() => openShare(itinerary)}>
+                  Share
+                </button>
+              )}
+            </div>
+            <Itinerary itinerary={itinerary} />
+          </div>
+        ))}
+      </div>
+
+      {sharing && (
+        <div className="modal-overlay">
+          <div className="modal itinerary-share">
+            <h3>Share {sharing.name}&apos;s itinerary</h3>
+            <p className="itinerary-help">
+              Anyone with the link can see {sharing.name}&apos;s positions and breaks for this day, without signing in,
+              until it expires.
+            </p>
+
+            {!share ? (
+              <label className="itinerary-expiry">
+                Link works for
+                <select value={expiresInHours} onChange={(e) => setExpiresInHours(Number(e.target.value))}>
+                  {EXPIRY_OPTIONS.map(option => (
+                    <option key={option.hours} value={option.hours}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            ) : (
+              <div className="itinerary-share-result">
+                <img src={share.qrCode} alt={`QR code for ${sharing.name}'s itinerary`} />
+                <input type="text" readOnly value={share.link} onFocus={(e) => e.target.select()} />
+                <small>Expires {new Date(share.expiresAt).toLocaleString()}</small>
+              </div>
+            )}
+
+            {shareError && <div className="error-message">{shareError}</div>}
+
+            <div className="form-actions">
+              <button type="button" className="btn-secondary" onClick={() => setSharing(null)}>
+                Close
+              </button>
+              {!share ? (
+                <button type="button" className="btn-primary" onClick={handleCreateLink}>
+                  Create Link
+                </button>
+              ) : (
+                <>
+                  <a className="btn-secondary" href={`sms:?&body=${encodeURIComponent(`Your lineup: ${share.link}`)}`}>
+                    Text
+                  </a>
+                  <button type="button" className="btn-primary" onClick={handleCopy}>
+                    Copy Link
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EmployeeItineraries;
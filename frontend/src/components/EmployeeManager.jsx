@@ -1,15 +1,30 @@
 import { useState, useEffect } from 'react';
 import { employeeApi, positionApi } from '../api';
+import RosterImport from './RosterImport';
+
+const SKILL_LEVELS = [
+  { value: 'trainee', label: 'Trainee' },
+  { value: 'certified', label: 'Certified' },
+  { value: 'trainer', label: 'Trainer' }
+];
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const today = () => new Date().toISOString().split('T')[0];
 
 function EmployeeManager({ employees, onRefresh, houseType }) {
   const [showForm, setShowForm] = useState(false);
   const [editingEmployee, setEditingEmployee] = useState(null);
   const [availablePositions, setAvailablePositions] = useState([]);
+  const [showImport, setShowImport] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     isMinor: false,
+    birthDate: '',
     positions: [],
     bestPositions: [],
+    skills: [],
+    availability: [],
     houseType: 'boh'
   });
 
@@ -30,8 +45,11 @@ function EmployeeManager({ employees, onRefresh, houseType }) {
     setFormData({
       name: '',
       isMinor: false,
+      birthDate: '',
       positions: [],
       bestPositions: [],
+      skills: [],
+      availability: [],
       houseType: houseType || 'boh'
     });
     setEditingEmployee(null);
@@ -40,17 +58,24 @@ function EmployeeManager({ employees, onRefresh, houseType }) {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // Certified with no dates is the default, so only other skill rows are saved
+    const payload = {
+      ...formData,
+      skills: formData.skills
+        .filter(skill => skill.level !== 'certified' || skill.certifiedOn || skill.expiresOn)
+        .map(skill => ({ ...skill, certifiedOn: skill.certifiedOn || null, expiresOn: skill.expiresOn || null }))
+    };
     try {
       if (editingEmployee) {
-        await employeeApi.update(editingEmployee.id, formData);
+        await employeeApi.update(editingEmployee.id, payload);
       } else {
-        await employeeApi.create(formData);
+        await employeeApi.create(payload);
       }
       onRefresh();
       resetForm();
     } catch (error) {
       console.error('Error saving employee:', error);
-      alert('Failed to save employee');
+      alert(error.response?.data?.error || 'Failed to save employee');
     }
   };
 
@@ -58,8 +83,11 @@ function EmployeeManager({ employees, onRefresh, houseType }) {
     setFormData({
       name: employee.name,
       isMinor: employee.isMinor,
+      birthDate: employee.birthDate || '',
       positions: employee.positions || [],
       bestPositions: employee.bestPositions || [],
+      skills: employee.skills || [],
+      availability: employee.availability || [],
       houseType: employee.houseType || 'boh'
     });
     setEditingEmployee(employee);
@@ -77,23 +105,79 @@ function EmployeeManager({ employees, onRefresh, houseType }) {
     }
   };
 
+  const handleExport = async (format) => {
+    try {
+      await employeeApi.exportRoster(format);
+    } catch (error) {
+      console.error('Error exporting roster:', error);
+      alert('Failed to export roster');
+    }
+  };
+
+  const handleImported = (result) => {
+    setShowImport(false);
+    onRefresh();
+    alert(`Roster imported: ${result.created} added, ${result.updated} updated.`);
+  };
+
   const togglePosition = (position) => {
     setFormData(prev => {
       const newPositions = prev.positions.includes(position)
         ? prev.positions.filter(p => p !== position)
         : [...prev.positions, position];
 
-      // Remove from best positions if no longer in positions
+      // Remove from best positions and skills if no longer in positions
       const newBestPositions = prev.bestPositions.filter(p => newPositions.includes(p));
+      const newSkills = prev.skills.filter(s => newPositions.includes(s.position));
 
       return {
         ...prev,
         positions: newPositions,
-        bestPositions: newBestPositions
+        bestPositions: newBestPositions,
+        skills: newSkills
       };
     });
   };
 
+  const getSkill = (position) =>
+    formData.skills.find(s => s.position === position) ||
+    { position, level: 'certified', certifiedOn: '', expiresOn: '' };
+
+  const updateSkill = (position, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      skills: [
+        ...prev.skills.filter(s => s.position !== position),
+        { ...getSkill(position), [field]: value }
+      ]
+    }));
+  };
+
+  // Availability windows: none means the employee can work any time
+  const addAvailability = () => {
+    setFormData(prev => {
+      const last = prev.availability[prev.availability.length - 1];
+      const window = last
+        ? { ...last, dayOfWeek: (last.dayOfWeek + 1) % 7 }
+        : { dayOfWeek: 1, startTime: '09:00', endTime: '17:00' };
+      return { ...prev, availability: [...prev.availability, window] };
+    });
+  };
+
+  const updateAvailability = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      availability: prev.availability.map((w, i) => i === index ? { ...w, [field]: value } : w)
+    }));
+  };
+
+  const removeAvailability = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      availability: prev.availability.filter((_, i) => i !== index)
+    }));
+  };
+
   const toggleBestPosition = (position) => {
     if (!formData.positions.includes(position)) return;
 
@@ -109,11 +193,29 @@ function EmployeeManager({ employees, onRefresh, houseType }) {
     <div className="employee-manager">
       <div className="section-header">
         <h2>Employees</h2>
-        <button onClick={() => setShowForm(true)} className="btn-primary">
-          + Add Employee
-        </button>
+        <div className="header-actions">
+          <button onClick={() => handleExport('xlsx')} className="btn-small btn-secondary">
+            Export Excel
+          </button>
+          <button onClick={() => handleExport('csv')} className="btn-small btn-secondary">
+            Export CSV
+          </button>
+          <button onClick={() => setShowImport(true)} className="btn-small btn-secondary">
+            Import
+          </button>
+          <button onClick={() => setShowForm(true)} className="btn-primary">
+            + Add Employee
+          </button>
+        </div>
       </div>
 
+      {showImport && (
+        <RosterImport
+          onImported={handleImported}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
       {showForm && (
         <div className="modal-overlay">
           <div className="modal">
@@ -140,6 +242,17 @@ function EmployeeManager({ employees, onRefresh, houseType }) {
                 </label>
               </div>
 
+              {formData.isMinor && (
+                <div className="form-group">
+                  <label>Birth date (for labor law checks):</label>
+                  <input
+                    type="date"
+                    value={formData.birthDate}
+                    onChange={(e) => setFormData({ ...formData, birthDate: e.target.value })}
+                  />
+                </div>
+              )}
+
               <div className="form-group">
                 <label>House Assignment:</label>
                 <div className="house-radio-group">
@@ -222,6 +335,89 @@ function EmployeeManager({ employees, onRefresh, houseType }) {
                 </div>
               )}
 
+              {formData.positions.length > 0 && (
+                <div className="form-group">
+                  <label>Skill Levels:</label>
+                  <div className="skill-rows">
+                    {formData.positions.map(position => {
+                      const skill = getSkill(position);
+                      const expired = skill.expiresOn && skill.expiresOn < today();
+                      return (
+                        <div key={position} className={`skill-row ${expired ? 'expired' : ''}`}>
+                          <span className="skill-position">{position}</span>
+                          <select
+                            value={skill.level}
+                            onChange={(e) => updateSkill(position, 'level', e.target.value)}
+                          >
+                            {SKILL_LEVELS.map(level => (
+                              <option key={level.value} value={level.value}>{level.label}</option>
+                            ))}
+                          </select>
+                          <label>
+                            Certified
+                            <input
+                              type="date"
+                              value={skill.certifiedOn || ''}
+                              onChange={(e) => updateSkill(position, 'certifiedOn', e.target.value)}
+                            />
+                          </label>
+                          <label>
+                            Expires
+                            <input
+                              type="date"
+                              value={skill.expiresOn || ''}
+                              onChange={(e) => updateSkill(position, 'expiresOn', e.target.value)}
+                            />
+                          </label>
+                          {expired && <span className="cert-badge">Expired</span>}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label>Availability:</label>
+                {formData.availability.length === 0 ? (
+                  <p className="empty-positions">Available any time. Add windows to limit the days and hours they can work.</p>
+                ) : (
+                  <div className="skill-rows">
+                    {formData.availability.map((window, index) => (
+                      <div key={index} className="skill-row">
+                        <select
+                          value={window.dayOfWeek}
+                          onChange={(e) => updateAvailability(index, 'dayOfWeek', Number(e.target.value))}
+                        >
+                          {DAYS.map((day, value) => (
+                            <option key={day} value={value}>{day}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="time"
+                          value={window.startTime}
+                          onChange={(e) => updateAvailability(index, 'startTime', e.target.value)}
+                          required
+                        />
+                        <span>to</span>
+                        <input
+                          type="time"
+                          value={window.endTime}
+                          onChange={(e) => updateAvailability(index, 'endTime', e.target.value)}
+                          required
+                        />
+                        <button type="button" onClick={() => removeAvailability(index)} className="btn-small btn-danger">
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <button type="button" onClick={addAvailability} className="btn-small btn-secondary">
+                  + Add window
+                </button>
+              </div>
+
               <div className="form-actions">
                 <button type="button" onClick={resetForm} className="btn-secondary">
                   Cancel
@@ -247,7 +443,14 @@ function EmployeeManager({ employees, onRefresh, houseType }) {
             .map(employee => {
               const positions = Array.isArray(employee.positions) ? employee.positions : [];
               const bestPositions = Array.isArray(employee.bestPositions) ? employee.bestPositions : [];
+              const skills = Array.isArray(employee.skills) ? employee.skills : [];
               const empHouseType = employee.houseType || 'boh';
+              const levelLabel = (pos) => {
+                const level = skills.find(s => s.position === pos)?.level;
+                return level === 'trainee' || level === 'trainer' ? ` (${level})` : '';
+              };
+              const expired = skills.filter(s => s.expiresOn && s.expiresOn < today() && positions.includes(s.position));
+              const availability = Array.isArray(employee.availability) ? employee.availability : [];
               return (
                 <div key={employee.id} className="employee-card">
                   <div className="employee-info">
@@ -257,15 +460,25 @@ function EmployeeManager({ employees, onRefresh, houseType }) {
                       <span className={`house-badge ${empHouseType}`}>
                         {empHouseType === 'foh' ? 'FOH' : empHouseType === 'boh' ? 'BOH' : 'Both'}
                       </span>
+                      {expired.length > 0 && (
+                        <span className="cert-badge" title={expired.map(s => `${s.position} expired ${s.expiresOn}`).join(', ')}>
+                          Cert expired
+                        </span>
+                      )}
                     </h4>
                     <div className="employee-positions">
                       {bestPositions.map(pos => (
-                        <span key={pos} className="pos-badge best">{pos}</span>
+                        <span key={pos} className="pos-badge best">{pos}{levelLabel(pos)}</span>
                       ))}
                       {positions.filter(p => !bestPositions.includes(p)).map(pos => (
-                        <span key={pos} className="pos-badge">{pos}</span>
+                        <span key={pos} className="pos-badge">{pos}{levelLabel(pos)}</span>
                       ))}
                     </div>
+                    {availability.length > 0 && (
+                      <div className="employee-availability">
+                        Available {availability.map(w => `${DAYS[w.dayOfWeek]} ${w.startTime}-${w.endTime}`).join(', ')}
+                      </div>
+                    )}
                   </div>
                   <div className="employee-actions">
                     <button onClick={() => handleEdit(employee)} className="btn-small">Edit</button>
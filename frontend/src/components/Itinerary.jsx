@@ -0,0 +1,61 @@
+import { formatTime12Hour } from '../lib/time';
+import './Itinerary.css';
+
+const STEP_LABELS = {
+  lead: 'Shift lead (floating)',
+  booster: 'Booster (floating)',
+  extra: 'Extra / support',
+  break: 'Break'
+};
+
+const describeStep = (step) => {
+  if (step.kind === 'training') {
+    return step.station ? `Training on ${step.station}` : 'In training';
+  }
+  return STEP_LABELS[step.kind] || step.station;
+};
+
+// One person's day as a list of stops: where they are, from when to when
+function Itinerary({ itinerary }) {
+  const { steps, closing } = itinerary;
+  const breakInfo = itinerary.break;
+
+  if (steps.length === 0 && !closing) {
+    return <p className="itinerary-empty">Nothing scheduled.</p>;
+  }
+
+  return (
+    <div className="itinerary">
+      <ol className="itinerary-steps">
+        {steps.map((step, index) => (
+          <li key={index} className={`itinerary-step ${step.kind}${step.isLead ? ' lead' : ''}`}>
+            <span className="itinerary-time">
+              {formatTime12Hour(step.startTime)} - {formatTime12Hour(step.endTime)}
+            </span>
+            <span className="itinerary-position">
+              {describeStep(step)}
+              {step.isLead && step.kind === 'station' && <span className="itinerary-tag">Lead</span>}
+            </span>
+            {step.trainer && <span className="itinerary-note">with {step.trainer}</span>}
+            {step.coveringFor && <span className="itinerary-note">covering for {step.coveringFor}</span>}
+          </li>
+        ))}
+        {closing && (
+          <li className="itinerary-step closing">
+            <span className="itinerary-time">Closing</span>
+            <span className="itinerary-position">{closing.position === 'available' ? 'Help where needed' : closing.position}</span>
+          </li>
+        )}
+      </ol>
+
+      {breakInfo && !breakInfo.scheduled && (
+        <p className={`itinerary-break-note ${breakInfo.type === 'required' ? 'required' : ''}`}>
+          {breakInfo.type === 'required' ? 'Break required' : 'Optional break'}
+          {breakInfo.startTime && ` at ${formatTime12Hour(breakInfo.startTime)}`} - ask your shift lead when to take it.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default Itinerary;
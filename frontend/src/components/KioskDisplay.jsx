@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import { displayApi } from '../api';
+import { formatTime12Hour } from '../lib/time';
+import './KioskDisplay.css';
+
+// Check for edits this often, and right at each change point
+const REFRESH_MS = 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDateString = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const toTimeString = (d) => `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+
+// Milliseconds from now until HH:MM today, or tomorrow if it's already passed
+const msUntil = (time, now) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const at = new Date(now);
+  at.setHours(hours, minutes, 0, 0);
+  if (at <= now) at.setDate(at.getDate() + 1);
+  return at - now;
+};
+
+const BREAK_LABELS = { on_break: 'On break', due: 'Due now', soon: 'Soon' };
+
+const cellClass = (position) => {
+  if (position === 'on break') return 'on-break';
+  if (position === 'lead (floating)' || position.endsWith(' (lead)')) return 'lead';
+  return '';
+};
+
+function Segment({ segment }) {
+  return (
+    <div className="kiosk-grid">
+      {segment.assignments.map(a => (
+        <div key={a.employeeId} className={`kiosk-cell ${cellClass(a.position)}`}>
+          <span className="kiosk-position">{a.position}</span>
+          <span className="kiosk-name">{a.name}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const describeMove = (move) => {
+  if (!move.from) return <>starts on <strong>{move.to}</strong></>;
+  if (!move.to) return <>heads out</>;
+  return <>{move.from} &rarr; <strong>{move.to}</strong></>;
+};
+
+// Full-screen "now" view for a screen in the store, opened with a display token instead of a login
+function KioskDisplay({ token }) {
+  const [view, setView] = useState(null);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(new Date());
+
+  useEffect(() => {
+    const tick = setInterval(() => setNow(new Date()), 15 * 1000);
+    return () => clearInterval(tick);
+  }, []);
+
+  useEffect(() => {
+    let timer = null;
+    let cancelled = false;
+
+    const loadView = async () => {
+      const at = new Date();
+      try {
+        const data = await displayApi.getView(token, toDateString(at), toTimeString(at));
+        if (cancelled) return;
+        setView(data);
+        setError(null);
+        // Wake up just after the next change point so the screen advances on time
+        const untilChange = data.nextChangeAt ? msUntil(data.nextChangeAt, new Date()) + 1000 : Infinity;
+        timer = setTimeout(loadView, Math.min(REFRESH_MS, untilChange));
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Error loading display:', err);
+        if (err.response?.status === 404) {
+          // Revoked or expired - nothing to retry
+          setView(null);
+          setError(err.response.data.error);
+          return;
+        }
+        // Keep showing the last view through a dropped connection
+        setError(err.response?.data?.error || 'Can\'t reach the server');
+        timer = setTimeout(loadView, REFRESH_MS);
+      }
+    };
+    loadView();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [token]);
+
+  const handleFullScreen = () => {
+    document.documentElement.requestFullscreen?.().catch(() => {});
+  };
+
+  if (!view) {
+    return (
+      <div className="kiosk">
+        <div className="kiosk-message">{error || 'Loading lineup...'}</div>
+      </div>
+    );
+  }
+
+  const minutesToChange = view.nextChangeAt ? Math.ceil(msUntil(view.nextChangeAt, now) / 60000) : null;
+
+  return (
+    <div className="kiosk">
+      <header className="kiosk-header">
+        <div>
+          <span className="kiosk-store">{view.storeName}</span>
+          <span className="kiosk-house">{view.houseType === 'foh' ? 'Front of House' : 'Back of House'}</span>
+        </div>
+        <div className="kiosk-clock">
+          {!document.fullscreenElement && (
+            <button type="button" className="kiosk-fullscreen" onClick={handleFullScreen}>
+              Full Screen
+            </button>
+          )}
+          {now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+        </div>
+      </header>
+
+      {error && <div className="kiosk-offline">{error} - showing the last update</div>}
+
+      <div className="kiosk-body">
+        <section className="kiosk-now">
+          {view.status === 'empty' && <div className="kiosk-message">No lineup saved for today</div>}
+
+          {view.status === 'open' && (
+            <>
+              <h2>
+                Now <span>{view.current.shiftPeriod} &middot; {formatTime12Hour(view.current.startTime)} - {formatTime12Hour(view.current.endTime)}</span>
+              </h2>
+              <Segment segment={view.current} />
+            </>
+          )}
+
+          {view.status === 'before' && (
+            <>
+              <h2>
+                Starting at {formatTime12Hour(view.next.startTime)} <span>{view.next.shiftPeriod}</span>
+              </h2>
+              <Segment segment={view.next} />
+            </>
+          )}
+
+          {view.status === 'closed' && (
+            view.current ? (
+              <>
+                <h2>Closing</h2>
+                <Segment segment={view.current} />
+              </>
+            ) : (
+              <div className="kiosk-message">Closed</div>
+            )
+          )}
+        </section>
+
+        {view.status === 'open' && (
+          <aside className="kiosk-side">
+            {view.next && (
+              <div className="kiosk-panel">
+                <h3>
+                  Next at {formatTime12Hour(view.nextChangeAt)}
+                  <span className="kiosk-countdown">
+                    {minutesToChange <= 1 ? 'now' : `in ${minutesToChange} min`}
+                  </span>
+                </h3>
+                {view.next.shiftPeriod === 'closing' && <p className="kiosk-note">Closing lineup</p>}
+                {view.moves.length === 0 ? (
+                  <p className="kiosk-note">Nobody moves</p>
+                ) : (
+                  <ul className="kiosk-list">
+                    {view.moves.map(move => (
+                      <li key={move.employeeId}>
+                        <span className="kiosk-list-name">{move.name}</span> {describeMove(move)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <div className="kiosk-panel">
+              <h3>Breaks</h3>
+              {view.breaks.length === 0 ? (
+                <p className="kiosk-note">No breaks due</p>
+              ) : (
+                <ul className="kiosk-list">
+                  {view.breaks.map(b => (
+                    <li key={b.employeeId} className={`kiosk-break ${b.status}`}>
+                      <span className="kiosk-list-name">{b.name}</span>
+                      {BREAK_LABELS[b.status]}
+                      {b.status === 'soon' && b.startTime && ` (${formatTime12Hour(b.startTime)})`}
+                      {b.type === 'required' && b.status !== 'on_break' && <span className="kiosk-required">Required</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </aside>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default KioskDisplay;
@@ -0,0 +1,262 @@
+import { useState, useEffect } from 'react';
+import { layoutApi, positionApi, settingsApi } from '../api';
+import './LayoutEditor.css';
+
+// Headcount columns always shown, more appear if the store saved layouts outside them
+const MIN_HEADCOUNT = 4;
+const MAX_HEADCOUNT = 10;
+
+function LayoutEditor({ houseType }) {
+  const [layouts, setLayouts] = useState([]);
+  const [defaults, setDefaults] = useState([]);
+  const [positions, setPositions] = useState([]);
+  const [timePeriods, setTimePeriods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [newPosition, setNewPosition] = useState('');
+  const [combineWith, setCombineWith] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadLayouts = async () => {
+      try {
+        const [layoutData, positionData, periodData] = await Promise.all([
+          layoutApi.getAll(houseType),
+          positionApi.getAll(houseType),
+          settingsApi.getTimePeriods()
+        ]);
+        setLayouts(layoutData.layouts || []);
+        setDefaults(layoutData.defaults || []);
+        setPositions(positionData);
+        setTimePeriods(periodData.timePeriods || []);
+      } catch (err) {
+        console.error('Error loading layouts:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadLayouts();
+  }, [houseType]);
+
+  const findLayout = (list, timePeriod, peopleCount) =>
+    list.find(l => l.timePeriod === timePeriod && l.peopleCount === peopleCount);
+
+  const savedCounts = layouts.map(l => l.peopleCount);
+  const headcounts = [];
+  for (let count = Math.min(MIN_HEADCOUNT, ...savedCounts); count <= Math.max(MAX_HEADCOUNT, ...savedCounts); count++) {
+    headcounts.push(count);
+  }
+
+  const openCell = (timePeriod, peopleCount) => {
+    const layout = findLayout(layouts, timePeriod, peopleCount);
+    setEditing({
+      id: layout?.id || null,
+      timePeriod,
+      peopleCount,
+      positions: layout ? [...layout.positions] : []
+    });
+    setNewPosition('');
+    setCombineWith('');
+    setError(null);
+  };
+
+  const closeEditor = () => {
+    setEditing(null);
+    setError(null);
+  };
+
+  const movePosition = (index, direction) => {
+    setEditing(prev => {
+      const list = [...prev.positions];
+      const target = index + direction;
+      if (target < 0 || target >= list.length) return prev;
+      [list[index], list[target]] = [list[target], list[index]];
+      return { ...prev, positions: list };
+    });
+  };
+
+  const removePosition = (index) => {
+    setEditing(prev => ({ ...prev, positions: prev.positions.filter((_, i) => i !== index) }));
+  };
+
+  const addPosition = () => {
+    if (!newPosition) return;
+    // A combined station ("hashbrowns/griddle") is one person working either position
+    const station = combineWith && combineWith !== newPosition ? `${newPosition}/${combineWith}` : newPosition;
+    setEditing(prev => ({ ...prev, positions: [...prev.positions, station] }));
+    setNewPosition('');
+    setCombineWith('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const saved = await layoutApi.save({
+        houseType,
+        timePeriod: editing.timePeriod,
+        peopleCount: editing.peopleCount,
+        positions: editing.positions
+      });
+      setLayouts(prev => [
+        ...prev.filter(l => !(l.timePeriod === saved.timePeriod && l.peopleCount === saved.peopleCount)),
+        saved
+      ]);
+      setEditing(null);
+    } catch (err) {
+      console.error('Error saving layout:', err);
+      setError(err.response?.data?.error || 'Failed to save layout');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm('Delete this layout? Lineups with this many people will use position priorities instead.')) return;
+    try {
+      await layoutApi.delete(editing.id);
+      setLayouts(prev => prev.filter(l => l.id !== editing.id));
+      setEditing(null);
+    } catch (err) {
+      console.error('Error deleting layout:', err);
+      setError(err.response?.data?.error || 'Failed to delete layout');
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading layouts...</div>;
+  }
+
+  const builtIn = editing ? findLayout(defaults, editing.timePeriod, editing.peopleCount) : null;
+  const editingPeriod = editing ? timePeriods.find(p => p.id === editing.timePeriod) : null;
+  const tooMany = editing && editing.positions.length > editing.peopleCount;
+
+  return (
+    <div className="layout-editor">
+      <div className="section-header">
+        <h2>Headcount Layouts</h2>
+      </div>
+      <p className="layout-help">
+        Pick the exact stations for a time period and headcount. Headcount counts the people filling stations -
+        shift leads, boosters, trainees and anyone on break aren't counted. When there's no layout for a headcount,
+        positions are filled by priority.
+      </p>
+
+      {positions.length === 0 ? (
+        <p className="empty-state">Add positions above before creating layouts.</p>
+      ) : (
+        <div className="layout-grid-wrapper">
+          <table className="layout-grid">
+            <thead>
+              <tr>
+                <th>Time Period</th>
+                {headcounts.map(count => (
+                  <th key={count}>{count} people</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {timePeriods.map(period => (
+                <tr key={period.id}>
+                  <th>{period.name}</th>
+                  {headcounts.map(count => {
+                    const layout = findLayout(layouts, period.id, count);
+                    return (
+                      <td
+                        key={count}
+                        className={`layout-cell ${layout ? 'has-layout' : ''}`}
+                        onClick={() => openCell(period.id, count)}
+                      >
+                        {layout ? layout.positions.join(', ') : '—'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {editing && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <h3>{editingPeriod?.name || editing.timePeriod} - {editing.peopleCount} people</h3>
+
+            {editing.positions.length === 0 ? (
+              <p className="empty-state">No stations yet.</p>
+            ) : (
+              <ol className="layout-station-list">
+                {editing.positions.map((station, index) => (
+                  <li key={`${station}-${index}`} className="layout-station">
+                    <span className="layout-station-name">{station}</span>
+                    <button type="button" className="btn-small" onClick={() => movePosition(index, -1)} disabled={index === 0}>↑</button>
+                    <button type="button" className="btn-small" onClick={() => movePosition(index, 1)} disabled={index === editing.positions.length - 1}>↓</button>
+                    <button type="button" className="btn-small btn-danger" onClick={() => removePosition(index)}>×</button>
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            <div className="layout-add-row">
+              <select value={newPosition} onChange={(e) => setNewPosition(e.target.value)}>
+                <option value="">Add a station...</option>
+                {positions.map(p => (
+                  <option key={p.id} value={p.name}>{p.name}</option>
+                ))}
+              </select>
+              <select value={combineWith} onChange={(e) => setCombineWith(e.target.value)} disabled={!newPosition}>
+                <option value="">Not combined</option>
+                {positions.filter(p => p.name !== newPosition).map(p => (
+                  <option key={p.id} value={p.name}>or {p.name}</option>
+                ))}
+              </select>
+              <button type="button" className="btn-small btn-secondary" onClick={addPosition} disabled={!newPosition}>
+                Add
+              </button>
+            </div>
+
+            {builtIn && (
+              <button
+                type="button"
+                className="btn-small btn-secondary"
+                onClick={() => setEditing(prev => ({ ...prev, positions: [...builtIn.positions] }))}
+              >
+                Use built-in layout ({builtIn.positions.join(', ')})
+              </button>
+            )}
+
+            {tooMany && (
+              <div className="error-message">
+                {editing.positions.length} stations is more than {editing.peopleCount} people can fill.
+              </div>
+            )}
+            {error && <div className="error-message">{error}</div>}
+
+            <div className="form-actions">
+              {editing.id && (
+                <button type="button" onClick={handleDelete} className="btn-danger">
+                  Delete
+                </button>
+              )}
+              <button type="button" onClick={closeEditor} className="btn-secondary">
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleSave}
+                className="btn-primary"
+                disabled={saving || tooMany || editing.positions.length === 0}
+              >
+                {saving ? 'Saving...' : 'Save Layout'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LayoutEditor;
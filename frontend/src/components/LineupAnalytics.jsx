@@ -0,0 +1,231 @@
+import { useState, useEffect } from 'react';
+import { reportApi } from '../api';
+import { formatTime12Hour } from '../lib/time';
+import './LineupAnalytics.css';
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return toDateString(date);
+};
+
+const formatDay = (dateStr) =>
+  new Date(dateStr + 'T00:00:00Z').toLocaleDateString('en-US', { weekday: 'short', month: 'numeric', day: 'numeric', timeZone: 'UTC' });
+
+const formatPeriod = (period, groupBy) => groupBy === 'day'
+  ? formatDay(period.start)
+  : `Week of ${formatDay(period.start)}`;
+
+const formatSegment = (segment) =>
+  `${formatDay(segment.date)} ${formatTime12Hour(segment.startTime)} - ${formatTime12Hour(segment.endTime)}`;
+
+// Change in best-match rate from the previous period, e.g. "+4.5"
+const formatChange = (current, previous) => {
+  if (!previous || previous.matches.total === 0 || current.matches.total === 0) return null;
+  const change = Math.round((current.matches.bestPct - previous.matches.bestPct) * 10) / 10;
+  return change > 0 ? `+${change}` : `${change}`;
+};
+
+// Lineup analytics: quality of saved lineups by day or week, so it can be tracked over time
+function LineupAnalytics({ houseType }) {
+  const [from, setFrom] = useState(() => daysAgo(55));
+  const [to, setTo] = useState(() => toDateString(new Date()));
+  const [groupBy, setGroupBy] = useState('week');
+  const [topPositions, setTopPositions] = useState(5);
+  const [report, setReport] = useState(null);
+  const [selectedStart, setSelectedStart] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadReport = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await reportApi.getLineupQuality(from, to, houseType, { groupBy, topPositions });
+        if (!cancelled) {
+          setReport(data);
+          setSelectedStart(null);
+        }
+      } catch (err) {
+        console.error('Error loading lineup analytics:', err);
+        if (!cancelled) setError(err.response?.data?.error || 'Failed to load lineup analytics');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    loadReport();
+
+    return () => { cancelled = true; };
+  }, [from, to, houseType, groupBy, topPositions]);
+
+  const periods = report ? report.periods : [];
+  // Newest period unless one was picked
+  const selected = periods.find(p => p.start === selectedStart) || periods[periods.length - 1] || null;
+
+  return (
+    <div className="lineup-analytics">
+      <div className="section-header">
+        <h2>Lineup Analytics</h2>
+        <div className="analytics-controls">
+          <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+          <span>to</span>
+          <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+            <option value="week">By week</option>
+            <option value="day">By day</option>
+          </select>
+          <label>
+            Top stations
+            <input
+              type="number"
+              min="1"
+              max="50"
+              value={topPositions}
+              onChange={(e) => setTopPositions(Math.max(1, Number(e.target.value) || 1))}
+            />
+          </label>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {loading && !report && <div className="loading">Loading...</div>}
+
+      {report && (
+        <>
+          <p className="analytics-help">
+            From {report.lineupCount} saved lineup{report.lineupCount === 1 ? '' : 's'}. A segment counts as understaffed
+            when one of the {report.topPositions} highest-priority stations for its time period had nobody on it.
+          </p>
+
+          {periods.length === 0 ? (
+            <p className="empty-state">No saved lineups in this date range.</p>
+          ) : (
+            <div className="analytics-table-wrapper">
+              <table className="analytics-table">
+                <thead>
+                  <tr>
+                    <th>{groupBy === 'day' ? 'Day' : 'Week'}</th>
+                    <th>Matches</th>
+                    <th>Best</th>
+                    <th>Capable</th>
+                    <th>Fallback</th>
+                    <th>Moves per shift</th>
+                    <th>Extra people</th>
+                    <th>Understaffed</th>
+                    <th>Required breaks</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {periods.map((period, index) => {
+                    const change = formatChange(period, periods[index - 1]);
+                    return (
+                      <tr
+                        key={period.start}
+                        className={selected && selected.start === period.start ? 'selected' : ''}
+                        onClick={() => setSelectedStart(period.start)}
+                      >
+                        <td><strong>{formatPeriod(period, groupBy)}</strong></td>
+                        <td>
+                          <div className="match-bar" title={`${period.matches.total} station assignments`}>
+                            <span className="best" style={{ width: `${period.matches.bestPct}%` }} />
+                            <span className="capable" style={{ width: `${period.matches.capablePct}%` }} />
+                            <span className="fallback" style={{ width: `${period.matches.fallbackPct}%` }} />
+                          </div>
+                        </td>
+                        <td>
+                          {period.matches.bestPct}%
+                          {change && (
+                            <span className={`analytics-change ${change.startsWith('-') ? 'down' : 'up'}`}> {change}</span>
+                          )}
+                        </td>
+                        <td>{period.matches.capablePct}%</td>
+                        <td className={period.matches.fallback > 0 ? 'analytics-warning' : ''}>{period.matches.fallbackPct}%</td>
+                        <td>{period.positionChanges.perShift}</td>
+                        <td>{period.extraSegments.length} of {period.segmentCount}</td>
+                        <td className={period.understaffedSegments.length > 0 ? 'analytics-warning' : ''}>
+                          {period.understaffedSegments.length} of {period.segmentCount}
+                        </td>
+                        <td>{period.breaks.required}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {selected && (
+            <div className="analytics-details">
+              <h3>{formatPeriod(selected, groupBy)}</h3>
+
+              <div className="analytics-detail-grid">
+                <div>
+                  <h4>Position changes</h4>
+                  {selected.positionChanges.perEmployee.length === 0 ? (
+                    <p className="empty-state">Nobody worked.</p>
+                  ) : (
+                    <ul className="analytics-list">
+                      {selected.positionChanges.perEmployee.map(e => (
+                        <li key={e.employeeId}>
+                          <strong>{e.name}</strong> {e.changes} move{e.changes === 1 ? '' : 's'}
+                          <span className="analytics-muted"> over {e.days} day{e.days === 1 ? '' : 's'}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                <div>
+                  <h4>Understaffed segments</h4>
+                  {selected.understaffedSegments.length === 0 ? (
+                    <p className="empty-state">Every top station was covered.</p>
+                  ) : (
+                    <ul className="analytics-list">
+                      {selected.understaffedSegments.map(s => (
+                        <li key={`${s.date}-${s.startTime}`}>
+                          {formatSegment(s)}
+                          <span className="analytics-muted"> - open: {s.missing.join(', ')}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                <div>
+                  <h4>Segments with extra people</h4>
+                  {selected.extraSegments.length === 0 ? (
+                    <p className="empty-state">No extra/support in this period.</p>
+                  ) : (
+                    <ul className="analytics-list">
+                      {selected.extraSegments.map(s => (
+                        <li key={`${s.date}-${s.startTime}`}>
+                          {formatSegment(s)}
+                          <span className="analytics-muted"> - {s.extraPeople} extra of {s.peopleCount}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                <div>
+                  <h4>Breaks</h4>
+                  <p>
+                    {selected.breaks.required} required, {selected.breaks.optional} optional
+                    <span className="analytics-muted"> across {selected.days} day{selected.days === 1 ? '' : 's'}</span>
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LineupAnalytics;
@@ -1,11 +1,31 @@
-import { useState } from 'react';
-import { lineupApi } from '../api';
+import { useState, useEffect, Fragment } from 'react';
+import { lineupApi, settingsApi } from '../api';
 import { lineupService, supabase } from '../lib/supabase';
+import AssignmentExplanation from './AssignmentExplanation';
+import { formatTime12Hour } from '../lib/time';
+
+const COVERAGE_LABELS = {
+  unfilled: 'Open station',
+  fallback: 'Not trained',
+  noLead: 'No shift lead',
+  noCertified: 'Nobody certified'
+};
 
 function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, setClosingLineup, lineupDate, houseType }) {
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
+  const [solver, setSolver] = useState('optimal');
+  const [explain, setExplain] = useState(false);
+  const [expandedRows, setExpandedRows] = useState({});
+  const [timePeriods, setTimePeriods] = useState([]);
+
+  // Store time periods, so lineups show the store's own period names
+  useEffect(() => {
+    settingsApi.getTimePeriods()
+      .then(data => setTimePeriods(data.timePeriods || []))
+      .catch(err => console.error('Error loading time periods:', err));
+  }, []);
 
   const handleGenerate = async () => {
     if (shiftAssignments.length === 0) {
@@ -17,14 +37,21 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
     setError(null);
 
     try {
-      const result = await lineupApi.generate(shiftAssignments, houseType);
+      const result = await lineupApi.generate(shiftAssignments, houseType, { solver, explain, date: lineupDate });
       setLineups(result.lineups);
+      setExpandedRows({});
       if (setClosingLineup) {
         setClosingLineup(result.closingLineup);
       }
     } catch (err) {
       console.error('Error generating lineup:', err);
-      setError('Failed to generate lineup. Make sure the backend is running.');
+      const violations = err.response?.data?.violations;
+      if (err.response?.status === 422 && violations) {
+        const problems = violations.filter(v => v.severity === 'error').map(v => v.message);
+        setError(`Can't generate this lineup: ${problems.join('; ')}`);
+      } else {
+        setError('Failed to generate lineup. Make sure the backend is running.');
+      }
     } finally {
       setLoading(false);
     }
@@ -37,13 +64,22 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
     }
 
     try {
-      await lineupApi.exportExcel(lineups);
+      await lineupApi.exportExcel(lineups, closingLineup, houseType, lineupDate);
     } catch (err) {
       console.error('Error exporting:', err);
       alert('Failed to export. Make sure the backend is running.');
     }
   };
 
+  const handlePrintBoard = async () => {
+    try {
+      await lineupApi.exportPdf(lineups, closingLineup, lineupDate, houseType);
+    } catch (err) {
+      console.error('Error exporting station board:', err);
+      alert('Failed to export the station board. Make sure the backend is running.');
+    }
+  };
+
   const handleSaveLineups = async () => {
     if (lineups.length === 0) {
       alert('Please generate a lineup first');
@@ -69,6 +105,10 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
     }
   };
 
+  const toggleExpanded = (key) => {
+    setExpandedRows(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
   const getMatchBadgeClass = (quality) => {
     switch (quality) {
       case 'best': return 'match-badge best';
@@ -76,6 +116,7 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
       case 'fallback': return 'match-badge fallback';
       case 'training': return 'match-badge training';
       case 'extra': return 'match-badge extra';
+      case 'break': return 'match-badge break';
       default: return 'match-badge';
     }
   };
@@ -88,21 +129,56 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
       dinner: 'Dinner',
       lateNight: 'Late Night'
     };
-    return names[period] || period;
+    return timePeriods.find(p => p.id === period)?.name || names[period] || period;
   };
 
-  const formatTime12Hour = (time24) => {
-    const [hours, minutes] = time24.split(':').map(Number);
-    const period = hours >= 12 ? 'PM' : 'AM';
-    const hours12 = hours % 12 || 12;
-    return `${hours12}:${minutes.toString().padStart(2, '0')} ${period}`;
+  // "on break 1:30 PM-2:00 PM" for scheduled breaks, otherwise the position name
+  const formatPosition = (assignment) => {
+    if (assignment.position === 'on break' && assignment.breakStart) {
+      return `on break ${formatTime12Hour(assignment.breakStart)}-${formatTime12Hour(assignment.breakEnd)}`;
+    }
+    return assignment.position;
   };
 
+  // Someone the coverage check flagged as working a station they aren't trained on
+  const isFlagged = (lineup, assignment) => (lineup.coverage || []).some(issue =>
+    issue.type === 'fallback' && issue.position === assignment.position && issue.name === assignment.employee.name
+  );
+
+  // People working a station their certification has lapsed on, once per person and position
+  const expiredCertifications = [];
+  for (const lineup of lineups) {
+    for (const assignment of lineup.assignments) {
+      if (!assignment.certificationExpired) continue;
+      const label = `${assignment.employee.name} on ${assignment.position}`;
+      if (!expiredCertifications.some(c => c.label === label)) {
+        expiredCertifications.push({ label, expiresOn: assignment.certificationExpired });
+      }
+    }
+  }
+
   return (
     <div className="lineup-display">
       <div className="section-header">
         <h2>Generated Lineups</h2>
         <div className="header-actions">
+          <select
+            value={solver}
+            onChange={(e) => setSolver(e.target.value)}
+            className="solver-select"
+            title="How positions are assigned"
+          >
+            <option value="optimal">Optimal assignment</option>
+            <option value="greedy">Quick assignment</option>
+          </select>
+          <label className="explain-toggle">
+            <input
+              type="checkbox"
+              checked={explain}
+              onChange={(e) => setExplain(e.target.checked)}
+            />
+            Explain
+          </label>
           <button
             onClick={handleGenerate}
             className="btn-primary"
@@ -122,6 +198,9 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
               <button onClick={handleExport} className="btn-secondary">
                 Export to Excel
               </button>
+              <button onClick={handlePrintBoard} className="btn-secondary">
+                Print Station Board
+              </button>
             </>
           )}
         </div>
@@ -129,6 +208,16 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
 
       {error && <div className="error-message">{error}</div>}
 
+      {expiredCertifications.length > 0 && (
+        <div className="compliance-panel">
+          {expiredCertifications.map(c => (
+            <div key={c.label} className="compliance-item warning">
+              <strong>Certification expired:</strong> {c.label} (expired {c.expiresOn})
+            </div>
+          ))}
+        </div>
+      )}
+
       {lineups.length === 0 ? (
         <p className="empty-state">
           Add shift assignments and click "Generate Lineup" to see position assignments.
@@ -141,13 +230,38 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
                 <h3>{formatTime12Hour(lineup.startTime)} - {formatTime12Hour(lineup.endTime)}</h3>
                 <span className="shift-badge">{formatShiftPeriod(lineup.shiftPeriod)}</span>
                 <span className="count-badge">{lineup.peopleCount} people</span>
+                {lineup.coverage?.length > 0 && (
+                  <span className={`coverage-badge ${lineup.coverage.some(i => i.severity === 'error') ? 'error' : 'warning'}`}>
+                    {lineup.coverage.length} coverage {lineup.coverage.length === 1 ? 'issue' : 'issues'}
+                  </span>
+                )}
               </div>
 
+              {lineup.coverage?.length > 0 && (
+                <div className="coverage-panel">
+                  {lineup.coverage.map((issue, k) => (
+                    <div key={k} className={`compliance-item ${issue.severity}`}>
+                      <strong>{COVERAGE_LABELS[issue.type] || issue.type}:</strong> {issue.message}
+                      {issue.fixes.length > 0 && (
+                        <ul className="coverage-fixes">
+                          {issue.fixes.map(fix => <li key={fix}>{fix}</li>)}
+                        </ul>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Mobile card view */}
               <div className="lineup-assignments">
                 {lineup.assignments.map((assignment, i) => (
-                  <div key={i} className={`assignment-card ${assignment.needsBreak ? 'needs-break' : ''}`}>
-                    <span className="assignment-position">{assignment.position}</span>
+                  <div key={i} className={`assignment-card ${assignment.needsBreak ? 'needs-break' : ''} ${isFlagged(lineup, assignment) ? 'coverage-flag' : ''}`}>
+                    <span className="assignment-position">
+                      {formatPosition(assignment)}
+                      {assignment.coveringFor && (
+                        <span className="cover-note">covering {assignment.coveringFor}</span>
+                      )}
+                    </span>
                     <span className="assignment-employee">
                       {assignment.employee.name}
                       {assignment.employee.isMinor && (
@@ -158,12 +272,31 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
                       <span className={getMatchBadgeClass(assignment.matchQuality)}>
                         {assignment.matchQuality}
                       </span>
+                      {assignment.pinned && (
+                        <span className="pin-badge" title="Pinned position">Pinned</span>
+                      )}
+                      {assignment.certificationExpired && (
+                        <span className="cert-badge" title={`Certification expired ${assignment.certificationExpired}`}>Cert expired</span>
+                      )}
                       {assignment.needsBreak && (
                         <span className={`break-badge ${assignment.breakType}`}>
-                          {assignment.breakType === 'required' ? 'BREAK' : 'Opt'}
+                          {assignment.breakStart
+                            ? `Break ${formatTime12Hour(assignment.breakStart)}`
+                            : assignment.breakType === 'required' ? 'BREAK' : 'Opt'}
                         </span>
                       )}
+                      {assignment.explanation && (
+                        <button
+                          className="explain-btn"
+                          onClick={() => toggleExpanded(`${index}-${i}`)}
+                        >
+                          {expandedRows[`${index}-${i}`] ? 'Hide' : 'Why?'}
+                        </button>
+                      )}
                     </div>
+                    {expandedRows[`${index}-${i}`] && (
+                      <AssignmentExplanation explanation={assignment.explanation} />
+                    )}
                   </div>
                 ))}
               </div>
@@ -177,31 +310,64 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
                       <th>Employee</th>
                       <th>Match</th>
                       <th>Break</th>
+                      {lineup.assignments.some(a => a.explanation) && <th>Why</th>}
                     </tr>
                   </thead>
                   <tbody>
                     {lineup.assignments.map((assignment, i) => (
-                      <tr key={i} className={assignment.needsBreak ? 'needs-break' : ''}>
-                        <td className="position-cell">{assignment.position}</td>
-                        <td>
-                          {assignment.employee.name}
-                          {assignment.employee.isMinor && (
-                            <span className="minor-badge">Minor</span>
-                          )}
-                        </td>
-                        <td>
-                          <span className={getMatchBadgeClass(assignment.matchQuality)}>
-                            {assignment.matchQuality}
-                          </span>
-                        </td>
-                        <td>
-                          {assignment.needsBreak && (
-                            <span className={`break-badge ${assignment.breakType}`}>
-                              {assignment.breakType === 'required' ? 'REQ' : 'OPT'}
+                      <Fragment key={i}>
+                        <tr className={`${assignment.needsBreak ? 'needs-break' : ''} ${isFlagged(lineup, assignment) ? 'coverage-flag' : ''}`}>
+                          <td className="position-cell">
+                            {formatPosition(assignment)}
+                            {assignment.coveringFor && (
+                              <span className="cover-note">covering {assignment.coveringFor}</span>
+                            )}
+                          </td>
+                          <td>
+                            {assignment.employee.name}
+                            {assignment.employee.isMinor && (
+                              <span className="minor-badge">Minor</span>
+                            )}
+                          </td>
+                          <td>
+                            <span className={getMatchBadgeClass(assignment.matchQuality)}>
+                              {assignment.matchQuality}
                             </span>
+                            {assignment.pinned && (
+                              <span className="pin-badge" title="Pinned position">Pinned</span>
+                            )}
+                            {assignment.certificationExpired && (
+                              <span className="cert-badge" title={`Certification expired ${assignment.certificationExpired}`}>Cert expired</span>
+                            )}
+                          </td>
+                          <td>
+                            {assignment.needsBreak && (
+                              <span className={`break-badge ${assignment.breakType}`}>
+                                {assignment.breakStart
+                                  ? formatTime12Hour(assignment.breakStart)
+                                  : assignment.breakType === 'required' ? 'REQ' : 'OPT'}
+                              </span>
+                            )}
+                          </td>
+                          {assignment.explanation && (
+                            <td>
+                              <button
+                                className="explain-btn"
+                                onClick={() => toggleExpanded(`${index}-${i}`)}
+                              >
+                                {expandedRows[`${index}-${i}`] ? 'Hide' : 'Why?'}
+                              </button>
+                            </td>
                           )}
-                        </td>
-                      </tr>
+                        </tr>
+                        {expandedRows[`${index}-${i}`] && (
+                          <tr className="explanation-row-container">
+                            <td colSpan={5}>
+                              <AssignmentExplanation explanation={assignment.explanation} />
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
                     ))}
                   </tbody>
                 </table>
@@ -305,6 +471,9 @@ function LineupDisplay({ shiftAssignments, lineups, setLineups, closingLineup, s
           <div className="legend-item">
             <span className="break-badge optional">Optional</span> Break recommended
           </div>
+          <div className="legend-item">
+            <span className="coverage-badge error">Coverage</span> Open stations or people off their training, with fixes to try
+          </div>
         </div>
       </div>
     </div>
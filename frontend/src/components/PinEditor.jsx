@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { formatTime12Hour, toShiftMinutes } from '../lib/time';
+
+/**
+ * Pins lock an employee to a position for all or part of their shift
+ * pins: [{ position, startTime?, endTime? }]
+ */
+function PinEditor({ pins = [], positions = [], shiftStart, shiftEnd, onChange }) {
+  const [adding, setAdding] = useState(false);
+  const [position, setPosition] = useState('');
+  const [wholeShift, setWholeShift] = useState(true);
+  const [startTime, setStartTime] = useState(shiftStart || '');
+  const [endTime, setEndTime] = useState(shiftEnd || '');
+
+  const resetForm = () => {
+    setAdding(false);
+    setPosition('');
+    setWholeShift(true);
+    setStartTime(shiftStart || '');
+    setEndTime(shiftEnd || '');
+  };
+
+  const handleAdd = () => {
+    if (!position) return;
+    // Pins can run past midnight on an overnight shift (e.g. 9 PM - 2 AM)
+    const from = shiftStart || startTime;
+    if (!wholeShift && (!startTime || !endTime || toShiftMinutes(from, startTime) >= toShiftMinutes(from, endTime))) {
+      alert('Pin end time must be after start time');
+      return;
+    }
+
+    const pin = wholeShift ? { position } : { position, startTime, endTime };
+    onChange([...pins, pin]);
+    resetForm();
+  };
+
+  const handleRemove = (index) => {
+    onChange(pins.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="pin-editor">
+      {pins.map((pin, index) => (
+        <span key={index} className="pin-chip">
+          {pin.position}
+          {pin.startTime && pin.endTime && (
+            <> {formatTime12Hour(pin.startTime)}-{formatTime12Hour(pin.endTime)}</>
+          )}
+          <button type="button" onClick={() => handleRemove(index)} title="Remove pin">
+            &times;
+          </button>
+        </span>
+      ))}
+
+      {adding ? (
+        <div className="pin-form">
+          <select value={position} onChange={(e) => setPosition(e.target.value)}>
+            <option value="">Position...</option>
+            {positions.map(pos => (
+              <option key={pos.id || pos.name} value={pos.name}>{pos.name}</option>
+            ))}
+          </select>
+          <label className="role-checkbox">
+            <input
+              type="checkbox"
+              checked={wholeShift}
+              onChange={(e) => setWholeShift(e.target.checked)}
+            />
+            Whole shift
+          </label>
+          {!wholeShift && (
+            <>
+              <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} />
+              <input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} />
+            </>
+          )}
+          <button type="button" className="btn-small btn-primary" onClick={handleAdd} disabled={!position}>
+            Pin
+          </button>
+          <button type="button" className="btn-small btn-secondary" onClick={resetForm}>
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button type="button" className="pin-add-btn" onClick={() => setAdding(true)}>
+          + Pin
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PinEditor;
@@ -1,27 +1,21 @@
 import { useState, useEffect } from 'react';
-import { positionApi } from '../api';
+import { positionApi, settingsApi } from '../api';
+import { formatTime12Hour } from '../lib/time';
 import './PositionManager.css';
 
-const TIME_PERIODS = [
-  { value: 'all', label: 'All Periods' },
-  { value: 'morning', label: 'Morning (6:00-10:30)' },
-  { value: 'lunch', label: 'Lunch (10:30-2:00)' },
-  { value: 'midday', label: 'Midday (2:00-5:00)' },
-  { value: 'dinner', label: 'Dinner (5:00-8:00)' },
-  { value: 'lateNight', label: 'Late Night (8:00-10:00)' }
-];
-
 function PositionManager({ houseType }) {
   const [positions, setPositions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingPosition, setEditingPosition] = useState(null);
+  const [timePeriods, setTimePeriods] = useState([]);
   const [formData, setFormData] = useState({
     name: '',
     houseType: houseType,
     priority: 99,
     timePeriods: ['all'],
-    requiresClosing: false
+    requiresClosing: false,
+    rotate: false
   });
 
   useEffect(() => {
@@ -32,6 +26,32 @@ function PositionManager({ houseType }) {
     setFormData(prev => ({ ...prev, houseType }));
   }, [houseType]);
 
+  // The store's time periods drive the checkboxes (Settings > Time Periods)
+  useEffect(() => {
+    const loadTimePeriods = async () => {
+      try {
+        const data = await settingsApi.getTimePeriods();
+        setTimePeriods(data.timePeriods || []);
+      } catch (error) {
+        console.error('Error loading time periods:', error);
+      }
+    };
+    loadTimePeriods();
+  }, []);
+
+  const periodOptions = [
+    { value: 'all', label: 'All Periods' },
+    ...timePeriods.map(p => ({
+      value: p.id,
+      label: `${p.name} (${formatTime12Hour(p.start)}-${formatTime12Hour(p.end)})`
+    }))
+  ];
+
+  const getPeriodName = (id) => {
+    if (id === 'all') return 'All Periods';
+    return timePeriods.find(p => p.id === id)?.name || id;
+  };
+
   const loadPositions = async () => {
     try {
       setLoading(true);
@@ -50,7 +70,8 @@ function PositionManager({ houseType }) {
       houseType: houseType,
       priority: 99,
       timePeriods: ['all'],
-      requiresClosing: false
+      requiresClosing: false,
+      rotate: false
     });
     setEditingPosition(null);
     setShowForm(false);
@@ -78,7 +99,8 @@ function PositionManager({ houseType }) {
       houseType: position.houseType,
       priority: position.priority,
       timePeriods: position.timePeriods || ['all'],
-      requiresClosing: position.requiresClosing || false
+      requiresClosing: position.requiresClosing || false,
+      rotate: position.rotate || false
     });
     setEditingPosition(position);
     setShowForm(true);
@@ -175,7 +197,7 @@ function PositionManager({ houseType }) {
               <div className="form-group">
                 <label>Time Periods (when this position is used):</label>
                 <div className="time-period-grid">
-                  {TIME_PERIODS.map(period => (
+                  {periodOptions.map(period => (
                     <div
                       key={period.value}
                       className={`time-period-chip ${formData.timePeriods.includes(period.value) ? 'selected' : ''}`}
@@ -199,6 +221,18 @@ function PositionManager({ houseType }) {
                 <small>Check this if the position requires closing duties (will be included in the closing lineup).</small>
               </div>
 
+              <div className="form-group checkbox-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={formData.rotate}
+                    onChange={(e) => setFormData({ ...formData, rotate: e.target.checked })}
+                  />
+                  Rotate
+                </label>
+                <small>Check this for stations nobody wants every shift. With rotation turned on in Settings, people who worked it recently are placed there less.</small>
+              </div>
+
               <div className="form-actions">
                 <button type="button" onClick={resetForm} className="btn-secondary">
                   Cancel
@@ -228,11 +262,14 @@ function PositionManager({ houseType }) {
                   {position.requiresClosing && (
                     <span className="closing-badge">Closing</span>
                   )}
+                  {position.rotate && (
+                    <span className="rotate-badge">Rotate</span>
+                  )}
                 </div>
                 <div className="position-periods">
                   {(position.timePeriods || ['all']).map(period => (
                     <span key={period} className="period-badge">
-                      {period === 'all' ? 'All Periods' : period}
+                      {getPeriodName(period)}
                     </span>
                   ))}
                 </div>
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { employeeApi } from '../api';
+import './RosterImport.css';
+
+const HOUSE_LABELS = { boh: 'BOH', foh: 'FOH', both: 'Both' };
+
+const describeEmployee = (employee) => [
+  HOUSE_LABELS[employee.houseType],
+  employee.isMinor ? 'Minor' : null,
+  employee.positions.length > 0 ? employee.positions.join(', ') : 'No positions'
+].filter(Boolean).join(' · ');
+
+// Import a roster spreadsheet: pick a file, check what would change, then apply it all at once
+function RosterImport({ onImported, onClose }) {
+  const [file, setFile] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFile = (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    const format = /\.xlsx$/i.test(selected.name) ? 'xlsx' : 'csv';
+    const reader = new FileReader();
+    reader.onload = async () => {
+      // Excel files are sent as base64, without the data URL prefix
+      const content = format === 'xlsx' ? reader.result.split(',')[1] : reader.result;
+      setFile({ name: selected.name, format, content });
+      setPlan(null);
+      setError(null);
+      setBusy(true);
+      try {
+        setPlan(await employeeApi.importRoster(content, format, { preview: true }));
+      } catch (err) {
+        console.error('Error reading roster:', err);
+        setError(err.response?.data?.error || 'Failed to read the roster file');
+      } finally {
+        setBusy(false);
+      }
+    };
+    if (format === 'xlsx') reader.readAsDataURL(selected);
+    else reader.readAsText(selected);
+  };
+
+  const handleApply = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await employeeApi.importRoster(file.content, file.format);
+      onImported(result);
+    } catch (err) {
+      console.error('Error importing roster:', err);
+      if (err.response?.status === 422 && err.response.data?.conflicts) {
+        setPlan(err.response.data);
+      }
+      setError(err.response?.data?.error || 'Failed to import the roster');
+      setBusy(false);
+    }
+  };
+
+  const changeCount = plan ? plan.creates.length + plan.updates.length : 0;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal roster-import">
+        <h3>Import Roster</h3>
+        <p className="import-help">
+          Upload an Excel or CSV file with Name, Minor, House (BOH, FOH or Both), Positions and Best Positions
+          columns - export the roster to get a template. Employees are matched by name; anyone not in the file
+          is left as is.
+        </p>
+
+        <label className="import-file">
+          <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleFile} disabled={busy} />
+          {busy && !plan && <span>Reading...</span>}
+        </label>
+
+        {plan && (
+          <div className="roster-plan">
+            {plan.conflicts.length > 0 && (
+              <div className="roster-plan-group conflicts">
+                <h4>{plan.conflicts.length} conflict{plan.conflicts.length === 1 ? '' : 's'} - fix these in the file and upload it again</h4>
+                <ul>
+                  {plan.conflicts.map(c => (
+                    <li key={c.line}>
+                      <span className="roster-line">Line {c.line}</span> {c.name && <strong>{c.name}:</strong>} {c.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {plan.creates.length > 0 && (
+              <div className="roster-plan-group creates">
+                <h4>{plan.creates.length} new employee{plan.creates.length === 1 ? '' : 's'}</h4>
+                <ul>
+                  {plan.creates.map(c => (
+                    <li key={c.line}>
+                      <strong>{c.employee.name}</strong> <span className="roster-detail">{describeEmployee(c.employee)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {plan.updates.length > 0 && (
+              <div className="roster-plan-group updates">
+                <h4>{plan.updates.length} update{plan.updates.length === 1 ? '' : 's'}</h4>
+                <ul>
+                  {plan.updates.map(u => (
+                    <li key={u.line}>
+                      <strong>{u.employee.name}</strong> <span className="roster-detail">changes {u.changes.join(', ')}: {describeEmployee(u.employee)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {plan.unchanged.length > 0 && (
+              <p className="roster-detail">{plan.unchanged.length} employee{plan.unchanged.length === 1 ? '' : 's'} already up to date.</p>
+            )}
+          </div>
+        )}
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="form-actions">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleApply}
+            className="btn-primary"
+            disabled={busy || !plan || plan.conflicts.length > 0 || changeCount === 0}
+          >
+            {busy && plan ? 'Importing...' : `Apply ${changeCount} change${changeCount === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RosterImport;
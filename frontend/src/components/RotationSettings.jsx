@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react';
+import { settingsApi } from '../api';
+
+const NUMBER_FIELDS = [
+  { key: 'lookbackDays', label: 'Days to look back', min: 1, max: 60, help: 'How many days of saved lineups count toward rotation' },
+  { key: 'penaltyPerDay', label: 'Points per day', min: 0, max: 100, help: 'Points taken off for each day someone already worked the station' },
+  { key: 'maxPenalty', label: 'Most points taken off', min: 0, max: 100, help: 'Keep this low enough that a best position still beats a fallback' }
+];
+
+function RotationSettings() {
+  const [rotation, setRotation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadRotation = async () => {
+      try {
+        const data = await settingsApi.getRotation();
+        setRotation(data.rotation);
+      } catch (err) {
+        console.error('Error loading rotation settings:', err);
+        setError('Failed to load rotation settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRotation();
+  }, []);
+
+  const handleChange = (key, value) => {
+    setRotation(prev => ({ ...prev, [key]: value === '' ? '' : Number(value) }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = await settingsApi.updateRotation(rotation);
+      setRotation(data.rotation);
+      alert('Rotation settings saved');
+    } catch (err) {
+      console.error('Error saving rotation settings:', err);
+      setError(err.response?.data?.error || 'Failed to save rotation settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading rotation settings...</div>;
+  }
+
+  if (!rotation) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Station Rotation</h3>
+      <p className="settings-description">
+        Spreads the stations marked &quot;Rotate&quot; on the Positions tab around the team. People lose points on
+        those stations for each day they worked them recently, so the same people aren&apos;t stuck there every shift.
+      </p>
+
+      <div className="form-group checkbox-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={rotation.enabled}
+            onChange={(e) => setRotation({ ...rotation, enabled: e.target.checked })}
+          />
+          Rotate stations
+        </label>
+      </div>
+
+      <div className="weight-grid">
+        {NUMBER_FIELDS.map(({ key, label, min, max, help }) => (
+          <div key={key} className="weight-field">
+            <label>
+              {label}
+              <input
+                type="number"
+                min={min}
+                max={max}
+                value={rotation[key]}
+                disabled={!rotation.enabled}
+                onChange={(e) => handleChange(key, e.target.value)}
+              />
+            </label>
+            <small>{help}</small>
+          </div>
+        ))}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-actions">
+        <button onClick={handleSave} className="btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Rotation'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RotationSettings;
@@ -1,8 +1,29 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { lineupService, supabase } from '../lib/supabase';
-import { lineupApi, employeeApi } from '../api';
+import { lineupApi, employeeApi, positionApi, settingsApi } from '../api';
+import { useAuth } from '../context/AuthContext';
+import PinEditor from './PinEditor';
+import EmployeeItineraries from './EmployeeItineraries';
+import { formatTime12Hour } from '../lib/time';
+
+// "breading (training w/ Alex)" -> "breading", so a regenerated lineup keeps the trainee on it
+const parseTrainingPosition = (position) => position.match(/^(.+) \(training w\/ /)?.[1] || null;
+
+// Lineup rows that don't cover a station, so they never become pins
+const NON_STATION_POSITIONS = ['lead (floating)', 'booster (floating)', 'in training', 'extra/support', 'on break', 'available'];
+
+// The station an assignment is on ("primary (lead)" -> "primary"), or null for anything else
+const stationFor = (position) => {
+  if (NON_STATION_POSITIONS.includes(position) || parseTrainingPosition(position)) return null;
+  return position.replace(' (lead)', '');
+};
+
+// Every assignment's id and version - changes whenever anyone edits the day
+const daySignature = (lineups) =>
+  lineups.flatMap(l => l.assignments.map(a => `${a.id}:${a.version}`)).sort().join(',');
 
 function SavedLineups({ canEdit = true, houseType = 'boh' }) {
+  const { user } = useAuth();
   const [savedLineups, setSavedLineups] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -12,12 +33,21 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
   const [dragOverItem, setDragOverItem] = useState(null);
   const [saving, setSaving] = useState(false);
   const [editMode, setEditMode] = useState(false);
+  const [showItineraries, setShowItineraries] = useState(false);
   const [shiftAssignments, setShiftAssignments] = useState([]);
   const [allEmployees, setAllEmployees] = useState([]);
   const [showAddEmployee, setShowAddEmployee] = useState(false);
   const [newEmployeeId, setNewEmployeeId] = useState('');
   const [newStartTime, setNewStartTime] = useState('10:00');
   const [newEndTime, setNewEndTime] = useState('18:00');
+  const [positions, setPositions] = useState([]);
+  const [timePeriods, setTimePeriods] = useState([]);
+  // Other people with this day open, and the day as it was when Edit Shifts was opened
+  const [others, setOthers] = useState([]);
+  const [editBaseline, setEditBaseline] = useState(null);
+  const presenceRef = useRef(null);
+  const dayLineupsRef = useRef([]);
+  const reloadTimerRef = useRef(null);
 
   // Touch selection state for tap-to-swap
   const [selectedForSwap, setSelectedForSwap] = useState(null);
@@ -27,6 +57,13 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
     loadSavedLineups();
   }, [houseType]);
 
+  // Store time periods, so saved lineups show the store's own period names
+  useEffect(() => {
+    settingsApi.getTimePeriods()
+      .then(data => setTimePeriods(data.timePeriods || []))
+      .catch(err => console.error('Error loading time periods:', err));
+  }, []);
+
   const loadSavedLineups = async () => {
     if (!supabase) {
       setError('Supabase not configured. Please add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to Netlify environment variables, then redeploy.');
@@ -64,6 +101,129 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
     }
   };
 
+  // Re-read one day's lineups after someone else changed them
+  const reloadDay = useCallback(async (date) => {
+    try {
+      const dayLineups = (await lineupService.getLineupsByDate(date))
+        .filter(l => (l.houseType || 'boh') === houseType);
+      setSavedLineups(prev => [...prev.filter(l => l.date !== date), ...dayLineups]);
+    } catch (err) {
+      console.error('Error reloading lineups:', err);
+    }
+  }, [houseType]);
+
+  // Keep the realtime handler looking at the day as it is now
+  useEffect(() => {
+    dayLineupsRef.current = savedLineups.filter(l => l.date === selectedDate);
+  }, [savedLineups, selectedDate]);
+
+  // The lineups loaded for the selected day, as a stable key for the live updates subscription
+  const dayLineupIds = savedLineups.filter(l => l.date === selectedDate).map(l => l.id).sort().join(',');
+
+  // Live updates for the selected day: other people's swaps show up as they happen,
+  // and anything bigger (regenerating or deleting) reloads the day
+  useEffect(() => {
+    if (!selectedDate) return undefined;
+
+    const scheduleReload = () => {
+      // A regenerate arrives as a burst of deletes and inserts - reload once it settles
+      clearTimeout(reloadTimerRef.current);
+      reloadTimerRef.current = setTimeout(() => reloadDay(selectedDate), 500);
+    };
+
+    const handleChange = (payload) => {
+      const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+      const dayLineups = dayLineupsRef.current;
+
+      if (payload.table === 'lineups') {
+        if ((row.lineup_date === selectedDate && (row.house_type || 'boh') === houseType) ||
+            dayLineups.some(l => l.id === row.id)) {
+          scheduleReload();
+        }
+        return;
+      }
+
+      if (!dayLineups.some(l => l.id === row.lineup_id || l.assignments.some(a => a.id === row.id))) return;
+      if (payload.eventType !== 'UPDATE') {
+        scheduleReload();
+        return;
+      }
+
+      // Only newer versions, so the echo of this user's own swap changes nothing
+      setSavedLineups(prev => prev.map(lineup => lineup.id !== row.lineup_id ? lineup : {
+        ...lineup,
+        assignments: lineup.assignments.map(a => a.id !== row.id || row.version <= a.version ? a : {
+          ...a,
+          position: row.position,
+          matchQuality: row.match_quality,
+          needsBreak: row.needs_break,
+          breakType: row.break_type,
+          pinned: row.is_pinned || false,
+          breakStart: row.break_start ? row.break_start.substring(0, 5) : null,
+          breakEnd: row.break_end ? row.break_end.substring(0, 5) : null,
+          coveringFor: row.covering_for || null,
+          version: row.version
+        })
+      }));
+    };
+
+    const unsubscribe = lineupService.subscribeToDayChanges(
+      dayLineupIds ? dayLineupIds.split(',') : [],
+      handleChange
+    );
+
+    return () => {
+      clearTimeout(reloadTimerRef.current);
+      unsubscribe?.();
+    };
+  }, [selectedDate, houseType, dayLineupIds, reloadDay]);
+
+  // Who else has the selected day open
+  useEffect(() => {
+    if (!selectedDate || !user) return undefined;
+
+    const presence = lineupService.joinDay(
+      selectedDate,
+      houseType,
+      { userId: user.id, name: user.email },
+      setOthers
+    );
+    presenceRef.current = presence;
+
+    return () => {
+      presence?.unsubscribe();
+      presenceRef.current = null;
+    };
+  }, [selectedDate, houseType, user]);
+
+  // Let the others on this day see when this user is editing shifts
+  useEffect(() => {
+    presenceRef.current?.track({ editing: editMode });
+  }, [editMode]);
+
+  // Put saved rows (new position, version and pin) into local state
+  const applySavedAssignments = useCallback((updated) => {
+    const byId = new Map(updated.map(a => [a.id, a]));
+    setSavedLineups(prevLineups =>
+      prevLineups.map(lineup => ({
+        ...lineup,
+        assignments: lineup.assignments.map(a => byId.has(a.id) ? { ...a, ...byId.get(a.id) } : a)
+      }))
+    );
+  }, []);
+
+  // A conflict means someone else moved one of these people first: show the latest and let the leader retry
+  const handleSwapError = useCallback(async (err) => {
+    console.error('Error swapping assignments:', err);
+    if (err.code === 'LINEUP_CONFLICT') {
+      alert('Someone else changed this lineup at the same time, so your swap wasn\'t saved. ' +
+        'The latest lineup is shown now - try again if it\'s still needed.');
+      await reloadDay(selectedDate);
+    } else {
+      alert('Failed to swap positions');
+    }
+  }, [reloadDay, selectedDate]);
+
   const handleDragStart = (e, lineupId, assignment) => {
     setDraggedItem({ lineupId, assignment });
     e.dataTransfer.effectAllowed = 'move';
@@ -115,29 +275,14 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
           );
 
           // Update local state for all affected assignments
-          setSavedLineups(prevLineups =>
-            prevLineups.map(lineup => {
-              const updatedAssignments = lineup.assignments.map(a => {
-                if (result.updatesToPosition1.includes(a.id)) {
-                  return { ...a, position: result.position1 };
-                }
-                if (result.updatesToPosition2.includes(a.id)) {
-                  return { ...a, position: result.position2 };
-                }
-                return a;
-              });
-
-              return { ...lineup, assignments: updatedAssignments };
-            })
-          );
+          applySavedAssignments(result.updated);
 
           // Vibrate on successful swap
           if (navigator.vibrate) {
             navigator.vibrate(50);
           }
         } catch (err) {
-          console.error('Error swapping assignments:', err);
-          alert('Failed to swap positions');
+          await handleSwapError(err);
         } finally {
           setSaving(false);
         }
@@ -152,7 +297,7 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
         navigator.vibrate(30);
       }
     }
-  }, [canEdit, selectedForSwap]);
+  }, [canEdit, selectedForSwap, savedLineups, applySavedAssignments, handleSwapError]);
 
   // Cancel selection when tapping outside
   const handleCancelSelection = useCallback(() => {
@@ -190,24 +335,9 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
       );
 
       // Update local state for all affected assignments
-      setSavedLineups(prevLineups =>
-        prevLineups.map(lineup => {
-          const updatedAssignments = lineup.assignments.map(a => {
-            if (result.updatesToPosition1.includes(a.id)) {
-              return { ...a, position: result.position1 };
-            }
-            if (result.updatesToPosition2.includes(a.id)) {
-              return { ...a, position: result.position2 };
-            }
-            return a;
-          });
-
-          return { ...lineup, assignments: updatedAssignments };
-        })
-      );
+      applySavedAssignments(result.updated);
     } catch (err) {
-      console.error('Error swapping assignments:', err);
-      alert('Failed to swap positions');
+      await handleSwapError(err);
     } finally {
       setSaving(false);
       setDraggedItem(null);
@@ -236,10 +366,14 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
 
   // Extract shift assignments from saved lineups for editing
   const enterEditMode = async () => {
-    // Load all employees for the add employee dropdown
+    // Load all employees for the add employee dropdown, and positions for pins
     try {
-      const employees = await employeeApi.getAll();
+      const [employees, positionData] = await Promise.all([
+        employeeApi.getAll(),
+        positionApi.getAll(houseType)
+      ]);
       setAllEmployees(employees);
+      setPositions(positionData);
     } catch (err) {
       console.error('Error loading employees:', err);
     }
@@ -250,9 +384,9 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
     const closingLineupData = allLineupsForDate.find(l => l.shiftPeriod === 'closing');
 
     // Find the last regular lineup's end time (this is when closers work until)
-    // Late night ends at 22:00, which is when closing duties happen (22:00-23:00)
+    // Lineups come back in the order they were generated, which also holds for overnight stores
     const lastRegularEndTime = regularLineups.length > 0
-      ? regularLineups.reduce((latest, l) => l.endTime > latest ? l.endTime : latest, '00:00')
+      ? regularLineups[regularLineups.length - 1].endTime
       : '22:00';
 
     // Collect employee IDs who should be marked as closers
@@ -269,10 +403,7 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
       }
     } else if (regularLineups.length > 0) {
       // No closing lineup exists - use employees from the last regular lineup as closers
-      const lastRegularLineup = regularLineups.reduce(
-        (last, l) => l.endTime > last.endTime ? l : last,
-        regularLineups[0]
-      );
+      const lastRegularLineup = regularLineups[regularLineups.length - 1];
       for (const assignment of lastRegularLineup.assignments) {
         if (assignment.employee) {
           closerEmployeeIds.add(assignment.employee.id);
@@ -303,23 +434,21 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
             endTime: isCloser ? lastRegularEndTime : lineup.endTime,
             isShiftLead: assignment.position.includes('lead'),
             isBooster: assignment.position.includes('booster'),
-            isInTraining: assignment.position.includes('training')
+            isInTraining: assignment.position.includes('training'),
+            trainingPosition: parseTrainingPosition(assignment.position),
+            pins: []
           });
         } else {
-          // Extend the time range
-          if (lineup.startTime < existing.startTime) {
-            existing.startTime = lineup.startTime;
-          }
-          // If they're a closer, always use lastRegularEndTime, otherwise extend if needed
-          if (isCloser) {
-            existing.endTime = lastRegularEndTime;
-          } else if (lineup.endTime > existing.endTime) {
-            existing.endTime = lineup.endTime;
-          }
+          // Lineups are in time order, so the first one sets the start and each later one extends the end
+          // If they're a closer, always use lastRegularEndTime
+          existing.endTime = isCloser ? lastRegularEndTime : lineup.endTime;
           // Check for roles
           if (assignment.position.includes('lead')) existing.isShiftLead = true;
           if (assignment.position.includes('booster')) existing.isBooster = true;
-          if (assignment.position.includes('training')) existing.isInTraining = true;
+          if (assignment.position.includes('training')) {
+            existing.isInTraining = true;
+            existing.trainingPosition = existing.trainingPosition || parseTrainingPosition(assignment.position);
+          }
         }
       }
     }
@@ -344,18 +473,41 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
             endTime: lastRegularEndTime,
             isShiftLead: false,
             isBooster: false,
-            isInTraining: false
+            isInTraining: false,
+            pins: []
           });
         }
         // If they exist, their endTime was already set correctly above
       }
     }
 
+    // Turn pinned assignments (manual drag-and-drop or tap swaps) back into pins
+    // so regenerating doesn't wipe them out. Only stations are pinned - leads, boosters, trainees and
+    // extras get those roles from the shift. Adjacent blocks on the same station merge.
+    for (const lineup of regularLineups) {
+      for (const assignment of lineup.assignments) {
+        const station = stationFor(assignment.position);
+        if (!assignment.pinned || !assignment.employee || !station) continue;
+        const shift = employeeShifts.get(assignment.employee.id);
+        if (!shift) continue;
+
+        const startTime = lineup.startTime.substring(0, 5);
+        const endTime = lineup.endTime.substring(0, 5);
+        const lastPin = shift.pins[shift.pins.length - 1];
+        if (lastPin && lastPin.position === station && lastPin.endTime === startTime) {
+          lastPin.endTime = endTime;
+        } else {
+          shift.pins.push({ position: station, startTime, endTime });
+        }
+      }
+    }
+
     setShiftAssignments(Array.from(employeeShifts.values()).sort((a, b) =>
       a.startTime.localeCompare(b.startTime)
     ));
     setShowAddEmployee(false);
     setNewEmployeeId('');
+    setEditBaseline(daySignature(allLineupsForDate));
     setEditMode(true);
   };
 
@@ -382,7 +534,8 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
       endTime: newEndTime,
       isShiftLead: false,
       isBooster: false,
-      isInTraining: false
+      isInTraining: false,
+      pins: []
     };
 
     setShiftAssignments(prev => [...prev, newAssignment].sort((a, b) =>
@@ -410,6 +563,12 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
     ));
   };
 
+  const handleUpdatePins = (employeeId, pins) => {
+    setShiftAssignments(prev => prev.map(s =>
+      s.employeeId === employeeId ? { ...s, pins } : s
+    ));
+  };
+
   const handleRegenerateLineups = async () => {
     if (shiftAssignments.length === 0) {
       alert('No employees in the shift');
@@ -419,8 +578,16 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
     try {
       setSaving(true);
 
+      // Someone may have swapped or regenerated since editing started
+      const latest = (await lineupService.getLineupsByDate(selectedDate))
+        .filter(l => (l.houseType || 'boh') === houseType);
+      if (daySignature(latest) !== editBaseline &&
+          !confirm('Someone else changed this day\'s lineups since you started editing. Regenerate anyway and replace their changes?')) {
+        return;
+      }
+
       // Generate new lineups via API (pass houseType)
-      const result = await lineupApi.generate(shiftAssignments, houseType);
+      const result = await lineupApi.generate(shiftAssignments, houseType, { date: selectedDate });
 
       // Delete old lineups for this date
       await lineupService.deleteLineupsByDate(selectedDate);
@@ -435,7 +602,13 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
       alert('Lineups regenerated successfully!');
     } catch (err) {
       console.error('Error regenerating lineups:', err);
-      alert('Failed to regenerate lineups: ' + err.message);
+      const violations = err.response?.data?.violations;
+      if (err.response?.status === 422 && violations) {
+        const problems = violations.filter(v => v.severity === 'error').map(v => v.message);
+        alert('Can\'t regenerate lineups:\n' + problems.join('\n'));
+      } else {
+        alert('Failed to regenerate lineups: ' + err.message);
+      }
     } finally {
       setSaving(false);
     }
@@ -451,11 +624,12 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
     });
   };
 
-  const formatTime12Hour = (time24) => {
-    const [hours, minutes] = time24.split(':').map(Number);
-    const period = hours >= 12 ? 'PM' : 'AM';
-    const hours12 = hours % 12 || 12;
-    return `${hours12}:${minutes.toString().padStart(2, '0')} ${period}`;
+  // "on break 1:30 PM-2:00 PM" for scheduled breaks, otherwise the position name
+  const formatPosition = (assignment) => {
+    if (assignment.position === 'on break' && assignment.breakStart) {
+      return `on break ${formatTime12Hour(assignment.breakStart)}-${formatTime12Hour(assignment.breakEnd)}`;
+    }
+    return assignment.position;
   };
 
   const formatShiftPeriod = (period) => {
@@ -467,7 +641,7 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
       lateNight: 'Late Night',
       closing: 'Closing'
     };
-    return names[period] || period;
+    return timePeriods.find(p => p.id === period)?.name || names[period] || period;
   };
 
   const getMatchBadgeClass = (quality) => {
@@ -477,6 +651,7 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
       case 'fallback': return 'match-badge fallback';
       case 'training': return 'match-badge training';
       case 'extra': return 'match-badge extra';
+      case 'break': return 'match-badge break';
       default: return 'match-badge';
     }
   };
@@ -519,6 +694,14 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
                 </option>
               ))}
             </select>
+            {selectedDate && !editMode && (
+              <button
+                onClick={() => setShowItineraries(!showItineraries)}
+                className="btn-small btn-secondary"
+              >
+                {showItineraries ? 'By Time' : 'By Employee'}
+              </button>
+            )}
             {selectedDate && !editMode && canEdit && (
               <>
                 <button
@@ -557,7 +740,18 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
             )}
           </div>
 
-          {!editMode && canEdit && (
+          {others.length > 0 && (
+            <div className="lineup-presence">
+              Also here:
+              {others.map(other => (
+                <span key={other.userId} className={`presence-badge ${other.editing ? 'editing' : ''}`}>
+                  {other.name}{other.editing && ' (editing shifts)'}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {!editMode && !showItineraries && canEdit && (
             <div className="drag-instructions">
               <p>
                 <span className="desktop-hint">Drag and drop employees to swap their positions within a time block.</span>
@@ -570,8 +764,15 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
             <div className="edit-shifts-container">
               <h3>Edit Shift Times for {formatDate(selectedDate)}</h3>
               <p className="edit-instructions">
-                Adjust shift times, toggle roles, or remove employees. Click "Regenerate Lineups" to create new position assignments.
+                Adjust shift times, toggle roles, pin positions, or remove employees. Click "Regenerate Lineups" to create new position assignments.
+                Positions you changed by hand are kept as pins.
               </p>
+              {daySignature(filteredLineups) !== editBaseline && (
+                <div className="error-message">
+                  Someone else changed this day&apos;s lineups since you started editing. Regenerating replaces their
+                  changes - cancel and open Edit Shifts again to start from the latest.
+                </div>
+              )}
 
               <div className="shift-assignments-list">
                 {shiftAssignments.map((shift) => (
@@ -629,6 +830,14 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
                       </label>
                     </div>
 
+                    <PinEditor
+                      pins={shift.pins || []}
+                      positions={positions}
+                      shiftStart={shift.startTime}
+                      shiftEnd={shift.endTime}
+                      onChange={(pins) => handleUpdatePins(shift.employeeId, pins)}
+                    />
+
                     <button
                       onClick={() => handleRemoveFromShift(shift.employeeId)}
                       className="btn-small btn-danger"
@@ -707,6 +916,8 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
                 )}
               </div>
             </div>
+          ) : showItineraries ? (
+            <EmployeeItineraries date={selectedDate} houseType={houseType} canShare={canEdit} />
           ) : (
             <div className="lineups-container">
             {filteredLineups.map((lineup) => (
@@ -751,7 +962,12 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
                       onClick={canEdit ? (e) => { e.stopPropagation(); handleTap(e, lineup.id, assignment); } : undefined}
                     >
                       {canEdit && <span className="drag-handle">&#8942;&#8942;</span>}
-                      <span className="assignment-position">{assignment.position}</span>
+                      <span className="assignment-position">
+                        {formatPosition(assignment)}
+                        {assignment.coveringFor && (
+                          <span className="cover-note">covering {assignment.coveringFor}</span>
+                        )}
+                      </span>
                       <span className="assignment-employee">
                         {assignment.employee?.name || 'Unknown'}
                         {assignment.employee?.isMinor && (
@@ -762,9 +978,14 @@ function SavedLineups({ canEdit = true, houseType = 'boh' }) {
                         <span className={getMatchBadgeClass(assignment.matchQuality)}>
                           {assignment.matchQuality}
                         </span>
+                        {assignment.pinned && (
+                          <span className="pin-badge" title="Pinned - kept when regenerating">Pinned</span>
+                        )}
                         {assignment.needsBreak && (
                           <span className={`break-badge ${assignment.breakType}`}>
-                            {assignment.breakType === 'required' ? 'BREAK' : 'Opt'}
+                            {assignment.breakStart
+                              ? `Break ${formatTime12Hour(assignment.breakStart)}`
+                              : assignment.breakType === 'required' ? 'BREAK' : 'Opt'}
                           </span>
                         )}
                       </div>
@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import { shiftApi } from '../api';
+import { formatTime12Hour } from '../lib/time';
+import './ScheduleImport.css';
+
+const SKIP = 'skip';
+
+const formatDay = (dateStr) =>
+  new Date(dateStr + 'T00:00:00Z').toLocaleDateString('en-US', { weekday: 'short', month: 'numeric', day: 'numeric', timeZone: 'UTC' });
+
+// Import shifts from a CSV schedule export: pick or paste a file, review the name matches, then save
+function ScheduleImport({ employees = [], houseType, defaultDate, onImported, onClose }) {
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [date, setDate] = useState(defaultDate);
+  const [preview, setPreview] = useState(null);
+  // line -> employeeId or SKIP, starting from the automatic match
+  const [choices, setChoices] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const houseEmployees = employees
+    .filter(e => {
+      const empHouseType = e.houseType || 'boh';
+      return empHouseType === houseType || empHouseType === 'both';
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setCsv(reader.result);
+      setFileName(file.name);
+      setPreview(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const data = await shiftApi.importSchedule(csv, houseType, date, { preview: true });
+      setPreview(data);
+      setChoices(Object.fromEntries(data.rows.map(row => [row.line, row.match?.employeeId || SKIP])));
+    } catch (err) {
+      console.error('Error reading schedule:', err);
+      setError(err.response?.data?.error || 'Failed to read the schedule');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const matches = Object.fromEntries(
+        Object.entries(choices).map(([line, choice]) => [line, choice === SKIP ? null : choice])
+      );
+      const result = await shiftApi.importSchedule(csv, houseType, date, { matches });
+      onImported(result);
+    } catch (err) {
+      console.error('Error importing schedule:', err);
+      setError(err.response?.data?.error || 'Failed to import the schedule');
+      setBusy(false);
+    }
+  };
+
+  const importable = preview
+    ? preview.rows.filter(row => !row.error && choices[row.line] !== SKIP)
+    : [];
+  const needsReview = preview
+    ? preview.rows.filter(row => !row.error && !row.match).length
+    : 0;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal schedule-import">
+        <h3>Import Schedule</h3>
+
+        {!preview ? (
+          <>
+            <p className="import-help">
+              Upload a CSV from HotSchedules, When I Work or a spreadsheet with name, date and start/end time
+              columns. Names are matched to your {houseType === 'foh' ? 'Front of House' : 'Back of House'} team
+              and you can fix any that don't match before importing.
+            </p>
+            <label className="import-file">
+              <input type="file" accept=".csv,text/csv,text/plain" onChange={handleFile} />
+              {fileName && <span>{fileName}</span>}
+            </label>
+            <textarea
+              value={csv}
+              onChange={(e) => { setCsv(e.target.value); setFileName(''); }}
+              placeholder={'Or paste it here:\nName,Date,Start,End\nJane Smith,10/24/2026,2:00 PM,10:00 PM'}
+              rows={8}
+            />
+            <label className="import-date">
+              Date for rows without one:
+              <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+            </label>
+          </>
+        ) : (
+          <>
+            <p className="import-help">
+              {preview.format} file, {preview.rows.length} row{preview.rows.length === 1 ? '' : 's'}.
+              {needsReview > 0 && ` ${needsReview} name${needsReview === 1 ? '' : 's'} couldn't be matched - pick the employee or skip the row.`}
+            </p>
+            <div className="import-table-wrapper">
+              <table className="import-table">
+                <thead>
+                  <tr>
+                    <th>Name in file</th>
+                    <th>Date</th>
+                    <th>Shift</th>
+                    <th>Employee</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(row => (
+                    <tr key={row.line} className={row.error ? 'import-error' : !row.match ? 'import-review' : ''}>
+                      <td>{row.name || '—'}</td>
+                      <td>{row.date ? formatDay(row.date) : '—'}</td>
+                      <td>
+                        {row.startTime && row.endTime
+                          ? `${formatTime12Hour(row.startTime)} - ${formatTime12Hour(row.endTime)}`
+                          : '—'}
+                      </td>
+                      <td>
+                        {row.error ? (
+                          <span className="import-row-error">{row.error}</span>
+                        ) : (
+                          <select
+                            value={choices[row.line]}
+                            onChange={(e) => setChoices(prev => ({ ...prev, [row.line]: e.target.value }))}
+                          >
+                            <option value={SKIP}>Skip this row</option>
+                            {row.candidates.length > 0 && (
+                              <optgroup label="Closest names">
+                                {row.candidates.map(c => (
+                                  <option key={c.employeeId} value={c.employeeId}>{c.name}</option>
+                                ))}
+                              </optgroup>
+                            )}
+                            <optgroup label="Everyone">
+                              {houseEmployees.map(e => (
+                                <option key={e.id} value={e.id}>{e.name}</option>
+                              ))}
+                            </optgroup>
+                          </select>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="import-help">
+              Imported shifts replace the times of anyone already scheduled that day.
+            </p>
+          </>
+        )}
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="form-actions">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          {!preview ? (
+            <button type="button" onClick={handlePreview} className="btn-primary" disabled={busy || !csv.trim()}>
+              {busy ? 'Reading...' : 'Review'}
+            </button>
+          ) : (
+            <>
+              <button type="button" onClick={() => setPreview(null)} className="btn-secondary" disabled={busy}>
+                Back
+              </button>
+              <button type="button" onClick={handleImport} className="btn-primary" disabled={busy || importable.length === 0}>
+                {busy ? 'Importing...' : `Import ${importable.length} shift${importable.length === 1 ? '' : 's'}`}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ScheduleImport;
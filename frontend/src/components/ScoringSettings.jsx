@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { settingsApi } from '../api';
+
+const WEIGHT_FIELDS = [
+  { key: 'bestPosition', label: 'Best position', help: 'Points when someone is on one of their best positions' },
+  { key: 'capablePosition', label: 'Capable position', help: 'Points when someone can work the position' },
+  { key: 'traineePosition', label: 'Trainee position', help: 'Points when someone is still a trainee on the position' },
+  { key: 'stayInPlace', label: 'Stay in place', help: 'Bonus for keeping someone on the same position as the previous time block' },
+  { key: 'checklistPrimary', label: 'Checklist on buns/machines', help: 'Bonus for checklist people on buns or machines' },
+  { key: 'checklistSecondary', label: 'Checklist on secondary2', help: 'Bonus for checklist people on secondary2' }
+];
+
+const CLOSING_FIELDS = [
+  { key: 'closingStayInPlace', label: 'Already on position', help: 'Bonus for closing the position they ended the night on' },
+  { key: 'closingBestPosition', label: 'Best position', help: 'Points for closing one of their best positions' },
+  { key: 'closingCapablePosition', label: 'Capable position', help: 'Points for closing a position they can work' }
+];
+
+const PRESET_LABELS = {
+  balanced: 'Balanced (default)',
+  minimizeMoves: 'Minimize moves',
+  bestSpotFirst: 'Best spot first'
+};
+
+function ScoringSettings() {
+  const [weights, setWeights] = useState(null);
+  const [presets, setPresets] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadScoring = async () => {
+      try {
+        const data = await settingsApi.getScoring();
+        setWeights(data.weights);
+        setPresets(data.presets || {});
+      } catch (err) {
+        console.error('Error loading scoring settings:', err);
+        setError('Failed to load scoring settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadScoring();
+  }, []);
+
+  const handleChange = (key, value) => {
+    setWeights(prev => ({ ...prev, [key]: value === '' ? '' : Number(value) }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = await settingsApi.updateScoring(weights);
+      setWeights(data.weights);
+      alert('Scoring weights saved');
+    } catch (err) {
+      console.error('Error saving scoring settings:', err);
+      setError(err.response?.data?.error || 'Failed to save scoring settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderField = ({ key, label, help }) => (
+    <div key={key} className="weight-field">
+      <label>
+        {label}
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={weights[key]}
+          onChange={(e) => handleChange(key, e.target.value)}
+        />
+      </label>
+      <small>{help}</small>
+    </div>
+  );
+
+  if (loading) {
+    return <div className="loading">Loading scoring settings...</div>;
+  }
+
+  if (!weights) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Lineup Scoring</h3>
+      <p className="settings-description">
+        Controls how the generator weighs putting people on their best spot versus keeping them in place.
+        Higher numbers matter more.
+      </p>
+
+      <div className="preset-buttons">
+        {Object.keys(presets).map(name => (
+          <button
+            key={name}
+            type="button"
+            className="btn-small btn-secondary"
+            onClick={() => setWeights({ ...presets[name] })}
+          >
+            {PRESET_LABELS[name] || name}
+          </button>
+        ))}
+      </div>
+
+      <h4>Regular Lineups</h4>
+      <div className="weight-grid">
+        {WEIGHT_FIELDS.map(renderField)}
+      </div>
+
+      <h4>Closing Lineup</h4>
+      <div className="weight-grid">
+        {CLOSING_FIELDS.map(renderField)}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-actions">
+        <button onClick={handleSave} className="btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Scoring'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ScoringSettings;
@@ -0,0 +1,26 @@
+import ScoringSettings from './ScoringSettings';
+import ComplianceSettings from './ComplianceSettings';
+import TimePeriodSettings from './TimePeriodSettings';
+import RotationSettings from './RotationSettings';
+import StaffingRuleSettings from './StaffingRuleSettings';
+import DisplaySettings from './DisplaySettings';
+import './Settings.css';
+
+function Settings() {
+  return (
+    <div className="settings-page">
+      <div className="section-header">
+        <h2>Store Settings</h2>
+      </div>
+
+      <TimePeriodSettings />
+      <ScoringSettings />
+      <RotationSettings />
+      <StaffingRuleSettings />
+      <ComplianceSettings />
+      <DisplaySettings />
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+import { itineraryApi } from '../api';
+import Itinerary from './Itinerary';
+
+const formatDate = (dateStr) =>
+  new Date(dateStr + 'T00:00:00Z').toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+// Read-only itinerary opened from a shared link - no sign in, sized for a phone
+function SharedItinerary({ token }) {
+  const [itinerary, setItinerary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadItinerary = async () => {
+      try {
+        setItinerary(await itineraryApi.getShared(token));
+      } catch (err) {
+        console.error('Error opening itinerary:', err);
+        setError(err.response?.data?.error || 'Failed to open this itinerary');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadItinerary();
+  }, [token]);
+
+  if (loading) {
+    return <div className="loading">Loading your lineup...</div>;
+  }
+
+  return (
+    <div className="shared-itinerary">
+      {error ? (
+        <div className="error-message">{error}. Ask your shift lead for a new link.</div>
+      ) : (
+        <>
+          <div className="shared-itinerary-header">
+            <span className="shared-itinerary-store">{itinerary.storeName}</span>
+            <h1>{itinerary.name}</h1>
+            <span>
+              {formatDate(itinerary.date)} - {itinerary.houseType === 'foh' ? 'Front of House' : 'Back of House'}
+            </span>
+          </div>
+          <Itinerary itinerary={itinerary} />
+          <p className="shared-itinerary-footer">
+            Positions can change during the shift - your shift lead has the latest lineup.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SharedItinerary;
@@ -1,12 +1,135 @@
-import { useState } from 'react';
+import { useState, useEffect, useEffectEvent, useRef } from 'react';
+import { positionApi, lineupApi, shiftApi } from '../api';
+import PinEditor from './PinEditor';
+import ScheduleImport from './ScheduleImport';
 
-function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments, lineupDate, setLineupDate, houseType }) {
+// The fields that are saved for a shift - everything else is display data
+const toSavedShifts = (assignments) => assignments.map(s => ({
+  employeeId: s.employeeId,
+  name: s.name,
+  startTime: s.startTime,
+  endTime: s.endTime,
+  isShiftLead: s.isShiftLead || false,
+  isBooster: s.isBooster || false,
+  isInTraining: s.isInTraining || false,
+  trainingPosition: s.isInTraining ? s.trainingPosition || null : null,
+  pins: s.pins || []
+}));
+
+function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments, lineupDate, setLineupDate, houseType, onImported }) {
   const [selectedEmployee, setSelectedEmployee] = useState('');
   const [startTime, setStartTime] = useState('14:00');
   const [endTime, setEndTime] = useState('22:00');
   const [isShiftLead, setIsShiftLead] = useState(false);
   const [isBooster, setIsBooster] = useState(false);
   const [isInTraining, setIsInTraining] = useState(false);
+  const [trainingPosition, setTrainingPosition] = useState('');
+  const [positions, setPositions] = useState([]);
+  const [violations, setViolations] = useState([]);
+  const [availabilityWarnings, setAvailabilityWarnings] = useState([]);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  // Bumped after an import so the day's shifts are loaded again
+  const [reloadCount, setReloadCount] = useState(0);
+
+  // The day (date|house) whose saved shifts are showing, and what's saved for it
+  // Autosave waits until the day has loaded so one day's shifts never land on another
+  const loadedDayRef = useRef(null);
+  const savedShiftsRef = useRef(null);
+  const pendingSaveRef = useRef(null);
+
+  const onShiftsLoaded = useEffectEvent((shifts) => {
+    setShiftAssignments(shifts);
+  });
+
+  // Load the saved schedule whenever the day or house changes
+  useEffect(() => {
+    let cancelled = false;
+
+    // Finish saving the day we're leaving before switching
+    if (pendingSaveRef.current) pendingSaveRef.current();
+    loadedDayRef.current = null;
+
+    const loadShifts = async () => {
+      try {
+        const shifts = await shiftApi.getByDate(lineupDate, houseType);
+        if (cancelled) return;
+        savedShiftsRef.current = JSON.stringify(toSavedShifts(shifts));
+        loadedDayRef.current = `${lineupDate}|${houseType}`;
+        onShiftsLoaded(shifts);
+      } catch (error) {
+        console.error('Error loading shifts:', error);
+      }
+    };
+    loadShifts();
+
+    return () => { cancelled = true; };
+  }, [lineupDate, houseType, reloadCount]);
+
+  // Autosave changes to the day's shifts after a short pause
+  useEffect(() => {
+    if (!Array.isArray(shiftAssignments) || loadedDayRef.current !== `${lineupDate}|${houseType}`) return;
+
+    const toSave = toSavedShifts(shiftAssignments);
+    const json = JSON.stringify(toSave);
+    if (json === savedShiftsRef.current) return;
+
+    const save = async () => {
+      pendingSaveRef.current = null;
+      setSaveStatus('saving');
+      try {
+        await shiftApi.saveDay(lineupDate, houseType, toSave);
+        if (loadedDayRef.current === `${lineupDate}|${houseType}`) {
+          savedShiftsRef.current = json;
+        }
+        setSaveStatus('saved');
+      } catch (error) {
+        console.error('Error saving shifts:', error);
+        setSaveStatus('error');
+      }
+    };
+
+    pendingSaveRef.current = save;
+    const timer = setTimeout(save, 800);
+    return () => clearTimeout(timer);
+  }, [shiftAssignments, lineupDate, houseType]);
+
+  // Don't drop an unsaved change when leaving the screen
+  useEffect(() => () => {
+    if (pendingSaveRef.current) pendingSaveRef.current();
+  }, []);
+
+  // Load positions for the pin picker
+  useEffect(() => {
+    const loadPositions = async () => {
+      try {
+        const data = await positionApi.getAll(houseType);
+        setPositions(Array.isArray(data) ? data : []);
+      } catch (error) {
+        console.error('Error loading positions:', error);
+      }
+    };
+    loadPositions();
+  }, [houseType]);
+
+  // Check shifts against the store's labor rules as they change, so problems
+  // (like a 15-year-old past 7 PM on a school night) show up before generating.
+  // The same check flags shifts outside someone's availability or on their time off
+  useEffect(() => {
+    if (!Array.isArray(shiftAssignments) || shiftAssignments.length === 0) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const result = await lineupApi.validate(shiftAssignments, lineupDate, houseType);
+        setViolations(result.violations || []);
+        setAvailabilityWarnings(result.availabilityWarnings || []);
+      } catch (error) {
+        console.error('Error checking labor rules:', error);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [shiftAssignments, lineupDate, houseType]);
 
   // Format date for display
   const formatDateDisplay = (dateStr) => {
@@ -24,6 +147,20 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
     return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
   };
 
+  const openImport = () => {
+    // Save any pending edit first so the import lands on top of it
+    if (pendingSaveRef.current) pendingSaveRef.current();
+    setShowImport(true);
+  };
+
+  const handleImported = (result) => {
+    setShowImport(false);
+    setReloadCount(c => c + 1);
+    if (onImported) onImported(result);
+    const skipped = result.skipped.length > 0 ? ` ${result.skipped.length} row${result.skipped.length === 1 ? ' was' : 's were'} skipped.` : '';
+    alert(`Imported ${result.imported} shift${result.imported === 1 ? '' : 's'}.${skipped}`);
+  };
+
   // Ensure we have arrays
   const safeEmployees = Array.isArray(employees) ? employees : [];
   const safeAssignments = Array.isArray(shiftAssignments) ? shiftAssignments : [];
@@ -55,7 +192,9 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
         endTime,
         isShiftLead,
         isBooster,
-        isInTraining
+        isInTraining,
+        trainingPosition: isInTraining ? trainingPosition || null : null,
+        pins: []
       }
     ]);
 
@@ -63,6 +202,7 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
     setIsShiftLead(false);
     setIsBooster(false);
     setIsInTraining(false);
+    setTrainingPosition('');
   };
 
   const handleRemoveShift = (employeeId) => {
@@ -84,6 +224,33 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
     }));
   };
 
+  const handleUpdateTrainingPosition = (employeeId, position) => {
+    setShiftAssignments(safeAssignments.map(s =>
+      s.employeeId === employeeId ? { ...s, trainingPosition: position || null } : s
+    ));
+  };
+
+  // Which station a trainee learns on - they're paired with a trainer there when lineups are generated
+  const renderTrainingSelect = (value, onChange) => (
+    <select
+      className="training-position-select"
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      title="Position they're training on"
+    >
+      <option value="">Training on: any they're learning</option>
+      {positions.map(p => (
+        <option key={p.id} value={p.name}>Training on {p.name}</option>
+      ))}
+    </select>
+  );
+
+  const handleUpdatePins = (employeeId, pins) => {
+    setShiftAssignments(safeAssignments.map(s =>
+      s.employeeId === employeeId ? { ...s, pins } : s
+    ));
+  };
+
   // Get employees not yet assigned, filtered by house type
   const availableEmployees = safeEmployees.filter(e => {
     // First check if already assigned
@@ -102,6 +269,14 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
     <div className="shift-input">
       <div className="shift-input-header">
         <h2>Shift Assignments</h2>
+        {saveStatus && (
+          <span className={`autosave-status ${saveStatus}`}>
+            {saveStatus === 'saving' ? 'Saving...' : saveStatus === 'saved' ? 'Saved' : "Couldn't save shifts"}
+          </span>
+        )}
+        <button className="btn-small btn-secondary" onClick={openImport}>
+          Import schedule
+        </button>
         <div className="date-picker">
           <label>
             <span className="date-label">{formatDateDisplay(lineupDate)}</span>
@@ -114,6 +289,31 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
         </div>
       </div>
 
+      {showImport && (
+        <ScheduleImport
+          employees={safeEmployees}
+          houseType={houseType}
+          defaultDate={lineupDate}
+          onImported={handleImported}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {safeAssignments.length > 0 && (violations.length > 0 || availabilityWarnings.length > 0) && (
+        <div className="compliance-panel">
+          {violations.map((v, index) => (
+            <div key={index} className={`compliance-item ${v.severity}`}>
+              <strong>{v.severity === 'error' ? 'Not allowed:' : 'Check:'}</strong> {v.message}
+            </div>
+          ))}
+          {availabilityWarnings.map((w, index) => (
+            <div key={`availability-${index}`} className="compliance-item warning">
+              <strong>{w.rule === 'availability' ? 'Unavailable:' : 'Time off:'}</strong> {w.message}
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="add-shift-form">
         <select
           value={selectedEmployee}
@@ -171,6 +371,7 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
             />
             In Training
           </label>
+          {isInTraining && renderTrainingSelect(trainingPosition, setTrainingPosition)}
         </div>
 
         <button onClick={handleAddShift} className="btn-primary">
@@ -250,6 +451,17 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
                     </div>
                     <span className="shift-card-hours">{hours} hrs</span>
                   </div>
+                  {shift.isInTraining && renderTrainingSelect(
+                    shift.trainingPosition,
+                    (position) => handleUpdateTrainingPosition(shift.employeeId, position)
+                  )}
+                  <PinEditor
+                    pins={shift.pins || []}
+                    positions={positions}
+                    shiftStart={shift.startTime}
+                    shiftEnd={shift.endTime}
+                    onChange={(pins) => handleUpdatePins(shift.employeeId, pins)}
+                  />
                 </div>
               );
             })}
@@ -266,6 +478,7 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
                     <th>Start</th>
                     <th>End</th>
                     <th>Hours</th>
+                    <th>Pins</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
@@ -304,6 +517,10 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
                             onChange={() => handleToggleRole(shift.employeeId, 'isInTraining')}
                             title="Mark as in training"
                           />
+                          {shift.isInTraining && renderTrainingSelect(
+                            shift.trainingPosition,
+                            (position) => handleUpdateTrainingPosition(shift.employeeId, position)
+                          )}
                         </td>
                         <td>
                           <input
@@ -320,6 +537,15 @@ function ShiftInput({ employees = [], shiftAssignments = [], setShiftAssignments
                           />
                         </td>
                         <td>{hours} hrs</td>
+                        <td>
+                          <PinEditor
+                            pins={shift.pins || []}
+                            positions={positions}
+                            shiftStart={shift.startTime}
+                            shiftEnd={shift.endTime}
+                            onChange={(pins) => handleUpdatePins(shift.employeeId, pins)}
+                          />
+                        </td>
                         <td>
                           <button
                             onClick={() => handleRemoveShift(shift.employeeId)}
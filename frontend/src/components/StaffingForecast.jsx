@@ -0,0 +1,350 @@
+import { useState, useEffect } from 'react';
+import { forecastApi } from '../api';
+import { formatTime12Hour } from '../lib/time';
+import './StaffingForecast.css';
+
+const formatDay = (dateStr) =>
+  new Date(dateStr + 'T00:00:00Z').toLocaleDateString('en-US', { weekday: 'short', month: 'numeric', day: 'numeric', timeZone: 'UTC' });
+
+const addMinutes = (time, minutes) => {
+  const [h, m] = time.split(':').map(Number);
+  const total = (h * 60 + m + minutes) % 1440;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const STATUS_LABELS = {
+  short: 'Understaffed',
+  over: 'Overstaffed',
+  ok: 'On target'
+};
+
+// Forecast transactions for the lineup date, and the headcount they call for next to the schedule
+function StaffingForecast({ shiftAssignments, lineupDate, houseType }) {
+  const [open, setOpen] = useState(false);
+  const [intervalMinutes, setIntervalMinutes] = useState(30);
+  const [intervals, setIntervals] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [recommendation, setRecommendation] = useState(null);
+  const [showIntervals, setShowIntervals] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [csv, setCsv] = useState('');
+  const [importPreview, setImportPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const loadForecast = async () => {
+      setLoading(true);
+      setError(null);
+      setRecommendation(null);
+      try {
+        const data = await forecastApi.getByDate(lineupDate);
+        setIntervals(data.intervals.map(i => ({ ...i })));
+        setIntervalMinutes(data.intervalMinutes || 30);
+        setDirty(false);
+      } catch (err) {
+        console.error('Error loading forecast:', err);
+        setError(err.response?.data?.error || 'Failed to load the forecast');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadForecast();
+  }, [open, lineupDate, houseType]);
+
+  const handleChange = (index, field, value) => {
+    setIntervals(prev => prev.map((interval, i) => i === index
+      ? { ...interval, [field]: field === 'transactions' ? (value === '' ? '' : Number(value)) : value }
+      : interval));
+    setDirty(true);
+  };
+
+  const handleAdd = () => {
+    const last = intervals[intervals.length - 1];
+    setIntervals(prev => [...prev, { startTime: last ? addMinutes(last.startTime, intervalMinutes) : '10:30', transactions: 0 }]);
+    setDirty(true);
+  };
+
+  const handleRemove = (index) => {
+    setIntervals(prev => prev.filter((_, i) => i !== index));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = await forecastApi.saveDay(lineupDate, intervalMinutes, intervals);
+      setIntervals(data.intervals);
+      setDirty(false);
+    } catch (err) {
+      console.error('Error saving forecast:', err);
+      setError(err.response?.data?.error || 'Failed to save the forecast');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRecommend = async () => {
+    setError(null);
+    try {
+      // Compare against the shifts on screen, including ones not saved yet
+      const shifts = shiftAssignments.filter(s => s.startTime && s.endTime);
+      setRecommendation(await forecastApi.recommend(lineupDate, houseType, shifts));
+    } catch (err) {
+      console.error('Error recommending staffing:', err);
+      setError(err.response?.data?.error || 'Failed to recommend staffing');
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setCsv(reader.result);
+      setImportPreview(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleImportPreview = async () => {
+    setError(null);
+    try {
+      setImportPreview(await forecastApi.importCsv(csv, lineupDate, { preview: true }));
+    } catch (err) {
+      console.error('Error reading forecast:', err);
+      setError(err.response?.data?.error || 'Failed to read the forecast');
+    }
+  };
+
+  const handleImport = async () => {
+    setError(null);
+    try {
+      const result = await forecastApi.importCsv(csv, lineupDate);
+      if (result.skipped.length > 0) {
+        alert(`Imported ${result.imported} intervals. Skipped:\n${result.skipped.map(s => `${s.line ? `Line ${s.line}` : formatDay(s.date)}: ${s.reason}`).join('\n')}`);
+      }
+      setImporting(false);
+      setCsv('');
+      setImportPreview(null);
+      const data = await forecastApi.getByDate(lineupDate);
+      setIntervals(data.intervals);
+      setIntervalMinutes(data.intervalMinutes || 30);
+      setDirty(false);
+      setRecommendation(null);
+    } catch (err) {
+      console.error('Error importing forecast:', err);
+      setError(err.response?.data?.error || 'Failed to import the forecast');
+    }
+  };
+
+  if (!open) {
+    return (
+      <div className="staffing-forecast collapsed">
+        <button type="button" className="btn-secondary" onClick={() => setOpen(true)}>
+          Sales Forecast &amp; Staffing
+        </button>
+      </div>
+    );
+  }
+
+  const importableDays = importPreview ? importPreview.days.filter(day => day.errors.length === 0) : [];
+
+  return (
+    <div className="staffing-forecast">
+      <div className="section-header">
+        <h3>Sales Forecast - {formatDay(lineupDate)}</h3>
+        <button type="button" className="btn-small btn-secondary" onClick={() => setOpen(false)}>
+          Hide
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading forecast...</div>
+      ) : importing ? (
+        <div className="forecast-import">
+          {!importPreview ? (
+            <>
+              <p className="forecast-help">
+                A CSV with a time column and a transactions column, one row per 15 or 30 minutes. Add a date
+                column to import several days at once; rows without one go on {formatDay(lineupDate)}.
+              </p>
+              <input type="file" accept=".csv,text/csv,text/plain" onChange={handleFile} />
+              <textarea
+                value={csv}
+                onChange={(e) => setCsv(e.target.value)}
+                placeholder={'Or paste it here:\nTime,Transactions\n10:30 AM,14\n11:00 AM,32'}
+                rows={6}
+              />
+            </>
+          ) : (
+            <ul className="forecast-import-days">
+              {importPreview.days.map(day => (
+                <li key={day.date} className={day.errors.length > 0 ? 'forecast-error' : ''}>
+                  {formatDay(day.date)}: {day.intervals.length} intervals of {day.intervalMinutes} min,{' '}
+                  {day.intervals.reduce((sum, i) => sum + i.transactions, 0)} transactions
+                  {day.errors.length > 0 && ` - ${day.errors.join('; ')}`}
+                </li>
+              ))}
+              {importPreview.rows.filter(row => row.error).map(row => (
+                <li key={row.line} className="forecast-error">Line {row.line}: {row.error}</li>
+              ))}
+            </ul>
+          )}
+          <div className="form-actions">
+            <button type="button" className="btn-secondary" onClick={() => { setImporting(false); setImportPreview(null); }}>
+              Cancel
+            </button>
+            {!importPreview ? (
+              <button type="button" className="btn-primary" onClick={handleImportPreview} disabled={!csv.trim()}>
+                Review
+              </button>
+            ) : (
+              <button type="button" className="btn-primary" onClick={handleImport} disabled={importableDays.length === 0}>
+                Import {importableDays.length} day{importableDays.length === 1 ? '' : 's'}
+              </button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="forecast-controls">
+            <label>
+              Interval
+              <select value={intervalMinutes} onChange={(e) => { setIntervalMinutes(Number(e.target.value)); setDirty(true); }}>
+                <option value={15}>15 minutes</option>
+                <option value={30}>30 minutes</option>
+              </select>
+            </label>
+            <button type="button" className="btn-small btn-secondary" onClick={() => setImporting(true)}>
+              Import CSV
+            </button>
+          </div>
+
+          {intervals.length === 0 && (
+            <p className="forecast-help">No forecast for this day yet. Add intervals or import a CSV.</p>
+          )}
+          <div className="forecast-grid">
+            {intervals.map((interval, index) => (
+              <div key={index} className="forecast-interval">
+                <input
+                  type="time"
+                  step={intervalMinutes * 60}
+                  value={interval.startTime}
+                  onChange={(e) => handleChange(index, 'startTime', e.target.value)}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={interval.transactions}
+                  onChange={(e) => handleChange(index, 'transactions', e.target.value)}
+                />
+                <button type="button" className="btn-small btn-danger" onClick={() => handleRemove(index)}>
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="form-actions">
+            <button type="button" className="btn-small btn-secondary" onClick={handleAdd}>
+              + Add Interval
+            </button>
+            <button type="button" className="btn-primary" onClick={handleSave} disabled={saving || !dirty}>
+              {saving ? 'Saving...' : 'Save Forecast'}
+            </button>
+            <button type="button" className="btn-primary" onClick={handleRecommend} disabled={dirty || intervals.length === 0}>
+              Recommend Staffing
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {recommendation && !importing && (
+        <div className="staffing-recommendation">
+          <table className="forecast-table">
+            <thead>
+              <tr>
+                <th>Daypart</th>
+                <th>Transactions</th>
+                <th>Peak ({recommendation.intervalMinutes} min)</th>
+                <th>Recommended</th>
+                <th>Scheduled on stations</th>
+                <th>Stations to open</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recommendation.dayparts.map(daypart => (
+                <tr key={daypart.id} className={`staffing-${daypart.status}`}>
+                  <td>{daypart.name}</td>
+                  <td>{daypart.transactions}</td>
+                  <td>{daypart.peakTransactions}</td>
+                  <td>{daypart.recommended}</td>
+                  <td>
+                    {daypart.scheduledLow === daypart.scheduledHigh
+                      ? daypart.scheduledLow
+                      : `${daypart.scheduledLow}-${daypart.scheduledHigh}`}
+                    <span className={`staffing-status ${daypart.status}`}>
+                      {STATUS_LABELS[daypart.status]}
+                      {daypart.status === 'short' && ` (${daypart.shortIntervals} interval${daypart.shortIntervals === 1 ? '' : 's'})`}
+                    </span>
+                  </td>
+                  <td>{daypart.stations.join(', ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {recommendation.dayparts.length === 0 && (
+            <p className="forecast-help">None of the forecast falls inside the store&apos;s time periods.</p>
+          )}
+
+          <button type="button" className="btn-small btn-secondary" onClick={() => setShowIntervals(!showIntervals)}>
+            {showIntervals ? 'Hide intervals' : 'Show each interval'}
+          </button>
+          {showIntervals && (
+            <table className="forecast-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Transactions</th>
+                  <th>Needed</th>
+                  <th>Scheduled</th>
+                  <th>Difference</th>
+                  <th>Stations</th>
+                </tr>
+              </thead>
+              <tbody>
+                {recommendation.intervals.map(interval => (
+                  <tr key={interval.startTime}>
+                    <td>{formatTime12Hour(interval.startTime)} - {formatTime12Hour(interval.endTime)}</td>
+                    <td>{interval.transactions}</td>
+                    <td>{interval.needed}</td>
+                    <td title={`${interval.scheduledTotal} working in total, including leads, boosters and trainees`}>
+                      {interval.scheduled}
+                    </td>
+                    <td className={interval.difference < 0 ? 'staffing-short-cell' : interval.difference > 0 ? 'staffing-over-cell' : ''}>
+                      {interval.difference > 0 ? `+${interval.difference}` : interval.difference}
+                    </td>
+                    <td>
+                      {interval.stations.join(', ') || '—'}
+                      {interval.unstaffable > 0 && (
+                        <span className="forecast-note"> ({interval.unstaffable} more than this daypart has positions)</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StaffingForecast;
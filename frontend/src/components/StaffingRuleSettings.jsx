@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { settingsApi } from '../api';
+
+const HOUSES = [
+  { id: 'boh', label: 'Back of House' },
+  { id: 'foh', label: 'Front of House' }
+];
+
+function StaffingRuleSettings() {
+  const [rules, setRules] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadRules = async () => {
+      try {
+        const data = await settingsApi.getStaffingRules();
+        setRules(data.staffingRules);
+        setDefaults(data.defaults);
+      } catch (err) {
+        console.error('Error loading staffing rules:', err);
+        setError('Failed to load staffing rules');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRules();
+  }, []);
+
+  const handleChange = (house, index, field, value) => {
+    setRules(prev => ({
+      ...prev,
+      [house]: prev[house].map((band, i) => i === index ? { ...band, [field]: value === '' ? '' : Number(value) } : band)
+    }));
+  };
+
+  const handleAdd = (house) => {
+    const last = rules[house][rules[house].length - 1];
+    setRules(prev => ({
+      ...prev,
+      [house]: [...prev[house], { minTransactions: (Number(last?.minTransactions) || 0) + 20, positions: (Number(last?.positions) || 1) + 1 }]
+    }));
+  };
+
+  const handleRemove = (house, index) => {
+    setRules(prev => ({ ...prev, [house]: prev[house].filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = await settingsApi.updateStaffingRules(rules);
+      setRules(data.staffingRules);
+      alert('Staffing rules saved');
+    } catch (err) {
+      console.error('Error saving staffing rules:', err);
+      setError(err.response?.data?.error || 'Failed to save staffing rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading staffing rules...</div>;
+  }
+
+  if (!rules) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Staffing Rules</h3>
+      <p className="settings-description">
+        How many stations to open for the forecast. Transactions are per 30 minutes; each row applies from its
+        transaction count until the next row. Stations open in position priority order.
+      </p>
+
+      {HOUSES.map(house => (
+        <div key={house.id}>
+          <h4>{house.label}</h4>
+          <div className="time-period-rows">
+            {rules[house.id].map((band, index) => (
+              <div key={index} className="time-period-row">
+                <span>From</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={band.minTransactions}
+                  disabled={index === 0}
+                  onChange={(e) => handleChange(house.id, index, 'minTransactions', e.target.value)}
+                />
+                <span>transactions, open</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="30"
+                  value={band.positions}
+                  onChange={(e) => handleChange(house.id, index, 'positions', e.target.value)}
+                />
+                <span>stations</span>
+                <button
+                  type="button"
+                  className="btn-small btn-danger"
+                  onClick={() => handleRemove(house.id, index)}
+                  disabled={index === 0}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="preset-buttons">
+            <button type="button" className="btn-small btn-secondary" onClick={() => handleAdd(house.id)}>
+              + Add Band
+            </button>
+            <button
+              type="button"
+              className="btn-small btn-secondary"
+              onClick={() => setRules(prev => ({ ...prev, [house.id]: defaults[house.id].map(b => ({ ...b })) }))}
+            >
+              Reset to defaults
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-actions">
+        <button onClick={handleSave} className="btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Staffing Rules'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default StaffingRuleSettings;
@@ -0,0 +1,253 @@
+import { useState, useEffect } from 'react';
+import { timeOffApi } from '../api';
+import './TimeOffCalendar.css';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const pad = (n) => n.toString().padStart(2, '0');
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyForm = () => ({ employeeId: '', startDate: today(), endDate: today(), reason: '', approve: false });
+
+// Days of a YYYY-MM month as YYYY-MM-DD, with nulls before the 1st so weeks start on Sunday
+const monthCells = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const leading = new Date(year, monthNumber - 1, 1).getDay();
+  const dayCount = new Date(year, monthNumber, 0).getDate();
+  const cells = Array(leading).fill(null);
+  for (let day = 1; day <= dayCount; day++) {
+    cells.push(`${month}-${pad(day)}`);
+  }
+  return cells;
+};
+
+const shiftMonth = (month, offset) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const date = new Date(year, monthNumber - 1 + offset, 1);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+};
+
+const formatMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+};
+
+const formatDates = (request) => request.startDate === request.endDate
+  ? request.startDate
+  : `${request.startDate} to ${request.endDate}`;
+
+// Time off calendar: a month of approved and pending time off, the requests waiting for review,
+// and a form to add a request for someone
+function TimeOffCalendar({ employees = [], houseType }) {
+  const [month, setMonth] = useState(() => today().substring(0, 7));
+  const [requests, setRequests] = useState([]);
+  const [pending, setPending] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped after a change so both lists are loaded again
+  const [reloadCount, setReloadCount] = useState(0);
+
+  // Only the employees working this house
+  const houseEmployees = employees.filter(emp => {
+    const empHouseType = emp.houseType || 'boh';
+    return empHouseType === houseType || empHouseType === 'both';
+  });
+  const inHouse = (request) => houseEmployees.some(emp => emp.id === request.employeeId);
+
+  useEffect(() => {
+    let cancelled = false;
+    const cells = monthCells(month).filter(Boolean);
+
+    const loadTimeOff = async () => {
+      try {
+        const [monthData, pendingData] = await Promise.all([
+          timeOffApi.getRange(cells[0], cells[cells.length - 1]),
+          timeOffApi.getRange(today(), undefined, 'pending')
+        ]);
+        if (cancelled) return;
+        setRequests(Array.isArray(monthData) ? monthData : []);
+        setPending(Array.isArray(pendingData) ? pendingData : []);
+      } catch (err) {
+        console.error('Error loading time off:', err);
+      }
+    };
+    loadTimeOff();
+
+    return () => { cancelled = true; };
+  }, [month, reloadCount]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const created = await timeOffApi.create({
+        employeeId: form.employeeId,
+        startDate: form.startDate,
+        endDate: form.endDate || form.startDate,
+        reason: form.reason
+      });
+      if (form.approve) {
+        await timeOffApi.review(created.id, 'approved');
+      }
+      setForm(emptyForm());
+      setReloadCount(c => c + 1);
+    } catch (err) {
+      console.error('Error requesting time off:', err);
+      setError(err.response?.data?.error || 'Failed to add time off');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReview = async (request, status) => {
+    let note = null;
+    if (status === 'denied') {
+      note = prompt(`Reason for denying ${request.name}'s time off (optional):`);
+      if (note === null) return;
+    }
+    try {
+      await timeOffApi.review(request.id, status, note || null);
+      setReloadCount(c => c + 1);
+    } catch (err) {
+      console.error('Error reviewing time off:', err);
+      alert(err.response?.data?.error || 'Failed to review time off');
+    }
+  };
+
+  const handleDelete = async (request) => {
+    if (!confirm(`Delete ${request.name}'s time off for ${formatDates(request)}?`)) return;
+    try {
+      await timeOffApi.delete(request.id);
+      setReloadCount(c => c + 1);
+    } catch (err) {
+      console.error('Error deleting time off:', err);
+      alert(err.response?.data?.error || 'Failed to delete time off');
+    }
+  };
+
+  const monthRequests = requests.filter(r => r.status !== 'denied' && inHouse(r));
+  const housePending = pending.filter(inHouse);
+
+  return (
+    <div className="time-off-calendar">
+      <div className="section-header">
+        <h2>Time Off</h2>
+      </div>
+
+      {housePending.length > 0 && (
+        <div className="time-off-pending">
+          <h4>Waiting for review ({housePending.length})</h4>
+          <ul>
+            {housePending.map(request => (
+              <li key={request.id}>
+                <span>
+                  <strong>{request.name}</strong> {formatDates(request)}
+                  {request.reason && <span className="time-off-reason"> - {request.reason}</span>}
+                </span>
+                <span className="time-off-actions">
+                  <button onClick={() => handleReview(request, 'approved')} className="btn-small">Approve</button>
+                  <button onClick={() => handleReview(request, 'denied')} className="btn-small btn-danger">Deny</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <form className="time-off-form" onSubmit={handleSubmit}>
+        <select
+          value={form.employeeId}
+          onChange={(e) => setForm({ ...form, employeeId: e.target.value })}
+          required
+        >
+          <option value="">Select Employee...</option>
+          {houseEmployees.map(emp => (
+            <option key={emp.id} value={emp.id}>{emp.name}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={form.startDate}
+          onChange={(e) => setForm({ ...form, startDate: e.target.value, endDate: form.endDate < e.target.value ? e.target.value : form.endDate })}
+          required
+        />
+        <span>to</span>
+        <input
+          type="date"
+          value={form.endDate}
+          min={form.startDate}
+          onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder="Reason (optional)"
+          value={form.reason}
+          onChange={(e) => setForm({ ...form, reason: e.target.value })}
+          maxLength={500}
+        />
+        <label className="time-off-approve">
+          <input
+            type="checkbox"
+            checked={form.approve}
+            onChange={(e) => setForm({ ...form, approve: e.target.checked })}
+          />
+          Approve now
+        </label>
+        <button type="submit" className="btn-primary" disabled={busy}>
+          {busy ? 'Adding...' : 'Add Time Off'}
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="time-off-month">
+        <button onClick={() => setMonth(shiftMonth(month, -1))} className="btn-small btn-secondary">&larr;</button>
+        <h3>{formatMonth(month)}</h3>
+        <button onClick={() => setMonth(shiftMonth(month, 1))} className="btn-small btn-secondary">&rarr;</button>
+      </div>
+
+      <div className="time-off-grid">
+        {WEEKDAYS.map(day => (
+          <div key={day} className="time-off-weekday">{day}</div>
+        ))}
+        {monthCells(month).map((date, index) => {
+          if (!date) return <div key={`blank-${index}`} className="time-off-day blank" />;
+          const off = monthRequests.filter(r => r.startDate <= date && r.endDate >= date);
+          return (
+            <div key={date} className={`time-off-day ${date === today() ? 'today' : ''}`}>
+              <span className="time-off-date">{Number(date.substring(8))}</span>
+              {off.map(request => (
+                <span
+                  key={request.id}
+                  className={`time-off-entry ${request.status}`}
+                  title={`${request.name}: ${request.status}${request.reason ? ` - ${request.reason}` : ''}`}
+                >
+                  {request.name}
+                </span>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      {monthRequests.length > 0 && (
+        <ul className="time-off-list">
+          {monthRequests.map(request => (
+            <li key={request.id}>
+              <span>
+                <span className={`time-off-status ${request.status}`}>{request.status === 'approved' ? 'Approved' : 'Pending'}</span>
+                <strong>{request.name}</strong> {formatDates(request)}
+                {request.reason && <span className="time-off-reason"> - {request.reason}</span>}
+              </span>
+              <button onClick={() => handleDelete(request)} className="btn-small btn-danger">Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TimeOffCalendar;
@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import { settingsApi } from '../api';
+
+// Make an id like "lateNight" from a name like "Late Night"
+const toPeriodId = (name, existingIds) => {
+  const words = name.trim().replace(/[^a-zA-Z0-9 ]/g, '').split(/\s+/).filter(Boolean);
+  let id = words
+    .map((w, i) => i === 0 ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1).toLowerCase())
+    .join('') || 'period';
+  if (!/^[a-zA-Z]/.test(id)) id = `period${id}`;
+
+  let uniqueId = id;
+  let suffix = 2;
+  while (existingIds.includes(uniqueId)) {
+    uniqueId = `${id}${suffix++}`;
+  }
+  return uniqueId;
+};
+
+function TimePeriodSettings() {
+  const [periods, setPeriods] = useState(null);
+  const [defaults, setDefaults] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadTimePeriods = async () => {
+      try {
+        const data = await settingsApi.getTimePeriods();
+        setPeriods(data.timePeriods);
+        setDefaults(data.defaults || []);
+      } catch (err) {
+        console.error('Error loading time periods:', err);
+        setError('Failed to load time periods');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadTimePeriods();
+  }, []);
+
+  const handleChange = (index, field, value) => {
+    setPeriods(prev => prev.map((p, i) => i === index ? { ...p, [field]: value } : p));
+  };
+
+  const handleAdd = () => {
+    const last = periods[periods.length - 1];
+    setPeriods(prev => [...prev, { id: '', name: '', start: last ? last.end : '06:00', end: '' }]);
+  };
+
+  const handleRemove = (index) => {
+    setPeriods(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      // New periods get an id from their name; existing ids never change since positions use them
+      const usedIds = periods.filter(p => p.id).map(p => p.id);
+      const toSave = periods.map(p => {
+        if (p.id) return p;
+        const id = toPeriodId(p.name, usedIds);
+        usedIds.push(id);
+        return { ...p, id };
+      });
+
+      const data = await settingsApi.updateTimePeriods(toSave);
+      setPeriods(data.timePeriods);
+      alert('Time periods saved');
+    } catch (err) {
+      console.error('Error saving time periods:', err);
+      setError(err.response?.data?.error || 'Failed to save time periods');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading time periods...</div>;
+  }
+
+  if (!periods) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Time Periods</h3>
+      <p className="settings-description">
+        The parts of the day your store runs lineups for. Positions are turned on per time period, and
+        times outside every period don't get a lineup. A period that ends before it starts runs past midnight.
+      </p>
+
+      <div className="time-period-rows">
+        {periods.map((period, index) => (
+          <div key={period.id || `new-${index}`} className="time-period-row">
+            <input
+              type="text"
+              value={period.name}
+              placeholder="Name, e.g. Breakfast"
+              onChange={(e) => handleChange(index, 'name', e.target.value)}
+            />
+            <input
+              type="time"
+              value={period.start}
+              onChange={(e) => handleChange(index, 'start', e.target.value)}
+            />
+            <span>to</span>
+            <input
+              type="time"
+              value={period.end}
+              onChange={(e) => handleChange(index, 'end', e.target.value)}
+            />
+            {period.start && period.end && period.end < period.start && (
+              <span className="overnight-badge">Overnight</span>
+            )}
+            <button
+              type="button"
+              className="btn-small btn-danger"
+              onClick={() => handleRemove(index)}
+              disabled={periods.length === 1}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="preset-buttons">
+        <button type="button" className="btn-small btn-secondary" onClick={handleAdd}>
+          + Add Time Period
+        </button>
+        <button type="button" className="btn-small btn-secondary" onClick={() => setPeriods(defaults.map(p => ({ ...p })))}>
+          Reset to defaults
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-actions">
+        <button onClick={handleSave} className="btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Time Periods'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TimePeriodSettings;
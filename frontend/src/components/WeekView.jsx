@@ -0,0 +1,291 @@
+import { useState, useEffect } from 'react';
+import { lineupApi, settingsApi, shiftApi } from '../api';
+import ShiftInput from './ShiftInput';
+import { addDays, dayOfWeek, formatTime12Hour } from '../lib/time';
+import './WeekView.css';
+
+// Weeks run Sunday to Saturday, same as the labor rule checks
+const getWeekStart = (dateStr) => addDays(dateStr, -dayOfWeek(dateStr));
+
+const formatDay = (dateStr) =>
+  new Date(dateStr + 'T00:00:00Z').toLocaleDateString('en-US', { weekday: 'short', month: 'numeric', day: 'numeric', timeZone: 'UTC' });
+
+function WeekView({ employees, houseType }) {
+  const [weekStart, setWeekStart] = useState(() => getWeekStart(new Date().toISOString().split('T')[0]));
+  const [selectedDate, setSelectedDate] = useState(() => new Date().toISOString().split('T')[0]);
+  const [weekShifts, setWeekShifts] = useState({});
+  const [solver, setSolver] = useState('optimal');
+  const [results, setResults] = useState(null);
+  const [expandedDays, setExpandedDays] = useState({});
+  const [generating, setGenerating] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [error, setError] = useState(null);
+  const [timePeriods, setTimePeriods] = useState([]);
+  // Bumped when shifts change outside the selected day (an import) so the week loads again
+  const [weekVersion, setWeekVersion] = useState(0);
+
+  useEffect(() => {
+    settingsApi.getTimePeriods()
+      .then(data => setTimePeriods(data.timePeriods || []))
+      .catch(err => console.error('Error loading time periods:', err));
+  }, []);
+
+  // Load the week's saved schedule so every day's shift count shows up front
+  useEffect(() => {
+    const loadWeek = async () => {
+      try {
+        const shifts = await shiftApi.getRange(weekStart, addDays(weekStart, 6), houseType);
+        const byDate = {};
+        for (const shift of shifts) {
+          (byDate[shift.date] || (byDate[shift.date] = [])).push(shift);
+        }
+        setWeekShifts(byDate);
+      } catch (err) {
+        console.error('Error loading the week\'s shifts:', err);
+      }
+    };
+    loadWeek();
+  }, [weekStart, houseType, weekVersion]);
+
+  const weekDates = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  const shiftsFor = (date) => weekShifts[date] || [];
+
+  const formatShiftPeriod = (period) =>
+    timePeriods.find(p => p.id === period)?.name || period;
+
+  // Generated results are for the shifts they were made from, so any change clears them
+  // (ShiftInput loads and autosaves the selected day itself)
+  const setDayShifts = (assignments) => {
+    if (JSON.stringify(assignments) !== JSON.stringify(shiftsFor(selectedDate))) {
+      setResults(null);
+    }
+    setWeekShifts(prev => ({ ...prev, [selectedDate]: assignments }));
+  };
+
+  const selectDate = (date) => {
+    if (!date) return;
+    const start = getWeekStart(date);
+    if (start !== weekStart) {
+      setWeekStart(start);
+      setResults(null);
+    }
+    setSelectedDate(date);
+  };
+
+  const changeWeek = (weeks) => {
+    setWeekStart(prev => addDays(prev, weeks * 7));
+    setSelectedDate(prev => addDays(prev, weeks * 7));
+    setResults(null);
+  };
+
+  // Fill the days that have no shifts yet with a copy of the selected day, and save them
+  const copyToEmptyDays = async () => {
+    const source = shiftsFor(selectedDate);
+    if (source.length === 0) return;
+
+    const emptyDates = weekDates.filter(date => shiftsFor(date).length === 0);
+    setError(null);
+    try {
+      const saved = await Promise.all(emptyDates.map(date => shiftApi.saveDay(date, houseType, source)));
+      setWeekShifts(prev => {
+        const next = { ...prev };
+        emptyDates.forEach((date, i) => { next[date] = saved[i]; });
+        return next;
+      });
+      setResults(null);
+    } catch (err) {
+      console.error('Error copying shifts:', err);
+      setError(err.response?.data?.error || 'Failed to copy shifts');
+    }
+  };
+
+  const buildDays = () => weekDates
+    .filter(date => shiftsFor(date).length > 0)
+    .map(date => ({ date, shiftAssignments: shiftsFor(date) }));
+
+  const handleGenerate = async () => {
+    const days = buildDays();
+    if (days.length === 0) {
+      alert('Add shifts to at least one day');
+      return;
+    }
+
+    setGenerating(true);
+    setError(null);
+    try {
+      const data = await lineupApi.generateWeek(days, houseType, { solver });
+      setResults(data.days);
+      setExpandedDays({});
+    } catch (err) {
+      console.error('Error generating week:', err);
+      setError(err.response?.data?.error || 'Failed to generate the week. Make sure the backend is running.');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    const houseLabel = houseType === 'foh' ? 'Front of House' : 'Back of House';
+    if (!confirm(`Publish ${houseLabel} lineups for every day shown? Saved lineups for these days will be replaced.`)) return;
+
+    setPublishing(true);
+    setError(null);
+    try {
+      const data = await lineupApi.generateWeek(buildDays(), houseType, { solver, save: true });
+      setResults(data.days);
+      alert(`${houseLabel} lineups published for the week! View them in the Saved Lineups tab.`);
+    } catch (err) {
+      console.error('Error publishing week:', err);
+      if (err.response?.status === 422 && err.response.data?.days) {
+        setResults(err.response.data.days);
+      }
+      setError(err.response?.data?.error || 'Failed to publish the week');
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const canPublish = results && results.length > 0 && !results.some(d => d.blocked);
+
+  return (
+    <div className="week-view">
+      <div className="section-header">
+        <h2>Week of {formatDay(weekStart)}</h2>
+        <div className="week-nav">
+          <button className="btn-small btn-secondary" onClick={() => changeWeek(-1)}>← Prev</button>
+          <input type="date" value={selectedDate} onChange={(e) => selectDate(e.target.value)} />
+          <button className="btn-small btn-secondary" onClick={() => changeWeek(1)}>Next →</button>
+        </div>
+      </div>
+
+      <div className="week-day-tabs">
+        {weekDates.map(date => (
+          <button
+            key={date}
+            className={`week-day-tab ${date === selectedDate ? 'active' : ''}`}
+            onClick={() => setSelectedDate(date)}
+          >
+            {formatDay(date)}
+            <span className="week-day-count">{shiftsFor(date).length}</span>
+          </button>
+        ))}
+      </div>
+
+      <ShiftInput
+        employees={employees}
+        shiftAssignments={shiftsFor(selectedDate)}
+        setShiftAssignments={setDayShifts}
+        lineupDate={selectedDate}
+        setLineupDate={selectDate}
+        houseType={houseType}
+        onImported={() => {
+          setWeekVersion(v => v + 1);
+          setResults(null);
+        }}
+      />
+
+      <div className="week-actions">
+        <button className="btn-secondary" onClick={copyToEmptyDays} disabled={shiftsFor(selectedDate).length === 0}>
+          Copy {formatDay(selectedDate)} to empty days
+        </button>
+        <select value={solver} onChange={(e) => setSolver(e.target.value)}>
+          <option value="optimal">Optimal assignment</option>
+          <option value="greedy">Quick assignment</option>
+        </select>
+        <button className="btn-primary" onClick={handleGenerate} disabled={generating}>
+          {generating ? 'Generating...' : 'Generate Week'}
+        </button>
+        <button className="btn-primary" onClick={handlePublish} disabled={!canPublish || publishing}>
+          {publishing ? 'Publishing...' : 'Publish Week'}
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {results && (
+        <div className="week-summary">
+          {results.map(day => (
+            <div key={day.date} className={`week-day-card ${day.blocked ? 'blocked' : ''}`}>
+              <div className="week-day-header">
+                <h3>{formatDay(day.date)}</h3>
+                {day.blocked ? (
+                  <span className="week-status blocked">Breaks labor rules</span>
+                ) : day.lineups.length === 0 ? (
+                  <span className="week-status">No lineups</span>
+                ) : (
+                  <span className="week-status ok">{day.summary.lineupCount} lineups</span>
+                )}
+              </div>
+
+              {(day.violations.length > 0 || day.availabilityWarnings?.length > 0) && (
+                <div className="compliance-panel">
+                  {day.violations.map((v, index) => (
+                    <div key={index} className={`compliance-item ${v.severity}`}>
+                      <strong>{v.severity === 'error' ? 'Not allowed:' : 'Check:'}</strong> {v.message}
+                    </div>
+                  ))}
+                  {(day.availabilityWarnings || []).map((w, index) => (
+                    <div key={`availability-${index}`} className="compliance-item warning">
+                      <strong>{w.rule === 'availability' ? 'Unavailable:' : 'Time off:'}</strong> {w.message}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {!day.blocked && day.lineups.length > 0 && (
+                <>
+                  <ul className="week-day-stats">
+                    <li>
+                      {day.summary.coverageGaps.length === 0
+                        ? 'Every station covered'
+                        : day.summary.coverageGaps.map(gap =>
+                          `${formatTime12Hour(gap.startTime)}-${formatTime12Hour(gap.endTime)}: ${gap.openPositions} open`
+                        ).join(', ')}
+                    </li>
+                    <li>{day.summary.fallbackCount} fallback assignment{day.summary.fallbackCount === 1 ? '' : 's'}</li>
+                    <li>
+                      {day.summary.breaks.length === 0
+                        ? 'No breaks'
+                        : `Breaks: ${day.summary.breaks.map(b => `${b.name} ${formatTime12Hour(b.breakStart)}`).join(', ')}`}
+                    </li>
+                  </ul>
+
+                  <button
+                    className="btn-small"
+                    onClick={() => setExpandedDays(prev => ({ ...prev, [day.date]: !prev[day.date] }))}
+                  >
+                    {expandedDays[day.date] ? 'Hide lineups' : 'Show lineups'}
+                  </button>
+
+                  {expandedDays[day.date] && (
+                    <div className="lineups-container">
+                      {day.lineups.map((lineup, index) => (
+                        <div key={index} className="lineup-card">
+                          <div className="lineup-header">
+                            <h3>{formatTime12Hour(lineup.startTime)} - {formatTime12Hour(lineup.endTime)}</h3>
+                            <span className="shift-badge">{formatShiftPeriod(lineup.shiftPeriod)}</span>
+                            <span className="count-badge">{lineup.peopleCount} people</span>
+                          </div>
+                          <div className="lineup-assignments">
+                            {lineup.assignments.map((assignment, i) => (
+                              <div key={i} className="assignment-card">
+                                <span className="assignment-position">{assignment.position}</span>
+                                <span className="assignment-employee">{assignment.employee.name}</span>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WeekView;
@@ -51,6 +51,10 @@ export const lineupService = {
         match_quality: a.matchQuality,
         needs_break: a.needsBreak || false,
         break_type: a.breakType || null,
+        is_pinned: a.pinned || false,
+        break_start: a.breakStart || null,
+        break_end: a.breakEnd || null,
+        covering_for: a.coveringFor || null,
         assignment_order: index
       }));
 
@@ -74,13 +78,14 @@ export const lineupService = {
       savedLineups.push(saved);
     }
 
-    // Save closing lineup if provided
+    // Save closing lineup if provided, timed at the end of the last lineup
     if (closingLineup && closingLineup.assignments && closingLineup.assignments.length > 0) {
+      const closingTime = lineups.length > 0 ? lineups[lineups.length - 1].endTime : '22:00';
       const closingData = {
         ...closingLineup,
         date,
-        startTime: '22:00',
-        endTime: '22:00',
+        startTime: closingTime,
+        endTime: closingTime,
         shiftPeriod: 'closing',
         peopleCount: closingLineup.peopleCount || closingLineup.assignments.length,
         extraPeople: 0
@@ -107,7 +112,7 @@ export const lineupService = {
       `)
       .eq('lineup_date', date)
       .eq('store_id', currentStoreId)
-      .order('start_time');
+      .order('created_at'); // generation order, so overnight blocks stay after the evening ones
 
     if (error) throw error;
     return data.map(this.transformLineup);
@@ -129,7 +134,7 @@ export const lineupService = {
       `)
       .eq('store_id', currentStoreId)
       .order('lineup_date', { ascending: false })
-      .order('start_time');
+      .order('created_at'); // generation order, so overnight blocks stay after the evening ones
 
     if (error) throw error;
     return data.map(this.transformLineup);
@@ -165,17 +170,17 @@ export const lineupService = {
 
     const [a1, a2] = assignments;
 
-    // Swap positions
+    // Swap positions - manual changes are pinned so regenerating keeps them
     const { error: update1Error } = await supabase
       .from('lineup_assignments')
-      .update({ position: a2.position, assignment_order: a2.assignment_order })
+      .update({ position: a2.position, assignment_order: a2.assignment_order, is_pinned: true })
       .eq('id', a1.id);
 
     if (update1Error) throw update1Error;
 
     const { error: update2Error } = await supabase
       .from('lineup_assignments')
-      .update({ position: a1.position, assignment_order: a1.assignment_order })
+      .update({ position: a1.position, assignment_order: a1.assignment_order, is_pinned: true })
       .eq('id', a2.id);
 
     if (update2Error) throw update2Error;
@@ -184,28 +189,24 @@ export const lineupService = {
   },
 
   // Swap two assignments and cascade to all subsequent lineups for the same day
+  // Works from allLineups - what the leader is looking at - and saves in one transaction only if
+  // none of the rows changed since; otherwise nothing is saved and this throws a LINEUP_CONFLICT error
   async swapAssignmentsWithCascade(assignment1Id, assignment2Id, lineupId, allLineups) {
     if (!supabase) throw new Error('Supabase not configured');
 
-    // Get both assignments with their employee IDs
-    const { data: assignments, error: fetchError } = await supabase
-      .from('lineup_assignments')
-      .select('*, lineup_id')
-      .in('id', [assignment1Id, assignment2Id]);
+    // Get the current lineup to find its start time
+    const currentLineup = allLineups.find(l => l.id === lineupId);
+    if (!currentLineup) throw new Error('Current lineup not found');
 
-    if (fetchError) throw fetchError;
-    if (assignments.length !== 2) throw new Error('Assignments not found');
+    const a1 = currentLineup.assignments.find(a => a.id === assignment1Id);
+    const a2 = currentLineup.assignments.find(a => a.id === assignment2Id);
+    if (!a1 || !a2) throw new Error('Assignments not found');
 
-    const [a1, a2] = assignments;
-    const employee1Id = a1.employee_id;
-    const employee2Id = a2.employee_id;
+    const employee1Id = a1.employee?.id;
+    const employee2Id = a2.employee?.id;
     const position1 = a1.position;
     const position2 = a2.position;
 
-    // Get the current lineup to find its start time
-    const currentLineup = allLineups.find(l => l.id === lineupId);
-    if (!currentLineup) throw new Error('Current lineup not found');
-
     // Find all lineups for the same date that come after this one (by start time)
     const laterLineups = allLineups.filter(l =>
       l.date === currentLineup.date &&
@@ -213,9 +214,11 @@ export const lineupService = {
       l.shiftPeriod !== 'closing'
     );
 
-    // Collect all assignment IDs to update
-    const updatesToPosition1 = [a2.id]; // a2 gets position1
-    const updatesToPosition2 = [a1.id]; // a1 gets position2
+    // a2 gets position1 and a1 gets position2, along with the version each was read at
+    const updates = [
+      { id: a2.id, version: a2.version, position: position1 },
+      { id: a1.id, version: a1.version, position: position2 }
+    ];
 
     // For each later lineup, find if these employees are there and need swapping
     for (const laterLineup of laterLineups) {
@@ -224,34 +227,27 @@ export const lineupService = {
 
       // If employee1 is in position1, move them to position2
       if (emp1Assignment && emp1Assignment.position === position1) {
-        updatesToPosition2.push(emp1Assignment.id);
+        updates.push({ id: emp1Assignment.id, version: emp1Assignment.version, position: position2 });
       }
       // If employee2 is in position2, move them to position1
       if (emp2Assignment && emp2Assignment.position === position2) {
-        updatesToPosition1.push(emp2Assignment.id);
+        updates.push({ id: emp2Assignment.id, version: emp2Assignment.version, position: position1 });
       }
     }
 
-    // Perform the updates
-    if (updatesToPosition1.length > 0) {
-      const { error } = await supabase
-        .from('lineup_assignments')
-        .update({ position: position1 })
-        .in('id', updatesToPosition1);
-      if (error) throw error;
-    }
-
-    if (updatesToPosition2.length > 0) {
-      const { error } = await supabase
-        .from('lineup_assignments')
-        .update({ position: position2 })
-        .in('id', updatesToPosition2);
-      if (error) throw error;
+    // Manual changes are pinned so regenerating keeps them
+    const { data, error } = await supabase.rpc('update_lineup_assignments', { p_updates: updates });
+    if (error) {
+      if (error.code === '40001') {
+        const conflict = new Error('Someone else changed this lineup first');
+        conflict.code = 'LINEUP_CONFLICT';
+        throw conflict;
+      }
+      throw error;
     }
 
     return {
-      updatesToPosition1,
-      updatesToPosition2,
+      updated: data.map(a => ({ id: a.id, position: a.position, version: a.version, pinned: a.is_pinned })),
       position1,
       position2,
       employee1Id,
@@ -259,6 +255,63 @@ export const lineupService = {
     };
   },
 
+  // Live row changes for one day's saved lineups: lineups in this store, and assignments in the
+  // lineups already loaded (lineupIds). Subscribe again when the day's lineups are replaced.
+  // Realtime still applies row level security. Returns an unsubscribe function.
+  subscribeToDayChanges(lineupIds, onChange) {
+    if (!supabase || !currentStoreId) return null;
+
+    const channel = supabase
+      .channel(`saved-lineups-changes:${currentStoreId}:${lineupIds.join(',')}`)
+      // Regenerating inserts the new lineups, so this also hears about a replaced day
+      .on('postgres_changes', {
+        event: '*', schema: 'public', table: 'lineups', filter: `store_id=eq.${currentStoreId}`
+      }, onChange);
+
+    if (lineupIds.length > 0) {
+      channel.on('postgres_changes', {
+        event: '*', schema: 'public', table: 'lineup_assignments', filter: `lineup_id=in.(${lineupIds.join(',')})`
+      }, onChange);
+    }
+
+    channel.subscribe();
+    return () => supabase.removeChannel(channel);
+  },
+
+  // Who else has this day open: onPresence gets the other people as [{ userId, name, editing }]
+  // me: { userId, name, editing }. Returns { track(changes), unsubscribe() }; track updates what
+  // others see about this user.
+  joinDay(date, houseType, me, onPresence) {
+    if (!supabase || !currentStoreId) return null;
+
+    const channel = supabase.channel(`saved-lineups:${currentStoreId}:${houseType}:${date}`, {
+      config: { presence: { key: me.userId } }
+    });
+    let state = { userId: me.userId, name: me.name, editing: me.editing || false };
+    let subscribed = false;
+
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        // One entry per person, even with the day open in more than one tab
+        const others = Object.entries(channel.presenceState())
+          .filter(([key]) => key !== me.userId)
+          .map(([, sessions]) => ({ ...sessions[0], editing: sessions.some(s => s.editing) }));
+        onPresence(others);
+      })
+      .subscribe((status) => {
+        subscribed = status === 'SUBSCRIBED';
+        if (subscribed) channel.track(state);
+      });
+
+    return {
+      track: (changes) => {
+        state = { ...state, ...changes };
+        if (subscribed) channel.track(state);
+      },
+      unsubscribe: () => supabase.removeChannel(channel)
+    };
+  },
+
   // Delete a lineup
   async deleteLineup(lineupId) {
     if (!supabase) throw new Error('Supabase not configured');
@@ -306,6 +359,11 @@ export const lineupService = {
           matchQuality: a.match_quality,
           needsBreak: a.needs_break,
           breakType: a.break_type,
+          pinned: a.is_pinned || false,
+          breakStart: a.break_start ? a.break_start.substring(0, 5) : null,
+          breakEnd: a.break_end ? a.break_end.substring(0, 5) : null,
+          coveringFor: a.covering_for || null,
+          version: a.version ?? 1,
           employee: a.employees ? {
             id: a.employees.id,
             name: a.employees.name,
@@ -0,0 +1,30 @@
+// Time and date helpers shared by the components
+// Dates are handled as YYYY-MM-DD strings in UTC so days don't shift with the browser's time zone
+
+export const formatTime12Hour = (time24) => {
+  const [hours, minutes] = time24.split(':').map(Number);
+  const period = hours >= 12 ? 'PM' : 'AM';
+  const hours12 = hours % 12 || 12;
+  return `${hours12}:${minutes.toString().padStart(2, '0')} ${period}`;
+};
+
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A time inside a shift as minutes on the shift's timeline, same as the generator: times earlier
+// than the shift start are after midnight on an overnight shift
+export const toShiftMinutes = (shiftStart, time) => {
+  const minutes = timeToMinutes(time);
+  return minutes < timeToMinutes(shiftStart) ? minutes + 1440 : minutes;
+};
+
+export const addDays = (dateStr, days) => {
+  const date = new Date(dateStr + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+// 0 = Sunday
+export const dayOfWeek = (dateStr) => new Date(dateStr + 'T00:00:00Z').getUTCDay();
@@ -9,9 +9,51 @@ export type Json =
 export type Database = {
   public: {
     Tables: {
+      display_tokens: {
+        Row: {
+          created_at: string | null
+          created_by: string | null
+          expires_at: string
+          house_type: string
+          id: string
+          name: string
+          revoked_at: string | null
+          store_id: string
+        }
+        Insert: {
+          created_at?: string | null
+          created_by?: string | null
+          expires_at: string
+          house_type?: string
+          id?: string
+          name: string
+          revoked_at?: string | null
+          store_id: string
+        }
+        Update: {
+          created_at?: string | null
+          created_by?: string | null
+          expires_at?: string
+          house_type?: string
+          id?: string
+          name?: string
+          revoked_at?: string | null
+          store_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "display_tokens_store_id_fkey"
+            columns: ["store_id"]
+            isOneToOne: false
+            referencedRelation: "stores"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       employees: {
         Row: {
           best_positions: string[]
+          birth_date: string | null
           created_at: string
           id: string
           is_minor: boolean
@@ -21,6 +63,7 @@ export type Database = {
         }
         Insert: {
           best_positions?: string[]
+          birth_date?: string | null
           created_at?: string
           id?: string
           is_minor?: boolean
@@ -30,6 +73,7 @@ export type Database = {
         }
         Update: {
           best_positions?: string[]
+          birth_date?: string | null
           created_at?: string
           id?: string
           is_minor?: boolean
@@ -39,6 +83,142 @@ export type Database = {
         }
         Relationships: []
       }
+      employee_availability: {
+        Row: {
+          created_at: string
+          day_of_week: number
+          employee_id: string
+          end_time: string
+          id: string
+          start_time: string
+          store_id: string
+          updated_at: string
+        }
+        Insert: {
+          created_at?: string
+          day_of_week: number
+          employee_id: string
+          end_time: string
+          id?: string
+          start_time: string
+          store_id: string
+          updated_at?: string
+        }
+        Update: {
+          created_at?: string
+          day_of_week?: number
+          employee_id?: string
+          end_time?: string
+          id?: string
+          start_time?: string
+          store_id?: string
+          updated_at?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "employee_availability_employee_id_fkey"
+            columns: ["employee_id"]
+            isOneToOne: false
+            referencedRelation: "employees"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      employee_skills: {
+        Row: {
+          certified_on: string | null
+          created_at: string
+          employee_id: string
+          expires_on: string | null
+          id: string
+          level: string
+          position: string
+          store_id: string
+          updated_at: string
+        }
+        Insert: {
+          certified_on?: string | null
+          created_at?: string
+          employee_id: string
+          expires_on?: string | null
+          id?: string
+          level?: string
+          position: string
+          store_id: string
+          updated_at?: string
+        }
+        Update: {
+          certified_on?: string | null
+          created_at?: string
+          employee_id?: string
+          expires_on?: string | null
+          id?: string
+          level?: string
+          position?: string
+          store_id?: string
+          updated_at?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "employee_skills_employee_id_fkey"
+            columns: ["employee_id"]
+            isOneToOne: false
+            referencedRelation: "employees"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      itinerary_shares: {
+        Row: {
+          created_at: string | null
+          created_by: string | null
+          employee_id: string
+          expires_at: string
+          house_type: string
+          id: string
+          revoked_at: string | null
+          share_date: string
+          store_id: string
+        }
+        Insert: {
+          created_at?: string | null
+          created_by?: string | null
+          employee_id: string
+          expires_at: string
+          house_type?: string
+          id?: string
+          revoked_at?: string | null
+          share_date: string
+          store_id: string
+        }
+        Update: {
+          created_at?: string | null
+          created_by?: string | null
+          employee_id?: string
+          expires_at?: string
+          house_type?: string
+          id?: string
+          revoked_at?: string | null
+          share_date?: string
+          store_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "itinerary_shares_employee_id_fkey"
+            columns: ["employee_id"]
+            isOneToOne: false
+            referencedRelation: "employees"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "itinerary_shares_store_id_fkey"
+            columns: ["store_id"]
+            isOneToOne: false
+            referencedRelation: "stores"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       lineup_assignments: {
         Row: {
           assignment_order: number
@@ -50,6 +230,7 @@ export type Database = {
           match_quality: Database["public"]["Enums"]["match_quality"]
           needs_break: boolean
           position: string
+          version: number
         }
         Insert: {
           assignment_order?: number
@@ -61,6 +242,7 @@ export type Database = {
           match_quality?: Database["public"]["Enums"]["match_quality"]
           needs_break?: boolean
           position: string
+          version?: number
         }
         Update: {
           assignment_order?: number
@@ -72,6 +254,7 @@ export type Database = {
           match_quality?: Database["public"]["Enums"]["match_quality"]
           needs_break?: boolean
           position?: string
+          version?: number
         }
         Relationships: [
           {
@@ -98,7 +281,7 @@ export type Database = {
           id: string
           lineup_date: string
           people_count: number
-          shift_period: Database["public"]["Enums"]["shift_period"]
+          shift_period: string
           start_time: string
           updated_at: string
         }
@@ -109,7 +292,7 @@ export type Database = {
           id?: string
           lineup_date?: string
           people_count?: number
-          shift_period: Database["public"]["Enums"]["shift_period"]
+          shift_period: string
           start_time: string
           updated_at?: string
         }
@@ -120,7 +303,7 @@ export type Database = {
           id?: string
           lineup_date?: string
           people_count?: number
-          shift_period?: Database["public"]["Enums"]["shift_period"]
+          shift_period?: string
           start_time?: string
           updated_at?: string
         }
@@ -133,6 +316,7 @@ export type Database = {
           id: string
           is_active: boolean
           name: string
+          rotate: boolean
         }
         Insert: {
           created_at?: string
@@ -140,6 +324,7 @@ export type Database = {
           id?: string
           is_active?: boolean
           name: string
+          rotate?: boolean
         }
         Update: {
           created_at?: string
@@ -147,6 +332,40 @@ export type Database = {
           id?: string
           is_active?: boolean
           name?: string
+          rotate?: boolean
+        }
+        Relationships: []
+      }
+      sales_forecasts: {
+        Row: {
+          created_at: string
+          forecast_date: string
+          id: string
+          interval_minutes: number
+          interval_start: string
+          store_id: string
+          transactions: number
+          updated_at: string
+        }
+        Insert: {
+          created_at?: string
+          forecast_date: string
+          id?: string
+          interval_minutes?: number
+          interval_start: string
+          store_id: string
+          transactions: number
+          updated_at?: string
+        }
+        Update: {
+          created_at?: string
+          forecast_date?: string
+          id?: string
+          interval_minutes?: number
+          interval_start?: string
+          store_id?: string
+          transactions?: number
+          updated_at?: string
         }
         Relationships: []
       }
@@ -155,30 +374,48 @@ export type Database = {
           created_at: string
           employee_id: string
           end_time: string
+          house_type: string
           id: string
+          is_booster: boolean
+          is_in_training: boolean
           is_shift_lead: boolean
+          pins: Json
           shift_date: string
           start_time: string
+          store_id: string | null
+          training_position: string | null
           updated_at: string
         }
         Insert: {
           created_at?: string
           employee_id: string
           end_time: string
+          house_type?: string
           id?: string
+          is_booster?: boolean
+          is_in_training?: boolean
           is_shift_lead?: boolean
+          pins?: Json
           shift_date?: string
           start_time: string
+          store_id?: string | null
+          training_position?: string | null
           updated_at?: string
         }
         Update: {
           created_at?: string
           employee_id?: string
           end_time?: string
+          house_type?: string
           id?: string
+          is_booster?: boolean
+          is_in_training?: boolean
           is_shift_lead?: boolean
+          pins?: Json
           shift_date?: string
           start_time?: string
+          store_id?: string | null
+          training_position?: string | null
           updated_at?: string
         }
         Relationships: [
@@ -191,6 +428,62 @@ export type Database = {
           },
         ]
       }
+      time_off_requests: {
+        Row: {
+          created_at: string
+          employee_id: string
+          end_date: string
+          id: string
+          reason: string | null
+          requested_by: string | null
+          review_note: string | null
+          reviewed_at: string | null
+          reviewed_by: string | null
+          start_date: string
+          status: string
+          store_id: string
+          updated_at: string
+        }
+        Insert: {
+          created_at?: string
+          employee_id: string
+          end_date: string
+          id?: string
+          reason?: string | null
+          requested_by?: string | null
+          review_note?: string | null
+          reviewed_at?: string | null
+          reviewed_by?: string | null
+          start_date: string
+          status?: string
+          store_id: string
+          updated_at?: string
+        }
+        Update: {
+          created_at?: string
+          employee_id?: string
+          end_date?: string
+          id?: string
+          reason?: string | null
+          requested_by?: string | null
+          review_note?: string | null
+          reviewed_at?: string | null
+          reviewed_by?: string | null
+          start_date?: string
+          status?: string
+          store_id?: string
+          updated_at?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "time_off_requests_employee_id_fkey"
+            columns: ["employee_id"]
+            isOneToOne: false
+            referencedRelation: "employees"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
     }
     Views: {
       [_ in never]: never
@@ -312,6 +605,20 @@ export type Employee = Tables<"employees">
 export type EmployeeInsert = TablesInsert<"employees">
 export type EmployeeUpdate = TablesUpdate<"employees">
 
+export type EmployeeSkill = Tables<"employee_skills">
+export type EmployeeSkillInsert = TablesInsert<"employee_skills">
+export type EmployeeSkillUpdate = TablesUpdate<"employee_skills">
+export type SkillLevel = "trainee" | "certified" | "trainer"
+
+export type EmployeeAvailability = Tables<"employee_availability">
+export type EmployeeAvailabilityInsert = TablesInsert<"employee_availability">
+export type EmployeeAvailabilityUpdate = TablesUpdate<"employee_availability">
+
+export type TimeOffRequest = Tables<"time_off_requests">
+export type TimeOffRequestInsert = TablesInsert<"time_off_requests">
+export type TimeOffRequestUpdate = TablesUpdate<"time_off_requests">
+export type TimeOffStatus = "pending" | "approved" | "denied"
+
 export type Shift = Tables<"shifts">
 export type ShiftInsert = TablesInsert<"shifts">
 export type ShiftUpdate = TablesUpdate<"shifts">
@@ -328,6 +635,7 @@ export type Position = Tables<"positions">
 export type PositionInsert = TablesInsert<"positions">
 export type PositionUpdate = TablesUpdate<"positions">
 
-export type ShiftPeriod = Enums<"shift_period">
+// A store time period id (see store_settings.time_periods) or "closing"
+export type ShiftPeriod = string
 export type MatchQuality = Enums<"match_quality">
 export type BreakType = Enums<"break_type">